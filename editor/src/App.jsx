@@ -1,16 +1,64 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { BLETransfer } from './utils/ble_transfer';
+import { BridgePlayer } from './utils/bridge_player';
+import { GamepadRecorder } from './utils/gamepad_recorder';
+import { buildLiveFrame, NEUTRAL_LIVE_FRAME, matchesStoredMacro } from './utils/transfer_protocol';
 import GamepadVisualizer from './components/GamepadVisualizer';
 import TimelineEditor from './components/TimelineEditor';
+import PianoRoll from './components/PianoRoll';
+import PlaybackTransport from './components/PlaybackTransport';
+import ValidationPanel from './components/ValidationPanel';
+import ControllerMappingPanel from './components/ControllerMappingPanel';
+import CalibrationPanel from './components/CalibrationPanel';
+import CleanupPanel from './components/CleanupPanel';
+import ScriptEditor from './components/ScriptEditor';
+import SlotManagerPanel from './components/SlotManagerPanel';
+import DeviceDashboard from './components/DeviceDashboard';
+import RecordingStats from './components/RecordingStats';
+import PunchInControls from './components/PunchInControls';
+import KeyBindingPanel from './components/KeyBindingPanel';
+import useMacroHistory from './hooks/useMacroHistory';
 import './index.css';
-import { rawToHidIndices as convertRawToHid } from './utils/constants';
+import { STANDARD_PROFILE } from './utils/constants';
+import { readGamepad, getProfile, saveProfile, getCalibration, saveCalibration } from './utils/controller_profiles';
+import { DEFAULT_CALIBRATION, processSticks, hasStickMoved } from './utils/stick_calibration';
+import { stateAt, simulatedFrameAt } from './utils/playback_engine';
+import { stripAnnotations } from './utils/macro_sections';
+import { composeMacro, expandEvents, flattenMacro, isCallEvent } from './utils/macro_compose';
+import { DEFAULT_PREROLL, buildPunchPlayback, getPunchRange, mergeChannels, overdubTake, spliceTake } from './utils/punch_in';
+import { getLoopParts, hasLoopParts, hasVariation, setLoopPoint, stripLoopParts } from './utils/macro_loop';
+import { getDurationRange, hasRandomTiming, resolveTiming } from './utils/macro_timing';
+import { validateMacro, applyFixes, describeJsonError, canOpenInEditor } from './utils/macro_validation';
+import {
+    VirtualGamepad, VIRTUAL_GAMEPAD_INDEX, VIRTUAL_GAMEPAD_ID, DEFAULT_KEY_BINDINGS, getKeyBindings, saveKeyBindings
+} from './utils/virtual_gamepad';
 
 // Web Bluetooth通信用のインスタンス
 const ble = new BLETransfer();
+// Live Bridge 経由でのマクロ再生
+const bridge = new BridgePlayer(ble);
+// キーボード・マウスで操作する仮想ゲームパッド (入力デバイスで選択している間だけキーを受け取る)
+const virtualGamepad = new VirtualGamepad({ bindings: getKeyBindings() });
+const recorder = new GamepadRecorder({
+    getGamepad: (index) => (index === VIRTUAL_GAMEPAD_INDEX ? virtualGamepad.snapshot() : navigator.getGamepads()[index] || null)
+});
+
+const formatRate = (rate) => `${(rate / 1024).toFixed(1)} KB/s`;
+
+/**
+ * 転送・読み出しの進捗の表示 (速度と残り時間は転送時のみ)
+ */
+const formatProgress = ({ percent, rate, eta }) => {
+    let text = `${percent}%`;
+    if (rate) text += ` ${formatRate(rate)}`;
+    if (eta !== null && eta !== undefined) text += ` 残り約${Math.ceil(eta)}秒`;
+    return text;
+};
 
 function App() {
     // --- 状態管理 (State) ---
-    const [macro, setMacro] = useState({
+    // マクロ本体は履歴付きで管理する (元に戻す / やり直す)
+    const { macro, setMacro, undo, redo, undoLabel, redoLabel } = useMacroHistory({
         meta: { name: "New Macro", author: "User", version: "1.0", sampling_rate: 16 },
         loop: { enabled: false, count: 0 },
         events: []
@@ -19,24 +67,167 @@ function App() {
     const [gamepadStatus, setGamepadStatus] = useState('コントローラを接続し、ボタンを押してください');
     const [gamepads, setGamepads] = useState([]);
     const [selectedGamepadIndex, setSelectedGamepadIndex] = useState(null);
-    const [progress, setProgress] = useState(0);
+    const [progress, setProgress] = useState(null); // 転送・読み出しの進捗 { percent, rate, eta }。null は非表示
     const [isRecording, setIsRecording] = useState(false);
-    const [isConnected, setIsConnected] = useState(false);
+    const [recordStats, setRecordStats] = useState(null); // 記録中・直前の記録のサンプリングの統計 (GamepadRecorder.getStats)
+    const [liveStats, setLiveStats] = useState(null); // Live Bridge の往復遅延 (ms) と取りこぼし数 { rtt, dropped }。null は未計測
+    const [connection, setConnection] = useState('disconnected'); // ATOMS3との接続状態 (connected / reconnecting / disconnected)
+    const isConnected = connection === 'connected';
     const [currentFrame, setCurrentFrame] = useState(null); // 現在のコントローラ入力を保持 (可視化用)
+    const [selection, setSelection] = useState([]); // 選択中のイベント (行リストとピアノロールで共有)
+    const [previewTime, setPreviewTime] = useState(null); // 再生プレビューの位置 (ms)。null はプレビューなし
+    const [timingSeed, setTimingSeed] = useState(1); // プレビューでランダムな時間を決めるシード
+    const [bridgeIndex, setBridgeIndex] = useState(null); // Live Bridge 再生中のイベント。null は停止中
+    const [bridgeFromSelection, setBridgeFromSelection] = useState(false); // 選択行から再生する
+    const [validation, setValidation] = useState(null); // 検証結果 (読み込み時・転送前)。null は問題なし
+    const [profile, setProfile] = useState(STANDARD_PROFILE); // 選択中のコントローラの割り当て
+    const [calibration, setCalibration] = useState(DEFAULT_CALIBRATION); // 選択中のコントローラのスティック補正
+    const [keyBindings, setKeyBindings] = useState(virtualGamepad.bindings); // 仮想ゲームパッドのキーの割り当て
+    const [isCleanupOpen, setIsCleanupOpen] = useState(false); // イベントの整理パネルを表示中
+    const [isScriptOpen, setIsScriptOpen] = useState(false); // スクリプト編集パネルを表示中
+    const [slotRevision, setSlotRevision] = useState(0); // 転送のたびに増やし、スロット表を読み直す
+    const [storedMacro, setStoredMacro] = useState(null); // ATOMS3で選択中のマクロのサイズ・CRC (RDH)。null は不明・未保存
+    const [deviceStatus, setDeviceStatus] = useState(null); // ATOMS3の再生状態 (STATUS通知)。null は未受信
+    const [punchSettings, setPunchSettings] = useState({ mode: 'replace', start: 0, end: null, preroll: DEFAULT_PREROLL, channels: { buttons: [], axes: [] } });
+    const [countdown, setCountdown] = useState(null); // パンチインまでの秒数 (プリロール中のみ)
 
     // --- インターバル・フラグ管理 (Ref) ---
-    const recordInterval = useRef(null);
     const discoveryInterval = useRef(null);
-    const selectedIndexRef = useRef(null);
+    const profileRef = useRef(STANDARD_PROFILE);
+    const calibrationRef = useRef(DEFAULT_CALIBRATION);
     const isRecordingRef = useRef(false);
     const waitingForInputRef = useRef(false);
     const startTime = useRef(0);
     const lastState = useRef(null); // 前回の入力状態 (変化検知用)
+    const recordTakeKey = useRef(null); // 1回の記録を1つの履歴にまとめるためのキー
+    const punchRef = useRef(null); // パンチイン記録中の状態 { mode, range, channels, origin, input, base, take }
+    const countdownTimer = useRef(null);
+
+    // サブマクロの呼び出しと周回ごとの変化を展開した再生用のマクロ (プレビュー・ピアノロール・Live Bridge 再生で使用)
+    // sources で展開後のイベントと行リストのイベントを対応付ける
+    const composed = useMemo(() => {
+        try {
+            return { ...composeMacro(macro), error: null };
+        } catch (err) {
+            return { macro: null, sources: [], error: err.message };
+        }
+    }, [macro]);
+    const hasCalls = composed.macro !== macro;
 
-    // 選択中のゲームパッドインデックスをRefに同期 (setInterval内での最新値参照用)
+    // ランダムな時間 (jitter / wait / loop.offset) をシードから決めたプレビュー用のマクロ
+    const previewMacro = useMemo(() => composed.macro && resolveTiming(composed.macro, timingSeed), [composed.macro, timingSeed]);
+    const durationRange = useMemo(() => (composed.macro && hasRandomTiming(composed.macro) ? getDurationRange(composed.macro) : null), [composed.macro]);
+
+    // ATOMS3の再生状態の通知を受け取る
     useEffect(() => {
-        selectedIndexRef.current = selectedGamepadIndex;
-    }, [selectedGamepadIndex]);
+        ble.onStatus = setDeviceStatus;
+        return () => { ble.onStatus = null; };
+    }, []);
+
+    // Live Bridge の往復遅延と取りこぼし (live2 に対応したファームウェアのみ)
+    useEffect(() => {
+        ble.onLiveStats = setLiveStats;
+        return () => { ble.onLiveStats = null; };
+    }, []);
+
+    // 接続状態の変化 (切断・自動再接続) を受け取る
+    useEffect(() => {
+        let previous = ble.connectionState;
+        ble.onConnectionChange = (state) => {
+            setConnection(state);
+            if (state === 'reconnecting') setStatus('ATOMS3との接続が切れました。再接続しています...');
+            if (state === 'disconnected' && previous !== 'disconnected') setStatus('ATOMS3との接続が切れました。もう一度接続してください');
+            if (state === 'connected') {
+                if (previous === 'reconnecting') setStatus('ATOMS3に再接続しました');
+                // 再生中に接続した場合でも現在の状態を表示する
+                if (ble.statusCharacteristic) ble.sendPlaybackCommand('status').catch(err => console.warn("Status request failed:", err));
+            }
+            previous = state;
+        };
+        return () => { ble.onConnectionChange = null; };
+    }, []);
+    useEffect(() => {
+        if (!isConnected) {
+            setDeviceStatus(null);
+            setLiveStats(null);
+        }
+    }, [isConnected]);
+
+    // ATOMS3で選択中のマクロと、いま転送した場合の内容が同じか (null は比較できない)
+    const deviceMatch = useMemo(() => {
+        if (!storedMacro || composed.error) return null;
+        return matchesStoredMacro(stripAnnotations(flattenMacro(macro)), storedMacro);
+    }, [macro, storedMacro, composed.error]);
+    const toFlatIndex = (index) => composed.sources.indexOf(index);
+
+    // 選択中のコントローラの割り当て・スティック補正を読み込む (gamepad.id ごとに保存)
+    const selectedGamepad = gamepads.find(gp => gp.index === selectedGamepadIndex) || null;
+    const selectedGamepadId = selectedGamepad?.id ?? null;
+    useEffect(() => {
+        const loaded = selectedGamepadId ? getProfile(selectedGamepadId) : STANDARD_PROFILE;
+        profileRef.current = loaded;
+        setProfile(loaded);
+        const loadedCalibration = selectedGamepadId ? getCalibration(selectedGamepadId) : DEFAULT_CALIBRATION;
+        calibrationRef.current = loadedCalibration;
+        setCalibration(loadedCalibration);
+    }, [selectedGamepadId]);
+
+    /**
+     * 割り当てを変更して保存する (null は標準に戻す)
+     */
+    const changeProfile = (next) => {
+        saveProfile(selectedGamepadId, next);
+        profileRef.current = next || STANDARD_PROFILE;
+        setProfile(profileRef.current);
+    };
+
+    /**
+     * スティック補正を変更して保存する (null は既定に戻す)
+     */
+    const changeCalibration = (next) => {
+        saveCalibration(selectedGamepadId, next);
+        calibrationRef.current = next || DEFAULT_CALIBRATION;
+        setCalibration(calibrationRef.current);
+    };
+
+    /**
+     * 仮想ゲームパッドのキーの割り当てを変更して保存する (null は既定に戻す)
+     */
+    const changeKeyBindings = (next) => {
+        saveKeyBindings(next);
+        virtualGamepad.setBindings(next || DEFAULT_KEY_BINDINGS);
+        setKeyBindings(virtualGamepad.bindings);
+    };
+
+    // 元に戻す (Ctrl+Z) / やり直す (Ctrl+Y, Ctrl+Shift+Z)
+    useEffect(() => {
+        const onKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || isRecordingRef.current) return;
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target?.tagName)) return; // 入力欄の標準操作を優先
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                redo();
+            }
+        };
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, [undo, redo]);
+
+    // ページを閉じる際にLive Bridgeの入力が押しっぱなしにならないよう、ニュートラルを送る
+    useEffect(() => {
+        const onUnload = () => {
+            if (bridge.isPlaying) {
+                bridge.cancel();
+                ble.sendLiveFrame(NEUTRAL_LIVE_FRAME);
+            }
+        };
+        window.addEventListener('beforeunload', onUnload);
+        return () => window.removeEventListener('beforeunload', onUnload);
+    }, []);
 
     /**
      * ATOMS3デバイスへ接続を開始する
@@ -45,11 +236,9 @@ function App() {
         try {
             setStatus('接続中...');
             await ble.connect();
-            setIsConnected(true);
             setStatus('ATOMS3接続済み');
             setGamepadStatus('コントローラを認識中... ボタンを押してください');
         } catch (err) {
-            setIsConnected(false);
             if (err.message.includes("cancelled") || err.message.includes("見つからない")) {
                 setStatus('接続失敗: デバイスが選択されませんでした。');
                 setGamepadStatus('ヒント: すでにOS側で接続されているとリストに表示されない場合があります。Windowsの設定からATOMS3のペアリングを一度解除してからやり直してください。');
@@ -74,9 +263,11 @@ function App() {
             }
         }
 
-        setGamepads(activeGps);
+        // キーボード・マウスの仮想ゲームパッドは常に選択できる
+        setGamepads([...activeGps, { index: VIRTUAL_GAMEPAD_INDEX, id: VIRTUAL_GAMEPAD_ID }]);
+        if (selectedGamepadIndex === VIRTUAL_GAMEPAD_INDEX) return;
 
-        // デバイスが接続された際に、未選択なら先頭を選択
+        // デバイスが接続された際に、未選択なら先頭を選択 (仮想ゲームパッドは自動では選択しない)
         if (activeGps.length > 0) {
             if (selectedGamepadIndex === null || !foundSelected) {
                 setSelectedGamepadIndex(activeGps[0].index);
@@ -101,64 +292,51 @@ function App() {
         };
     }, [selectedGamepadIndex]);
 
-    // インデックス変更時にポーリングを開始/停止
+    // インデックス変更時にサンプリングを開始/停止 (非表示のタブでも記録を続ける)
     useEffect(() => {
-        stopPolling();
-        if (selectedGamepadIndex !== null) {
-            startPolling();
-        }
-    }, [selectedGamepadIndex]);
-
-
-    /**
-     * 60Hzでのコントローラ入力監視を開始する
-     */
-    const startPolling = () => {
-        if (recordInterval.current) return;
-        recordInterval.current = setInterval(async () => {
-            const gps = navigator.getGamepads();
-            const gp = gps[selectedIndexRef.current];
-            if (!gp) return;
-
-            // ボタン状態の取得とHID変換
-            const rawB = gp.buttons.map((btn, i) => btn.pressed ? i : null).filter(i => i !== null);
-            const b = convertRawToHid(rawB);
-
-            // スティック状態の取得
-            const a = [0, 0, 0, 0];
-            for (let i = 0; i < 4; i++) {
-                if (gp.axes[i] !== undefined) {
-                    let val = gp.axes[i];
-                    if (Math.abs(val) < 0.2) val = 0; // デッドゾーン処理
-                    a[i] = parseFloat(val.toFixed(3));
-                }
-            }
-            const frame = { t: 0, b, a };
-            setCurrentFrame(frame); // プレビュー等に反映
+        recorder.stop();
+        if (selectedGamepadIndex === null) return;
 
+        // 割り当てに従ってボタン・スティックの状態をHIDに変換し、スティックを補正する
+        const convert = (gp) => {
+            const { b, a: raw } = readGamepad(gp, profileRef.current, calibrationRef.current);
+            const a = processSticks(raw, calibrationRef.current).map(val => parseFloat(val.toFixed(3)));
+            return { b, a, raw };
+        };
+        recorder.onFrame = (gp) => setCurrentFrame({ t: 0, ...convert(gp) }); // プレビュー等に反映 (画面の更新ごと)
+        recorder.onSample = (gp, time) => {
             // 記録中の場合はマクロとして保存
-            if (isRecordingRef.current) {
-                processRecording(gp, b, a);
-            }
-        }, 16); // ~60FPS
-    };
+            if (!isRecordingRef.current) return;
+            const { b, a } = convert(gp);
+            processRecording(b, a, time);
+        };
+        if (selectedGamepadIndex === VIRTUAL_GAMEPAD_INDEX) virtualGamepad.attach();
+        recorder.start(selectedGamepadIndex);
+        return () => {
+            recorder.stop();
+            virtualGamepad.detach();
+        };
+    }, [selectedGamepadIndex]);
 
-    const stopPolling = () => {
-        clearInterval(recordInterval.current);
-        recordInterval.current = null;
-    };
+    // 記録中はサンプリングの統計を1秒ごとに更新する
+    useEffect(() => {
+        if (!isRecording) return;
+        const timer = setInterval(() => setRecordStats(recorder.getStats()), 1000);
+        return () => clearInterval(timer);
+    }, [isRecording]);
 
     /**
      * 入力イベントをマクロタイムラインに記録する
+     * @param {number} time 入力が変化した時刻 (Gamepad.timestamp)
      */
-    const processRecording = async (gp, b, a) => {
+    const processRecording = async (b, a, time) => {
         if (waitingForInputRef.current) {
             // 入力待機中: 何かしらの入力（ボタン or スティック）があるまで開始しない
             const isNeutral = b.length === 0 && a.every(v => v === 0);
             if (isNeutral) return;
 
             // 入力検知: 記録開始
-            startTime.current = performance.now();
+            startTime.current = time;
             waitingForInputRef.current = false;
             setStatus('記録中...');
             console.log("First input detected - Timer started");
@@ -170,49 +348,171 @@ function App() {
             if (idx < 20) hidMask |= (1 << idx);
         });
 
-        const lx = Math.round(a[0] * 127);
-        const ly = Math.round(a[1] * 127);
-        const rx = Math.round(a[2] * 127);
-        const ry = Math.round(a[3] * 127);
-
         // 前回から入力が変化したかチェック
-        const currentState = { hidMask, a: [lx, ly, rx, ry] };
+        const currentState = { hidMask, a };
         if (!lastState.current || isChanged(lastState.current, currentState)) {
             lastState.current = currentState;
-            const time = Math.round(performance.now() - startTime.current);
-
-            // マクロに追加
+            if (punchRef.current) {
+                await recordPunch(punchRef.current, b, a, time);
+                return;
+            }
+            // マクロに追加 (1回の記録全体で1つの履歴)
             setMacro(prev => ({
                 ...prev,
                 events: [...prev.events, {
-                    t: time,
+                    t: Math.round(time - startTime.current),
                     b: [...b],
                     a: a.map(v => Math.round(v * 100) / 100)
                 }]
-            }));
+            }), { label: 'ライブ記録', mergeKey: recordTakeKey.current });
 
-            // ATOMS3にリアルタイム中継 (Live Bridge)
-            if (isConnected) {
-                const payload = `L:${hidMask}:${lx}:${ly}:${rx}:${ry}`;
-                await ble.sendLiveFrame(payload);
-            }
+            // ATOMS3にリアルタイム中継 (Live Bridge)。未接続なら送らず、再接続中は再接続後に最後の入力を送る
+            await ble.sendLiveFrame(buildLiveFrame(b, a));
         }
     };
 
     // 記録開始
     const startLiveRecord = () => {
+        if (bridge.isPlaying) bridge.stop();
+        setIsCleanupOpen(false);
+        setIsScriptOpen(false);
         setIsRecording(true);
         isRecordingRef.current = true;
         waitingForInputRef.current = true;
         startTime.current = 0;
-        setMacro(prev => ({ ...prev, events: [] }));
+        recorder.resetStats();
+        setRecordStats(null);
+        recordTakeKey.current = `record-${Date.now()}`;
+        setMacro(prev => ({ ...prev, events: [] }), { label: 'ライブ記録', mergeKey: recordTakeKey.current });
         lastState.current = null;
     };
 
+    /**
+     * パンチイン記録中の入力をテイクに加える (プリロール中は記録せず、パンチインの時点の入力として覚えておく)
+     */
+    const recordPunch = async (punch, b, a, time) => {
+        const frame = { b: [...b], a: a.map(v => Math.round(v * 100) / 100) };
+        const recording = time >= punch.origin;
+        if (recording) {
+            const t = Math.round(time - punch.origin);
+            if (punch.take.length === 0 && t > 0) punch.take.push({ t: 0, ...punch.input });
+            punch.take.push({ t, ...frame });
+        }
+        punch.input = frame;
+        if (!recording) return;
+        const mixed = mixPunch(punch, punch.base);
+        await ble.sendLiveFrame(buildLiveFrame(mixed.b, mixed.a));
+    };
+
+    /**
+     * Live Bridge で送る入力: プリロール中は既存のマクロ、パンチイン後はコントローラの入力 (オーバーダブでは既存の入力に重ねる)
+     */
+    const mixPunch = (punch, frame) => {
+        if (performance.now() < punch.origin) return frame;
+        return punch.mode === 'overdub' ? mergeChannels(frame, punch.input, punch.channels) : punch.input;
+    };
+
+    /**
+     * パンチイン記録を開始する: プリロールの間は既存のマクロを Live Bridge で再生し、範囲の先頭から記録する
+     */
+    const startPunchIn = () => {
+        const { mode, start, end, preroll, channels } = punchSettings;
+        const range = { start, end };
+        let playback;
+        try {
+            // 範囲の問題で記録した後に失敗しないよう、先に空のテイクで確かめる
+            if (mode === 'overdub') overdubTake(macro.events, [], range, channels);
+            else spliceTake(macro.events, [], range);
+            const { events } = expandEvents(macro.events, macro.library);
+            const until = end ?? (mode === 'overdub' ? events[events.length - 1].t : start);
+            playback = buildPunchPlayback(events, start - preroll, until);
+        } catch (err) {
+            setStatus('部分記録を開始できません: ' + err.message);
+            return;
+        }
+
+        bridge.cancel(); // Live Bridge 再生中なら止める (stop の onFinish はパンチイン記録の終了と区別できないため使わない)
+        setBridgeIndex(null);
+        setIsCleanupOpen(false);
+        setIsScriptOpen(false);
+        setIsRecording(true);
+        isRecordingRef.current = true;
+        waitingForInputRef.current = false;
+        lastState.current = null;
+        recorder.resetStats(); // 現在の入力を受け取り直す
+        setRecordStats(null);
+
+        const punch = { mode, range, channels, origin: 0, input: { b: [], a: [0, 0, 0, 0] }, base: playback[0], take: [] };
+        punchRef.current = punch;
+        bridge.start({ events: playback }, {
+            onProgress: ({ eventIndex }) => { punch.base = playback[eventIndex]; },
+            // 置き換えで終わりを指定しない場合は、プリロールの再生が終わっても停止するまで記録を続ける
+            onFinish: (reason) => {
+                if (reason === 'done' && mode === 'replace' && end === null) return;
+                finishPunch(punch, reason);
+            },
+            mix: (frame) => mixPunch(punch, frame)
+        });
+        punch.origin = bridge.origin + preroll;
+
+        const tick = () => {
+            const remaining = punch.origin - performance.now();
+            if (remaining > 0) {
+                setCountdown(Math.ceil(remaining / 1000));
+                return;
+            }
+            clearInterval(countdownTimer.current);
+            setCountdown(null);
+            setStatus(mode === 'overdub' ? '● オーバーダブ記録中...' : '● パンチイン記録中...');
+        };
+        clearInterval(countdownTimer.current);
+        countdownTimer.current = setInterval(tick, 100);
+        tick();
+    };
+
+    /**
+     * パンチイン記録を終え、テイクをマクロに反映する (1つの履歴)
+     */
+    const finishPunch = (punch, reason) => {
+        if (punchRef.current !== punch) return;
+        punchRef.current = null;
+        clearInterval(countdownTimer.current);
+        setCountdown(null);
+        setIsRecording(false);
+        isRecordingRef.current = false;
+        setRecordStats(recorder.getStats());
+        ble.sendLiveFrame(NEUTRAL_LIVE_FRAME);
+
+        if (reason === 'disconnected') {
+            setStatus('部分記録中に切断されたため、記録を破棄しました');
+            return;
+        }
+        if (performance.now() < punch.origin) {
+            setStatus('パンチインの前に停止したため、記録を破棄しました');
+            return;
+        }
+        const take = punch.take.length > 0 ? punch.take : [{ t: 0, ...punch.input }];
+        const overdub = punch.mode === 'overdub';
+        setMacro(prev => ({
+            ...prev,
+            events: overdub ? overdubTake(prev.events, take, punch.range, punch.channels) : spliceTake(prev.events, take, punch.range)
+        }), { label: overdub ? 'オーバーダブ記録' : 'パンチイン記録' });
+        setStatus(`${overdub ? 'オーバーダブ' : 'パンチイン'}記録を反映しました (${take.length}件の入力)`);
+    };
+
     // 記録停止
     const stopLiveRecord = () => {
+        if (punchRef.current) {
+            const punch = punchRef.current;
+            if (bridge.isPlaying) bridge.stop(); // onFinish('stopped') で反映する
+            else finishPunch(punch, 'stopped');
+            return;
+        }
         setIsRecording(false);
         isRecordingRef.current = false;
+        setRecordStats(recorder.getStats());
+        // 押したまま停止した入力が残らないよう離す
+        if (lastState.current) ble.sendLiveFrame(NEUTRAL_LIVE_FRAME);
     };
 
     /**
@@ -221,9 +521,34 @@ function App() {
     const isChanged = (prev, curr) => {
         if (!prev) return true;
         if (prev.hidMask !== curr.hidMask) return true;
-        // スティックの遊び（ノイズ）を無視するためのしきい値(0.05)
-        if (prev.a.some((v, i) => Math.abs(v - curr.a[i]) > 0.05)) return true;
-        return false;
+        // スティックの遊び（ノイズ）を無視するためのしきい値 (コントローラごとに設定)
+        return hasStickMoved(prev.a, curr.a, calibrationRef.current.stickThreshold);
+    };
+
+    /**
+     * マクロをATOMS3に転送せず、Live Bridge 経由で再生する
+     */
+    const startBridgePlayback = () => {
+        const fromIndex = bridgeFromSelection && selection.length > 0 ? Math.max(0, toFlatIndex(selection[0])) : 0;
+        const sources = composed.sources;
+        bridge.start(resolveTiming(composed.macro, Date.now()), {
+            fromIndex,
+            onProgress: ({ eventIndex }) => setBridgeIndex(sources[eventIndex]),
+            onFinish: (reason) => {
+                setBridgeIndex(null);
+                if (reason === 'done') setStatus('Live Bridge 再生が完了しました');
+                if (reason === 'disconnected') {
+                    setStatus('Live Bridge 再生中に切断されました (ATOMS3側でニュートラルに戻ります)');
+                }
+            }
+        });
+        setBridgeIndex(sources[fromIndex]);
+        setStatus(`Live Bridge 再生中... (イベント #${fromIndex + 1} から)`);
+    };
+
+    const stopBridgePlayback = async () => {
+        await bridge.stop();
+        setStatus('Live Bridge 再生を停止しました');
     };
 
     /**
@@ -240,19 +565,84 @@ function App() {
 
     /**
      * 現在のマクロをBLE経由でATOMS3に転送する
+     * @param {{slot?: number, name?: string}} [target] 保存先のスロット (省略時は選択中のスロットを上書き)
+     * @returns {Promise<boolean>} 転送に成功したか
      */
-    const transferToESP = async () => {
+    const transferToESP = async (target = {}) => {
         if (!isConnected) {
             alert("先にATOMS3に接続してください");
-            return;
+            return false;
+        }
+        // 不正なデータでATOMS3が誤動作しないよう、転送前に検証する
+        const issues = validateMacro(macro);
+        if (issues.length > 0) {
+            setValidation({ title: '現在のマクロ', issues, data: macro, loaded: true, canOpen: true });
+            setStatus('転送を中止しました: マクロに問題があります');
+            return false;
         }
         try {
             setStatus('転送中... (ATOMS3のLEDが緑色に点灯するまで待ってください)');
-            await ble.sendMacro(macro, (p) => setProgress(p));
-            setStatus('転送完了！ ATOMS3のボタンAで再生できます');
-            setProgress(0);
+            // サブマクロを展開し、再生に不要なセクション名・コメントは送らない
+            const result = await ble.sendMacro(stripAnnotations(flattenMacro(macro)), (percent, stats) => setProgress({ percent, ...stats }), target);
+            const slotLabel = target.slot !== undefined ? `スロット${target.slot + 1}「${target.name}」に保存。` : '';
+            setStatus(result.verified
+                ? `転送完了！ ATOMS3で解析OK (${result.format === 'bin' ? 'バイナリ' : 'JSON'} ${result.length} bytes、${formatRate(result.rate || 0)})。${slotLabel}ボタンAで再生できます`
+                : '転送完了！ ATOMS3のボタンAで再生できます (旧ファームウェアのため受信確認なし)');
+            setProgress(null);
+            if (target.slot === undefined) setSlotRevision(r => r + 1);
+            return true;
         } catch (err) {
             setStatus('転送失敗: ' + err.message);
+            setProgress(null);
+            return false;
+        }
+    };
+
+    /**
+     * スロット表の更新に合わせて、選択中のスロットのサイズ・CRCを取得し直す
+     */
+    const refreshStoredMacro = async (table) => {
+        if (!table || table.active < 0) {
+            setStoredMacro(null);
+            return;
+        }
+        try {
+            setStoredMacro(await ble.supportsFeature('read') ? await ble.getStoredMacroInfo(table.active) : null);
+        } catch (err) {
+            console.warn("Stored macro query failed:", err);
+            setStoredMacro(null);
+        }
+    };
+
+    /**
+     * ATOMS3に保存されているマクロを読み出し、エディタに読み込む
+     * 転送時に取り除かれるサブマクロ・セクション名・コメントは復元できない。
+     */
+    const readFromDevice = async (slot, name) => {
+        if (macro.events.length > 0 && !window.confirm(`エディタのマクロを「${name}」で置き換えますか？ (元に戻すで戻せます)`)) return;
+        try {
+            setStatus('ATOMS3から読み込み中...');
+            const result = await ble.readMacro(slot, (percent) => setProgress({ percent }));
+            setProgress(null);
+            // バイナリ形式は meta を持たないので、スロット名をマクロ名にする
+            // (JSON形式はキーの順序を変えると保存されているものと一致しなくなるのでそのまま使う)
+            const data = result.macro.meta ? result.macro : {
+                meta: { name, author: "User", version: "1.0", sampling_rate: 16 },
+                ...result.macro
+            };
+            const issues = validateMacro(data);
+            if (issues.length > 0) {
+                setValidation({ title: `ATOMS3 スロット${slot + 1}`, issues, data, loaded: false, canOpen: canOpenInEditor(data) });
+                setStatus(`読み込みを中断しました: ${issues.length}件の問題があります`);
+                return;
+            }
+            setMacro(data, { label: 'ATOMS3から読み込み' });
+            setSelection([]);
+            setValidation(null);
+            setStatus(`ATOMS3から読み込みました (スロット${slot + 1}「${name}」、${result.format === 'bin' ? 'バイナリ' : 'JSON'} ${result.length} bytes、CRC一致)`);
+        } catch (err) {
+            setProgress(null);
+            setStatus('読み込み失敗: ' + err.message);
         }
     };
 
@@ -262,30 +652,95 @@ function App() {
     const importMacro = (e) => {
         const file = e.target.files[0];
         if (!file) return;
+        e.target.value = ''; // 同じファイルを修正して再度開けるように
         const reader = new FileReader();
         reader.onload = (event) => {
+            const text = event.target.result;
+            let data;
             try {
-                const data = JSON.parse(event.target.result);
-                if (data.events) {
-                    setMacro(data);
-                    setStatus('マクロファイルを読み込みました');
-                } else {
-                    alert('無効な形式です: eventsが見つかりません');
-                }
+                data = JSON.parse(text);
             } catch (err) {
-                alert('JSONパースエラー: ' + err.message);
+                setValidation({ title: file.name, syntaxError: describeJsonError(err, text), issues: [], loaded: false, canOpen: false });
+                setStatus('JSONパースエラー: ' + err.message);
+                return;
+            }
+
+            const issues = validateMacro(data, text);
+            if (issues.length === 0) {
+                setMacro(data, { label: 'ファイル読み込み' });
+                setValidation(null);
+                setStatus('マクロファイルを読み込みました');
+            } else {
+                setValidation({ title: file.name, issues, data, loaded: false, canOpen: canOpenInEditor(data) });
+                setStatus(`読み込みを中断しました: ${issues.length}件の問題があります`);
             }
         };
         reader.readAsText(file);
     };
 
+    /**
+     * 検証パネルの自動修正: 修正後に問題が無くなれば読み込む
+     */
+    const fixValidationIssues = (fixes) => {
+        // 読み込み済みなら、その後の編集も含めた現在のマクロを修正する
+        const fixed = applyFixes(validation.loaded ? macro : validation.data, fixes);
+        const issues = validateMacro(fixed);
+        if (validation.loaded || issues.length === 0) {
+            setMacro(fixed, { label: validation.loaded ? '自動修正' : 'ファイル読み込み (自動修正)' });
+            setSelection([]);
+        }
+        if (issues.length === 0) {
+            setValidation(null);
+            setStatus('問題を自動修正しました');
+        } else {
+            setValidation({ ...validation, issues, data: fixed, loaded: validation.loaded || false, canOpen: canOpenInEditor(fixed) });
+        }
+    };
+
+    const openWithIssues = () => {
+        setMacro(validation.data, { label: 'ファイル読み込み' });
+        setSelection([]);
+        setValidation({ ...validation, loaded: true });
+        setStatus('問題を含むマクロを開きました (問題を解決するまで転送できません)');
+    };
+
+    // 再生プレビュー中の状態 (ピアノロールの再生位置と行のハイライトに使用)
+    const preview = previewTime !== null && previewMacro ? stateAt(previewMacro, previewTime) : null;
+
+    // ATOMS3の再生位置 (エディタのマクロと一致している場合のみタイムラインに表示する)
+    const deviceRunning = deviceStatus && ['PLAYING', 'PAUSED'].includes(deviceStatus.state) && deviceMatch;
+    // 2周目以降の経過時間はループの本体の先頭から数える
+    const devicePlayhead = deviceRunning
+        ? deviceStatus.elapsed + (deviceStatus.iteration > 1 && composed.macro ? getLoopParts(composed.macro.events).startTime : 0)
+        : null;
+    const deviceEventIndex = deviceRunning && deviceStatus.eventIndex > 0 ? composed.sources[deviceStatus.eventIndex - 1] : null;
+    const playFromIndex = deviceMatch && selection.length > 0
+        ? (hasCalls ? toFlatIndex(Math.min(...selection)) : Math.min(...selection))
+        : null;
+
+    // ループの区間 (行リストのインデックス) と周回ごとに変わる呼び出しの数 (ループ再生設定に表示)
+    const loopParts = getLoopParts(macro.events);
+    const variationCount = macro.events.filter(ev => isCallEvent(ev) && hasVariation(ev)).length;
+
+    /**
+     * 選択中の先頭の行からループの本体 (loopStart) またはアウトロ (outroStart) を始める
+     */
+    const markLoopPoint = (key) => {
+        const index = Math.min(...selection);
+        setMacro(prev => ({ ...prev, events: setLoopPoint(prev.events, key, index) }), { label: key === 'loopStart' ? 'ループ開始の指定' : 'アウトロ開始の指定' });
+    };
+
+    const sendPlaybackCommand = (action, fromIndex) => {
+        ble.sendPlaybackCommand(action, fromIndex).catch(err => setStatus('再生操作に失敗しました: ' + err.message));
+    };
+
     return (
         <div className="App">
             <h1>Switch Macro Live Editor</h1>
 
             <div className="toolbar">
-                <button onClick={connectDevice} disabled={isConnected} className={isConnected ? "" : "accent-button"}>
-                    {isConnected ? "ATOMS3接続済み" : "ATOMS3に接続"}
+                <button onClick={connectDevice} disabled={connection !== 'disconnected'} className={connection === 'disconnected' ? "accent-button" : ""}>
+                    {{ connected: "ATOMS3接続済み", reconnecting: "ATOMS3に再接続中..." }[connection] || "ATOMS3に接続"}
                 </button>
 
                 {!isRecording ? (
@@ -297,6 +752,26 @@ function App() {
                         記録停止
                     </button>
                 )}
+                {recordStats && <RecordingStats stats={recordStats} />}
+                {isRecording && isConnected && liveStats && (
+                    <span className="live-stats" title="ATOMS3との往復遅延と、ATOMS3に届かなかったLive Bridgeの入力の数">
+                        遅延 {liveStats.rtt}ms / 取りこぼし {liveStats.dropped}
+                    </span>
+                )}
+
+                <button onClick={undo} disabled={!undoLabel || isRecording} title={undoLabel ? `元に戻す: ${undoLabel} (Ctrl+Z)` : '元に戻す (Ctrl+Z)'}>
+                    ↶ 元に戻す
+                </button>
+                <button onClick={redo} disabled={!redoLabel || isRecording} title={redoLabel ? `やり直す: ${redoLabel} (Ctrl+Y)` : 'やり直す (Ctrl+Y)'}>
+                    ↷ やり直す
+                </button>
+
+                <button onClick={() => setIsCleanupOpen(true)} disabled={macro.events.length === 0 || isRecording} title="時刻の量子化・スティック変化の間引き・重複の削除・最短押下時間">
+                    イベントを整理
+                </button>
+                <button onClick={() => setIsScriptOpen(true)} disabled={isRecording} title="press A 80ms; wait 500ms のようなテキストで編集">
+                    スクリプト編集
+                </button>
 
                 <button onClick={downloadMacro} disabled={macro.events.length === 0}>
                     ファイルを保存
@@ -315,9 +790,20 @@ function App() {
                     />
                 </div>
 
-                <button onClick={transferToESP} disabled={!isConnected || macro.events.length === 0} className={isConnected && macro.events.length > 0 ? "accent-button" : ""}>
+                <button onClick={() => transferToESP()} disabled={!isConnected || macro.events.length === 0} className={isConnected && macro.events.length > 0 ? "accent-button" : ""}>
                     ATOMS3に転送
                 </button>
+                {progress && (
+                    <span className="transfer-progress">
+                        <span className="transfer-progress-bar"><span style={{ width: `${progress.percent}%` }} /></span>
+                        {formatProgress(progress)}
+                    </span>
+                )}
+                {deviceMatch !== null && (
+                    <span className={deviceMatch ? 'device-match' : 'device-match differs'} title={`ATOMS3のスロット${storedMacro.slot + 1} (${storedMacro.length} bytes) と比較`}>
+                        {deviceMatch ? '✓ ATOMS3と一致' : '● ATOMS3と異なる'}
+                    </span>
+                )}
             </div>
 
             <div className="loop-settings">
@@ -326,7 +812,7 @@ function App() {
                     <input
                         type="checkbox"
                         checked={macro.loop?.enabled || false}
-                        onChange={(e) => setMacro(prev => ({ ...prev, loop: { ...prev.loop, enabled: e.target.checked } }))}
+                        onChange={(e) => setMacro(prev => ({ ...prev, loop: { ...prev.loop, enabled: e.target.checked } }), { label: 'ループ設定' })}
                     />
                     有効にする
                 </label>
@@ -337,7 +823,7 @@ function App() {
                         min="0"
                         placeholder="0=無限"
                         value={macro.loop?.count}
-                        onChange={(e) => setMacro(prev => ({ ...prev, loop: { ...prev.loop, count: parseInt(e.target.value) || 0 } }))}
+                        onChange={(e) => setMacro(prev => ({ ...prev, loop: { ...prev.loop, count: parseInt(e.target.value) || 0 } }), { label: 'ループ回数', mergeKey: 'loop-count' })}
                         disabled={!macro.loop?.enabled}
                         style={{ width: '60px', padding: '4px', background: '#222', color: 'white', border: '1px solid #555' }}
                     />
@@ -349,29 +835,90 @@ function App() {
                         type="number"
                         min="0"
                         value={macro.loop?.interval}
-                        onChange={(e) => setMacro(prev => ({ ...prev, loop: { ...prev.loop, interval: parseInt(e.target.value) || 0 } }))}
+                        onChange={(e) => setMacro(prev => ({ ...prev, loop: { ...prev.loop, interval: parseInt(e.target.value) || 0 } }), { label: 'ループ間隔', mergeKey: 'loop-interval' })}
                         disabled={!macro.loop?.enabled}
                         style={{ width: '60px', padding: '4px', background: '#222', color: 'white', border: '1px solid #555' }}
                     />
                     秒
                 </label>
+                <div className="loop-parts">
+                    <span title="ループ開始より前はイントロとして最初に1回、アウトロは最後の周回に続けて1回だけ再生します">
+                        {hasLoopParts(macro)
+                            ? `イントロ ${loopParts.start}件 ・ 本体 ${loopParts.end - loopParts.start}件 ・ アウトロ ${macro.events.length - loopParts.end}件`
+                            : 'すべてのイベントを繰り返す'}
+                        {variationCount > 0 && ` ・ 周回ごとに変わる呼び出し ${variationCount}件`}
+                    </span>
+                    <button onClick={() => markLoopPoint('loopStart')} disabled={selection.length === 0} title="選択中の先頭の行からループの本体を始める (それより前はイントロ)">
+                        選択行からループ
+                    </button>
+                    <button onClick={() => markLoopPoint('outroStart')} disabled={selection.length === 0} title="選択中の先頭の行から最後に1回だけ再生する">
+                        選択行からアウトロ
+                    </button>
+                    {hasLoopParts(macro) && (
+                        <button onClick={() => setMacro(prev => ({ ...prev, events: stripLoopParts(prev.events) }), { label: 'ループの区間の解除' })}>
+                            区間を解除
+                        </button>
+                    )}
+                </div>
             </div>
 
+            <PunchInControls
+                settings={punchSettings}
+                onChange={(changes) => setPunchSettings(prev => ({ ...prev, ...changes }))}
+                onFromSelection={selection.length > 0 ? () => setPunchSettings(prev => ({ ...prev, ...getPunchRange(macro.events, selection) })) : null}
+                onStart={startPunchIn}
+                disabled={!isConnected || isRecording || macro.events.length === 0}
+                title={isConnected ? '既存のマクロを Live Bridge で再生し、範囲の先頭から記録する' : 'ATOMS3に接続すると使えます (Live Bridge で既存のマクロを再生するため)'}
+            />
+
             <div className="status-bar" style={{ color: isRecording ? '#ff4646' : '#aaa' }}>
-                {isRecording ? (waitingForInputRef.current ? "● 記録準備完了 - ボタンを押すと開始します" : "● 記録中...") : status}
+                {countdown !== null
+                    ? `● パンチインまで ${countdown}...`
+                    : isRecording ? (punchRef.current ? status : waitingForInputRef.current ? "● 記録準備完了 - ボタンを押すと開始します" : "● 記録中...") : status}
             </div>
 
+            <ValidationPanel
+                report={validation}
+                onFix={fixValidationIssues}
+                onOpenAnyway={openWithIssues}
+                onJump={(index) => setSelection([index])}
+                onClose={() => setValidation(null)}
+            />
+
+            {isCleanupOpen && (
+                <CleanupPanel
+                    macro={macro}
+                    onApply={(events) => {
+                        setMacro(prev => ({ ...prev, events }), { label: 'イベントの整理' });
+                        setSelection([]);
+                        setIsCleanupOpen(false);
+                    }}
+                    onClose={() => setIsCleanupOpen(false)}
+                />
+            )}
+
+            {isScriptOpen && (
+                <ScriptEditor
+                    macro={macro}
+                    onApply={(events) => {
+                        setMacro(prev => ({ ...prev, events }), { label: 'スクリプト編集' });
+                        setSelection([]);
+                    }}
+                    onClose={() => setIsScriptOpen(false)}
+                />
+            )}
+
             <div className="main-container">
                 <div className="control-panel">
                     <h3>コントローラ監視</h3>
                     <div style={{ marginBottom: '15px' }}>
                         <label style={{ display: 'block', fontSize: '12px', color: '#aaa', marginBottom: '5px' }}>入力デバイス:</label>
                         <select
-                            value={selectedGamepadIndex || ''}
+                            value={selectedGamepadIndex ?? ''}
                             onChange={(e) => setSelectedGamepadIndex(Number(e.target.value))}
                             style={{ width: '100%', padding: '8px', background: '#333', color: 'white', border: '1px solid #555', borderRadius: '4px' }}
                         >
-                            {gamepads.length === 0 && <option value="">デバイスが見つかりません</option>}
+                            {selectedGamepadIndex === null && <option value="">コントローラが見つかりません</option>}
                             {gamepads.map(gp => (
                                 <option key={gp.index} value={gp.index}>{gp.id}</option>
                             ))}
@@ -379,13 +926,109 @@ function App() {
                         <div style={{ fontSize: '11px', color: '#666', marginTop: '5px' }}>
                             ※表示されない場合はコントローラのボタンを押してください
                         </div>
+                        {selectedGamepadIndex === VIRTUAL_GAMEPAD_INDEX ? (
+                            <KeyBindingPanel
+                                bindings={keyBindings}
+                                onChange={changeKeyBindings}
+                                onListeningChange={(listening) => virtualGamepad.suspend(listening)}
+                                disabled={isRecording}
+                            />
+                        ) : (
+                            <ControllerMappingPanel
+                                gamepad={selectedGamepad}
+                                profile={profile}
+                                onChange={changeProfile}
+                                disabled={isRecording}
+                            />
+                        )}
+                        <CalibrationPanel
+                            gamepad={selectedGamepad}
+                            calibration={calibration}
+                            frame={currentFrame}
+                            onChange={changeCalibration}
+                            disabled={isRecording}
+                        />
+                    </div>
+                    <h3>ATOMS3のマクロ</h3>
+                    <SlotManagerPanel
+                        transfer={ble}
+                        isConnected={isConnected}
+                        macroName={macro.meta?.name || ''}
+                        canUpload={macro.events.length > 0}
+                        onUpload={(slot, name) => transferToESP({ slot, name })}
+                        onRead={readFromDevice}
+                        onTableChange={refreshStoredMacro}
+                        onStatus={setStatus}
+                        revision={slotRevision}
+                        disabled={isRecording || bridgeIndex !== null}
+                    />
+                    <h3>ATOMS3の再生</h3>
+                    <DeviceDashboard
+                        status={deviceStatus}
+                        playFromIndex={playFromIndex !== null && playFromIndex >= 0 ? playFromIndex : null}
+                        onCommand={sendPlaybackCommand}
+                        disabled={isRecording || bridgeIndex !== null}
+                    />
+                    <h3>再生プレビュー</h3>
+                    <PlaybackTransport
+                        macro={previewMacro || macro}
+                        time={previewTime}
+                        onTimeChange={setPreviewTime}
+                        selection={hasCalls ? selection.map(toFlatIndex).filter(i => i >= 0) : selection}
+                        disabled={isRecording || !!composed.error}
+                        range={durationRange}
+                        seed={timingSeed}
+                        onSeedChange={setTimingSeed}
+                    />
+                    {preview && <div style={{ fontSize: '11px', color: '#646cff', textAlign: 'center' }}>Switchに送られる入力をシミュレーション中</div>}
+                    <GamepadVisualizer gamepadData={preview ? simulatedFrameAt(previewMacro, previewTime) : currentFrame} />
+
+                    <h3>実機で再生 (Live Bridge)</h3>
+                    <div className="bridge-playback">
+                        {bridgeIndex === null ? (
+                            <button onClick={startBridgePlayback} disabled={!isConnected || isRecording || macro.events.length === 0 || !!composed.error} className={isConnected ? "accent-button" : ""}>
+                                ▶ Bridge経由で再生
+                            </button>
+                        ) : (
+                            <button onClick={stopBridgePlayback} className="danger-button">
+                                ■ 停止 (#{bridgeIndex + 1})
+                            </button>
+                        )}
+                        <label>
+                            <input
+                                type="checkbox"
+                                checked={bridgeFromSelection}
+                                onChange={(e) => setBridgeFromSelection(e.target.checked)}
+                                disabled={bridgeIndex !== null}
+                            />
+                            選択行から
+                        </label>
+                    </div>
+                    <div style={{ fontSize: '11px', color: '#666', marginTop: '5px' }}>
+                        ※転送せずにブラウザから入力を送ります。停止・切断時はニュートラルに戻ります
                     </div>
-                    <GamepadVisualizer gamepadData={currentFrame} />
                 </div>
 
                 <div className="editor-container timeline-container">
                     <h3>タイムライン ({macro.events.length} イベント)</h3>
-                    <TimelineEditor macro={macro} setMacro={setMacro} />
+                    {deviceStatus && ['PLAYING', 'WAITING', 'PAUSED'].includes(deviceStatus.state) && (
+                        <div className="device-progress" title={deviceMatch ? 'ATOMS3の再生位置' : 'ATOMS3の再生位置 (エディタのマクロとは異なります)'}>
+                            <div style={{ width: `${deviceStatus.eventCount > 0 ? (deviceStatus.eventIndex / deviceStatus.eventCount) * 100 : 0}%` }} />
+                        </div>
+                    )}
+                    {composed.error ? (
+                        <div className="compose-error">サブマクロ・周回ごとの変化を展開できません: {composed.error}</div>
+                    ) : (
+                        <PianoRoll
+                            macro={composed.macro}
+                            setMacro={setMacro}
+                            selection={hasCalls ? [] : selection}
+                            setSelection={setSelection}
+                            playheadTime={preview ? preview.localTime : devicePlayhead}
+                            readOnly={hasCalls}
+                        />
+                    )}
+                    <TimelineEditor macro={macro} setMacro={setMacro} selection={selection} setSelection={setSelection} playheadIndex={bridgeIndex ?? (preview?.phase === 'playing' ? composed.sources[preview.eventIndex] : deviceEventIndex)} />
                 </div>
             </div>
         </div >
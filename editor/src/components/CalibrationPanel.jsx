@@ -0,0 +1,127 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { AXIS_LABELS } from '../utils/controller_profiles';
+import { DEFAULT_CALIBRATION, measureCenter, extendRange, buildAxisCalibration } from '../utils/stick_calibration';
+
+const CENTER_SAMPLES = 30; // 中心の測定に使うフレーム数 (約0.5秒)
+
+/**
+ * スライダー1行分
+ */
+const Slider = ({ label, value, min, max, step, onChange, disabled, format = (v) => v.toFixed(2) }) => (
+    <label className="calibration-slider">
+        <span>{label}</span>
+        <input type="range" min={min} max={max} step={step} value={value} onChange={(e) => onChange(Number(e.target.value))} disabled={disabled} />
+        <span className="calibration-value">{format(value)}</span>
+    </label>
+);
+
+/**
+ * スティックの補正設定 (中心・可動範囲の測定、デッドゾーン、応答カーブ、記録のしきい値)
+ * @param {object} frame 現在の入力 ({a: 補正後, raw: 補正前})
+ * @param {function} onChange 新しい設定で呼ばれる (null は既定に戻す)
+ */
+const CalibrationPanel = ({ gamepad, calibration, frame, onChange, disabled }) => {
+    const [measure, setMeasure] = useState(null); // 測定中: { phase: 'center' | 'range', samples, ranges }
+    const measureRef = useRef(null);
+
+    const isDefault = calibration === DEFAULT_CALIBRATION;
+
+    // 測定中はコントローラ入力のフレームごとにサンプルを集める
+    useEffect(() => {
+        const m = measureRef.current;
+        if (!m || !frame?.raw) return;
+        let next;
+        if (m.phase === 'center') {
+            const samples = [...m.samples, frame.raw];
+            next = samples.length >= CENTER_SAMPLES
+                ? { phase: 'range', center: measureCenter(samples), ranges: null }
+                : { ...m, samples };
+        } else {
+            next = { ...m, ranges: extendRange(m.ranges, frame.raw) };
+        }
+        measureRef.current = next;
+        setMeasure(next);
+    }, [frame]);
+
+    // コントローラの切断・記録開始で測定を中止する
+    useEffect(() => {
+        measureRef.current = null;
+        setMeasure(null);
+    }, [gamepad?.id, disabled]);
+
+    const startMeasure = () => {
+        measureRef.current = { phase: 'center', samples: [] };
+        setMeasure(measureRef.current);
+    };
+
+    const finishMeasure = () => {
+        const m = measureRef.current;
+        measureRef.current = null;
+        setMeasure(null);
+        if (m?.ranges) onChange({ ...calibration, axes: buildAxisCalibration(m.center, m.ranges) });
+    };
+
+    const cancelMeasure = () => {
+        measureRef.current = null;
+        setMeasure(null);
+    };
+
+    const update = (changes) => onChange({ ...calibration, ...changes });
+    const updateDeadzone = (changes) => update({ deadzone: { ...calibration.deadzone, ...changes } });
+
+    if (!gamepad) return null;
+
+    const format3 = (v) => v.toFixed(3);
+
+    return (
+        <details className="calibration-panel">
+            <summary>スティック調整{isDefault ? '' : ' (カスタム)'}</summary>
+
+            {frame?.raw && (
+                <div className="calibration-readout">
+                    {AXIS_LABELS.map((label, i) => (
+                        <span key={label}>{label}: {format3(frame.raw[i])} → {format3(frame.a[i])}</span>
+                    ))}
+                </div>
+            )}
+
+            {measure ? (
+                <div className="calibration-measure">
+                    {measure.phase === 'center' ? (
+                        <div>スティックから手を離してください... ({measure.samples.length}/{CENTER_SAMPLES})</div>
+                    ) : (
+                        <div>両方のスティックを大きく数回まわしてから「完了」を押してください</div>
+                    )}
+                    <div className="mapping-actions">
+                        <button onClick={finishMeasure} disabled={measure.phase !== 'range' || !measure.ranges} className="accent-button">完了</button>
+                        <button onClick={cancelMeasure}>中止</button>
+                    </div>
+                </div>
+            ) : (
+                <div className="mapping-actions">
+                    <button onClick={startMeasure} disabled={disabled}>中心・可動範囲を測定</button>
+                    <button onClick={() => onChange(null)} disabled={isDefault || disabled}>既定に戻す</button>
+                </div>
+            )}
+
+            <label className="calibration-slider">
+                <span>デッドゾーン</span>
+                <select value={calibration.deadzone.mode} onChange={(e) => updateDeadzone({ mode: e.target.value })} disabled={disabled}>
+                    <option value="axial">軸ごと (十字方向に入れやすい)</option>
+                    <option value="radial">円形 (斜めの小さな傾きも残す)</option>
+                </select>
+            </label>
+            <label className="calibration-slider" title="内側〜外側を 0〜1 に広げる (オフなら内側の外の値をそのまま使う)">
+                <span>再配分</span>
+                <input type="checkbox" checked={calibration.deadzone.rescale} onChange={(e) => updateDeadzone({ rescale: e.target.checked })} disabled={disabled} />
+            </label>
+            <Slider label="内側" value={calibration.deadzone.inner} min={0} max={0.5} step={0.01} onChange={(v) => updateDeadzone({ inner: v })} disabled={disabled} />
+            <Slider label="外側" value={calibration.deadzone.outer} min={0.5} max={1} step={0.01} onChange={(v) => updateDeadzone({ outer: v })} disabled={disabled} />
+            <Slider label="カーブ" value={calibration.curve} min={0.5} max={3} step={0.1} onChange={(v) => update({ curve: v })} disabled={disabled} format={(v) => (v === 1 ? '直線' : v.toFixed(1))} />
+            <Slider label="ZL/ZR" value={calibration.triggerThreshold} min={0.05} max={0.95} step={0.05} onChange={(v) => update({ triggerThreshold: v })} disabled={disabled} />
+            <Slider label="記録のしきい値" value={calibration.stickThreshold} min={0.001} max={0.1} step={0.001} onChange={(v) => update({ stickThreshold: v })} disabled={disabled} format={format3} />
+        </details>
+    );
+};
+
+export default CalibrationPanel;
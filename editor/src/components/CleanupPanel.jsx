@@ -0,0 +1,66 @@
+import React, { useState, useMemo } from 'react';
+import PianoRoll from './PianoRoll';
+import { cleanupEvents, CLEANUP_GRIDS, DEFAULT_CLEANUP } from '../utils/macro_cleanup';
+import { expandEvents } from '../utils/macro_compose';
+
+/**
+ * イベント列の整理 (設定の変更に合わせて結果をプレビューし、適用すると1つの履歴になる)
+ */
+const CleanupPanel = ({ macro, onApply, onClose }) => {
+    const [options, setOptions] = useState(DEFAULT_CLEANUP);
+
+    const { events, report } = useMemo(() => cleanupEvents(macro.events, options, macro.library), [macro, options]);
+    const preview = useMemo(() => {
+        try {
+            return { ...macro, events: expandEvents(events, macro.library).events };
+        } catch {
+            return null;
+        }
+    }, [macro, events]);
+
+    const update = (changes) => setOptions(prev => ({ ...prev, ...changes }));
+    const reduction = report.before > 0 ? Math.round((1 - report.after / report.before) * 100) : 0;
+    const changed = report.moved + report.merged + report.simplified + report.redundant + report.extended > 0;
+
+    return (
+        <div className="cleanup-panel">
+            <div className="cleanup-header">
+                <strong>イベントの整理</strong>
+                <button onClick={onClose}>✕</button>
+            </div>
+            <div className="cleanup-options">
+                <label>
+                    時刻をフレームに揃える
+                    <select value={options.grid} onChange={(e) => update({ grid: Number(e.target.value) })}>
+                        {CLEANUP_GRIDS.map(g => <option key={g.label} value={g.value}>{g.label}</option>)}
+                    </select>
+                </label>
+                <label>
+                    スティックの許容誤差
+                    <input type="number" min="0" max="0.5" step="0.01" value={options.tolerance} onChange={(e) => update({ tolerance: Math.max(0, Number(e.target.value)) })} />
+                </label>
+                <label>
+                    <input type="checkbox" checked={options.dropRedundant} onChange={(e) => update({ dropRedundant: e.target.checked })} />
+                    同じ状態の連続を削除
+                </label>
+                <label>
+                    最短押下時間 (ms)
+                    <input type="number" min="0" step="10" value={options.minPress} onChange={(e) => update({ minPress: Math.max(0, Number(e.target.value)) })} />
+                </label>
+            </div>
+            <div className="cleanup-report">
+                <span>イベント数: {report.before} → <strong>{report.after}</strong> ({reduction > 0 ? `${reduction}% 削減` : report.after > report.before ? `+${report.after - report.before}` : '増減なし'})</span>
+                <span>時刻の補正 {report.moved} / 同時刻の統合 {report.merged} / スティックの間引き {report.simplified} / 重複の削除 {report.redundant} / 押下の延長 {report.extended}</span>
+            </div>
+            {preview && (
+                <PianoRoll macro={preview} setMacro={() => { }} selection={[]} setSelection={() => { }} readOnly hint="整理後のプレビュー / Ctrl+ホイールで拡大縮小" />
+            )}
+            <div className="cleanup-actions">
+                <button onClick={() => onApply(events)} disabled={!changed} className="accent-button">適用</button>
+                <button onClick={onClose}>キャンセル</button>
+            </div>
+        </div>
+    );
+};
+
+export default CleanupPanel;
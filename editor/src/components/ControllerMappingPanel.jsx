@@ -0,0 +1,191 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ORDERED_BUTTONS, STANDARD_PROFILE } from '../utils/constants';
+import {
+    AXIS_LABELS, snapshotGamepad, detectBinding, detectAxis, describeBinding,
+    exportProfile, importProfile
+} from '../utils/controller_profiles';
+
+const BUTTON_NAMES = {
+    Home: 'HOME',
+    Cap: 'キャプチャ',
+    Up: '十字キー上',
+    Dn: '十字キー下',
+    Lf: '十字キー左',
+    Rt: '十字キー右'
+};
+
+// ウィザードの手順: 全ボタン → スティック4軸 (正の方向 = 右 / 下)
+const STEPS = [
+    ...ORDERED_BUTTONS.map(({ label, bit }) => ({ kind: 'button', bit, prompt: `「${BUTTON_NAMES[label] || label}」ボタンを押してください` })),
+    { kind: 'axis', axis: 0, prompt: '左スティックを右に倒してください' },
+    { kind: 'axis', axis: 1, prompt: '左スティックを下に倒してください' },
+    { kind: 'axis', axis: 2, prompt: '右スティックを右に倒してください' },
+    { kind: 'axis', axis: 3, prompt: '右スティックを下に倒してください' }
+];
+
+/**
+ * コントローラの割り当て設定 (割り当てウィザード・軸の割り当て・インポート/エクスポート)
+ * @param {object} gamepad 選択中のコントローラ ({index, id})。未接続なら null
+ * @param {object} profile 現在のプロファイル
+ * @param {function} onChange 新しいプロファイルで呼ばれる (null は既定に戻す)
+ */
+const ControllerMappingPanel = ({ gamepad, profile, onChange, disabled }) => {
+    const [wizard, setWizard] = useState(null); // 表示用: { step, draft, pending }
+    const wizardRef = useRef(null);             // requestAnimationFrame 内で更新する実体
+    const fileInputRef = useRef(null);
+
+    const isCustom = profile !== STANDARD_PROFILE;
+    const axisCount = Math.max(AXIS_LABELS.length, (gamepad && navigator.getGamepads()[gamepad.index]?.axes.length) || 0);
+
+    const updateWizard = (next) => {
+        wizardRef.current = next;
+        setWizard(next && { ...next });
+    };
+
+    const finishWizard = (draft) => {
+        updateWizard(null);
+        onChange({ ...draft, name: gamepad.id });
+    };
+
+    // 次のステップへ進む (binding が undefined ならそのステップの割り当てを変更しない)
+    const advance = (binding) => {
+        const w = wizardRef.current;
+        const step = STEPS[w.step];
+        let draft = w.draft;
+        if (binding !== undefined) {
+            draft = step.kind === 'button'
+                ? { ...draft, buttons: { ...draft.buttons, [step.bit]: binding } }
+                : { ...draft, axes: draft.axes.map((axis, i) => (i === step.axis ? binding : axis)) };
+        }
+        if (w.step + 1 >= STEPS.length) {
+            finishWizard(draft);
+            return;
+        }
+        updateWizard({ step: w.step + 1, draft, pending: null, baseline: null });
+    };
+
+    // ウィザード中はコントローラを監視し、入力を検出したら離されるのを待って次へ進む
+    useEffect(() => {
+        if (!wizard || !gamepad) return;
+        let frame;
+        const tick = () => {
+            const gp = navigator.getGamepads()[gamepad.index];
+            const w = wizardRef.current;
+            if (gp && w) {
+                if (!w.baseline) w.baseline = snapshotGamepad(gp);
+                const step = STEPS[w.step];
+                const found = step.kind === 'button' ? detectBinding(w.baseline, gp) : detectAxis(w.baseline, gp);
+                if (!w.pending && found) {
+                    updateWizard({ ...w, pending: found });
+                } else if (w.pending && !found) {
+                    advance(w.pending);
+                }
+            }
+            frame = requestAnimationFrame(tick);
+        };
+        frame = requestAnimationFrame(tick);
+        return () => cancelAnimationFrame(frame);
+    }, [!!wizard, gamepad?.index]);
+
+    // コントローラの切断・記録開始でウィザードを中止する
+    useEffect(() => {
+        if (!gamepad || disabled) updateWizard(null);
+    }, [gamepad?.id, disabled]);
+
+    const startWizard = () => {
+        updateWizard({ step: 0, draft: { ...profile, buttons: { ...profile.buttons }, axes: [...profile.axes] }, pending: null, baseline: null });
+    };
+
+    const back = () => {
+        const w = wizardRef.current;
+        if (w.step > 0) updateWizard({ ...w, step: w.step - 1, pending: null, baseline: null });
+    };
+
+    const setAxis = (i, changes) => {
+        onChange({ ...profile, name: gamepad.id, axes: profile.axes.map((axis, k) => (k === i ? { ...axis, ...changes } : axis)) });
+    };
+
+    const handleExport = () => {
+        const blob = new Blob([exportProfile(gamepad.id, profile)], { type: "application/json" });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `controller_profile_${Date.now()}.json`;
+        a.click();
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const { gamepadId, profile: imported } = importProfile(await file.text());
+            if (gamepadId !== gamepad.id && !window.confirm(`別のコントローラ (${gamepadId}) の割り当てです。このコントローラに適用しますか？`)) return;
+            onChange({ ...imported, name: gamepad.id });
+        } catch (err) {
+            alert("割り当ての読み込みに失敗しました: " + err.message);
+        }
+    };
+
+    if (!gamepad) return null;
+
+    if (wizard) {
+        const step = STEPS[wizard.step];
+        const current = step.kind === 'button' ? wizard.draft.buttons[step.bit] : wizard.draft.axes[step.axis];
+        const describe = (value) => (step.kind === 'button'
+            ? describeBinding(value)
+            : `軸 ${value.index}${value.invert ? ' (反転)' : ''}`);
+        return (
+            <div className="mapping-panel mapping-wizard">
+                <div className="mapping-step">{wizard.step + 1} / {STEPS.length}</div>
+                <div className="mapping-prompt">{step.prompt}</div>
+                <div className="mapping-detected">
+                    {wizard.pending ? `検出: ${describe(wizard.pending)} (離すと次へ進みます)` : `現在: ${current ? describe(current) : '未割り当て'}`}
+                </div>
+                <div className="mapping-actions">
+                    <button onClick={back} disabled={wizard.step === 0}>戻る</button>
+                    <button onClick={() => advance(undefined)}>スキップ</button>
+                    {step.kind === 'button' && <button onClick={() => advance(null)}>割り当てなし</button>}
+                    <button onClick={() => updateWizard(null)} className="danger-button">中止</button>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="mapping-panel">
+            <div className="mapping-summary">
+                割り当て: {isCustom ? 'カスタム' : '標準 (Standard Mapping)'}
+            </div>
+            <div className="mapping-actions">
+                <button onClick={startWizard} disabled={disabled} className="accent-button">割り当てウィザード</button>
+                <button onClick={handleExport}>エクスポート</button>
+                <button onClick={() => fileInputRef.current.click()} disabled={disabled}>インポート</button>
+                <input ref={fileInputRef} type="file" accept=".json" style={{ display: 'none' }} onChange={handleImport} />
+                <button onClick={() => onChange(null)} disabled={!isCustom || disabled}>標準に戻す</button>
+            </div>
+            <details>
+                <summary>詳細</summary>
+                <div className="mapping-axes">
+                    {AXIS_LABELS.map((label, i) => (
+                        <label key={label}>
+                            {label}
+                            <select value={profile.axes[i].index} onChange={(e) => setAxis(i, { index: Number(e.target.value) })} disabled={disabled}>
+                                {Array.from({ length: axisCount }, (_, k) => <option key={k} value={k}>軸 {k}</option>)}
+                            </select>
+                            <input type="checkbox" checked={profile.axes[i].invert} onChange={(e) => setAxis(i, { invert: e.target.checked })} disabled={disabled} />
+                            反転
+                        </label>
+                    ))}
+                </div>
+                <div className="mapping-buttons">
+                    {ORDERED_BUTTONS.map(({ label, bit }) => (
+                        <span key={bit}>{label}: {describeBinding(profile.buttons[bit])}</span>
+                    ))}
+                </div>
+            </details>
+        </div>
+    );
+};
+
+export default ControllerMappingPanel;
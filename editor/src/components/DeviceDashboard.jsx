@@ -0,0 +1,65 @@
+import React from 'react';
+
+const STATE_LABELS = {
+    IDLE: '待機中',
+    CONNECTED: '接続済み',
+    TRANSFERRING: '転送中',
+    READY: '準備完了',
+    PLAYING: '再生中',
+    WAITING: 'ループ待機中',
+    PAUSED: '一時停止中',
+    ERROR: 'エラー'
+};
+
+/**
+ * ATOMS3の再生状態の表示と再生操作 (ボタンAに手が届かない場所に設置した場合用)
+ * @param {object} status parseStatusMessage の結果。未受信なら null
+ * @param {number|null} playFromIndex 選択行から再生する場合の開始イベント (展開後の番号)。できなければ null
+ * @param {function} onCommand (action, fromIndex) で呼ばれる
+ */
+const DeviceDashboard = ({ status, playFromIndex, onCommand, disabled }) => {
+    if (!status) {
+        return <div className="device-dashboard device-dashboard-note">ATOMS3に接続すると再生状態を表示します (対応ファームウェアのみ)</div>;
+    }
+
+    const running = status.state === 'PLAYING' || status.state === 'WAITING';
+    const paused = status.state === 'PAUSED';
+    const canPlay = ['IDLE', 'CONNECTED', 'READY', 'PAUSED'].includes(status.state) && status.eventCount > 0;
+    const progress = status.eventCount > 0 ? Math.min(100, (status.eventIndex / status.eventCount) * 100) : 0;
+
+    return (
+        <div className="device-dashboard">
+            <div className="device-dashboard-state">
+                <span className={`device-state device-state-${status.state.toLowerCase()}`}>{STATE_LABELS[status.state] || status.state}</span>
+                {(running || paused) && (
+                    <span>
+                        周回 {status.iteration} (残り {status.remainingLoops === null ? '∞' : status.remainingLoops})
+                    </span>
+                )}
+            </div>
+            <div className="device-dashboard-progress">
+                <div style={{ width: `${progress}%` }} />
+            </div>
+            <div className="device-dashboard-detail">
+                <span>イベント {status.eventIndex} / {status.eventCount}</span>
+                <span>{status.state === 'WAITING' ? '待機' : '経過'} {(status.elapsed / 1000).toFixed(1)}s</span>
+            </div>
+            <div className="device-dashboard-actions">
+                <button onClick={() => onCommand('play')} disabled={disabled || !canPlay} className="accent-button">
+                    {paused ? '▶ 再開' : '▶ 再生'}
+                </button>
+                <button onClick={() => onCommand('pause')} disabled={disabled || !running}>❚❚ 一時停止</button>
+                <button onClick={() => onCommand('stop')} disabled={disabled || !(running || paused)} className="danger-button">■ 停止</button>
+                <button
+                    onClick={() => onCommand('play', playFromIndex)}
+                    disabled={disabled || playFromIndex === null || status.eventCount === 0}
+                    title="ATOMS3のマクロとエディタのマクロが一致している場合のみ使えます"
+                >
+                    選択行から
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default DeviceDashboard;
@@ -3,9 +3,24 @@ import React from 'react';
 const GamepadVisualizer = ({ gamepadData }) => {
     if (!gamepadData) return <div style={{ color: '#666' }}>コントローラが接続されていません</div>;
 
-    const { b = [], a = [0, 0, 0, 0] } = gamepadData;
+    const { b = [], a = [0, 0, 0, 0], raw } = gamepadData;
     const isPressed = (index) => b.includes(index);
 
+    // 補正前のスティック位置 (raw があるときのみ。補正後の位置と比べてデッドゾーンやドリフトを確認できる)
+    const rawMarker = (x, y) => (
+        <div title="補正前" style={{
+            position: 'absolute',
+            top: '50%',
+            left: '50%',
+            width: '6px',
+            height: '6px',
+            borderRadius: '50%',
+            background: '#ffcc00',
+            transform: `translate(calc(-50% + ${x * 8}px), calc(-50% + ${y * 8}px))`,
+            zIndex: 1
+        }} />
+    );
+
     // ボタン定義 (Switch Pro Controller HID ビット順)
     const faceButtons = [
         { label: 'Y', idx: 0, bottom: '105px', right: '65px' },
@@ -75,6 +90,7 @@ const GamepadVisualizer = ({ gamepadData }) => {
                     border: '2px solid #646cff',
                     boxSizing: 'border-box'
                 }} />
+                {raw && rawMarker(raw[0], raw[1])}
             </div>
 
             {/* Right Stick */}
@@ -101,6 +117,7 @@ const GamepadVisualizer = ({ gamepadData }) => {
                     border: '2px solid #646cff',
                     boxSizing: 'border-box'
                 }} />
+                {raw && rawMarker(raw[2], raw[3])}
             </div>
 
             {/* ABXY */}
@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import { ORDERED_BUTTONS } from '../utils/constants';
+import { DEFAULT_KEY_BINDINGS, STICK_DIRECTIONS, assignKey } from '../utils/virtual_gamepad';
+
+const STICK_LABELS = ['左スティック', '右スティック'];
+const DIRECTION_LABELS = { up: '上', down: '下', left: '左', right: '右' };
+
+// KeyboardEvent.code を短く表示する (KeyA → A, Digit1 → 1)
+const describeKey = (code) => (code ? code.replace(/^(Key|Digit)/, '') : '未割り当て');
+
+const isSameTarget = (x, y) => !!x && !!y && x.kind === y.kind && x.bit === y.bit && x.stick === y.stick && x.direction === y.direction;
+
+/**
+ * 仮想ゲームパッド (キーボード・マウス) の割り当て設定
+ * @param {object} bindings 現在の割り当て (virtual_gamepad.js の DEFAULT_KEY_BINDINGS と同じ形)
+ * @param {function} onChange 新しい割り当てで呼ばれる (null は既定に戻す)
+ * @param {function} onListeningChange キーの入力待ちを始める・終えるときに呼ばれる (待っている間は仮想ゲームパッドを止める)
+ */
+const KeyBindingPanel = ({ bindings, onChange, onListeningChange, disabled }) => {
+    const [listening, setListening] = useState(null); // 入力待ちの対象: { kind: 'button', bit } または { kind: 'stick', stick, direction }
+
+    // 入力待ちの間は次に押したキーを割り当てる (Esc で取り消し)
+    useEffect(() => {
+        if (!listening) return;
+        onListeningChange(true);
+        const handleKeyDown = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (e.code !== 'Escape') onChange(assignKey(bindings, listening, e.code));
+            setListening(null);
+        };
+        window.addEventListener('keydown', handleKeyDown, true);
+        return () => {
+            window.removeEventListener('keydown', handleKeyDown, true);
+            onListeningChange(false);
+        };
+    }, [listening]);
+
+    useEffect(() => {
+        if (disabled) setListening(null);
+    }, [disabled]);
+
+    const keyButton = (target, code) => (
+        <button
+            className={`btn-toggle ${isSameTarget(listening, target) ? 'active' : ''}`}
+            onClick={() => setListening(isSameTarget(listening, target) ? null : target)}
+            disabled={disabled}
+        >
+            {isSameTarget(listening, target) ? 'キーを押す…' : describeKey(code)}
+        </button>
+    );
+
+    return (
+        <div className="mapping-panel">
+            <div className="mapping-summary">
+                キーボード: {bindings === DEFAULT_KEY_BINDINGS ? '既定の割り当て' : 'カスタム'}
+                {listening && ' (Esc で取り消し)'}
+            </div>
+            <div className="mapping-actions">
+                <button
+                    onClick={(e) => e.currentTarget.requestPointerLock?.()}
+                    disabled={bindings.mouseStick === null}
+                    title="マウスの移動でスティックを操作する (Esc で解除)"
+                >
+                    マウスでスティック操作
+                </button>
+                <button onClick={() => onChange(null)} disabled={bindings === DEFAULT_KEY_BINDINGS || disabled}>既定に戻す</button>
+            </div>
+            <div className="mapping-axes">
+                <label>
+                    マウス
+                    <select
+                        value={bindings.mouseStick ?? ''}
+                        onChange={(e) => onChange({ ...bindings, mouseStick: e.target.value === '' ? null : Number(e.target.value) })}
+                        disabled={disabled}
+                    >
+                        <option value="">使わない</option>
+                        {STICK_LABELS.map((label, i) => <option key={label} value={i}>{label}</option>)}
+                    </select>
+                </label>
+                <label title="スティックを端まで倒すマウスの移動量">
+                    移動量
+                    <input
+                        type="number"
+                        min="20"
+                        max="2000"
+                        step="10"
+                        value={bindings.mouseRange}
+                        onChange={(e) => onChange({ ...bindings, mouseRange: Math.max(20, Number(e.target.value) || DEFAULT_KEY_BINDINGS.mouseRange) })}
+                        disabled={disabled}
+                    />
+                    px
+                </label>
+            </div>
+            <details>
+                <summary>キーの割り当て</summary>
+                <div className="key-bindings">
+                    {ORDERED_BUTTONS.map(({ label, bit }) => (
+                        <label key={bit}>
+                            <span>{label}</span>
+                            {keyButton({ kind: 'button', bit }, bindings.buttons[bit])}
+                        </label>
+                    ))}
+                    {STICK_LABELS.map((label, stick) => STICK_DIRECTIONS.map(direction => (
+                        <label key={`${stick}-${direction}`}>
+                            <span>{label}{DIRECTION_LABELS[direction]}</span>
+                            {keyButton({ kind: 'stick', stick, direction }, bindings.sticks[stick][direction])}
+                        </label>
+                    )))}
+                </div>
+            </details>
+        </div>
+    );
+};
+
+export default KeyBindingPanel;
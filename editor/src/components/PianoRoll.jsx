@@ -0,0 +1,351 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { ORDERED_BUTTONS } from '../utils/constants';
+import { buildButtonSpans, findEventIndexAt, firstVisibleSpan, setButtonSpan } from '../utils/timeline_spans';
+import { buildSections } from '../utils/macro_sections';
+
+// レイアウト定数 (px)
+const LABEL_WIDTH = 44;   // 左端のレーン名の幅
+const RULER_HEIGHT = 20;  // 上端の時間目盛りの高さ
+const LANE_HEIGHT = 14;   // ボタン1レーンの高さ
+const AXIS_HEIGHT = 40;   // スティック1軸のグラフの高さ
+const EDGE_GRAB = 5;      // バーの端をつかめる範囲
+const MIN_ZOOM = 0.005;   // px/ms (200秒 = 1000px)
+const MAX_ZOOM = 2;       // px/ms
+
+const AXIS_LANES = [
+    { label: 'LX', index: 0, color: '#4fc3f7' },
+    { label: 'LY', index: 1, color: '#81c784' },
+    { label: 'RX', index: 2, color: '#ffb74d' },
+    { label: 'RY', index: 3, color: '#e57373' }
+];
+
+const CANVAS_HEIGHT = RULER_HEIGHT + ORDERED_BUTTONS.length * LANE_HEIGHT + AXIS_LANES.length * AXIS_HEIGHT;
+
+/**
+ * 目盛りの間隔 (ms) を拡大率に応じて選ぶ
+ */
+const pickTickInterval = (zoom) => {
+    const candidates = [10, 50, 100, 250, 500, 1000, 5000, 10000, 30000, 60000, 300000];
+    return candidates.find(ms => ms * zoom >= 60) || candidates[candidates.length - 1];
+};
+
+/**
+ * マクロのピアノロール表示 (ボタンの押下区間とスティックのグラフ)
+ * 描画は表示範囲のイベントだけを二分探索で取り出して行うため、長いマクロでも軽量に動作する。
+ */
+const PianoRoll = ({ macro, setMacro, selection, setSelection, playheadTime = null, readOnly = false, hint = null }) => {
+    const [zoom, setZoom] = useState(0.2);       // 拡大率 (px/ms)
+    const [scrollLeft, setScrollLeft] = useState(0);
+    const [viewWidth, setViewWidth] = useState(600);
+    const [drag, setDrag] = useState(null);      // ドラッグ中のバーの端 { bit, span, edge, time }
+    const scrollRef = useRef(null);
+    const canvasRef = useRef(null);
+
+    const events = macro.events;
+    const duration = events.length > 0 ? events[events.length - 1].t + 1000 : 1000;
+    const spans = useMemo(() => buildButtonSpans(events, ORDERED_BUTTONS.map(btn => btn.bit)), [events]);
+    const sections = useMemo(() => buildSections(events), [events]);
+
+    const timeToX = (t) => LABEL_WIDTH + t * zoom - scrollLeft;
+    const xToTime = (x) => Math.max(0, Math.round((x - LABEL_WIDTH + scrollLeft) / zoom));
+
+    // 表示幅の追従
+    useEffect(() => {
+        const el = scrollRef.current;
+        if (!el) return;
+        const update = () => setViewWidth(el.clientWidth);
+        update();
+        const observer = new ResizeObserver(update);
+        observer.observe(el);
+        return () => observer.disconnect();
+    }, []);
+
+    // 行リスト側で選択が変わったら、選択範囲が見えるようにスクロールする
+    useEffect(() => {
+        const el = scrollRef.current;
+        if (!el || selection.length === 0 || drag) return;
+        const ev = events[selection[0]];
+        if (!ev) return;
+        const x = ev.t * zoom;
+        if (x < el.scrollLeft || x > el.scrollLeft + el.clientWidth - LABEL_WIDTH) {
+            el.scrollLeft = Math.max(0, x - (el.clientWidth - LABEL_WIDTH) / 2);
+        }
+    }, [selection]);
+
+    // 再生プレビュー中は再生位置を追いかけてスクロールする
+    useEffect(() => {
+        const el = scrollRef.current;
+        if (!el || playheadTime === null || drag) return;
+        const x = playheadTime * zoom;
+        if (x < el.scrollLeft || x > el.scrollLeft + el.clientWidth - LABEL_WIDTH) {
+            el.scrollLeft = Math.max(0, x - (el.clientWidth - LABEL_WIDTH) / 4);
+        }
+    }, [playheadTime]);
+
+    // --- 描画 ---
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        const dpr = window.devicePixelRatio || 1;
+        canvas.width = viewWidth * dpr;
+        canvas.height = CANVAS_HEIGHT * dpr;
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, viewWidth, CANVAS_HEIGHT);
+
+        const viewStart = xToTime(LABEL_WIDTH);
+        const viewEnd = xToTime(viewWidth);
+        const endX = Math.min(viewWidth, timeToX(duration));
+
+        // 選択中のイベントの帯
+        ctx.fillStyle = 'rgba(100, 108, 255, 0.18)';
+        selection.forEach(i => {
+            const ev = events[i];
+            const next = events[i + 1];
+            if (!ev || ev.t > viewEnd || (next && next.t < viewStart)) return;
+            const x0 = Math.max(LABEL_WIDTH, timeToX(ev.t));
+            const x1 = next ? timeToX(next.t) : endX;
+            if (x1 > LABEL_WIDTH) ctx.fillRect(x0, RULER_HEIGHT, Math.max(2, x1 - x0), CANVAS_HEIGHT - RULER_HEIGHT);
+        });
+
+        // 時間目盛り
+        const tick = pickTickInterval(zoom);
+        ctx.font = '10px monospace';
+        ctx.textBaseline = 'middle';
+        for (let t = Math.floor(viewStart / tick) * tick; t <= viewEnd; t += tick) {
+            const x = timeToX(t);
+            if (x < LABEL_WIDTH) continue;
+            ctx.fillStyle = '#333';
+            ctx.fillRect(x, RULER_HEIGHT, 1, CANVAS_HEIGHT - RULER_HEIGHT);
+            ctx.fillStyle = '#888';
+            ctx.fillText(t >= 1000 ? `${(t / 1000).toFixed(tick < 1000 ? 2 : 0)}s` : `${t}ms`, x + 3, RULER_HEIGHT / 2);
+        }
+
+        // セクションの境界 (マーカー)
+        sections.forEach(section => {
+            if (section.start < viewStart || section.start > viewEnd) return;
+            const x = timeToX(section.start);
+            ctx.fillStyle = '#4fc3f7';
+            ctx.fillRect(x, 0, 1, CANVAS_HEIGHT);
+            ctx.fillRect(x, 0, Math.min(ctx.measureText(section.name).width + 8, 160), RULER_HEIGHT / 2);
+            ctx.fillStyle = '#111';
+            ctx.fillText(section.name, x + 4, RULER_HEIGHT / 4, 152);
+        });
+
+        // ボタンのレーン
+        ORDERED_BUTTONS.forEach((btn, lane) => {
+            const y = RULER_HEIGHT + lane * LANE_HEIGHT;
+            ctx.fillStyle = lane % 2 === 0 ? 'rgba(255,255,255,0.03)' : 'rgba(0,0,0,0)';
+            ctx.fillRect(LABEL_WIDTH, y, viewWidth - LABEL_WIDTH, LANE_HEIGHT);
+
+            const laneSpans = spans.get(btn.bit);
+            for (let i = firstVisibleSpan(laneSpans, viewStart); i < laneSpans.length; i++) {
+                const span = laneSpans[i];
+                if (span.start > viewEnd) break;
+                let start = span.start;
+                let end = span.end === null ? duration : span.end;
+                if (drag && drag.bit === btn.bit && drag.span === span) {
+                    if (drag.edge === 'start') start = drag.time;
+                    else end = drag.time;
+                }
+                const x0 = Math.max(LABEL_WIDTH, timeToX(start));
+                const x1 = Math.min(viewWidth, timeToX(end));
+                ctx.fillStyle = drag && drag.span === span ? '#9fa4ff' : '#646cff';
+                ctx.fillRect(x0, y + 2, Math.max(2, x1 - x0), LANE_HEIGHT - 4);
+            }
+        });
+
+        // スティックのグラフ (イベント間は値を保持するため階段状に描く)
+        const firstIndex = Math.max(0, findEventIndexAt(events, viewStart));
+        AXIS_LANES.forEach((axis, lane) => {
+            const top = RULER_HEIGHT + ORDERED_BUTTONS.length * LANE_HEIGHT + lane * AXIS_HEIGHT;
+            const mid = top + AXIS_HEIGHT / 2;
+            ctx.fillStyle = '#2a2a2a';
+            ctx.fillRect(LABEL_WIDTH, mid, viewWidth - LABEL_WIDTH, 1);
+            if (events.length === 0) return;
+
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(LABEL_WIDTH, top, viewWidth - LABEL_WIDTH, AXIS_HEIGHT);
+            ctx.clip();
+            ctx.strokeStyle = axis.color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            const valueY = (v) => mid - v * (AXIS_HEIGHT / 2 - 3);
+            ctx.moveTo(timeToX(events[firstIndex].t), valueY(events[firstIndex].a[axis.index]));
+            for (let i = firstIndex + 1; i < events.length; i++) {
+                const prev = events[i - 1];
+                const ev = events[i];
+                const x = timeToX(ev.t);
+                ctx.lineTo(x, valueY(prev.a[axis.index]));
+                ctx.lineTo(x, valueY(ev.a[axis.index]));
+                if (ev.t > viewEnd) break;
+            }
+            const last = events[events.length - 1];
+            if (last.t <= viewEnd) ctx.lineTo(endX, valueY(last.a[axis.index]));
+            ctx.stroke();
+            ctx.restore();
+        });
+
+        // 再生位置
+        if (playheadTime !== null) {
+            const x = timeToX(Math.min(playheadTime, duration));
+            if (x >= LABEL_WIDTH && x <= viewWidth) {
+                ctx.fillStyle = '#ffcc00';
+                ctx.fillRect(x - 1, 0, 2, CANVAS_HEIGHT);
+            }
+        }
+
+        // レーン名 (スクロールしても左端に固定)
+        ctx.fillStyle = '#252525';
+        ctx.fillRect(0, 0, LABEL_WIDTH, CANVAS_HEIGHT);
+        ctx.fillStyle = '#aaa';
+        ORDERED_BUTTONS.forEach((btn, lane) => {
+            ctx.fillText(btn.label, 6, RULER_HEIGHT + lane * LANE_HEIGHT + LANE_HEIGHT / 2);
+        });
+        AXIS_LANES.forEach((axis, lane) => {
+            ctx.fillStyle = axis.color;
+            ctx.fillText(axis.label, 6, RULER_HEIGHT + ORDERED_BUTTONS.length * LANE_HEIGHT + lane * AXIS_HEIGHT + AXIS_HEIGHT / 2);
+        });
+    });
+
+    // --- 操作 ---
+
+    /**
+     * マウス位置にあるボタンの区間を探す
+     */
+    const hitTest = (x, y) => {
+        const lane = Math.floor((y - RULER_HEIGHT) / LANE_HEIGHT);
+        if (x < LABEL_WIDTH || lane < 0 || lane >= ORDERED_BUTTONS.length) return null;
+        const bit = ORDERED_BUTTONS[lane].bit;
+        const t = xToTime(x);
+        const laneSpans = spans.get(bit);
+        const grab = EDGE_GRAB / zoom;
+        for (let i = firstVisibleSpan(laneSpans, t - grab); i < laneSpans.length; i++) {
+            const span = laneSpans[i];
+            if (span.start > t + grab) break;
+            const end = span.end === null ? duration : span.end;
+            if (Math.abs(t - span.start) <= grab) return { bit, span, edge: 'start', index: i };
+            if (span.end !== null && Math.abs(t - end) <= grab) return { bit, span, edge: 'end', index: i };
+            if (t >= span.start && t < end) return { bit, span, edge: null, index: i };
+        }
+        return { bit, span: null, edge: null };
+    };
+
+    const localPoint = (e) => {
+        const rect = canvasRef.current.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+
+    const handleMouseDown = (e) => {
+        const { x, y } = localPoint(e);
+        if (x < LABEL_WIDTH || readOnly) return;
+        const hit = hitTest(x, y);
+
+        if (hit && hit.span && hit.edge) {
+            setDrag({ bit: hit.bit, span: hit.span, edge: hit.edge, index: hit.index, time: hit.edge === 'start' ? hit.span.start : hit.span.end });
+            return;
+        }
+        if (hit && hit.span) {
+            // バーのクリック: その押下区間に含まれるイベントを選択
+            const last = hit.span.endIndex === null ? events.length - 1 : hit.span.endIndex - 1;
+            setSelection(Array.from({ length: last - hit.span.startIndex + 1 }, (_, i) => hit.span.startIndex + i));
+            return;
+        }
+        // 何もない場所: その時刻のイベントを選択
+        const index = findEventIndexAt(events, xToTime(x));
+        if (index >= 0) setSelection([index]);
+    };
+
+    const handleMouseMove = (e) => {
+        const { x, y } = localPoint(e);
+        if (!drag) {
+            const hit = readOnly ? null : hitTest(x, y);
+            canvasRef.current.style.cursor = hit && hit.edge ? 'ew-resize' : (hit && hit.span ? 'pointer' : 'default');
+            return;
+        }
+        // 同じボタンの前後の区間と重ならない範囲に制限する
+        const laneSpans = spans.get(drag.bit);
+        const prevSpan = laneSpans[drag.index - 1];
+        const nextSpan = laneSpans[drag.index + 1];
+        let time = xToTime(x);
+        if (drag.edge === 'start') {
+            const min = prevSpan ? prevSpan.end : 0;
+            const max = (drag.span.end === null ? duration : drag.span.end) - 1;
+            time = Math.max(min, Math.min(max, time));
+        } else {
+            const min = drag.span.start + 1;
+            const max = nextSpan ? nextSpan.start : Infinity;
+            time = Math.max(min, Math.min(max, time));
+        }
+        setDrag({ ...drag, time });
+    };
+
+    const handleMouseUp = () => {
+        if (!drag) return;
+        const { bit, span, edge, time } = drag;
+        const original = edge === 'start' ? span.start : span.end;
+        if (time !== original) {
+            const newStart = edge === 'start' ? time : span.start;
+            const newEnd = edge === 'end' ? time : span.end;
+            const label = ORDERED_BUTTONS.find(btn => btn.bit === bit)?.label;
+            setMacro(prev => ({ ...prev, events: setButtonSpan(prev.events, bit, span, newStart, newEnd) }), { label: `${label} の押下時間を変更` });
+            setSelection([]);
+        }
+        setDrag(null);
+    };
+
+    /**
+     * Ctrl+ホイールでマウス位置を中心に拡大・縮小する
+     */
+    const handleWheel = (e) => {
+        if (!e.ctrlKey) return;
+        e.preventDefault();
+        const { x } = localPoint(e);
+        const anchorTime = (x - LABEL_WIDTH + scrollLeft) / zoom;
+        const newZoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom * (e.deltaY < 0 ? 1.25 : 0.8)));
+        setZoom(newZoom);
+        requestAnimationFrame(() => {
+            if (scrollRef.current) scrollRef.current.scrollLeft = Math.max(0, anchorTime * newZoom - (x - LABEL_WIDTH));
+        });
+    };
+
+    // Ctrl+ホイールのブラウザ標準の拡大を止めるため、passive: false で登録する
+    useEffect(() => {
+        const el = scrollRef.current;
+        if (!el) return;
+        el.addEventListener('wheel', handleWheel, { passive: false });
+        return () => el.removeEventListener('wheel', handleWheel);
+    });
+
+    return (
+        <div className="piano-roll">
+            <div className="piano-roll-toolbar">
+                <button onClick={() => setZoom(z => Math.min(MAX_ZOOM, z * 1.5))} title="拡大">＋</button>
+                <button onClick={() => setZoom(z => Math.max(MIN_ZOOM, z / 1.5))} title="縮小">－</button>
+                <button onClick={() => setZoom(Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, (viewWidth - LABEL_WIDTH) / duration)))}>全体表示</button>
+                <span>{hint ?? (readOnly
+                    ? 'サブマクロを展開して表示中 (編集は下の行リストで行います) / Ctrl+ホイールで拡大縮小'
+                    : 'バーの端をドラッグで押下時間を変更 / Ctrl+ホイールで拡大縮小')}</span>
+            </div>
+            <div
+                ref={scrollRef}
+                className="piano-roll-scroll"
+                onScroll={(e) => setScrollLeft(e.currentTarget.scrollLeft)}
+            >
+                <div style={{ width: `${LABEL_WIDTH + duration * zoom}px`, height: `${CANVAS_HEIGHT}px` }}>
+                    <canvas
+                        ref={canvasRef}
+                        style={{ position: 'sticky', left: 0, width: `${viewWidth}px`, height: `${CANVAS_HEIGHT}px`, display: 'block' }}
+                        onMouseDown={handleMouseDown}
+                        onMouseMove={handleMouseMove}
+                        onMouseUp={handleMouseUp}
+                        onMouseLeave={handleMouseUp}
+                    />
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PianoRoll;
@@ -0,0 +1,146 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { getTimeline, stateAt, timeOfEvent } from '../utils/playback_engine';
+
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+const PHASE_LABELS = {
+    playing: '再生中',
+    waiting: 'ループ待機中',
+    done: '終了'
+};
+
+/**
+ * ms を「分:秒.ミリ秒」に整形する
+ */
+const formatTime = (ms) => {
+    const total = Math.max(0, Math.floor(ms));
+    const min = Math.floor(total / 60000);
+    const sec = Math.floor((total % 60000) / 1000);
+    return `${min}:${String(sec).padStart(2, '0')}.${String(total % 1000).padStart(3, '0')}`;
+};
+
+/**
+ * ブラウザ上での再生プレビュー (再生 / 一時停止 / シーク)
+ * 再生位置 time は親コンポーネントで管理し、null のときはプレビューを終了してコントローラ入力を表示する。
+ * ランダムな時間を含むマクロは、シード seed で時刻を決めた macro を受け取り、再生時間の範囲 range を表示する。
+ */
+const PlaybackTransport = ({ macro, time, onTimeChange, selection, disabled, range = null, seed, onSeedChange }) => {
+    const [isPlaying, setIsPlaying] = useState(false);
+    const [speed, setSpeed] = useState(1);
+    const frameRef = useRef(null);
+    const timeRef = useRef(time);
+
+    const timeline = getTimeline(macro);
+    const state = time !== null ? stateAt(macro, time) : null;
+    const isInfinite = timeline.iterations === Infinity;
+
+    // requestAnimationFrame 内で最新の再生位置を参照するため
+    useEffect(() => {
+        timeRef.current = time;
+    }, [time]);
+
+    // 再生ループ: 前フレームからの経過時間だけ再生位置を進める
+    useEffect(() => {
+        if (!isPlaying) return;
+        let last = performance.now();
+        const tick = (now) => {
+            const next = (timeRef.current ?? 0) + (now - last) * speed;
+            last = now;
+            if (next >= timeline.totalDuration) {
+                onTimeChange(timeline.totalDuration);
+                setIsPlaying(false);
+                return;
+            }
+            timeRef.current = next;
+            onTimeChange(next);
+            frameRef.current = requestAnimationFrame(tick);
+        };
+        frameRef.current = requestAnimationFrame(tick);
+        return () => cancelAnimationFrame(frameRef.current);
+    }, [isPlaying, speed, timeline.totalDuration]);
+
+    // 記録開始やマクロが空になった場合はプレビューを終了する
+    useEffect(() => {
+        if (disabled || macro.events.length === 0) {
+            setIsPlaying(false);
+            if (time !== null) onTimeChange(null);
+        }
+    }, [disabled, macro.events.length]);
+
+    const togglePlay = () => {
+        if (isPlaying) {
+            setIsPlaying(false);
+            return;
+        }
+        // 終了位置から再生した場合は先頭に戻す
+        if (time === null || time >= timeline.totalDuration) onTimeChange(0);
+        setIsPlaying(true);
+    };
+
+    const stop = () => {
+        setIsPlaying(false);
+        onTimeChange(null);
+    };
+
+    // 無限ループの場合、シークバーは現在の周回の範囲を表す (1周目はイントロを含む)
+    const isFirstIteration = !state || state.iteration === 0;
+    const iterationStart = isInfinite && !isFirstIteration ? timeline.introLength + state.iteration * timeline.period : 0;
+    const scrubMax = isInfinite ? (isFirstIteration ? timeline.introLength : 0) + timeline.period : timeline.totalDuration;
+
+    const seek = (value) => onTimeChange(iterationStart + Number(value));
+
+    const seekToSelection = () => {
+        if (selection.length === 0) return;
+        onTimeChange(timeOfEvent(macro, selection[0], state ? state.iteration : 0));
+    };
+
+    const isDisabled = disabled || macro.events.length === 0;
+
+    return (
+        <div className="playback-transport">
+            <div className="playback-controls">
+                <button onClick={togglePlay} disabled={isDisabled} className={isPlaying ? '' : 'accent-button'} title="再生 / 一時停止">
+                    {isPlaying ? '❚❚' : '▶'}
+                </button>
+                <button onClick={stop} disabled={time === null} title="プレビューを終了">■</button>
+                <button onClick={seekToSelection} disabled={isDisabled || selection.length === 0} title="選択中のイベントへ移動">選択行へ</button>
+                <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} title="再生速度">
+                    {SPEEDS.map(s => <option key={s} value={s}>{s}x</option>)}
+                </select>
+            </div>
+            <input
+                type="range"
+                min="0"
+                max={scrubMax}
+                step="1"
+                value={time !== null ? time - iterationStart : 0}
+                onChange={(e) => seek(e.target.value)}
+                disabled={isDisabled}
+            />
+            <div className="playback-info">
+                <span>{formatTime(time ?? 0)} / {isInfinite ? '∞' : formatTime(timeline.totalDuration)}</span>
+                {state && (
+                    <span>
+                        {PHASE_LABELS[state.phase]} ・ 周回 {state.iteration + 1}/{isInfinite ? '∞' : timeline.iterations}
+                        {state.eventIndex >= 0 && ` ・ #${state.eventIndex + 1}`}
+                    </span>
+                )}
+            </div>
+            {range && (
+                <div className="playback-timing">
+                    <span title="ランダムな時間 (jitter / wait / loop.offset) を含むため、ATOMS3での再生時間は毎回変わります">
+                        1周 {formatTime(range.iteration.min)}〜{formatTime(range.iteration.max)}
+                        {!isInfinite && ` ・ 全体 ${formatTime(range.min)}〜${formatTime(range.max)}`}
+                    </span>
+                    <label title="プレビューの時刻を決める乱数のシード (同じシードなら同じ時刻になります)">
+                        シード
+                        <input type="number" value={seed} onChange={(e) => onSeedChange(Number(e.target.value) || 0)} />
+                    </label>
+                    <button onClick={() => onSeedChange(Math.floor(Math.random() * 1000000))} title="別の時刻でプレビュー">🎲</button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PlaybackTransport;
@@ -0,0 +1,73 @@
+import React from 'react';
+import { ORDERED_BUTTONS } from '../utils/constants';
+
+const STICKS = [
+    { label: '左スティック', axes: [0, 1] },
+    { label: '右スティック', axes: [2, 3] }
+];
+
+const toSeconds = (ms) => (ms === null ? '' : String(ms / 1000));
+const toMs = (value) => Math.round(Number(value) * 1000);
+
+/**
+ * パンチイン記録・オーバーダブの設定 (範囲・プリロール・重ねる入力)
+ * @param {object} settings { mode: 'replace' | 'overdub', start, end, preroll, channels } (時刻は ms。end が null なら停止するまで)
+ * @param {function} onChange 変更した項目で呼ばれる
+ * @param {function} onFromSelection 選択行から範囲を設定する。選択が無ければ null
+ * @param {function} onStart 記録を開始する
+ */
+const PunchInControls = ({ settings, onChange, onFromSelection, onStart, disabled, title }) => {
+    const { mode, start, end, preroll, channels } = settings;
+    const toggleButton = (bit) => onChange({
+        channels: { ...channels, buttons: channels.buttons.includes(bit) ? channels.buttons.filter(b => b !== bit) : [...channels.buttons, bit] }
+    });
+    const toggleStick = (axes) => onChange({
+        channels: { ...channels, axes: channels.axes.includes(axes[0]) ? channels.axes.filter(i => !axes.includes(i)) : [...channels.axes, ...axes] }
+    });
+    const noChannels = mode === 'overdub' && channels.buttons.length === 0 && channels.axes.length === 0;
+
+    return (
+        <div className="punch-in">
+            <div style={{ fontWeight: 'bold', fontSize: '14px' }}>部分記録:</div>
+            <select value={mode} onChange={(e) => onChange({ mode: e.target.value })}>
+                <option value="replace">パンチイン (範囲を置き換え)</option>
+                <option value="overdub">オーバーダブ (入力を重ねる)</option>
+            </select>
+            <label>
+                範囲
+                <input type="number" min="0" step="0.1" value={toSeconds(start)} onChange={(e) => onChange({ start: Math.max(0, toMs(e.target.value)) })} />
+                〜
+                <input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    placeholder="停止まで"
+                    value={toSeconds(end)}
+                    onChange={(e) => onChange({ end: e.target.value === '' ? null : Math.max(0, toMs(e.target.value)) })}
+                />
+                秒
+            </label>
+            <button onClick={onFromSelection} disabled={!onFromSelection}>選択行から</button>
+            <label title="パンチインの前に既存のマクロを再生する時間 (カウントダウン)">
+                プリロール
+                <input type="number" min="0" max="10" step="1" value={toSeconds(preroll)} onChange={(e) => onChange({ preroll: Math.max(0, toMs(e.target.value)) })} />
+                秒
+            </label>
+            {mode === 'overdub' && (
+                <div className="punch-in-channels" title="コントローラの入力で置き換えるボタン・スティック (それ以外は既存の入力のまま)">
+                    {ORDERED_BUTTONS.map(({ label, bit }) => (
+                        <button key={bit} className={`btn-toggle ${channels.buttons.includes(bit) ? 'active' : ''}`} onClick={() => toggleButton(bit)}>{label}</button>
+                    ))}
+                    {STICKS.map(({ label, axes }) => (
+                        <button key={label} className={`btn-toggle ${channels.axes.includes(axes[0]) ? 'active' : ''}`} onClick={() => toggleStick(axes)}>{label}</button>
+                    ))}
+                </div>
+            )}
+            <button className="accent-button" onClick={onStart} disabled={disabled || noChannels} title={noChannels ? '重ねるボタン・スティックを選んでください' : title}>
+                {mode === 'overdub' ? 'オーバーダブ記録' : 'パンチイン記録'}
+            </button>
+        </div>
+    );
+};
+
+export default PunchInControls;
@@ -0,0 +1,31 @@
+import React from 'react';
+import { INTERVAL_BUCKETS } from '../utils/gamepad_recorder';
+
+const BUCKET_LABELS = INTERVAL_BUCKETS.map((edge, i) => `${i === 0 ? 0 : INTERVAL_BUCKETS[i - 1]}〜${edge}ms`)
+    .concat(`${INTERVAL_BUCKETS[INTERVAL_BUCKETS.length - 1]}ms〜`);
+
+/**
+ * 記録のサンプリングの統計 (読み取り間隔のヒストグラムと取りこぼし)
+ * @param {object} stats GamepadRecorder.getStats() の結果
+ */
+const RecordingStats = ({ stats }) => {
+    const peak = Math.max(1, ...stats.histogram);
+    const title = [
+        `読み取り ${stats.samples}回 / 入力の更新 ${stats.updates}回`,
+        `最大間隔 ${stats.maxInterval.toFixed(1)}ms / 変化から読み取りまでの最大の遅れ ${stats.maxDelay.toFixed(1)}ms`,
+        ...BUCKET_LABELS.map((label, i) => `${label}: ${stats.histogram[i]}`)
+    ].join('\n');
+
+    return (
+        <span className="record-stats" title={title}>
+            <span className="record-stats-histogram">
+                {stats.histogram.map((count, i) => (
+                    <span key={i} style={{ height: `${(count / peak) * 100}%` }} />
+                ))}
+            </span>
+            取りこぼし {stats.missed}
+        </span>
+    );
+};
+
+export default RecordingStats;
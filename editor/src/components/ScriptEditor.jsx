@@ -0,0 +1,70 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { checkScript, decompileEvents } from '../utils/macro_script';
+
+const PLACEHOLDER = `# 例
+press A 80ms; wait 500ms
+hold LS up 1.2s
+repeat 10 {
+    press B 50ms
+    wait 50ms
+}`;
+
+/**
+ * スクリプト (テキスト表記) でマクロを編集するパネル
+ * 入力のたびにコンパイルし、構文エラーは行番号と合わせて表示する。適用すると1つの履歴になる。
+ */
+const ScriptEditor = ({ macro, onApply, onClose }) => {
+    const [text, setText] = useState(() => decompileEvents(macro.events, macro.library));
+    const gutterRef = useRef(null);
+
+    const { events, error } = useMemo(() => checkScript(text, macro.library), [text, macro.library]);
+    const lineCount = text.split('\n').length;
+
+    // Tab キーでインデントを入力する
+    const handleKeyDown = (e) => {
+        if (e.key !== 'Tab') return;
+        e.preventDefault();
+        const { selectionStart, selectionEnd } = e.target;
+        const next = text.slice(0, selectionStart) + '    ' + text.slice(selectionEnd);
+        setText(next);
+        requestAnimationFrame(() => {
+            e.target.selectionStart = e.target.selectionEnd = selectionStart + 4;
+        });
+    };
+
+    return (
+        <div className="script-editor">
+            <div className="cleanup-header">
+                <strong>スクリプトで編集</strong>
+                <button onClick={onClose}>✕</button>
+            </div>
+            <div className="script-body">
+                <div className="script-gutter" ref={gutterRef}>
+                    {Array.from({ length: lineCount }, (_, i) => (
+                        <div key={i} className={error?.line === i + 1 ? 'error' : ''}>{i + 1}</div>
+                    ))}
+                </div>
+                <textarea
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    onKeyDown={handleKeyDown}
+                    onScroll={(e) => { gutterRef.current.scrollTop = e.target.scrollTop; }}
+                    placeholder={PLACEHOLDER}
+                    spellCheck={false}
+                />
+            </div>
+            <div className={error ? 'script-status error' : 'script-status'}>
+                {error
+                    ? `${error.line !== null ? `${error.line}行 ${error.column}列: ` : ''}${error.message}`
+                    : `${events.length} イベント`}
+            </div>
+            <div className="cleanup-actions">
+                <button onClick={() => onApply(events)} disabled={!!error} className="accent-button">適用</button>
+                <button onClick={() => setText(decompileEvents(macro.events, macro.library))}>現在のマクロから再生成</button>
+                <button onClick={onClose}>閉じる</button>
+            </div>
+        </div>
+    );
+};
+
+export default ScriptEditor;
@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import { MAX_SLOTS, sanitizeSlotName } from '../utils/transfer_protocol';
+
+const formatSize = (bytes) => (bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`);
+
+const formatDate = (ms) => (ms > 0 ? new Date(ms).toLocaleString() : '日時不明');
+
+/**
+ * ATOMS3に保存したマクロのスロット管理 (一覧・転送先の指定・名前の変更・削除・再生対象の選択・読み込み)
+ * @param {BLETransfer} transfer 接続中の転送インスタンス
+ * @param {string} macroName 転送時の既定のスロット名 (マクロ名)
+ * @param {function} onUpload (slot, name) で呼ばれ、転送に成功したら true を返す
+ * @param {function} onStatus ステータス欄に表示する文言で呼ばれる
+ * @param {function} onRead (slot, name) で呼ばれ、スロットのマクロをエディタに読み込む
+ * @param {function} onTableChange スロット表を読み直すたびに呼ばれる (切断時は null)
+ * @param {number} revision 変わるとスロット表を読み直す (通常の転送で選択中のスロットが更新された場合)
+ */
+const SlotManagerPanel = ({ transfer, isConnected, macroName, canUpload, onUpload, onRead, onTableChange, onStatus, revision, disabled }) => {
+    const [supported, setSupported] = useState(null); // null は未確認
+    const [table, setTable] = useState({ slots: [], active: -1 });
+    const [target, setTarget] = useState(0);
+    const [name, setName] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    // 操作中は他の操作を受け付けない (通知の応答が混ざらないように)
+    const run = async (action, successMessage) => {
+        setBusy(true);
+        try {
+            const next = await action();
+            if (next) {
+                setTable(next);
+                onTableChange(next);
+            }
+            if (successMessage) onStatus(successMessage);
+        } catch (err) {
+            onStatus('スロット操作に失敗しました: ' + err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    useEffect(() => {
+        if (!isConnected) {
+            setSupported(null);
+            setTable({ slots: [], active: -1 });
+            onTableChange(null);
+            return;
+        }
+        run(async () => {
+            const ok = await transfer.supportsSlots();
+            setSupported(ok);
+            return ok ? transfer.listSlots() : null;
+        });
+    }, [isConnected, revision]);
+
+    const slotAt = (slot) => table.slots.find(s => s.slot === slot);
+
+    const upload = () => run(async () => {
+        const label = sanitizeSlotName(name || macroName) || `スロット${target + 1}`;
+        const existing = slotAt(target);
+        if (existing && !window.confirm(`スロット${target + 1}「${existing.name}」を上書きしますか？`)) return null;
+        if (!(await onUpload(target, label))) return null;
+        return transfer.listSlots();
+    });
+
+    const rename = (entry) => {
+        const next = window.prompt('スロットの名前', entry.name);
+        if (next === null) return;
+        run(() => transfer.renameSlot(entry.slot, next), '名前を変更しました');
+    };
+
+    const remove = (entry) => {
+        if (!window.confirm(`スロット${entry.slot + 1}「${entry.name}」を削除しますか？`)) return;
+        run(() => transfer.deleteSlot(entry.slot), `スロット${entry.slot + 1}を削除しました`);
+    };
+
+    const select = (entry) => run(() => transfer.selectSlot(entry.slot), `「${entry.name}」を再生対象にしました。ATOMS3のボタンAで再生できます`);
+
+    if (!isConnected) {
+        return <div className="slot-panel slot-note">ATOMS3に接続すると保存済みのマクロを管理できます</div>;
+    }
+    if (supported === false) {
+        return <div className="slot-panel slot-note">このファームウェアはスロットに対応していません (転送すると保存済みのマクロを上書きします)</div>;
+    }
+
+    const locked = disabled || busy || supported === null;
+
+    return (
+        <div className="slot-panel">
+            {table.slots.length === 0 ? (
+                <div className="slot-note">保存済みのマクロはありません</div>
+            ) : (
+                <ul className="slot-list">
+                    {table.slots.map(entry => (
+                        <li key={entry.slot} className={entry.slot === table.active ? 'active' : ''}>
+                            <div className="slot-title">
+                                <span>{entry.slot === table.active ? '▶' : ''} {entry.slot + 1}. {entry.name || '(名前なし)'}</span>
+                                <span className="slot-meta">{formatSize(entry.size)} / {entry.format === 'bin' ? 'バイナリ' : 'JSON'} / {formatDate(entry.date)}</span>
+                            </div>
+                            <div className="slot-actions">
+                                <button onClick={() => select(entry)} disabled={locked || entry.slot === table.active}>選択</button>
+                                <button onClick={() => run(() => onRead(entry.slot, entry.name))} disabled={locked} title="このマクロをエディタに読み込む">読込</button>
+                                <button onClick={() => rename(entry)} disabled={locked}>名前変更</button>
+                                <button onClick={() => remove(entry)} disabled={locked} className="danger-button">削除</button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div className="slot-upload">
+                <select value={target} onChange={(e) => setTarget(Number(e.target.value))} disabled={locked}>
+                    {Array.from({ length: MAX_SLOTS }, (_, slot) => (
+                        <option key={slot} value={slot}>{slot + 1}. {slotAt(slot) ? slotAt(slot).name || '(名前なし)' : '(空き)'}</option>
+                    ))}
+                </select>
+                <input
+                    type="text"
+                    value={name}
+                    placeholder={macroName}
+                    onChange={(e) => setName(e.target.value)}
+                    disabled={locked}
+                />
+                <button onClick={upload} disabled={locked || !canUpload} className="accent-button">このスロットに転送</button>
+            </div>
+            <button onClick={() => run(() => transfer.listSlots())} disabled={locked} className="slot-refresh">一覧を更新</button>
+        </div>
+    );
+};
+
+export default SlotManagerPanel;
@@ -1,19 +1,63 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { ORDERED_BUTTONS } from '../utils/constants';
+import { rangeIndices, deleteEvents, shiftEvents, copyEvents, pasteEvents } from '../utils/timeline_edit';
+import { buildSections, findSection, setAnnotation } from '../utils/macro_sections';
+import { isCallEvent, callDuration, subMacroLength, extractSubMacro, removeSubMacro } from '../utils/macro_compose';
+
+// コピーしたイベントのブロック (コンポーネント外で保持し、マクロを読み込み直しても貼り付けられるようにする)
+let clipboard = null;
+
+// 編集画面に入力欄が無く、保存時に元のイベントから引き継ぐフィールド (ランダムな時間とループの区間)
+const KEPT_FIELDS = ['jitter', 'wait', 'loopStart', 'outroStart'];
+
+/**
+ * 入力欄にフォーカスがある場合はショートカットを無効にする (ブラウザ標準の操作を優先)
+ */
+const isTextInput = (target) => ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName);
 
 /**
  * マクロのタイムライン編集用コンポーネント
+ * 選択状態 (selection) はピアノロール表示と共有するため、親コンポーネントで管理する。
  */
-const TimelineEditor = ({ macro, setMacro }) => {
+const TimelineEditor = ({ macro, setMacro, selection, setSelection, playheadIndex = null }) => {
     const [editingIndex, setEditingIndex] = useState(null); // 現在編集中のイベントのインデックス
     const [editValues, setEditValues] = useState(null);    // 編集中の入力値のバッファ
+    const [anchorIndex, setAnchorIndex] = useState(null);  // Shift+クリックによる範囲選択の起点
+    const [shiftAmount, setShiftAmount] = useState(100);   // 一括時間シフトの量 (ms)
+    const [collapsed, setCollapsed] = useState([]);         // 折りたたんだセクション (先頭イベントのインデックス)
+    const [libraryChoice, setLibraryChoice] = useState(''); // 挿入するサブマクロ
     const macroRef = React.useRef(macro);                   // 最新のマクロ状態を保持するRef
+    const listRef = React.useRef(null);
 
     // リクローズ対策: 常に最新のmacroをRefに保存しておく
     useEffect(() => {
         macroRef.current = macro;
     }, [macro]);
 
+    // 元に戻す等でイベント数が減った場合、範囲外の選択を取り除く
+    const validSelection = selection.filter(i => i < macro.events.length);
+
+    const sections = useMemo(() => buildSections(macro.events), [macro.events]);
+
+    // ピアノロール側で選択された行が見えるようにスクロールする (折りたたまれていれば展開する)
+    useEffect(() => {
+        if (selection.length === 0 || !listRef.current) return;
+        const section = findSection(sections, selection[0]);
+        if (section && collapsed.includes(section.startIndex)) {
+            setCollapsed(prev => prev.filter(i => i !== section.startIndex));
+            return; // 展開後の描画で再度スクロールする
+        }
+        const row = listRef.current.querySelector(`[data-index="${selection[0]}"]`);
+        if (row) row.scrollIntoView({ block: 'nearest' });
+    }, [selection, collapsed]);
+
+    // 再生プレビュー中は再生位置の行が見えるようにスクロールする
+    useEffect(() => {
+        if (playheadIndex === null || playheadIndex < 0 || !listRef.current) return;
+        const row = listRef.current.querySelector(`[data-index="${playheadIndex}"]`);
+        if (row) row.scrollIntoView({ block: 'nearest' });
+    }, [playheadIndex]);
+
 
     /**
      * 編集モードを開始する
@@ -47,32 +91,51 @@ const TimelineEditor = ({ macro, setMacro }) => {
         const newTime = prevTime + parseInt(editValues.deltaTime);
         const timeDiff = newTime - oldEvent.t;
 
-        // 2. 現在のイベントに値を反映
-        newEvents[editingIndex] = {
-            t: newTime,
-            b: editValues.b,
-            a: editValues.a.map(v => parseFloat(v)) // 数値として保存
-        };
+        // 2. 現在のイベントに値を反映 (セクション名・コメントは空なら取り除く)
+        // サブマクロの呼び出しは、繰り返し回数の増減で変わる長さも後続のシフト量に加える
+        let edited;
+        let shift = timeDiff;
+        const kept = Object.fromEntries(KEPT_FIELDS.filter(key => oldEvent[key] !== undefined).map(key => [key, oldEvent[key]]));
+        if (isCallEvent(oldEvent)) {
+            edited = {
+                t: newTime,
+                call: oldEvent.call,
+                repeat: editValues.repeat ?? 1,
+                ...(editValues.every > 1 ? { every: editValues.every } : {}),
+                ...(editValues.step > 0 ? { step: editValues.step } : {}),
+                ...kept
+            };
+            shift += callDuration(macro.library, edited) - callDuration(macro.library, oldEvent);
+        } else {
+            edited = {
+                t: newTime,
+                b: editValues.b,
+                a: editValues.a.map(v => parseFloat(v)), // 数値として保存
+                ...kept
+            };
+        }
+        newEvents[editingIndex] = setAnnotation(setAnnotation(edited, 'marker', editValues.marker), 'comment', editValues.comment);
 
         // 3. 以降のイベントをすべて時間シフト (リップル編集)
-        if (timeDiff !== 0) {
+        // 履歴に残る過去の状態を壊さないよう、イベントは新しいオブジェクトに置き換える
+        if (shift !== 0) {
             for (let i = editingIndex + 1; i < newEvents.length; i++) {
-                newEvents[i].t += timeDiff;
+                newEvents[i] = { ...newEvents[i], t: newEvents[i].t + shift };
             }
         }
 
-        setMacro(prev => ({ ...prev, events: newEvents }));
+        setMacro(prev => ({ ...prev, events: newEvents }), { label: 'イベント編集' });
         setEditingIndex(null);
         setEditValues(null);
     };
 
     /**
-     * イベントを削除する
+     * イベントを削除する (元に戻せるため確認は行わない)
      */
     const handleDelete = (index) => {
-        if (!window.confirm("このイベントを削除しますか？")) return;
         const newEvents = macro.events.filter((_, i) => i !== index);
-        setMacro(prev => ({ ...prev, events: newEvents }));
+        setMacro(prev => ({ ...prev, events: newEvents }), { label: 'イベント削除' });
+        setSelection([]);
     };
 
     /**
@@ -92,7 +155,8 @@ const TimelineEditor = ({ macro, setMacro }) => {
         };
 
         newEvents.splice(index + 1, 0, newEvent);
-        setMacro(prev => ({ ...prev, events: newEvents }));
+        setMacro(prev => ({ ...prev, events: newEvents }), { label: 'イベント挿入' });
+        setSelection([]);
 
         // 挿入後、即座に編集モードへ移行 (setTimeoutで最新State反映を待つ)
         setTimeout(() => {
@@ -100,6 +164,145 @@ const TimelineEditor = ({ macro, setMacro }) => {
         }, 50);
     };
 
+    /**
+     * 行のクリック: 通常クリックで編集、Shift で範囲選択、Ctrl/Cmd で選択の追加・解除
+     */
+    const handleRowClick = (e, index) => {
+        if (e.shiftKey && anchorIndex !== null) {
+            setSelection(rangeIndices(anchorIndex, index));
+            return;
+        }
+        if (e.ctrlKey || e.metaKey) {
+            setSelection(prev => (prev.includes(index)
+                ? prev.filter(i => i !== index)
+                : [...prev, index].sort((a, b) => a - b)));
+            setAnchorIndex(index);
+            return;
+        }
+        setSelection([index]);
+        setAnchorIndex(index);
+        handleEdit(index);
+    };
+
+    /**
+     * 選択中のイベントをまとめて削除する
+     */
+    const deleteSelected = () => {
+        if (validSelection.length === 0) return;
+        setMacro(prev => ({ ...prev, events: deleteEvents(prev.events, validSelection) }), { label: `${validSelection.length}件のイベント削除` });
+        setSelection([]);
+        setEditingIndex(null);
+    };
+
+    /**
+     * 選択範囲の先頭以降をまとめて時間シフトする (リップル編集)
+     */
+    const shiftSelected = (deltaMs) => {
+        if (validSelection.length === 0) return;
+        setMacro(prev => ({ ...prev, events: shiftEvents(prev.events, validSelection, deltaMs).events }), { label: `時間シフト (${deltaMs > 0 ? '+' : ''}${deltaMs}ms)` });
+    };
+
+    const copySelected = () => {
+        if (validSelection.length === 0) return;
+        clipboard = copyEvents(macro.events, validSelection);
+    };
+
+    /**
+     * コピーしたブロックを選択範囲 (なければ末尾) の直後に貼り付ける
+     */
+    const pasteClipboard = () => {
+        if (!clipboard) return;
+        const afterIndex = validSelection.length > 0 ? validSelection[validSelection.length - 1] : -1;
+        const result = pasteEvents(macro.events, afterIndex, clipboard);
+        setMacro(prev => ({ ...prev, events: result.events }), { label: `${clipboard.events.length}件のイベント貼り付け` });
+        setSelection(result.inserted);
+        setEditingIndex(null);
+    };
+
+    // 選択操作のキーボードショートカット (Delete / Ctrl+C / Ctrl+V / Ctrl+A / Esc)
+    useEffect(() => {
+        const onKeyDown = (e) => {
+            if (isTextInput(e.target) || editingIndex !== null) return;
+            const mod = e.ctrlKey || e.metaKey;
+            if (e.key === 'Delete' || e.key === 'Backspace') {
+                if (validSelection.length > 0) { e.preventDefault(); deleteSelected(); }
+            } else if (mod && e.key.toLowerCase() === 'c') {
+                copySelected();
+            } else if (mod && e.key.toLowerCase() === 'v') {
+                e.preventDefault();
+                pasteClipboard();
+            } else if (mod && e.key.toLowerCase() === 'a') {
+                e.preventDefault();
+                setSelection(macro.events.map((_, i) => i));
+            } else if (e.key === 'Escape') {
+                setSelection([]);
+            }
+        };
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    });
+
+    /**
+     * 選択範囲を新しいサブマクロとして登録し、呼び出しに置き換える
+     */
+    const extractSelected = () => {
+        if (validSelection.length === 0) return;
+        const name = window.prompt("サブマクロの名前を入力してください (例: A連打30回)");
+        if (name === null) return;
+        try {
+            const next = extractSubMacro(macro, validSelection, name);
+            setMacro(next, { label: `サブマクロ「${name.trim()}」を作成` });
+            setSelection([validSelection[0]]);
+            setEditingIndex(null);
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    /**
+     * 選択中のサブマクロの呼び出しを選択範囲 (なければ末尾) の直後に挿入する
+     */
+    const insertCall = () => {
+        const sub = macro.library?.[libraryChoice];
+        if (!sub) return;
+        const afterIndex = validSelection.length > 0 ? validSelection[validSelection.length - 1] : -1;
+        const result = pasteEvents(macro.events, afterIndex, {
+            events: [{ t: 0, call: libraryChoice, repeat: 1 }],
+            length: subMacroLength(sub)
+        });
+        setMacro(prev => ({ ...prev, events: result.events }), { label: `サブマクロ「${libraryChoice}」を挿入` });
+        setSelection(result.inserted);
+        setEditingIndex(null);
+    };
+
+    const deleteSubMacro = () => {
+        if (!libraryChoice) return;
+        try {
+            setMacro(removeSubMacro(macro, libraryChoice), { label: `サブマクロ「${libraryChoice}」を削除` });
+            setLibraryChoice('');
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    /**
+     * セクションの折りたたみを切り替える
+     */
+    const toggleSection = (section) => {
+        setCollapsed(prev => (prev.includes(section.startIndex)
+            ? prev.filter(i => i !== section.startIndex)
+            : [...prev, section.startIndex]));
+    };
+
+    /**
+     * セクションの先頭へ移動する (ピアノロールも選択に追従してスクロールする)
+     */
+    const jumpToSection = (startIndex) => {
+        setCollapsed(prev => prev.filter(i => i !== startIndex));
+        setSelection([startIndex]);
+        setAnchorIndex(startIndex);
+    };
+
     /**
      * 編集中のボタンON/OFFを切り替える
      */
@@ -132,6 +335,56 @@ const TimelineEditor = ({ macro, setMacro }) => {
 
     return (
         <div className="timeline-editor">
+            {validSelection.length > 0 && (
+                <div className="selection-toolbar">
+                    <span>{validSelection.length}件選択中</span>
+                    <button onClick={deleteSelected}>削除</button>
+                    <label>
+                        時間シフト:
+                        <input
+                            type="number"
+                            value={shiftAmount}
+                            onChange={(e) => setShiftAmount(parseInt(e.target.value) || 0)}
+                            style={{ width: '70px' }}
+                        /> ms
+                    </label>
+                    <button onClick={() => shiftSelected(-shiftAmount)}>◀ 前へ</button>
+                    <button onClick={() => shiftSelected(shiftAmount)}>後へ ▶</button>
+                    <button onClick={copySelected}>コピー</button>
+                    <button onClick={pasteClipboard} disabled={!clipboard}>貼り付け</button>
+                    <button onClick={extractSelected} title="選択範囲を名前付きのサブマクロにして、呼び出しに置き換えます">サブマクロ化</button>
+                    <button onClick={() => setSelection([])}>選択解除</button>
+                </div>
+            )}
+            {Object.keys(macro.library || {}).length > 0 && (
+                <div className="section-nav">
+                    <span>サブマクロ:</span>
+                    <select value={libraryChoice} onChange={(e) => setLibraryChoice(e.target.value)}>
+                        <option value="">選択...</option>
+                        {Object.entries(macro.library).map(([name, sub]) => (
+                            <option key={name} value={name}>
+                                {name} ({sub.events.length}件・{subMacroLength(sub)}ms)
+                            </option>
+                        ))}
+                    </select>
+                    <button onClick={insertCall} disabled={!libraryChoice}>呼び出しを挿入</button>
+                    <button onClick={deleteSubMacro} disabled={!libraryChoice}>削除</button>
+                </div>
+            )}
+            {sections.length > 0 && (
+                <div className="section-nav">
+                    <select value="" onChange={(e) => jumpToSection(Number(e.target.value))}>
+                        <option value="">セクションへ移動...</option>
+                        {sections.map(section => (
+                            <option key={section.startIndex} value={section.startIndex}>
+                                {section.name} ({section.start}ms)
+                            </option>
+                        ))}
+                    </select>
+                    <button onClick={() => setCollapsed(sections.map(section => section.startIndex))}>すべて折りたたむ</button>
+                    <button onClick={() => setCollapsed([])}>すべて展開</button>
+                </div>
+            )}
             <div className="timeline-header">
                 <span>時間 (差分)</span>
                 <span>ボタン</span>
@@ -139,84 +392,181 @@ const TimelineEditor = ({ macro, setMacro }) => {
                 <span>右スティック</span>
                 <span>操作</span>
             </div>
-            <div className="timeline-list">
+            <div className="timeline-list" ref={listRef}>
                 {macro.events.map((ev, idx) => {
                     const isEditing = editingIndex === idx;
                     const prevTime = idx > 0 ? macro.events[idx - 1].t : 0;
                     const deltaTime = ev.t - prevTime;
 
+                    // セクションの先頭には見出しを表示し、折りたたまれたセクションの行は表示しない
+                    const section = ev.marker ? sections.find(sec => sec.startIndex === idx) : null;
+                    const owner = findSection(sections, idx);
+                    const isCollapsed = owner && collapsed.includes(owner.startIndex);
+                    const header = section && (
+                        <div className="section-header" onClick={() => toggleSection(section)}>
+                            <span>{isCollapsed ? '▶' : '▼'} {section.name}</span>
+                            <span className="section-summary">
+                                {section.endIndex - section.startIndex}件 ・ {section.start}〜{section.end}ms
+                            </span>
+                        </div>
+                    );
+                    if (isCollapsed && !isEditing) {
+                        return <React.Fragment key={idx}>{header}</React.Fragment>;
+                    }
+
+                    // ループの区間の境目
+                    const loopPoint = (ev.loopStart || ev.outroStart) && (
+                        <div className={`loop-point ${ev.outroStart ? 'outro' : ''}`}>
+                            {ev.loopStart && '⟳ ループ開始 (ここから繰り返す)'}
+                            {ev.loopStart && ev.outroStart && ' ・ '}
+                            {ev.outroStart && '⏏ アウトロ (最後の周回の後に1回)'}
+                        </div>
+                    );
+
                     if (isEditing) {
                         return (
-                            <div key={idx} className="timeline-row editing">
-                                <div className="edit-time-group">
-                                    <label>絶対時間: {ev.t}ms</label>
-                                    <div className="delta-input">
-                                        <span>前からの差: +</span>
+                            <React.Fragment key={idx}>
+                                {header}
+                                {loopPoint}
+                                <div data-index={idx} className="timeline-row editing">
+                                    <div className="edit-time-group">
+                                        <label>絶対時間: {ev.t}ms</label>
+                                        <div className="delta-input">
+                                            <span>前からの差: +</span>
+                                            <input
+                                                type="number"
+                                                value={editValues.deltaTime}
+                                                onChange={(e) => setEditValues({ ...editValues, deltaTime: parseInt(e.target.value) || 0 })}
+                                                style={{ width: '60px' }}
+                                            /> ms
+                                        </div>
+                                    </div>
+                                    {isCallEvent(editValues) ? (
+                                        <>
+                                            <div className="edit-call-group">
+                                                <label>サブマクロ「{editValues.call}」の繰り返し回数:</label>
+                                                <input
+                                                    type="number"
+                                                    min="1"
+                                                    value={editValues.repeat ?? 1}
+                                                    onChange={(e) => setEditValues({ ...editValues, repeat: Math.max(1, parseInt(e.target.value) || 1) })}
+                                                    style={{ width: '60px' }}
+                                                /> 回
+                                                <span className="call-duration">(後続のイベントは長さの増減分だけずれます)</span>
+                                            </div>
+                                            <div className="edit-call-group">
+                                                <label>周回ごとの変化:</label>
+                                                <input
+                                                    type="number"
+                                                    min="1"
+                                                    value={editValues.every ?? 1}
+                                                    onChange={(e) => setEditValues({ ...editValues, every: Math.max(1, parseInt(e.target.value) || 1) })}
+                                                    style={{ width: '50px' }}
+                                                /> 周ごとに呼び出す
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    value={editValues.step ?? 0}
+                                                    onChange={(e) => setEditValues({ ...editValues, step: Math.max(0, parseInt(e.target.value) || 0) })}
+                                                    style={{ width: '50px' }}
+                                                /> 回ずつ増やす
+                                                <span className="call-duration">(ループの本体の中でのみ有効)</span>
+                                            </div>
+                                        </>
+                                    ) : (
+                                        <>
+                                            <div className="edit-buttons-group">
+                                                {ORDERED_BUTTONS.map(btn => (
+                                                    <button
+                                                        key={btn.bit}
+                                                        className={`btn-toggle ${editValues.b.includes(btn.bit) ? 'active' : ''}`}
+                                                        onClick={() => toggleButton(btn.bit)}
+                                                        title={btn.label}
+                                                    >
+                                                        {btn.label}
+                                                    </button>
+                                                ))}
+                                            </div>
+                                            <div className="edit-stick-group">
+                                                <label>L</label>
+                                                <input type="number" step="0.001" min="-1" max="1" value={editValues.a[0]} onChange={e => updateAxis(0, e.target.value)} />
+                                                <input type="number" step="0.001" min="-1" max="1" value={editValues.a[1]} onChange={e => updateAxis(1, e.target.value)} />
+                                            </div>
+                                            <div className="edit-stick-group">
+                                                <label>R</label>
+                                                <input type="number" step="0.001" min="-1" max="1" value={editValues.a[2]} onChange={e => updateAxis(2, e.target.value)} />
+                                                <input type="number" step="0.001" min="-1" max="1" value={editValues.a[3]} onChange={e => updateAxis(3, e.target.value)} />
+                                            </div>
+                                        </>
+                                    )}
+                                    <div className="edit-annotation-group">
+                                        <input
+                                            type="text"
+                                            placeholder="セクション名 (ここから始まる区間)"
+                                            value={editValues.marker || ''}
+                                            onChange={(e) => setEditValues({ ...editValues, marker: e.target.value })}
+                                        />
                                         <input
-                                            type="number"
-                                            value={editValues.deltaTime}
-                                            onChange={(e) => setEditValues({ ...editValues, deltaTime: parseInt(e.target.value) || 0 })}
-                                            style={{ width: '60px' }}
-                                        /> ms
+                                            type="text"
+                                            placeholder="コメント"
+                                            value={editValues.comment || ''}
+                                            onChange={(e) => setEditValues({ ...editValues, comment: e.target.value })}
+                                        />
+                                    </div>
+                                    <div className="edit-actions">
+                                        <button className="accent-button" onClick={handleSave}>保存</button>
+                                        <button onClick={() => setEditingIndex(null)}>キャンセル</button>
                                     </div>
                                 </div>
-                                <div className="edit-buttons-group">
-                                    {ORDERED_BUTTONS.map(btn => (
-                                        <button
-                                            key={btn.bit}
-                                            className={`btn-toggle ${editValues.b.includes(btn.bit) ? 'active' : ''}`}
-                                            onClick={() => toggleButton(btn.bit)}
-                                            title={btn.label}
-                                        >
-                                            {btn.label}
-                                        </button>
-                                    ))}
-                                </div>
-                                <div className="edit-stick-group">
-                                    <label>L</label>
-                                    <input type="number" step="0.001" min="-1" max="1" value={editValues.a[0]} onChange={e => updateAxis(0, e.target.value)} />
-                                    <input type="number" step="0.001" min="-1" max="1" value={editValues.a[1]} onChange={e => updateAxis(1, e.target.value)} />
-                                </div>
-                                <div className="edit-stick-group">
-                                    <label>R</label>
-                                    <input type="number" step="0.001" min="-1" max="1" value={editValues.a[2]} onChange={e => updateAxis(2, e.target.value)} />
-                                    <input type="number" step="0.001" min="-1" max="1" value={editValues.a[3]} onChange={e => updateAxis(3, e.target.value)} />
-                                </div>
-                                <div className="edit-actions">
-                                    <button className="accent-button" onClick={handleSave}>保存</button>
-                                    <button onClick={() => setEditingIndex(null)}>キャンセル</button>
-                                </div>
-                            </div>
+                            </React.Fragment>
                         );
                     }
 
                     return (
-                        <div key={idx} className="timeline-row" onClick={() => handleEdit(idx)}>
-                            <div className="time-col">
-                                <span className="abs-time">{ev.t}ms</span>
-                                <span className="delta-time">(+{deltaTime})</span>
-                            </div>
-                            <div className="buttons-col">
-                                {ev.b.length > 0 ? ev.b.map(b => ORDERED_BUTTONS.find(ob => ob.bit === b)?.label).join(' ') : '-'}
-                            </div>
-                            <div className="stick-col">
-                                L: {ev.a[0].toFixed(3)}, {ev.a[1].toFixed(3)}
-                            </div>
-                            <div className="stick-col">
-                                R: {ev.a[2].toFixed(3)}, {ev.a[3].toFixed(3)}
-                            </div>
-                            <div className="row-actions">
-                                <button className="icon-btn" onClick={(e) => { e.stopPropagation(); handleDelete(idx); }} title="削除">🗑️</button>
-                                <button className="icon-btn" onClick={(e) => { e.stopPropagation(); handleAdd(idx); }} title="次に挿入">➕</button>
+                        <React.Fragment key={idx}>
+                            {header}
+                            {loopPoint}
+                            <div data-index={idx} className={`timeline-row ${validSelection.includes(idx) ? 'selected' : ''} ${idx === playheadIndex ? 'playhead' : ''}`} onClick={(e) => handleRowClick(e, idx)}>
+                                <div className="time-col">
+                                    <span className="abs-time">{ev.t}ms</span>
+                                    <span className="delta-time">(+{deltaTime})</span>
+                                </div>
+                                {isCallEvent(ev) ? (
+                                    <div className="buttons-col call-col">
+                                        ↻ {ev.call} ×{ev.repeat ?? 1}
+                                        {ev.step > 0 && ` (+${ev.step}回/周)`}
+                                        {ev.every > 1 && ` ・ ${ev.every}周ごと`}
+                                        <span className="call-duration">{callDuration(macro.library, ev)}ms</span>
+                                        {ev.comment && <span className="event-comment" title={ev.comment}>{ev.comment}</span>}
+                                    </div>
+                                ) : (
+                                    <>
+                                        <div className="buttons-col">
+                                            {ev.b.length > 0 ? ev.b.map(b => ORDERED_BUTTONS.find(ob => ob.bit === b)?.label).join(' ') : '-'}
+                                            {ev.comment && <span className="event-comment" title={ev.comment}>{ev.comment}</span>}
+                                        </div>
+                                        <div className="stick-col">
+                                            L: {ev.a[0].toFixed(3)}, {ev.a[1].toFixed(3)}
+                                        </div>
+                                        <div className="stick-col">
+                                            R: {ev.a[2].toFixed(3)}, {ev.a[3].toFixed(3)}
+                                        </div>
+                                    </>
+                                )}
+                                <div className="row-actions">
+                                    <button className="icon-btn" onClick={(e) => { e.stopPropagation(); handleDelete(idx); }} title="削除">🗑️</button>
+                                    <button className="icon-btn" onClick={(e) => { e.stopPropagation(); handleAdd(idx); }} title="次に挿入">➕</button>
+                                </div>
                             </div>
-                        </div>
+                        </React.Fragment>
                     );
                 })}
                 {macro.events.length === 0 && <div style={{ padding: '20px', textAlign: 'center', color: '#666' }}>イベントがありません。上のボタンで記録するか、下の「＋」で手動追加してください。</div>}
+                {macro.events.length > 0 && <div style={{ padding: '6px', textAlign: 'center', color: '#666', fontSize: '11px' }}>Shift+クリックで範囲選択、Ctrl+クリックで追加選択。Ctrl+Z / Ctrl+Y で元に戻す / やり直し</div>}
                 <div style={{ textAlign: 'center', padding: '10px' }}>
                     <button onClick={() => {
                         const lastTime = macro.events.length > 0 ? macro.events[macro.events.length - 1].t : 0;
-                        setMacro(prev => ({ ...prev, events: [...prev.events, { t: lastTime + 500, b: [], a: [0, 0, 0, 0] }] }))
+                        setMacro(prev => ({ ...prev, events: [...prev.events, { t: lastTime + 500, b: [], a: [0, 0, 0, 0] }] }), { label: 'イベント追加' })
                     }}>＋ 末尾に新規追加</button>
                 </div>
             </div>
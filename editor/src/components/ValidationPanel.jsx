@@ -0,0 +1,62 @@
+import React from 'react';
+import { FIXES } from '../utils/macro_validation';
+
+/**
+ * マクロの検証結果の表示パネル
+ * 問題ごとに行番号とイベントへのリンクを表示し、安全に直せる問題は自動修正のボタンを出す。
+ */
+const ValidationPanel = ({ report, onFix, onOpenAnyway, onJump, onClose }) => {
+    if (!report) return null;
+    const { title, syntaxError, issues, loaded, canOpen } = report;
+    const availableFixes = Object.keys(FIXES).filter(fix => issues.some(issue => issue.fix === fix));
+
+    return (
+        <div className="validation-panel">
+            <div className="validation-header">
+                <strong>{title}</strong>
+                <span>{syntaxError ? 'JSONの構文エラー' : `${issues.length}件の問題`}</span>
+                <button onClick={onClose} title="閉じる">✕</button>
+            </div>
+
+            {syntaxError && (
+                <div className="validation-issue">
+                    <span className="validation-line">{syntaxError.line ? `${syntaxError.line}行目 ${syntaxError.column}列` : '位置不明'}</span>
+                    <span>{syntaxError.message}</span>
+                </div>
+            )}
+
+            <div className="validation-list">
+                {issues.map((issue, i) => (
+                    <div key={i} className="validation-issue">
+                        <span className="validation-line">{issue.line ? `${issue.line}行目` : issue.path || '-'}</span>
+                        <span>{issue.message}</span>
+                        {issue.eventIndex !== null && (
+                            loaded ? (
+                                <button className="link-button" onClick={() => onJump(issue.eventIndex)}>イベント #{issue.eventIndex + 1} へ</button>
+                            ) : (
+                                <span className="validation-event">イベント #{issue.eventIndex + 1}</span>
+                            )
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            {(availableFixes.length > 0 || (!loaded && canOpen)) && (
+                <div className="validation-actions">
+                    {availableFixes.length > 0 && (
+                        <button className="accent-button" onClick={() => onFix(availableFixes)}>
+                            自動修正 ({availableFixes.map(fix => FIXES[fix]).join(' / ')})
+                        </button>
+                    )}
+                    {!loaded && canOpen && (
+                        <button onClick={onOpenAnyway} title="問題を含んだまま読み込みます。転送は問題を解決するまでできません">
+                            このまま開く
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ValidationPanel;
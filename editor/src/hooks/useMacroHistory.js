@@ -0,0 +1,32 @@
+import { useState, useCallback } from 'react';
+import { createHistory, executeCommand, undo, redo } from '../utils/macro_history';
+
+/**
+ * 履歴付きのマクロ状態を扱うフック
+ * setMacro は useState のセッターと同じように使え、第2引数で履歴のラベル等を指定できる。
+ *   setMacro(prev => ({ ...prev, events }), { label: 'イベント削除' })
+ */
+const useMacroHistory = (initialMacro) => {
+    const [history, setHistory] = useState(() => createHistory(initialMacro));
+
+    const setMacro = useCallback((updater, options = {}) => {
+        setHistory(h => executeCommand(h, {
+            ...options,
+            apply: typeof updater === 'function' ? updater : () => updater
+        }));
+    }, []);
+
+    const undoMacro = useCallback(() => setHistory(h => undo(h)), []);
+    const redoMacro = useCallback(() => setHistory(h => redo(h)), []);
+
+    return {
+        macro: history.present,
+        setMacro,
+        undo: undoMacro,
+        redo: redoMacro,
+        undoLabel: history.past.length > 0 ? history.past[history.past.length - 1].label : null,
+        redoLabel: history.future.length > 0 ? history.future[0].label : null
+    };
+};
+
+export default useMacroHistory;
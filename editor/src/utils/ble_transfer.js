@@ -1,49 +1,347 @@
+import {
+    DATA_FRAME_HEADER_SIZE,
+    buildDataFrame,
+    buildHeader,
+    buildPlaybackCommand,
+    buildResumeCommand,
+    buildSlotCommand,
+    crc32,
+    decodeTransferPayload,
+    describeDeviceError,
+    encodeLiveFrame,
+    encodeTransferPayload,
+    groupRanges,
+    parseDataFrame,
+    parseDeviceMessage,
+    parseLiveEcho,
+    parseLiveFrame,
+    parseStatusMessage
+} from './transfer_protocol';
+import { hasRandomTiming, resolveTiming } from './macro_timing';
+import { hasLoopParts } from './macro_loop';
+import { composeMacro } from './macro_compose';
+import { createWorkerClock } from './sampling_clock';
+
+/**
+ * ATOMS3から届いた ERR を、理由・オフセット付きの Error に変換する
+ */
+const toDeviceError = (message) => {
+    const error = new Error(describeDeviceError(message));
+    error.reason = message.reason;
+    error.offset = message.offset;
+    return error;
+};
+
+/**
+ * 送信済みのバイト数から転送速度 (bytes/s) と残り時間 (秒) を求める
+ */
+const measureProgress = (sent, total, startedAt) => {
+    const elapsed = Math.max(Date.now() - startedAt, 1) / 1000; // 1ms 未満で終わっても速度を出す
+    const rate = sent / elapsed;
+    return { bytes: sent, total, rate, eta: rate > 0 ? (total - sent) / rate : null };
+};
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
 /**
  * Web Bluetoothを使用したESP32へのマクロ転送クラス
  * 目的: MTU制限を考慮し、データをチャンク分割して送信する。
+ * @param {object} [options]
+ * @param {object} [options.bluetooth] navigator.bluetooth と同じ形の通信手段 (テストでは mock_atoms3.js を渡す)
+ * @param {function} [options.createClock] (interval, onTick) で一定間隔のタイマーを開始し、停止する関数を返す (キープアライブ用)
  */
 export class BLETransfer {
-    constructor() {
+    constructor({ bluetooth = null, createClock = createWorkerClock } = {}) {
+        this.bluetooth = bluetooth; // null ならブラウザの navigator.bluetooth を使う
+        this.createClock = createClock; // 非表示のタブでも間引かれない Worker のタイマー
         this.device = null;
         this.characteristic = null;
+        this.notifyCharacteristic = null; // ATOMS3からの応答 (ACK/NACK/結果) を受け取る
+        this.statusCharacteristic = null; // ATOMS3の再生状態を受け取る (対応ファームウェアのみ)
+        this.onStatus = null; // 再生状態の通知で呼ばれる関数 (parseStatusMessage の結果)
+        this.deviceInfo = null; // INFO で取得した対応形式 (接続ごとにリセット)
         this.SERVICE_UUID = "6E400001-B5A3-F393-E0A9-E50E24DCCA9E".toLowerCase(); // Nordic UART Service
         this.RX_CHAR_UUID = "6E400002-B5A3-F393-E0A9-E50E24DCCA9E".toLowerCase(); // RX Characteristic
-        this.CHUNK_SIZE = 128; // ESP32 NimBLEのバッファサイズに合わせて調整
+        this.TX_CHAR_UUID = "6E400003-B5A3-F393-E0A9-E50E24DCCA9E".toLowerCase(); // TX Characteristic (Notify)
+        this.STATUS_CHAR_UUID = "6E400004-B5A3-F393-E0A9-E50E24DCCA9E".toLowerCase(); // 再生状態 (Notify)
+        this.CHUNK_SIZE = 128; // MTUが分からない場合のチャンクサイズ (応答ありの書き込みで送る)
+        this.MAX_CHUNK_SIZE = 512; // MTUが大きくてもこれ以上にしない (ATTの値の最大長)
+        this.MAX_PACING = 50; // 応答なしの書き込みの間隔の上限 (ms)
+        this.WINDOW_SIZE = 8; // ACKを待たずに送信するチャンク数
+        this.MAX_RETRIES = 5; // 1ウィンドウあたりの再送上限
+        this.REPLY_TIMEOUT = 3000; // ACK/NACK待ちのタイムアウト (ms)
+        this.RESULT_TIMEOUT = 10000; // 解析結果待ちのタイムアウト (ms)
+        this.LEGACY_HEADER_DELAY = 100; // 旧転送: ヘッダー送信後の待機 (ms)
+        this.LEGACY_CHUNK_DELAY = 50; // 旧転送: チャンクごとの待機 (ms)
+        this.RECONNECT_BASE_DELAY = 500; // 再接続の初回の待機 (ms)。失敗するたびに倍にする
+        this.RECONNECT_MAX_DELAY = 8000; // 再接続の待機の上限 (ms)
+        this.RECONNECT_MAX_ATTEMPTS = 6; // 再接続を諦めるまでの試行回数
+        this.RESUME_TIMEOUT = 30000; // 転送中に切断された場合に再接続を待つ時間 (ms)
+        this.LIVE_KEEPALIVE_INTERVAL = 100; // 入力が変わらなくても送り直す間隔 (ms)。ATOMS3は500ms届かないと入力を離す
+        this.LIVE_NEUTRAL_REPEATS = 3; // ニュートラルに戻した後に送り直す回数 (離す入力の取りこぼし対策)
+        this.LIVE_PING_INTERVAL = 1000; // 往復遅延を測る間隔 (ms)
+
+        this.connectionState = 'disconnected'; // 'connected' / 'reconnecting' / 'disconnected'
+        this.onConnectionChange = null; // 接続状態が変わると (state) で呼ばれる関数
+        this.connectionId = 0; // 接続するたびに増える (転送中に切断・再接続されたかの判定用)
+        this.stateListeners = []; // 再接続を待っている転送
+        this.manualDisconnect = false; // disconnect() による切断 (再接続しない)
+        this.reconnectTimer = null;
+        this.watchedDevices = new WeakSet(); // 切断イベントを購読済みのデバイス
+        this.pendingLiveFrame = null; // 再接続中に送れなかった最後の Live Bridge 入力
+        this.pacing = 0; // 応答なしの書き込みの間隔 (ms)。取りこぼしがあれば広げ、順調なら縮める
+        this.credits = { limit: 0, sent: 0, received: 0 }; // ATOMS3が処理を通知 (CR) するまでに送ってよいチャンク数
+        this.live = { seq: 0, frame: null, repeats: 0, stopClock: null, writing: null, queued: null, pings: new Map(), lastPingAt: 0 }; // Live Bridge の状態
+        this.onLiveStats = null; // Live Bridge の往復遅延と取りこぼしを ({rtt, dropped}) で受け取る関数
+        this.deviceInfoQuery = null; // 問い合わせ中の INFO (重複して送らない)
+
+        this.inbox = [];   // 未処理の通知メッセージ
+        this.waiters = []; // 通知を待っている Promise
+        this.onDataFrame = null; // 読み出し中にデータチャンクを受け取る関数
+        this.lock = Promise.resolve(); // 応答を待つ操作の直列化用
+        this.handleNotification = this.handleNotification.bind(this);
+        this.handleStatusNotification = this.handleStatusNotification.bind(this);
+        this.handleDisconnected = this.handleDisconnected.bind(this);
     }
 
-    async connect() {
-        const tryGattConnect = async (device) => {
-            const server = await device.gatt.connect();
-            const service = await server.getPrimaryService(this.SERVICE_UUID);
-            this.characteristic = await service.getCharacteristic(this.RX_CHAR_UUID);
-            this.device = device;
-            this.device.addEventListener('gattserverdisconnected', () => {
-                console.log("BLE Device disconnected");
-                this.characteristic = null;
-            });
-            return true;
-        };
+    setConnectionState(state) {
+        if (this.connectionState === state) return;
+        this.connectionState = state;
+        this.stateListeners.forEach(listener => listener(state));
+        if (this.onConnectionChange) this.onConnectionChange(state);
+    }
+
+    /**
+     * 通知キャラクタリスティックを購読する (旧ファームウェアでは存在しないため失敗しても継続)
+     */
+    async attachNotifications(service) {
+        try {
+            const tx = await service.getCharacteristic(this.TX_CHAR_UUID);
+            await tx.startNotifications();
+            tx.addEventListener('characteristicvaluechanged', this.handleNotification);
+            this.notifyCharacteristic = tx;
+        } catch (e) {
+            console.warn("Notify characteristic unavailable, using legacy transfer:", e);
+            this.notifyCharacteristic = null;
+        }
+    }
+
+    /**
+     * 再生状態の通知を購読する (旧ファームウェアでは存在しないため失敗しても継続)
+     */
+    async attachStatus(service) {
+        try {
+            const characteristic = await service.getCharacteristic(this.STATUS_CHAR_UUID);
+            await characteristic.startNotifications();
+            characteristic.addEventListener('characteristicvaluechanged', this.handleStatusNotification);
+            this.statusCharacteristic = characteristic;
+        } catch (e) {
+            console.warn("Status characteristic unavailable:", e);
+            this.statusCharacteristic = null;
+        }
+    }
+
+    handleStatusNotification(event) {
+        const status = parseStatusMessage(new TextDecoder().decode(event.target.value));
+        if (status && this.onStatus) this.onStatus(status);
+    }
+
+    handleNotification(event) {
+        const value = event.target.value;
+        const bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+        const echo = parseLiveEcho(bytes);
+        if (echo) {
+            this.handleLiveEcho(echo);
+            return;
+        }
+        if (this.onDataFrame) {
+            const frame = parseDataFrame(bytes);
+            if (frame) {
+                this.onDataFrame(frame);
+                return;
+            }
+        }
+        const text = new TextDecoder().decode(value);
+        const message = parseDeviceMessage(text);
+        if (message.type === 'CR') this.credits.received = Math.max(this.credits.received, message.count);
+        const waiterIndex = this.waiters.findIndex(w => w.types.includes(message.type));
+        if (waiterIndex >= 0) {
+            const [waiter] = this.waiters.splice(waiterIndex, 1);
+            waiter.resolve(message);
+        } else if (message.type !== 'CR') {
+            this.inbox.push(message);
+        }
+    }
+
+    /**
+     * 応答を待つ操作を1つずつ実行する (通知の応答が他の操作と混ざらないように)
+     */
+    exclusive(task) {
+        const run = this.lock.then(task, task);
+        this.lock = run.catch(() => { });
+        return run;
+    }
+
+    /**
+     * 指定した種類の通知が届くまで待つ
+     * @param {string[]} types 待ち受けるメッセージ種別 (例: ['ACK', 'NACK'])
+     * @param {number} timeout タイムアウト (ms)
+     */
+    waitForMessage(types, timeout) {
+        const queuedIndex = this.inbox.findIndex(m => types.includes(m.type));
+        if (queuedIndex >= 0) {
+            return Promise.resolve(this.inbox.splice(queuedIndex, 1)[0]);
+        }
+        return new Promise((resolve, reject) => {
+            const waiter = { types, resolve: null, reject: null };
+            const timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(w => w !== waiter);
+                reject(new Error(`ATOMS3からの応答がありません (${types.join('/')})`));
+            }, timeout);
+            waiter.resolve = (message) => {
+                clearTimeout(timer);
+                resolve(message);
+            };
+            waiter.reject = (error) => {
+                clearTimeout(timer);
+                reject(error);
+            };
+            this.waiters.push(waiter);
+        });
+    }
+
+    /**
+     * 指定した接続以降に再接続されるまで待つ (再接続を諦めた場合は失敗)
+     * @param {number} sinceId 切断前の connectionId
+     * @param {number} timeout タイムアウト (ms)
+     */
+    waitForReconnect(sinceId, timeout) {
+        if (this.connectionState === 'connected' && this.connectionId !== sinceId) return Promise.resolve();
+        if (this.connectionState === 'disconnected') return Promise.reject(new Error("ATOMS3に再接続できませんでした"));
+        return new Promise((resolve, reject) => {
+            const done = () => {
+                clearTimeout(timer);
+                this.stateListeners = this.stateListeners.filter(l => l !== listener);
+            };
+            const listener = (state) => {
+                if (state === 'connected' && this.connectionId !== sinceId) {
+                    done();
+                    resolve();
+                } else if (state === 'disconnected') {
+                    done();
+                    reject(new Error("ATOMS3に再接続できませんでした"));
+                }
+            };
+            const timer = setTimeout(() => {
+                done();
+                reject(new Error("ATOMS3に再接続できませんでした"));
+            }, timeout);
+            this.stateListeners.push(listener);
+        });
+    }
+
+    /**
+     * GATT に接続し、キャラクタリスティックを取得する (初回接続・再接続で共通)
+     */
+    async openGatt(device) {
+        const server = await device.gatt.connect();
+        const service = await server.getPrimaryService(this.SERVICE_UUID);
+        this.characteristic = await service.getCharacteristic(this.RX_CHAR_UUID);
+        await this.attachNotifications(service);
+        await this.attachStatus(service);
+        this.deviceInfo = null;
+        this.inbox = [];
+        if (!this.watchedDevices.has(device)) {
+            device.addEventListener('gattserverdisconnected', this.handleDisconnected);
+            this.watchedDevices.add(device);
+        }
+        this.device = device;
+        this.connectionId++;
+        this.setConnectionState('connected');
+    }
+
+    /**
+     * 切断されたら応答待ちを打ち切り、disconnect() によるもの以外は再接続を試みる
+     */
+    handleDisconnected(event) {
+        if (event && event.target !== this.device) return; // 以前に接続していた別のデバイス
+        console.log("BLE Device disconnected");
+        this.characteristic = null;
+        this.notifyCharacteristic = null;
+        this.statusCharacteristic = null;
+        this.deviceInfo = null;
+        // 押し続けている入力は再接続後に送り直す (ATOMS3側は切断時にニュートラルへ戻している)
+        if (!this.manualDisconnect && this.live.repeats > 0) this.pendingLiveFrame = this.live.frame;
+        this.stopKeepAlive();
+        const error = new Error("ATOMS3との接続が切れました");
+        this.waiters.forEach(w => w.reject(error));
+        this.waiters = [];
+
+        if (this.manualDisconnect) {
+            this.setConnectionState('disconnected');
+            return;
+        }
+        this.scheduleReconnect(0);
+    }
+
+    /**
+     * 以前に接続していたデバイスへ、待機時間を倍にしながら再接続する
+     * @param {number} attempt 何回目の試行か (0から)
+     */
+    scheduleReconnect(attempt) {
+        if (attempt >= this.RECONNECT_MAX_ATTEMPTS) {
+            console.warn("Reconnect gave up");
+            this.pendingLiveFrame = null;
+            this.setConnectionState('disconnected');
+            return;
+        }
+        this.setConnectionState('reconnecting');
+        const delay = Math.min(this.RECONNECT_BASE_DELAY * 2 ** attempt, this.RECONNECT_MAX_DELAY);
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            try {
+                await this.openGatt(this.device);
+                console.log("Reconnected to BLE device");
+                // 切断中に押されていた入力を送り直す (ATOMS3側は切断時にニュートラルへ戻している)
+                const frame = this.pendingLiveFrame;
+                this.pendingLiveFrame = null;
+                if (frame) await this.sendLiveFrame(frame);
+            } catch (e) {
+                console.warn(`Reconnect attempt ${attempt + 1} failed:`, e);
+                if (this.connectionState === 'reconnecting') this.scheduleReconnect(attempt + 1);
+            }
+        }, delay);
+    }
 
+    cancelReconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.pendingLiveFrame = null;
+    }
+
+    async connect() {
+        this.cancelReconnect();
+        this.manualDisconnect = false;
+        const bluetooth = this.bluetooth || navigator.bluetooth;
         try {
             // 1. 自動再接続の試行
-            if (navigator.bluetooth.getDevices) {
-                const devices = await navigator.bluetooth.getDevices();
+            if (bluetooth.getDevices) {
+                const devices = await bluetooth.getDevices();
                 const authorizedDevice = devices.find(d => d.name && d.name.startsWith('ATOMS3-Macro'));
                 if (authorizedDevice) {
                     console.log("Attempting auto-connect to:", authorizedDevice.name);
                     try {
-                        await tryGattConnect(authorizedDevice);
+                        await this.openGatt(authorizedDevice);
                         return true;
                     } catch (e) {
                         console.warn("Auto-connect failed, falling back to chooser:", e);
-                        this.device = null;
                         this.characteristic = null;
                     }
                 }
             }
 
             // 2. 自動接続できない、または失敗した場合はダイアログを表示
-            this.device = await navigator.bluetooth.requestDevice({
+            const device = await bluetooth.requestDevice({
                 filters: [
                     { namePrefix: 'ATOMS3-Macro' },
                     { services: [this.SERVICE_UUID] }
@@ -51,12 +349,12 @@ export class BLETransfer {
                 optionalServices: [this.SERVICE_UUID]
             });
 
-            await tryGattConnect(this.device);
+            await this.openGatt(device);
             console.log("Connected to BLE device");
             return true;
         } catch (error) {
-            this.device = null;
             this.characteristic = null;
+            this.setConnectionState('disconnected');
             console.error("BLE Connection failed", error);
             if (error.name === 'NotFoundError') {
                 throw new Error("デバイスが見つからないか、選択がキャンセルされました。");
@@ -65,12 +363,389 @@ export class BLETransfer {
         }
     }
 
-    async sendMacro(macroJson, onProgress) {
+    /**
+     * ATOMS3が対応しているプロトコル・マクロ形式を問い合わせる
+     * INFO に応答しないファームウェアは JSON のみ対応とみなす。
+     */
+    async queryDeviceInfo() {
+        if (this.deviceInfo) return this.deviceInfo;
+        if (!this.deviceInfoQuery) {
+            this.deviceInfoQuery = this.fetchDeviceInfo().finally(() => {
+                this.deviceInfoQuery = null;
+            });
+        }
+        return this.deviceInfoQuery;
+    }
+
+    async fetchDeviceInfo() {
+        try {
+            await this.characteristic.writeValue(new TextEncoder().encode("INFO"));
+            this.deviceInfo = await this.waitForMessage(['INFO'], this.REPLY_TIMEOUT);
+        } catch (e) {
+            console.warn("INFO query failed, assuming JSON only:", e);
+            this.deviceInfo = { type: 'INFO', version: 2, formats: ['json'], features: [], mtu: null, credits: 0 };
+        }
+        return this.deviceInfo;
+    }
+
+    /**
+     * ATOMS3が指定した機能 (slots: 複数マクロの保存 / read: 保存済みマクロの読み出し) に対応しているか
+     */
+    async supportsFeature(feature) {
+        if (!this.characteristic || !this.notifyCharacteristic) return false;
+        const info = await this.queryDeviceInfo();
+        return info.features.includes(feature);
+    }
+
+    supportsSlots() {
+        return this.supportsFeature('slots');
+    }
+
+    /**
+     * スロット操作コマンドを送り、更新後のスロット表を受け取る
+     * @returns {Promise<{slots: {slot: number, size: number, date: number, format: string, name: string}[], active: number}>}
+     */
+    requestSlots(command) {
+        return this.exclusive(() => this.requestSlotsUnlocked(command));
+    }
+
+    async requestSlotsUnlocked(command) {
+        if (!this.characteristic) throw new Error("Not connected");
+        if (!(await this.supportsSlots())) throw new Error("ATOMS3のファームウェアがスロットに対応していません");
+
+        this.inbox = [];
+        await this.characteristic.writeValue(new TextEncoder().encode(command));
+        const slots = [];
+        while (true) {
+            const message = await this.waitForMessage(['SLOT', 'SLOTS', 'ERR'], this.REPLY_TIMEOUT);
+            if (message.type === 'ERR') throw toDeviceError(message);
+            if (message.type === 'SLOTS') return { slots, active: message.active };
+            slots.push(message);
+        }
+    }
+
+    listSlots() {
+        return this.requestSlots(buildSlotCommand('list'));
+    }
+
+    deleteSlot(slot) {
+        return this.requestSlots(buildSlotCommand('delete', slot));
+    }
+
+    renameSlot(slot, name) {
+        return this.requestSlots(buildSlotCommand('rename', slot, name));
+    }
+
+    /**
+     * 再生対象のスロットを切り替える (ATOMS3は再生を止めて選択したマクロを読み込む)
+     */
+    selectSlot(slot) {
+        return this.requestSlots(buildSlotCommand('select', slot));
+    }
+
+    /**
+     * 再生操作を送る (結果は再生状態の通知で届く)
+     * @param {'play'|'pause'|'stop'|'status'} action
+     * @param {number} [fromIndex] play で指定すると、そのイベント (展開後の番号) から再生する
+     */
+    sendPlaybackCommand(action, fromIndex) {
+        return this.exclusive(async () => {
+            if (!this.characteristic) throw new Error("Not connected");
+            if (!this.statusCharacteristic) throw new Error("ATOMS3のファームウェアが再生操作に対応していません");
+            await this.characteristic.writeValue(new TextEncoder().encode(buildPlaybackCommand(action, fromIndex)));
+        });
+    }
+
+    /**
+     * 保存済みマクロのサイズ・CRC32・形式を問い合わせる (エディタの内容と同じかの確認用)
+     * @param {number} slot -1 は選択中のスロット
+     * @returns {Promise<{slot: number, length: number, crc: number, format: string, totalChunks: number}>}
+     */
+    getStoredMacroInfo(slot = -1) {
+        return this.exclusive(() => this.requestStoredMacroInfo(slot));
+    }
+
+    async requestStoredMacroInfo(slot) {
+        if (!this.characteristic) throw new Error("Not connected");
+        if (!(await this.supportsFeature('read'))) throw new Error("ATOMS3のファームウェアが読み出しに対応していません");
+
+        this.inbox = [];
+        await this.characteristic.writeValue(new TextEncoder().encode(`READ:${slot}:${this.CHUNK_SIZE}`));
+        const header = await this.waitForMessage(['RDH', 'ERR'], this.RESULT_TIMEOUT);
+        if (header.type === 'ERR') throw toDeviceError(header);
+        return header;
+    }
+
+    /**
+     * 保存済みマクロを読み出す
+     * ウィンドウ単位でチャンクを要求し、欠落したチャンクだけを再要求する。最後に全体のCRC32を検証する。
+     * @param {number} slot -1 は選択中のスロット
+     * @returns {Promise<{macro: object, slot: number, length: number, format: string}>}
+     */
+    readMacro(slot = -1, onProgress) {
+        return this.exclusive(() => this.readMacroUnlocked(slot, onProgress));
+    }
+
+    async readMacroUnlocked(slot, onProgress) {
+        const header = await this.requestStoredMacroInfo(slot);
+        const payloadSize = this.CHUNK_SIZE - DATA_FRAME_HEADER_SIZE;
+        const chunks = new Array(header.totalChunks);
+        const encoder = new TextEncoder();
+
+        console.log(`Reading ${header.length} bytes (${header.format}) in ${header.totalChunks} chunks`);
+
+        this.onDataFrame = ({ seq, payload }) => {
+            if (seq < chunks.length) chunks[seq] = payload;
+        };
+        try {
+            for (let windowStart = 0; windowStart < header.totalChunks; windowStart += this.WINDOW_SIZE) {
+                const windowEnd = Math.min(windowStart + this.WINDOW_SIZE, header.totalChunks);
+                let pending = [];
+                for (let seq = windowStart; seq < windowEnd; seq++) pending.push(seq);
+
+                for (let attempt = 0; pending.length > 0; attempt++) {
+                    if (attempt > this.MAX_RETRIES) {
+                        throw new Error(`チャンク ${pending.join(',')} の受信に失敗しました`);
+                    }
+                    for (const [start, count] of groupRanges(pending)) {
+                        await this.characteristic.writeValue(encoder.encode(`RDC:${start}:${count}`));
+                        const reply = await this.waitForMessage(['RDW', 'ERR'], this.REPLY_TIMEOUT);
+                        if (reply.type === 'ERR') throw toDeviceError(reply);
+                    }
+                    pending = pending.filter(seq => !chunks[seq]);
+                    if (pending.length > 0) console.warn(`Re-requesting chunks: ${pending.join(',')}`);
+                }
+
+                if (onProgress) {
+                    onProgress(Math.round((windowEnd / header.totalChunks) * 100));
+                }
+            }
+        } finally {
+            this.onDataFrame = null;
+        }
+
+        const bytes = new Uint8Array(header.length);
+        let complete = true;
+        chunks.forEach((chunk, seq) => {
+            const offset = seq * payloadSize;
+            if (chunk.length !== Math.min(payloadSize, header.length - offset)) complete = false;
+            else bytes.set(chunk, offset);
+        });
+        if (!complete || crc32(bytes) !== header.crc) {
+            throw new Error("読み出したマクロが破損しています (CRC不一致)");
+        }
+        return { macro: decodeTransferPayload(bytes, header.format), slot: header.slot, length: header.length, format: header.format };
+    }
+
+    /**
+     * マクロを転送し、ATOMS3での解析結果を返す
+     * 通知に対応したファームウェアでは v2 プロトコル (CRC・連番・ACK/NACK) を使用し、
+     * バイナリ形式に対応していればバイナリで送信する。
+     * MTUを通知するファームウェアには、MTUに合わせたチャンクを応答なしの書き込みで送る (CR によるクレジット制御)。
+     * @param {function} [onProgress] (percent, { bytes, total, rate, eta }) で呼ばれる (rate: bytes/s, eta: 残り秒数)
+     * @param {{slot?: number, name?: string}} [target] 保存先のスロットと名前 (省略時は選択中のスロットを上書き)
+     * @returns {Promise<{verified: boolean, length: number, format: string, chunkSize: number, rate: number}>}
+     */
+    sendMacro(macroJson, onProgress, target = {}) {
+        return this.exclusive(() => this.sendMacroUnlocked(macroJson, onProgress, target));
+    }
+
+    async sendMacroUnlocked(macroJson, onProgress, target) {
         if (!this.characteristic) throw new Error("Not connected");
+        if (target.slot !== undefined && !(await this.supportsSlots())) {
+            throw new Error("ATOMS3のファームウェアがスロットに対応していません");
+        }
+
+        if (!this.notifyCharacteristic) {
+            const bytes = new TextEncoder().encode(JSON.stringify(this.adaptToFirmware(macroJson, [])));
+            const rate = await this.sendMacroLegacy(bytes, onProgress);
+            return { verified: false, length: bytes.length, format: 'json', chunkSize: this.CHUNK_SIZE, rate };
+        }
+
+        this.inbox = [];
+        const info = await this.queryDeviceInfo();
+        const format = info.formats.includes('bin') ? 'bin' : 'json';
+        const bytes = encodeTransferPayload(this.adaptToFirmware(macroJson, info.features), format);
+
+        // MTUが分かれば1回の書き込みに収まる大きさにし、応答を待たずに送る
+        const fast = info.mtu > DATA_FRAME_HEADER_SIZE + 3 && info.credits > 0;
+        const chunkSize = fast ? Math.min(info.mtu - 3, this.MAX_CHUNK_SIZE) : this.CHUNK_SIZE;
+        const payloadSize = chunkSize - DATA_FRAME_HEADER_SIZE;
+        const totalChunks = Math.ceil(bytes.length / payloadSize);
+        const encoder = new TextEncoder();
+
+        console.log(`Sending ${bytes.length} bytes (${format}) in ${totalChunks} chunks of ${chunkSize} bytes (v2${fast ? ', without response' : ''})`);
+
+        const crc = crc32(bytes);
+        const header = buildHeader({ length: bytes.length, crc, chunkSize, format, ...target });
+        await this.characteristic.writeValue(encoder.encode(header));
+        const ready = await this.waitForMessage(['RDY', 'ERR'], this.REPLY_TIMEOUT);
+        if (ready.type === 'ERR') throw toDeviceError(ready); // ヘッダーの不備・容量不足・存在しないスロット
+        this.credits = { limit: fast ? info.credits : 0, sent: 0, received: 0 };
+
+        const startedAt = Date.now();
+        let windowStart = 0;
+        let connectionId = this.connectionId;
+        while (windowStart < totalChunks) {
+            const windowEnd = Math.min(windowStart + this.WINDOW_SIZE, totalChunks);
+            try {
+                await this.sendWindow(bytes, payloadSize, windowStart, windowEnd, fast);
+            } catch (err) {
+                // 切断された場合は再接続を待ち、ATOMS3が受信済みのチャンクの次から再開する
+                if (this.connectionId === connectionId && this.device && this.device.gatt.connected) throw err;
+                windowStart = await this.resumeTransfer(connectionId, bytes.length, crc, err);
+                connectionId = this.connectionId;
+                continue;
+            }
+            windowStart = windowEnd;
+
+            if (onProgress) {
+                const sent = Math.min(windowEnd * payloadSize, bytes.length);
+                onProgress(Math.round((windowEnd / totalChunks) * 100), measureProgress(sent, bytes.length, startedAt));
+            }
+        }
+        const { rate } = measureProgress(bytes.length, bytes.length, startedAt);
+
+        await this.characteristic.writeValue(encoder.encode("END"));
+        const result = await this.waitForMessage(['OK', 'ERR'], this.RESULT_TIMEOUT);
+        if (result.type === 'ERR') throw toDeviceError(result);
+        console.log(`Transfer complete (verified by device, ${Math.round(rate || 0)} bytes/s)`);
+        return { verified: true, length: result.length, format, chunkSize, rate };
+    }
+
+    /**
+     * ファームウェアが対応しない指定を、同じ動きになるように置き換えてから送る
+     * - ループの区間 (イントロ / アウトロ): すべての周回を並べる (無限ループは表せないためエラー)
+     * - ランダムな時間 (jitter / wait / loop.offset): 時刻を決める (再生のたびには変わらなくなるが、入力の保持時間と周回の間の待機は保たれる)
+     */
+    adaptToFirmware(macroJson, features) {
+        let macro = macroJson;
+        if (!features.includes('loops') && hasLoopParts(macro)) {
+            if (macro.loop?.enabled && !(macro.loop.count > 0)) {
+                throw new Error("ATOMS3のファームウェアが無限ループのイントロ・アウトロに対応していません。ファームウェアを更新してください");
+            }
+            console.warn("Firmware does not support loop sections, sending unrolled iterations");
+            macro = composeMacro(macro, { unroll: true }).macro;
+        }
+        if (!features.includes('timing') && hasRandomTiming(macro)) {
+            console.warn("Firmware does not support random timing, sending fixed timings");
+            macro = resolveTiming(macro, Date.now());
+        }
+        return macro;
+    }
+
+    /**
+     * ウィンドウ内のチャンクを送り、ATOMS3に届くまで欠落分を再送する
+     * @param {boolean} fast 応答なしの書き込みで送る (クレジットと送信間隔で流量を調整する)
+     */
+    async sendWindow(bytes, payloadSize, windowStart, windowEnd, fast) {
+        let pending = [];
+        for (let seq = windowStart; seq < windowEnd; seq++) pending.push(seq);
+        let congested = false; // 取りこぼし・ATOMS3の処理待ちがあった
+
+        for (let attempt = 0; pending.length > 0; attempt++) {
+            if (attempt > this.MAX_RETRIES) {
+                throw new Error(`チャンク ${pending.join(',')} の再送に失敗しました`);
+            }
+            for (const seq of pending) {
+                const start = seq * payloadSize;
+                const frame = buildDataFrame(seq, bytes.slice(start, Math.min(start + payloadSize, bytes.length)));
+                if (!fast) {
+                    await this.characteristic.writeValue(frame);
+                    continue;
+                }
+                // クレジットが尽きたまま補充されなければ、残りは SYNC で受信状況を確かめてから送る
+                if (!(await this.acquireCredit()) || !(await this.writeWithoutResponse(frame))) {
+                    congested = true;
+                    break;
+                }
+                if (this.pacing > 0) await sleep(this.pacing);
+            }
+
+            // ウィンドウ末尾まで届いたか確認し、欠落分だけを再送する
+            await this.characteristic.writeValue(new TextEncoder().encode(`SYNC:${windowEnd - 1}`));
+            const reply = await this.waitForMessage(['ACK', 'NACK'], this.REPLY_TIMEOUT);
+            this.credits.sent = this.credits.received = 0; // SYNC でATOMS3側の数もリセットされる
+            pending = reply.type === 'ACK' ? [] : reply.missing;
+            if (pending.length > 0) {
+                congested = true;
+                console.warn(`Retransmitting chunks: ${pending.join(',')}`);
+            }
+        }
+        if (fast) this.adaptPacing(congested);
+    }
+
+    /**
+     * ATOMS3が処理していないチャンクがクレジットの上限に達していれば、CR が届くまで待つ
+     * @returns {Promise<boolean>} 送ってよければ true、CR が届かなければ false
+     */
+    async acquireCredit() {
+        while (this.credits.sent - this.credits.received >= this.credits.limit) {
+            try {
+                await this.waitForMessage(['CR'], this.REPLY_TIMEOUT);
+            } catch (e) {
+                if (!this.characteristic) throw e; // 切断 (転送の再開で扱う)
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * 応答なしで書き込む (送信キューが一杯で失敗した場合は false)
+     */
+    async writeWithoutResponse(frame) {
+        try {
+            await this.characteristic.writeValueWithoutResponse(frame);
+        } catch (e) {
+            if (!this.device || !this.device.gatt.connected) throw e;
+            console.warn("Write without response failed:", e);
+            return false;
+        }
+        this.credits.sent++;
+        return true;
+    }
+
+    /**
+     * 取りこぼしがあれば送信間隔を倍に広げ、順調なら半分に縮める
+     */
+    adaptPacing(congested) {
+        this.pacing = congested
+            ? Math.min(this.MAX_PACING, Math.max(2, this.pacing * 2))
+            : Math.floor(this.pacing / 2);
+    }
+
+    /**
+     * 切断で中断した転送を再開する (RESUME)
+     * @param {number} connectionId 切断前の connectionId
+     * @returns {Promise<number>} ATOMS3が次に必要としているチャンクの連番
+     */
+    async resumeTransfer(connectionId, length, crc, cause) {
+        console.warn("Connection lost during transfer, waiting for reconnect:", cause);
+        try {
+            await this.waitForReconnect(connectionId, this.RESUME_TIMEOUT);
+        } catch (e) {
+            throw new Error("転送中にATOMS3との接続が切れました");
+        }
+        if (!(await this.supportsFeature('resume'))) {
+            throw new Error("転送中にATOMS3との接続が切れました (このファームウェアは転送の再開に対応していません)");
+        }
 
-        const data = JSON.stringify(macroJson);
+        this.inbox = [];
+        await this.characteristic.writeValue(new TextEncoder().encode(buildResumeCommand(length, crc)));
+        const reply = await this.waitForMessage(['RSM', 'ERR'], this.REPLY_TIMEOUT);
+        if (reply.type === 'ERR') throw toDeviceError(reply);
+        this.credits.sent = this.credits.received = 0; // RESUME でATOMS3側の数もリセットされる
+        console.log(`Resuming transfer from chunk ${reply.seq}`);
+        return reply.seq;
+    }
+
+    /**
+     * 通知非対応の旧ファームウェア向け転送 (START:<len> / 固定チャンク / END)
+     * @returns {Promise<number>} 転送速度 (bytes/s)
+     */
+    async sendMacroLegacy(bytes, onProgress) {
         const encoder = new TextEncoder();
-        const bytes = encoder.encode(data);
         const totalChunks = Math.ceil(bytes.length / this.CHUNK_SIZE);
 
         console.log(`Sending ${bytes.length} bytes in ${totalChunks} chunks`);
@@ -78,8 +753,9 @@ export class BLETransfer {
         // ヘッダー送信 (START:TotalSize:CRC)
         const header = `START:${bytes.length}`;
         await this.characteristic.writeValue(encoder.encode(header));
-        await new Promise(r => setTimeout(r, 100)); // 少し待機
+        await new Promise(r => setTimeout(r, this.LEGACY_HEADER_DELAY)); // 少し待機
 
+        const startedAt = Date.now();
         for (let i = 0; i < totalChunks; i++) {
             const start = i * this.CHUNK_SIZE;
             const end = Math.min(start + this.CHUNK_SIZE, bytes.length);
@@ -88,32 +764,141 @@ export class BLETransfer {
             await this.characteristic.writeValue(chunk);
 
             if (onProgress) {
-                onProgress(Math.round(((i + 1) / totalChunks) * 100));
+                onProgress(Math.round(((i + 1) / totalChunks) * 100), measureProgress(end, bytes.length, startedAt));
             }
 
             // ESP32側の処理時間を考慮して少しディレイを入れる (FLOW CONTROL)
-            await new Promise(r => setTimeout(r, 50));
+            await new Promise(r => setTimeout(r, this.LEGACY_CHUNK_DELAY));
         }
 
         // 終了通知
         await this.characteristic.writeValue(encoder.encode("END"));
         console.log("Transfer complete");
+        return measureProgress(bytes.length, bytes.length, startedAt).rate;
     }
 
+    /**
+     * Live Bridge の入力を送る
+     * live2 に対応したATOMS3には連番付きのバイナリ形式で送り、入力が変わらなくても一定間隔で送り直す。
+     * 再接続中は最後の入力だけを残して再接続後に送り、切断中は破棄する。
+     * @param {string} payload buildLiveFrame で組み立てたテキスト形式のフレーム
+     */
     async sendLiveFrame(payload) {
+        if (!this.characteristic) {
+            if (this.connectionState === 'reconnecting') this.pendingLiveFrame = payload;
+            return;
+        }
+        try {
+            const info = this.deviceInfo || (this.notifyCharacteristic ? await this.queryDeviceInfo() : null);
+            const binary = !!info && info.features.includes('live2');
+            // 書き込みが失敗しても、次のキープアライブで最新の入力が届く
+            if (binary) this.scheduleKeepAlive(payload);
+            await this.writeLive(payload, binary);
+        } catch (e) {
+            if (this.device && this.device.gatt.connected) {
+                console.error("Live send failed", e);
+            } else {
+                this.pendingLiveFrame = payload; // 切断の通知より先に書き込みが失敗した
+            }
+        }
+    }
+
+    /**
+     * Live Bridge の書き込みを1つずつ行う (GATT の操作は重ねられず、ブラウザが失敗にする)
+     * 書き込み中に届いた入力は最新のものだけを残し、書き込みが終わったらすぐに続けて送る。
+     * @param {boolean} binary live2 のバイナリ形式で送るか (false ならテキスト形式)
+     * @returns {Promise} 残っていた入力をすべて書き込み終えると解決する
+     */
+    writeLive(payload, binary) {
+        const live = this.live;
+        live.queued = { payload, binary };
+        if (!live.writing) live.writing = this.drainLive();
+        return live.writing;
+    }
+
+    async drainLive() {
+        const live = this.live;
+        try {
+            while (live.queued) {
+                const { payload, binary } = live.queued;
+                live.queued = null;
+                if (binary) await this.writeBinaryLive(payload);
+                // writeValueWithoutResponse を使用して確認応答を待たずに送信 (低遅延)
+                else if (this.characteristic) await this.characteristic.writeValueWithoutResponse(new TextEncoder().encode(payload));
+            }
+        } finally {
+            live.queued = null;
+            live.writing = null;
+        }
+    }
+
+    /**
+     * 連番を進めてバイナリのライブ入力を送る (一定間隔でエコーを要求して往復遅延を測る)
+     */
+    async writeBinaryLive(payload) {
         if (!this.characteristic) return;
+        const live = this.live;
+        live.seq = (live.seq + 1) & 0xFFFF;
+        const now = Date.now();
+        const echo = now - live.lastPingAt >= this.LIVE_PING_INTERVAL;
+        if (echo) {
+            live.lastPingAt = now;
+            live.pings.set(live.seq, now);
+            // エコーが届かなかった古い測定は捨てる
+            live.pings.forEach((sentAt, seq) => {
+                if (now - sentAt > this.LIVE_PING_INTERVAL * 5) live.pings.delete(seq);
+            });
+        }
+        await this.characteristic.writeValueWithoutResponse(encodeLiveFrame({ seq: live.seq, ...parseLiveFrame(payload), echo }));
+    }
+
+    /**
+     * 最新の入力を一定間隔で送り直す (ATOMS3のフェイルセーフで入力が離されないように)
+     * 非表示のタブでも間隔が空かないよう Worker のタイマーで送る。ニュートラルに戻った後は数回だけ送り直してやめる。
+     * タイマーは接続が切れるまで止めずに使い回す (入力のたびに Worker を作り直さない)。
+     */
+    scheduleKeepAlive(payload) {
+        const live = this.live;
+        const { mask, axes } = parseLiveFrame(payload);
+        live.frame = payload;
+        live.repeats = mask === 0 && axes.every(v => v === 0) ? this.LIVE_NEUTRAL_REPEATS : Infinity;
+        if (!live.stopClock) live.stopClock = this.createClock(this.LIVE_KEEPALIVE_INTERVAL, () => this.keepAlive());
+    }
+
+    async keepAlive() {
+        const live = this.live;
+        // 書き込み中なら、その書き込み (または続けて送る最新の入力) がキープアライブを兼ねる
+        if (!this.characteristic || live.repeats <= 0 || live.writing) return;
+        live.repeats--;
         try {
-            const encoder = new TextEncoder();
-            // writeValueWithoutResponse を使用して確認応答を待たずに送信 (低遅延)
-            await this.characteristic.writeValueWithoutResponse(encoder.encode(payload));
+            await this.writeLive(live.frame, true);
         } catch (e) {
-            console.error("Live send failed", e);
+            console.warn("Live keep-alive failed", e);
         }
     }
 
+    stopKeepAlive() {
+        if (this.live.stopClock) this.live.stopClock();
+        this.live.stopClock = null;
+        this.live.repeats = 0;
+        this.live.pings.clear();
+        this.live.lastPingAt = 0;
+    }
+
+    handleLiveEcho({ seq, dropped }) {
+        const sentAt = this.live.pings.get(seq);
+        if (sentAt === undefined) return;
+        this.live.pings.delete(seq);
+        if (this.onLiveStats) this.onLiveStats({ rtt: Date.now() - sentAt, dropped });
+    }
+
     disconnect() {
+        this.manualDisconnect = true;
+        this.cancelReconnect();
         if (this.device && this.device.gatt.connected) {
             this.device.gatt.disconnect();
+        } else {
+            this.setConnectionState('disconnected');
         }
     }
 }
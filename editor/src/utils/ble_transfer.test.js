@@ -0,0 +1,646 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import sample from '../../../schema/sample_macro.json';
+import { BLETransfer } from './ble_transfer';
+import { MockATOMS3, createMockBluetooth } from './mock_atoms3';
+import { buildDataFrame, buildHeader, buildLiveFrame, crc32, encodeLiveFrame, LIVE_FRAME_MARKER, NEUTRAL_LIVE_FRAME } from './transfer_protocol';
+
+const MULTIBYTE_NAME = '孵化厳選: ５番道路→自転車ぐるぐる🥚';
+
+/**
+ * シミュレーターに接続済みの BLETransfer を作る
+ */
+const connectMock = async (options = {}, bluetoothOptions = { authorized: true }) => {
+    const device = new MockATOMS3(options);
+    const bluetooth = createMockBluetooth(device, bluetoothOptions);
+    const transfer = new BLETransfer({ bluetooth });
+    transfer.REPLY_TIMEOUT = 100;
+    transfer.RESULT_TIMEOUT = 100;
+    transfer.LEGACY_HEADER_DELAY = 0;
+    transfer.LEGACY_CHUNK_DELAY = 0;
+    transfer.RECONNECT_BASE_DELAY = 1;
+    transfer.RESUME_TIMEOUT = 1000;
+    await transfer.connect();
+    return { device, bluetooth, transfer };
+};
+
+/**
+ * 接続状態が state になるまで待つ
+ */
+const untilState = (transfer, state) => new Promise(resolve => {
+    if (transfer.connectionState === state) return resolve();
+    const listener = (next) => {
+        if (next !== state) return;
+        transfer.stateListeners = transfer.stateListeners.filter(l => l !== listener);
+        resolve();
+    };
+    transfer.stateListeners.push(listener);
+});
+
+const isValidUtf8 = (bytes) => {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+describe('BLETransfer (ATOMS3 シミュレーター)', () => {
+    beforeEach(() => {
+        // 接続・転送のログを抑制する
+        ['log', 'warn', 'error'].forEach(level => vi.spyOn(console, level).mockImplementation(() => { }));
+    });
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    describe('接続', () => {
+        it('許可済みのデバイスにはダイアログを出さずに自動で再接続する', async () => {
+            const { device, bluetooth, transfer } = await connectMock();
+            expect(bluetooth.requestDeviceCalls).toBe(0);
+            expect(device.connected).toBe(true);
+            expect(transfer.notifyCharacteristic).not.toBeNull();
+            expect(transfer.statusCharacteristic).not.toBeNull();
+        });
+
+        it('自動再接続に失敗したらデバイス選択ダイアログで接続し直す', async () => {
+            const { device, bluetooth, transfer } = await connectMock({ failConnect: 1 });
+            expect(bluetooth.requestDeviceCalls).toBe(1);
+            expect(device.connected).toBe(true);
+            expect(transfer.characteristic).not.toBeNull();
+        });
+
+        it('許可済みのデバイスが無ければダイアログを出し、キャンセルされたら分かる文言で失敗する', async () => {
+            const device = new MockATOMS3();
+            const bluetooth = createMockBluetooth(device, { chooserCancelled: true });
+            const transfer = new BLETransfer({ bluetooth });
+            await expect(transfer.connect()).rejects.toThrow('選択がキャンセルされました');
+            expect(bluetooth.requestDeviceCalls).toBe(1);
+            expect(transfer.device).toBeNull();
+            expect(transfer.characteristic).toBeNull();
+        });
+
+        it('通知の無い旧ファームウェアにも接続でき、機能は無いものとして扱う', async () => {
+            const { transfer } = await connectMock({ notify: false });
+            expect(transfer.notifyCharacteristic).toBeNull();
+            expect(transfer.statusCharacteristic).toBeNull();
+            expect(await transfer.supportsSlots()).toBe(false);
+        });
+
+    });
+
+    describe('切断と再接続', () => {
+        it('予期しない切断では同じデバイスへ自動で再接続し、状態の変化を通知する', async () => {
+            const { device, bluetooth, transfer } = await connectMock();
+            const states = [];
+            transfer.onConnectionChange = state => states.push(state);
+
+            device.disconnect();
+            await Promise.resolve();
+            expect(transfer.characteristic).toBeNull();
+            expect(transfer.notifyCharacteristic).toBeNull();
+            expect(transfer.connectionState).toBe('reconnecting');
+
+            await untilState(transfer, 'connected');
+            expect(states).toEqual(['reconnecting', 'connected']);
+            expect(transfer.notifyCharacteristic).not.toBeNull();
+            expect(bluetooth.requestDeviceCalls).toBe(0);
+            expect(device.connectAttempts).toBe(2);
+        });
+
+        it('再接続に失敗するたびに待機時間を倍にする', async () => {
+            const { device, transfer } = await connectMock();
+            transfer.RECONNECT_BASE_DELAY = 500;
+            vi.useFakeTimers();
+            try {
+                device.failConnect = 2;
+                device.disconnect();
+                await vi.advanceTimersByTimeAsync(499);
+                expect(device.connectAttempts).toBe(1);
+                await vi.advanceTimersByTimeAsync(1);
+                expect(device.connectAttempts).toBe(2);
+                await vi.advanceTimersByTimeAsync(999);
+                expect(device.connectAttempts).toBe(2);
+                await vi.advanceTimersByTimeAsync(1);
+                expect(device.connectAttempts).toBe(3);
+                await vi.advanceTimersByTimeAsync(2000);
+                expect(device.connectAttempts).toBe(4);
+                expect(transfer.connectionState).toBe('connected');
+            } finally {
+                vi.useRealTimers();
+            }
+        });
+
+        it('再接続を規定回数失敗したら切断状態になる', async () => {
+            const { device, transfer } = await connectMock();
+            transfer.RECONNECT_MAX_ATTEMPTS = 3;
+            device.failConnect = 10;
+            device.disconnect();
+            await untilState(transfer, 'disconnected');
+            expect(device.connectAttempts).toBe(4);
+            expect(transfer.characteristic).toBeNull();
+        });
+
+        it('disconnect() による切断では再接続しない', async () => {
+            const { device, transfer } = await connectMock();
+            transfer.disconnect();
+            await Promise.resolve();
+            expect(transfer.connectionState).toBe('disconnected');
+            await new Promise(r => setTimeout(r, 10));
+            expect(device.connectAttempts).toBe(1);
+        });
+
+        it('転送中に切断されたら、再接続後にATOMS3が受信済みのチャンクの次から再開する', async () => {
+            const { device, transfer } = await connectMock({ formats: ['json'], mtu: 23, disconnectOnChunk: [10] }); // 18チャンク
+            const progress = [];
+            const result = await transfer.sendMacro(sample, p => progress.push(p));
+
+            expect(result.verified).toBe(true);
+            expect(device.connectAttempts).toBe(2);
+            expect(device.writes.some(w => new TextDecoder().decode(w).startsWith('RESUME:'))).toBe(true);
+            const sent = device.writes.filter(w => w[0] === 0x44).map(w => w[1] | (w[2] << 8));
+            expect(sent).toEqual([...Array(18).keys()]);
+            expect(device.storedMacro).toEqual(sample);
+            expect(progress[progress.length - 1]).toBe(100);
+        });
+
+        it('転送の再開に対応していないファームウェアでは、切断されたら失敗する', async () => {
+            const { transfer } = await connectMock({ formats: ['json'], features: ['slots'], mtu: 23, disconnectOnChunk: [3] });
+            await expect(transfer.sendMacro(sample)).rejects.toThrow('転送の再開に対応していません');
+        });
+
+        it('再接続中の Live Bridge 入力は最後のものだけを再接続後に送り、諦めた後は破棄する', async () => {
+            const { device, transfer } = await connectMock();
+            await transfer.sendLiveFrame('L:1:0:0:0:0');
+            device.disconnect();
+            await Promise.resolve();
+            expect(device.live).toEqual({ mask: 0, axes: [0, 0, 0, 0] });
+
+            await transfer.sendLiveFrame('L:2:0:0:0:0');
+            await transfer.sendLiveFrame('L:4:0:0:0:0');
+            await untilState(transfer, 'connected');
+            await new Promise(r => setTimeout(r, 0));
+            expect(device.live).toEqual({ mask: 4, axes: [0, 0, 0, 0] });
+            expect(device.writes.filter(w => w[0] === LIVE_FRAME_MARKER && w[4] === 2)).toHaveLength(0);
+
+            transfer.RECONNECT_MAX_ATTEMPTS = 0;
+            device.disconnect();
+            await untilState(transfer, 'disconnected');
+            await expect(transfer.sendLiveFrame('L:8:0:0:0:0')).resolves.toBeUndefined();
+            expect(transfer.pendingLiveFrame).toBeNull();
+        });
+    });
+
+    describe('Live Bridge', () => {
+        it('ボタンのビットマスクとスティック値をそのまま ATOMS3 に届ける', async () => {
+            const { device, transfer } = await connectMock();
+            const frame = buildLiveFrame([0, 3, 16, 25], [1, -1, 0.5, -0.004]);
+            expect(frame).toBe('L:65545:127:-127:64:-1');
+            await transfer.sendLiveFrame(frame);
+            expect(device.live).toEqual({ mask: 65545, axes: [127, -127, 64, -1] });
+
+            await transfer.sendLiveFrame(NEUTRAL_LIVE_FRAME);
+            expect(device.live).toEqual({ mask: 0, axes: [0, 0, 0, 0] });
+        });
+
+        it('live2 に対応しないファームウェアにはテキスト形式で送る', async () => {
+            const { device, transfer } = await connectMock({ features: ['slots'] });
+            await transfer.sendLiveFrame('L:5:10:0:0:-3');
+            expect(new TextDecoder().decode(device.writes[device.writes.length - 1])).toBe('L:5:10:0:0:-3');
+            expect(device.live).toEqual({ mask: 5, axes: [10, 0, 0, -3] });
+            expect(transfer.live.stopClock).toBeNull();
+        });
+
+        it('入力が変わらなくても送り直し、途絶えるとATOMS3がすべての入力を離す', async () => {
+            const { device, transfer } = await connectMock({ liveFailsafe: 30 });
+            transfer.LIVE_KEEPALIVE_INTERVAL = 5;
+            await transfer.sendLiveFrame('L:1:127:0:0:0');
+            await new Promise(r => setTimeout(r, 80));
+            expect(device.live).toEqual({ mask: 1, axes: [127, 0, 0, 0] });
+            expect(device.writes.filter(w => w[0] === LIVE_FRAME_MARKER).length).toBeGreaterThan(3);
+
+            transfer.stopKeepAlive(); // 通信が途絶えた場合
+            await new Promise(r => setTimeout(r, 60));
+            expect(device.live).toEqual({ mask: 0, axes: [0, 0, 0, 0] });
+        });
+
+        it('キープアライブは非表示のタブでも間引かれない Worker のタイマーで送る', async () => {
+            const { device, transfer } = await connectMock();
+            const clock = { interval: null, tick: null, starts: 0 };
+            transfer.createClock = (interval, onTick) => {
+                Object.assign(clock, { interval, tick: onTick, starts: clock.starts + 1 });
+                return () => { clock.tick = null; };
+            };
+            const liveWrites = () => device.writes.filter(w => w[0] === LIVE_FRAME_MARKER).length;
+
+            await transfer.sendLiveFrame('L:1:0:0:0:0');
+            await transfer.sendLiveFrame('L:3:0:0:0:0');
+            expect(clock).toMatchObject({ interval: transfer.LIVE_KEEPALIVE_INTERVAL, starts: 1 }); // 入力が変わってもタイマーは作り直さない
+            const sent = liveWrites();
+            for (let i = 0; i < 5; i++) await clock.tick();
+            expect(liveWrites()).toBe(sent + 5);
+            expect(device.live.mask).toBe(3);
+
+            // ニュートラルに戻した後もタイマーは止めず、次の入力で使い回す
+            await transfer.sendLiveFrame(NEUTRAL_LIVE_FRAME);
+            const neutral = liveWrites();
+            for (let i = 0; i <= transfer.LIVE_NEUTRAL_REPEATS; i++) await clock.tick();
+            expect(liveWrites()).toBe(neutral + transfer.LIVE_NEUTRAL_REPEATS);
+            await transfer.sendLiveFrame('L:1:0:0:0:0');
+            expect(clock.starts).toBe(1);
+
+            // 接続が切れたら止める
+            device.disconnect();
+            await Promise.resolve();
+            expect(clock.tick).toBeNull();
+            expect(transfer.live.stopClock).toBeNull();
+        });
+
+        it('ニュートラルに戻した後は数回だけ送り直してやめる', async () => {
+            const { device, transfer } = await connectMock();
+            transfer.LIVE_KEEPALIVE_INTERVAL = 1;
+            await transfer.sendLiveFrame(NEUTRAL_LIVE_FRAME);
+            await new Promise(r => setTimeout(r, 30));
+            expect(device.writes.filter(w => w[0] === LIVE_FRAME_MARKER)).toHaveLength(1 + transfer.LIVE_NEUTRAL_REPEATS);
+        });
+
+        it('書き込みを重ねず、書き込み中に変わった入力は最新のものだけを続けて送る', async () => {
+            const { device, transfer } = await connectMock();
+            const clock = { tick: null };
+            transfer.createClock = (interval, onTick) => {
+                clock.tick = onTick;
+                return () => { clock.tick = null; };
+            };
+            await transfer.sendLiveFrame('L:1:0:0:0:0');
+
+            // 書き込みに時間がかかる接続 (GATT の操作が重なれば失敗する)
+            const characteristic = transfer.characteristic;
+            const write = characteristic.writeValueWithoutResponse.bind(characteristic);
+            const masks = [];
+            let busy = false;
+            characteristic.writeValueWithoutResponse = async (data) => {
+                if (busy) throw new Error('GATT operation already in progress');
+                busy = true;
+                await new Promise(r => setTimeout(r, 5));
+                busy = false;
+                masks.push(data[4]);
+                return write(data);
+            };
+
+            const keepAlive = clock.tick();
+            await Promise.all([keepAlive, transfer.sendLiveFrame('L:2:0:0:0:0'), transfer.sendLiveFrame('L:4:0:0:0:0')]);
+            expect(masks).toEqual([1, 4]);
+            expect(device.live.mask).toBe(4);
+        });
+
+        it('遅れて届いた古い入力は捨て、届かなかった入力の数と往復遅延を通知する', async () => {
+            const { device, transfer } = await connectMock({ dropLive: [2] });
+            transfer.LIVE_PING_INTERVAL = 0; // すべての入力でエコーを要求する
+            const stats = [];
+            transfer.onLiveStats = s => stats.push(s);
+            for (const mask of [1, 2, 4]) await transfer.sendLiveFrame(`L:${mask}:0:0:0:0`);
+            await new Promise(r => setTimeout(r, 0));
+            expect(device.live.mask).toBe(4);
+            expect(stats[stats.length - 1]).toMatchObject({ dropped: 1 });
+            expect(stats.every(s => s.rtt >= 0)).toBe(true);
+
+            await transfer.characteristic.writeValueWithoutResponse(encodeLiveFrame({ seq: 1, mask: 8, axes: [0, 0, 0, 0] }));
+            expect(device.live.mask).toBe(4);
+
+            // 長く操作して連番が一周しても新しい入力として受け付ける
+            transfer.live.seq = device.liveSeq = 0xFFFE;
+            await transfer.sendLiveFrame('L:16:0:0:0:0');
+            expect(device.live.mask).toBe(16);
+            await transfer.sendLiveFrame(NEUTRAL_LIVE_FRAME);
+            expect(device.liveSeq).toBe(0);
+            expect(device.live).toEqual({ mask: 0, axes: [0, 0, 0, 0] });
+        });
+
+        it('未接続なら何もしない', async () => {
+            const transfer = new BLETransfer({ bluetooth: createMockBluetooth(new MockATOMS3()) });
+            await expect(transfer.sendLiveFrame(NEUTRAL_LIVE_FRAME)).resolves.toBeUndefined();
+        });
+    });
+
+    describe('転送', () => {
+        const macro = { ...sample, meta: { ...sample.meta, name: MULTIBYTE_NAME } };
+
+        it('v2: 文字の途中で分割されたチャンクを正しく結合する', async () => {
+            const { device, transfer } = await connectMock({ formats: ['json'], mtu: 23 });
+            const result = await transfer.sendMacro(macro);
+
+            // MTU 23 ではチャンク20バイト・ペイロード17バイト (3・4バイト文字の境界とずれる)
+            expect(result).toMatchObject({ verified: true, format: 'json', chunkSize: 20 });
+            const frames = device.writes.filter(w => w[0] === 0x44 && w.length === 20);
+            expect(frames.some(frame => !isValidUtf8(frame.slice(3)))).toBe(true);
+            expect(device.storedMacro.meta.name).toBe(MULTIBYTE_NAME);
+            expect(device.storedMacro.events).toEqual(sample.events);
+        });
+
+        it('旧転送: 文字の途中で分割されたチャンクを正しく結合する', async () => {
+            const { device, transfer } = await connectMock({ notify: false });
+            transfer.CHUNK_SIZE = 16;
+            const progress = [];
+            const result = await transfer.sendMacro(macro, p => progress.push(p));
+
+            expect(result.verified).toBe(false);
+            expect(device.writes.slice(1, -1).some(chunk => !isValidUtf8(chunk))).toBe(true);
+            expect(device.storedMacro.meta.name).toBe(MULTIBYTE_NAME);
+            expect(progress[progress.length - 1]).toBe(100);
+        });
+
+        it('チャンクの大きさちょうどのデータでも余分なチャンクを送らない', async () => {
+            const length = new TextEncoder().encode(JSON.stringify(sample)).length;
+            const { device, transfer } = await connectMock({ formats: ['json'], mtu: length + 6 });
+
+            await transfer.sendMacro(sample);
+            const frames = device.writes.filter(w => w[0] === 0x44);
+            expect(frames).toHaveLength(1);
+            expect(frames[0]).toHaveLength(length + 3);
+            expect(device.storedMacro).toEqual(sample);
+        });
+
+        it('取りこぼしたチャンクだけを再送する', async () => {
+            const { device, transfer } = await connectMock({ dropOnce: [1, 4], mtu: 11 }); // バイナリ形式で7チャンク
+            await transfer.sendMacro(sample);
+
+            const sent = device.writes.filter(w => w[0] === 0x44).map(w => w[1] | (w[2] << 8));
+            expect(sent.filter(seq => seq === 1)).toHaveLength(2);
+            expect(sent.filter(seq => seq === 4)).toHaveLength(2);
+            expect(sent.filter(seq => seq === 0)).toHaveLength(1);
+            expect(device.storedMacro.events).toHaveLength(sample.events.length);
+        });
+
+        it('スロットと名前を指定して保存する', async () => {
+            const { device, transfer } = await connectMock();
+            await transfer.sendMacro(sample, null, { slot: 3, name: '孵化: 5番道路' });
+            expect(device.active).toBe(3);
+            expect(device.slots[3].name).toBe('孵化: 5番道路');
+
+            const table = await transfer.listSlots();
+            expect(table.active).toBe(3);
+            expect(table.slots[0]).toMatchObject({ slot: 3, name: '孵化: 5番道路', format: 'bin' });
+        });
+
+        it('保存したマクロを読み出すと同じ内容に戻る', async () => {
+            const { transfer } = await connectMock({ formats: ['json'], mtu: 23 });
+            transfer.CHUNK_SIZE = 20;
+            await transfer.sendMacro(macro, null, { slot: 1, name: 'a' });
+            const result = await transfer.readMacro(1);
+            expect(result.macro).toEqual(macro);
+        });
+    });
+
+    describe('転送速度', () => {
+        // SYNC などのコマンドを挟まずに続けて書き込まれたデータチャンクの最大数
+        const longestBurst = (writes) => {
+            let longest = 0;
+            let run = 0;
+            writes.forEach(w => {
+                run = w[0] === 0x44 ? run + 1 : 0;
+                longest = Math.max(longest, run);
+            });
+            return longest;
+        };
+
+        it('MTUに合わせたチャンクを応答なしで書き込み、速度と残り時間を通知する', async () => {
+            const { device, transfer } = await connectMock({ formats: ['json'], mtu: 64 });
+            const updates = [];
+            const result = await transfer.sendMacro(sample, (percent, stats) => updates.push({ percent, ...stats }));
+
+            expect(result.chunkSize).toBe(61);
+            expect(result.rate).toBeGreaterThan(0);
+            const frames = device.writes.filter(w => w[0] === 0x44);
+            expect(frames.every(frame => frame.length <= 61)).toBe(true);
+            expect(device.writesWithoutResponse).toBe(frames.length);
+
+            const last = updates[updates.length - 1];
+            expect(last).toMatchObject({ percent: 100, bytes: last.total, eta: 0 });
+            expect(updates.every(u => u.bytes <= u.total && u.rate > 0)).toBe(true);
+        });
+
+        it('MTUを通知しないファームウェアには従来どおり応答ありで書き込む', async () => {
+            const { device, transfer } = await connectMock({ mtu: null });
+            const result = await transfer.sendMacro(sample);
+            expect(result.chunkSize).toBe(transfer.CHUNK_SIZE);
+            expect(device.writesWithoutResponse).toBe(0);
+            expect(device.storedMacro.events).toHaveLength(sample.events.length);
+        });
+
+        it('ATOMS3が処理を通知するまでクレジットを超えて送らない', async () => {
+            const { device, transfer } = await connectMock({ formats: ['json'], mtu: 23, credits: 4 });
+            await transfer.sendMacro(sample);
+            expect(device.storedMacro).toEqual(sample);
+            expect(transfer.pacing).toBe(0);
+
+            // 通知が止まったら、クレジット分だけ送って SYNC で受信状況を確かめる
+            const stalled = await connectMock({ mtu: 11, credits: 2, stallCredits: true });
+            stalled.transfer.REPLY_TIMEOUT = 30;
+            await stalled.transfer.sendMacro(sample);
+            expect(longestBurst(stalled.device.writes)).toBe(2);
+            expect(stalled.device.storedMacro.events).toHaveLength(sample.events.length);
+            expect(stalled.transfer.pacing).toBeGreaterThan(0);
+        });
+
+        it('取りこぼしがあれば書き込みの間隔を広げ、順調なら縮める', async () => {
+            const { device, transfer } = await connectMock({ formats: ['json'], mtu: 23, dropOnce: [17] }); // 最後のウィンドウで取りこぼす
+            await transfer.sendMacro(sample);
+            expect(transfer.pacing).toBe(2);
+
+            await transfer.sendMacro(sample);
+            expect(transfer.pacing).toBe(0);
+            expect(device.storedMacro).toEqual(sample);
+        });
+    });
+
+    describe('転送の失敗', () => {
+        it('何度送っても届かないチャンクがあれば再送を諦める', async () => {
+            const { device, transfer } = await connectMock({ dropAlways: [2], mtu: 19 });
+            transfer.MAX_RETRIES = 2;
+            await expect(transfer.sendMacro(sample)).rejects.toThrow('チャンク 2 の再送に失敗しました');
+            expect(device.storedMacro).toBeNull();
+        });
+
+        it('CRC が一致しなければ保存せず、理由を付けて失敗する', async () => {
+            const { device, transfer } = await connectMock({ corrupt: true });
+            const error = await transfer.sendMacro(sample).catch(e => e);
+            expect(error.message).toBe('データが破損しています (CRC不一致)');
+            expect(error.reason).toBe('CRC');
+            expect(device.storedMacro).toBeNull();
+            expect(device.status).toBe('ERROR');
+        });
+
+        it('存在しないスロットを指定するとヘッダーの段階で失敗する', async () => {
+            const { transfer } = await connectMock();
+            await expect(transfer.sendMacro(sample, null, { slot: 9 })).rejects.toThrow('指定したスロットがありません');
+        });
+
+        it('スロット非対応のファームウェアにスロットを指定すると送信しない', async () => {
+            const { device, transfer } = await connectMock({ features: [] });
+            await expect(transfer.sendMacro(sample, null, { slot: 0 })).rejects.toThrow('スロットに対応していません');
+            expect(device.writes.some(w => new TextDecoder().decode(w).startsWith('START'))).toBe(false);
+        });
+
+        it('ランダムな時間に対応しないファームウェアには時刻を決めてから送る', async () => {
+            const macro = { ...sample, events: sample.events.map((ev, i) => (i === 1 ? { ...ev, jitter: 20 } : ev)) };
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const { device, transfer } = await connectMock({ features: ['slots'] });
+            await transfer.sendMacro(macro);
+            expect(device.storedMacro.events.some(ev => 'jitter' in ev)).toBe(false);
+            expect(device.storedMacro.events[1].t - sample.events[1].t).toBeLessThanOrEqual(20);
+            warn.mockRestore();
+
+            const current = await connectMock();
+            await current.transfer.sendMacro(macro);
+            expect(current.device.storedMacro.events[1].jitter).toBe(20);
+        });
+
+        it('ループの区間に対応しないファームウェアには周回を展開してから送る', async () => {
+            const events = sample.events.map((ev, i) => (i === 3 ? { ...ev, outroStart: true } : ev));
+            const macro = { ...sample, events, loop: { enabled: true, count: 2, interval: 0 } };
+            const { device, transfer } = await connectMock({ features: ['slots', 'timing'] });
+            await transfer.sendMacro(macro);
+            expect(device.storedMacro.loop.enabled).toBe(false);
+            expect(device.storedMacro.events.map(ev => ev.t)).toEqual([0, 100, 200, 500, 600, 700, 1000, 1100]);
+
+            const infinite = { ...macro, loop: { enabled: true, count: 0 } };
+            await expect(transfer.sendMacro(infinite)).rejects.toThrow('ファームウェアを更新してください');
+        });
+
+        it('解析に失敗したマクロはオフセット付きで報告され、保存済みのマクロは残る', async () => {
+            const { device, transfer } = await connectMock();
+            await transfer.sendMacro(sample);
+
+            const broken = new TextEncoder().encode('{"events": [}');
+            const encoder = new TextEncoder();
+            await transfer.characteristic.writeValue(encoder.encode(buildHeader({ length: broken.length, crc: crc32(broken), chunkSize: 128, format: 'json' })));
+            await transfer.waitForMessage(['RDY'], transfer.REPLY_TIMEOUT);
+            await transfer.characteristic.writeValue(buildDataFrame(0, broken));
+            await transfer.characteristic.writeValue(encoder.encode('END'));
+            const reply = await transfer.waitForMessage(['OK', 'ERR'], transfer.RESULT_TIMEOUT);
+
+            expect(reply).toEqual({ type: 'ERR', reason: 'PARSE', offset: 12 });
+            expect(device.storedMacro.events).toHaveLength(sample.events.length);
+        });
+
+        it('応答が無ければタイムアウトで失敗する', async () => {
+            const { transfer } = await connectMock({ silent: true });
+            await expect(transfer.sendMacro(sample)).rejects.toThrow('ATOMS3からの応答がありません (RDY/ERR)');
+        });
+
+        it('未接続なら送信しない', async () => {
+            const transfer = new BLETransfer({ bluetooth: createMockBluetooth(new MockATOMS3()) });
+            await expect(transfer.sendMacro(sample)).rejects.toThrow('Not connected');
+        });
+    });
+
+    describe('再生操作', () => {
+        it('再生・一時停止・停止の状態が通知される', async () => {
+            const { transfer } = await connectMock();
+            const states = [];
+            transfer.onStatus = status => states.push(status);
+            await transfer.sendMacro(sample);
+
+            for (const action of ['play', 'pause', 'play', 'stop']) {
+                await transfer.sendPlaybackCommand(action);
+                await Promise.resolve();
+            }
+            expect(states.map(s => s.state)).toEqual(['PLAYING', 'PAUSED', 'PLAYING', 'CONNECTED']);
+            expect(states[0].eventCount).toBe(sample.events.length);
+        });
+    });
+});
+
+/**
+ * 書き込みに台本どおりの通知を返すメモリ上のキャラクタリスティック (v2 転送プロトコルの単体テスト用)
+ * @param {function} respond (書き込み内容の文字列, バイト列) => 返す通知の文字列の配列
+ */
+const createFakeCharacteristics = (respond) => {
+    const writes = [];
+    const tx = {};
+    const rx = {
+        writeValue: async (bytes) => {
+            const data = new Uint8Array(bytes);
+            writes.push(data);
+            const replies = respond(new TextDecoder().decode(data), data) || [];
+            setTimeout(() => replies.forEach(text => {
+                const value = new DataView(new TextEncoder().encode(text).buffer);
+                tx.onNotify({ target: { value } });
+            }), 0);
+        }
+    };
+    const transfer = new BLETransfer();
+    transfer.REPLY_TIMEOUT = 100;
+    transfer.RESULT_TIMEOUT = 100;
+    transfer.characteristic = rx;
+    transfer.notifyCharacteristic = tx;
+    tx.onNotify = transfer.handleNotification;
+    const frames = () => writes.filter(w => w[0] === 0x44).map(w => ({ seq: w[1] | (w[2] << 8), payload: w.slice(3) }));
+    return { transfer, writes, frames };
+};
+
+describe('BLETransfer (v2 転送プロトコル)', () => {
+    beforeEach(() => {
+        ['log', 'warn'].forEach(level => vi.spyOn(console, level).mockImplementation(() => { }));
+    });
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    const macro = { ...sample, meta: { ...sample.meta, name: MULTIBYTE_NAME } };
+    const reply = (handlers) => (text) => {
+        const command = text.split(':')[0];
+        return handlers[command]?.(text);
+    };
+
+    it('ヘッダーにデータ長・CRC・チャンクの大きさを付け、連番付きのチャンクで送る', async () => {
+        const { transfer, writes, frames } = createFakeCharacteristics(reply({
+            INFO: () => ['INFO:2:json'],
+            START: () => ['RDY:0'],
+            SYNC: () => ['ACK:0'],
+            END: () => ['OK:0']
+        }));
+        await transfer.sendMacro(macro);
+
+        const bytes = new TextEncoder().encode(JSON.stringify(macro));
+        const header = new TextDecoder().decode(writes.find(w => new TextDecoder().decode(w).startsWith('START')));
+        expect(header).toBe(buildHeader({ length: bytes.length, crc: crc32(bytes), chunkSize: 128, format: 'json' }));
+
+        const sent = frames();
+        expect(sent.map(f => f.seq)).toEqual(sent.map((_, i) => i));
+        const joined = new Uint8Array(sent.reduce((n, f) => n + f.payload.length, 0));
+        sent.reduce((offset, f) => { joined.set(f.payload, offset); return offset + f.payload.length; }, 0);
+        expect(crc32(joined)).toBe(crc32(bytes));
+    });
+
+    it('NACK で通知されたチャンクだけを再送する', async () => {
+        let synced = 0;
+        const { transfer, frames } = createFakeCharacteristics(reply({
+            INFO: () => ['INFO:2:json'],
+            START: () => ['RDY:0'],
+            SYNC: (text) => [synced++ === 0 ? 'NACK:0,2' : `ACK:${text.split(':')[1]}`],
+            END: () => ['OK:0']
+        }));
+        const result = await transfer.sendMacro(macro);
+
+        // 最初のウィンドウを送った後、欠落した 0 と 2 だけを送り直す
+        const seqs = frames().map(f => f.seq);
+        const window = Math.min(Math.ceil(new TextEncoder().encode(JSON.stringify(macro)).length / 125), transfer.WINDOW_SIZE);
+        expect(window).toBeGreaterThan(2);
+        expect(seqs.slice(0, window + 2)).toEqual([...Array(window).keys(), 0, 2]);
+        expect(seqs.filter(seq => seq === 1)).toHaveLength(1);
+        expect(result.verified).toBe(true);
+    });
+
+    it('ERR:PARSE:<オフセット> は解析に失敗した位置を付けて失敗する', async () => {
+        const { transfer } = createFakeCharacteristics(reply({
+            INFO: () => ['INFO:2:json'],
+            START: () => ['RDY:0'],
+            SYNC: (text) => [`ACK:${text.split(':')[1]}`],
+            END: () => ['ERR:PARSE:42']
+        }));
+        const error = await transfer.sendMacro(macro).catch(e => e);
+        expect(error.message).toBe('マクロの解析に失敗しました (オフセット 42)');
+        expect(error).toMatchObject({ reason: 'PARSE', offset: 42 });
+    });
+});
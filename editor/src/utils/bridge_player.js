@@ -0,0 +1,150 @@
+import { getTimeline } from './playback_engine';
+import { buildLiveFrame, NEUTRAL_LIVE_FRAME } from './transfer_protocol';
+
+/**
+ * Live Bridge 経由でのマクロ再生クラス
+ * 目的: マクロをATOMS3に転送せず、ブラウザ側で時刻を管理しながら "L:" フレームを送り、
+ *       編集結果をすぐに実機のSwitchで確認できるようにする。
+ *
+ * 各イベントの送信時刻は再生開始からの絶対時刻で計算するため、タイマーの遅れや送信にかかった時間は
+ * 次のイベントまでの待ち時間で吸収され、誤差が累積しない。
+ * ループの扱いはファームウェアの MacroPlayer と同じ (途中の行から開始した場合も、2周目以降は本体の先頭から。
+ * イントロ・アウトロは1回だけ)。
+ */
+export class BridgePlayer {
+    /**
+     * @param {object} ble sendLiveFrame(payload) と characteristic を持つ転送インスタンス (BLETransfer)
+     * @param {object} options now: 現在時刻 (ms) の取得関数
+     */
+    constructor(ble, { now = () => performance.now() } = {}) {
+        this.ble = ble;
+        this.now = now;
+        this.session = 0;      // 停止・再開始の後に古いタイマーが動かないよう、再生ごとに増やす
+        this.running = false;
+        this.timer = null;
+        this.inFlight = null;  // 送信中のフレーム (停止時はこれを待ってからニュートラルを送る)
+        this.handlers = {};
+    }
+
+    get isPlaying() {
+        return this.running;
+    }
+
+    /**
+     * 再生を開始する
+     * @param {object} macro 再生するマクロ (開始時点の内容で再生し、途中の編集は反映しない)
+     * @param {object} options fromIndex: 開始するイベント,
+     *                         onProgress({eventIndex, iteration, iterations}): イベント送信ごと,
+     *                         onFinish(reason): 'done' / 'stopped' / 'disconnected',
+     *                         mix({b, a}): 送る入力を差し替える関数 (周回の終わりのニュートラルにも適用。パンチイン記録用)
+     */
+    start(macro, { fromIndex = 0, onProgress, onFinish, mix = null } = {}) {
+        const events = macro.events || [];
+        if (events.length === 0) throw new Error("再生するイベントがありません");
+        if (fromIndex < 0 || fromIndex >= events.length) throw new Error(`開始位置が範囲外です (${fromIndex})`);
+
+        this.cancel();
+        const session = ++this.session;
+        this.running = true;
+        this.events = events;
+        this.timeline = getTimeline(macro);
+        this.handlers = { onProgress, onFinish };
+        this.mix = mix;
+        this.index = fromIndex;
+        this.iteration = 0;
+        this.origin = this.now() - events[fromIndex].t; // 1周目の t=0 に相当する時刻
+
+        this.run(session);
+    }
+
+    /**
+     * 再生を停止し、必ずニュートラルのフレームを送る
+     */
+    async stop() {
+        const wasRunning = this.running;
+        this.cancel();
+        if (this.inFlight) await this.inFlight;
+        await this.ble.sendLiveFrame(NEUTRAL_LIVE_FRAME);
+        if (wasRunning) this.handlers.onFinish?.('stopped');
+    }
+
+    /**
+     * タイマーを止める (フレームは送らない)
+     */
+    cancel() {
+        this.session++;
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    finish(reason) {
+        this.cancel();
+        this.handlers.onFinish?.(reason);
+    }
+
+    /**
+     * 現在のイベントを送信し、次のイベントの送信を予約する
+     * @param {Function} action 省略時はイベントの送信 (周回の終わりでは endIteration)
+     */
+    run(session, action = () => this.step(session)) {
+        this.inFlight = action().finally(() => {
+            if (this.session === session) this.inFlight = null;
+        });
+    }
+
+    async step(session) {
+        if (this.session !== session) return;
+        if (!this.ble.characteristic) {
+            // 切断された: ATOMS3側は切断時にニュートラルに戻している。
+            // 再接続中ならニュートラルを送る入力として残し、押していた入力が再接続後に送り直されないようにする
+            this.finish('disconnected');
+            await this.ble.sendLiveFrame(NEUTRAL_LIVE_FRAME);
+            return;
+        }
+
+        const ev = this.events[this.index];
+        const { b, a } = this.mix ? this.mix(ev) : ev;
+        await this.ble.sendLiveFrame(buildLiveFrame(b, a));
+        if (this.session !== session) return;
+        this.handlers.onProgress?.({ eventIndex: this.index, iteration: this.iteration, iterations: this.timeline.iterations });
+
+        this.index++;
+        const { parts, iterations } = this.timeline;
+        const isLast = this.iteration + 1 >= iterations || this.index > parts.end;
+        if (this.index >= this.events.length) {
+            await this.endIteration(session, isLast);
+        } else if (this.index === parts.end && !isLast) {
+            // アウトロの手前で周回を終える (アウトロの先頭の時刻まで最後の入力を保持する)
+            this.schedule(session, parts.endTime, () => this.endIteration(session, false));
+        } else {
+            this.schedule(session, this.events[this.index].t);
+        }
+    }
+
+    /**
+     * 周回を終え、ファームウェアと同様にニュートラルに戻してから次の周回を予約する
+     */
+    async endIteration(session, isLast) {
+        const neutral = this.mix ? this.mix({ b: [], a: [0, 0, 0, 0] }) : null;
+        await this.ble.sendLiveFrame(neutral ? buildLiveFrame(neutral.b, neutral.a) : NEUTRAL_LIVE_FRAME);
+        if (this.session !== session) return;
+        if (isLast) {
+            this.finish('done');
+            return;
+        }
+        const { parts, period } = this.timeline;
+        this.iteration++;
+        this.index = parts.start;
+        this.origin += period;
+        this.schedule(session, this.events[this.index].t);
+    }
+
+    /**
+     * マクロの時刻 t になったら run を呼ぶ
+     */
+    schedule(session, t, action) {
+        const delay = Math.max(0, this.origin + t - this.now());
+        this.timer = setTimeout(() => this.run(session, action), delay);
+    }
+}
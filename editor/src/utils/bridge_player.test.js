@@ -0,0 +1,148 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import sample from '../../../schema/sample_macro.json';
+import { BridgePlayer } from './bridge_player';
+import { BLETransfer } from './ble_transfer';
+import { MockATOMS3, createMockBluetooth } from './mock_atoms3';
+import { NEUTRAL_LIVE_FRAME } from './transfer_protocol';
+
+/**
+ * 送信したフレームと時刻を記録する BLETransfer の代わり
+ */
+const createFakeBle = (latency = 0) => {
+    const ble = {
+        characteristic: {},
+        frames: [],
+        sendLiveFrame: async (payload) => {
+            if (latency > 0) await new Promise(r => setTimeout(r, latency));
+            ble.frames.push({ time: Date.now(), payload });
+        }
+    };
+    return ble;
+};
+
+describe('BridgePlayer', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(0);
+    });
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('各イベントを t の時刻に送り、最後にニュートラルに戻す', async () => {
+        const ble = createFakeBle();
+        const onFinish = vi.fn();
+        new BridgePlayer(ble, { now: Date.now }).start(sample, { onFinish });
+        await vi.runAllTimersAsync();
+
+        expect(ble.frames.map(f => f.time)).toEqual([0, 100, 200, 500, 600, 600]);
+        expect(ble.frames[1].payload).toBe('L:4:0:0:0:0');
+        expect(ble.frames[ble.frames.length - 1].payload).toBe(NEUTRAL_LIVE_FRAME);
+        expect(onFinish).toHaveBeenCalledWith('done');
+    });
+
+    it('送信の遅れが累積しない', async () => {
+        const ble = createFakeBle(30);
+        new BridgePlayer(ble, { now: Date.now }).start(sample);
+        await vi.runAllTimersAsync();
+
+        // 各フレームは送信遅延分 (30ms) だけ遅れるが、後のイベントほど遅れが増えることはない
+        expect(ble.frames.map(f => f.time)).toEqual([30, 130, 230, 530, 630, 660]);
+    });
+
+    it('選択行から開始し、2周目以降は先頭から再生する', async () => {
+        const ble = createFakeBle();
+        const progress = [];
+        const macro = { ...sample, loop: { enabled: true, count: 2, interval: 1 } };
+        new BridgePlayer(ble, { now: Date.now }).start(macro, {
+            fromIndex: 3,
+            onProgress: (p) => progress.push(`${p.iteration}:${p.eventIndex}`)
+        });
+        await vi.runAllTimersAsync();
+
+        expect(progress).toEqual(['0:3', '0:4', '1:0', '1:1', '1:2', '1:3', '1:4']);
+        // 500ms から開始: 600ms で1周目が終わり、1秒待ってから2周目 (t=0)
+        expect(ble.frames.find(f => f.payload === 'L:0:0:0:0:0' && f.time > 600).time).toBe(1100);
+    });
+
+    it('2周目以降はループの本体の先頭から再生し、アウトロは最後に1回だけ送る', async () => {
+        const ble = createFakeBle();
+        const progress = [];
+        const events = sample.events.map((ev, i) => ({ ...ev, ...(i === 1 ? { loopStart: true } : {}), ...(i === 3 ? { outroStart: true } : {}) }));
+        new BridgePlayer(ble, { now: Date.now }).start({ ...sample, events, loop: { enabled: true, count: 2, interval: 1 } }, {
+            onProgress: (p) => progress.push(`${p.iteration}:${p.eventIndex}`)
+        });
+        await vi.runAllTimersAsync();
+
+        expect(progress).toEqual(['0:0', '0:1', '0:2', '1:1', '1:2', '1:3', '1:4']);
+        // 1周目は本体の終わり (アウトロの先頭 500ms) でニュートラルに戻り、1秒後に t=100 のイベントから2周目を始める
+        expect(ble.frames.map(f => f.time)).toEqual([0, 100, 200, 500, 1500, 1600, 1900, 2000, 2000]);
+    });
+
+    it('mix で送る入力を差し替える (周回の終わりのニュートラルにも適用する)', async () => {
+        const ble = createFakeBle();
+        new BridgePlayer(ble, { now: Date.now }).start(sample, { mix: (frame) => ({ b: [...frame.b, 3], a: frame.a }) });
+        await vi.runAllTimersAsync();
+
+        expect(ble.frames.map(f => f.payload)).toEqual(['L:8:0:0:0:0', 'L:12:0:0:0:0', 'L:8:0:0:0:0', 'L:9:0:0:0:0', 'L:8:0:0:0:0', 'L:8:0:0:0:0']);
+    });
+
+    it('停止すると予約中のイベントを取り消してニュートラルを送る', async () => {
+        const ble = createFakeBle();
+        const onFinish = vi.fn();
+        const player = new BridgePlayer(ble, { now: Date.now });
+        player.start(sample, { onFinish });
+        await vi.advanceTimersByTimeAsync(150);
+        await player.stop();
+        await vi.runAllTimersAsync();
+
+        expect(ble.frames.map(f => f.payload)).toEqual(['L:0:0:0:0:0', 'L:4:0:0:0:0', NEUTRAL_LIVE_FRAME]);
+        expect(player.isPlaying).toBe(false);
+        expect(onFinish).toHaveBeenCalledWith('stopped');
+    });
+
+    it('切断されたら再生を終了する', async () => {
+        const ble = createFakeBle();
+        const onFinish = vi.fn();
+        new BridgePlayer(ble, { now: Date.now }).start(sample, { onFinish });
+        await vi.advanceTimersByTimeAsync(150);
+        ble.characteristic = null;
+        await vi.runAllTimersAsync();
+
+        // 再接続中の BLETransfer にはニュートラルを残す (押していた入力を再接続後に送り直させない)
+        expect(ble.frames.map(f => f.payload)).toEqual(['L:0:0:0:0:0', 'L:4:0:0:0:0', NEUTRAL_LIVE_FRAME]);
+        expect(onFinish).toHaveBeenCalledWith('disconnected');
+    });
+});
+
+describe('BridgePlayer (ATOMS3 シミュレーター)', () => {
+    beforeEach(() => {
+        ['log', 'warn', 'error'].forEach(level => vi.spyOn(console, level).mockImplementation(() => { }));
+    });
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('押している間に切断され、再接続中に離すイベントが来ても、再接続後に押し直さない', async () => {
+        const device = new MockATOMS3();
+        const transfer = new BLETransfer({ bluetooth: createMockBluetooth(device, { authorized: true }) });
+        transfer.LIVE_KEEPALIVE_INTERVAL = 5;
+        transfer.RECONNECT_BASE_DELAY = 60;
+        await transfer.connect();
+
+        const onFinish = vi.fn();
+        const macro = { ...sample, events: [{ t: 0, b: [2], a: [0, 0, 0, 0] }, { t: 30, b: [], a: [0, 0, 0, 0] }] };
+        new BridgePlayer(transfer).start(macro, { onFinish });
+        await new Promise(r => setTimeout(r, 10));
+        expect(device.live.mask).toBe(4);
+
+        device.disconnect(); // 離すイベント (30ms) は再接続 (60ms 後) より前に来る
+        await new Promise(r => setTimeout(r, 40));
+        expect(onFinish).toHaveBeenCalledWith('disconnected');
+
+        await new Promise(r => setTimeout(r, 60));
+        expect(transfer.connectionState).toBe('connected');
+        expect(device.live).toEqual({ mask: 0, axes: [0, 0, 0, 0] });
+        expect(transfer.live.repeats).not.toBe(Infinity);
+    });
+});
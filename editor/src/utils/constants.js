@@ -48,32 +48,41 @@ export const ORDERED_BUTTONS = [
 ];
 
 /**
- * Gamepad API (Standard Mapping) のインデックスを Switch HID インデックスに変換する
+ * 既定のコントローラ割り当て (Gamepad API の Standard Mapping)
+ * 物理配置に合わせるため、A/B と X/Y は Switch の配置に入れ替えている。
+ *
+ * buttons: HIDビット -> 入力元
+ *   { type: 'button', index }                    ボタン
+ *   { type: 'axis', index, direction, threshold } 軸 (アナログトリガーなど)。direction 方向に threshold を超えたら押下
+ *   { type: 'hat', index, direction }            ハットスイッチを1本の軸で報告するパッドの十字キー (0=上, 2=右, 4=下, 6=左)
+ * axes: LX, LY, RX, RY の順に { index: 軸番号, invert: 反転 }
  */
-export const rawToHidIndices = (rawIndices) => {
-    const mapped = [];
-    rawIndices.forEach(idx => {
-        switch (idx) {
-            case 2: mapped.push(HID_BUTTONS.Y); break;  // Y
-            case 0: mapped.push(HID_BUTTONS.B); break;  // B
-            case 1: mapped.push(HID_BUTTONS.A); break;  // A
-            case 3: mapped.push(HID_BUTTONS.X); break;  // X
-            case 4: mapped.push(HID_BUTTONS.L); break;
-            case 5: mapped.push(HID_BUTTONS.R); break;
-            case 6: mapped.push(HID_BUTTONS.ZL); break;
-            case 7: mapped.push(HID_BUTTONS.ZR); break;
-            case 8: mapped.push(HID_BUTTONS.MINUS); break;
-            case 9: mapped.push(HID_BUTTONS.PLUS); break;
-            case 10: mapped.push(HID_BUTTONS.LS); break;
-            case 11: mapped.push(HID_BUTTONS.RS); break;
-            case 16: mapped.push(HID_BUTTONS.HOME); break;
-            case 17: mapped.push(HID_BUTTONS.CAPTURE); break;
-            case 12: mapped.push(HID_BUTTONS.UP); break;
-            case 13: mapped.push(HID_BUTTONS.DOWN); break;
-            case 14: mapped.push(HID_BUTTONS.LEFT); break;
-            case 15: mapped.push(HID_BUTTONS.RIGHT); break;
-            default: break;
-        }
-    });
-    return mapped;
+export const STANDARD_PROFILE = {
+    name: 'Standard Gamepad',
+    buttons: {
+        [HID_BUTTONS.Y]: { type: 'button', index: 2 },
+        [HID_BUTTONS.B]: { type: 'button', index: 0 },
+        [HID_BUTTONS.A]: { type: 'button', index: 1 },
+        [HID_BUTTONS.X]: { type: 'button', index: 3 },
+        [HID_BUTTONS.L]: { type: 'button', index: 4 },
+        [HID_BUTTONS.R]: { type: 'button', index: 5 },
+        [HID_BUTTONS.ZL]: { type: 'button', index: 6 },
+        [HID_BUTTONS.ZR]: { type: 'button', index: 7 },
+        [HID_BUTTONS.MINUS]: { type: 'button', index: 8 },
+        [HID_BUTTONS.PLUS]: { type: 'button', index: 9 },
+        [HID_BUTTONS.LS]: { type: 'button', index: 10 },
+        [HID_BUTTONS.RS]: { type: 'button', index: 11 },
+        [HID_BUTTONS.HOME]: { type: 'button', index: 16 },
+        [HID_BUTTONS.CAPTURE]: { type: 'button', index: 17 },
+        [HID_BUTTONS.UP]: { type: 'button', index: 12 },
+        [HID_BUTTONS.DOWN]: { type: 'button', index: 13 },
+        [HID_BUTTONS.LEFT]: { type: 'button', index: 14 },
+        [HID_BUTTONS.RIGHT]: { type: 'button', index: 15 }
+    },
+    axes: [
+        { index: 0, invert: false },
+        { index: 1, invert: false },
+        { index: 2, invert: false },
+        { index: 3, invert: false }
+    ]
 };
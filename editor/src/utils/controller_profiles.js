@@ -0,0 +1,245 @@
+/**
+ * コントローラの割り当てプロファイル
+ * 目的: 8BitDo・DualSense・DirectInput の汎用パッドなど、Standard Mapping と異なるインデックスで
+ *       ボタン・軸を報告するコントローラでも正しく記録できるよう、割り当てを gamepad.id ごとに保存する。
+ *
+ * プロファイルの形式は constants.js の STANDARD_PROFILE を参照。
+ * 保存先は localStorage (gamepad.id -> プロファイル)。未登録のコントローラには STANDARD_PROFILE を使う。
+ * スティックの補正 (stick_calibration.js) も同じくコントローラごとに保存する。
+ */
+
+import { HID_BUTTONS, ORDERED_BUTTONS, STANDARD_PROFILE } from './constants';
+import { DEFAULT_CALIBRATION, normalizeCalibration } from './stick_calibration';
+
+const STORAGE_KEY = 'switch-macro-controller.profiles';
+const CALIBRATION_STORAGE_KEY = 'switch-macro-controller.calibration';
+const EXPORT_FORMAT = 'switch-macro-controller-profile';
+
+const AXIS_DETECT_THRESHOLD = 0.6; // ウィザードで「軸を動かした」とみなす変化量
+const HAT_REST_MIN = 1.05;        // ハット軸は中立時に範囲外 (約 1.29) の値を報告する
+const TRIGGER_BUTTONS = [HID_BUTTONS.ZL, HID_BUTTONS.ZR]; // アナログ値のしきい値を適用するボタン
+
+export const AXIS_LABELS = ['LX', 'LY', 'RX', 'RY'];
+
+// --- 入力の読み取り ---
+
+/**
+ * ハット軸の値を8方向 (0=上, 1=右上, ... 7=左上) に変換する (中立なら null)
+ */
+const hatDirection = (value) => {
+    if (value === undefined || Math.abs(value) > HAT_REST_MIN) return null;
+    return Math.round((value + 1) * 3.5) % 8;
+};
+
+/**
+ * 入力元が押されているか
+ * @param {number} analogThreshold ボタンのアナログ値で判定する場合のしきい値 (省略時はブラウザの pressed)
+ */
+export const isBindingActive = (binding, gamepad, analogThreshold) => {
+    switch (binding.type) {
+        case 'button': {
+            const button = gamepad.buttons[binding.index];
+            if (!button) return false;
+            return analogThreshold === undefined ? button.pressed : button.value > analogThreshold;
+        }
+        case 'axis': {
+            const value = gamepad.axes[binding.index];
+            if (value === undefined) return false;
+            return binding.direction > 0 ? value > binding.threshold : value < binding.threshold;
+        }
+        case 'hat': {
+            // 斜め入力は隣り合う2方向の両方を押したものとして扱う
+            const dir = hatDirection(gamepad.axes[binding.index]);
+            if (dir === null) return false;
+            const diff = Math.abs(dir - binding.direction);
+            return Math.min(diff, 8 - diff) <= 1;
+        }
+        default:
+            return false;
+    }
+};
+
+/**
+ * プロファイルに従ってゲームパッドの状態を Switch の入力に変換する
+ * @param {object} options triggerThreshold: ZL/ZR のアナログ値の押下しきい値
+ * @returns {{b: number[], a: number[]}} b: 押されているHIDビット, a: LX, LY, RX, RY (デッドゾーン適用前)
+ */
+export const readGamepad = (gamepad, profile = STANDARD_PROFILE, { triggerThreshold } = {}) => {
+    const b = [];
+    ORDERED_BUTTONS.forEach(({ bit }) => {
+        const binding = profile.buttons[bit];
+        const threshold = TRIGGER_BUTTONS.includes(bit) ? triggerThreshold : undefined;
+        if (binding && isBindingActive(binding, gamepad, threshold)) b.push(bit);
+    });
+    const a = profile.axes.map(({ index, invert }) => {
+        const value = gamepad.axes[index];
+        if (value === undefined) return 0;
+        return invert ? -value : value;
+    });
+    return { b, a };
+};
+
+// --- 割り当てウィザード用 ---
+
+/**
+ * ウィザードの各ステップ開始時の状態を記録する (変化の検出の基準)
+ */
+export const snapshotGamepad = (gamepad) => ({
+    buttons: gamepad.buttons.map(button => button.pressed),
+    axes: [...gamepad.axes]
+});
+
+/**
+ * 基準の状態から新たに押されたボタン・倒された軸を入力元として返す (無ければ null)
+ */
+export const detectBinding = (baseline, gamepad) => {
+    const index = gamepad.buttons.findIndex((button, i) => button.pressed && !baseline.buttons[i]);
+    if (index >= 0) return { type: 'button', index };
+
+    for (let i = 0; i < gamepad.axes.length; i++) {
+        const rest = baseline.axes[i];
+        const value = gamepad.axes[i];
+        if (rest === undefined) continue;
+        if (Math.abs(rest) > HAT_REST_MIN) {
+            const direction = hatDirection(value);
+            if (direction !== null) return { type: 'hat', index: i, direction };
+        } else if (Math.abs(value - rest) > AXIS_DETECT_THRESHOLD) {
+            const direction = value > rest ? 1 : -1;
+            return { type: 'axis', index: i, direction, threshold: (rest + value) / 2 };
+        }
+    }
+    return null;
+};
+
+/**
+ * スティックを正の方向 (右 / 下) に倒したときに最も大きく動いた軸を返す (無ければ null)
+ */
+export const detectAxis = (baseline, gamepad) => {
+    let best = null;
+    gamepad.axes.forEach((value, index) => {
+        const rest = baseline.axes[index];
+        if (rest === undefined || Math.abs(rest) > HAT_REST_MIN) return;
+        const delta = value - rest;
+        if (Math.abs(delta) > AXIS_DETECT_THRESHOLD && (!best || Math.abs(delta) > Math.abs(best.delta))) {
+            best = { index, delta };
+        }
+    });
+    return best && { index: best.index, invert: best.delta < 0 };
+};
+
+/**
+ * 入力元の表示用の文字列
+ */
+export const describeBinding = (binding) => {
+    if (!binding) return '未割り当て';
+    switch (binding.type) {
+        case 'button':
+            return `ボタン ${binding.index}`;
+        case 'axis':
+            return `軸 ${binding.index} ${binding.direction > 0 ? '+' : '-'}`;
+        case 'hat':
+            return `ハット ${binding.index} ${'↑↗→↘↓↙←↖'[binding.direction]}`;
+        default:
+            return '不明';
+    }
+};
+
+// --- 保存・読み込み ---
+
+const readEntries = (key, storage) => {
+    try {
+        return JSON.parse(storage?.getItem(key)) || {};
+    } catch {
+        return {};
+    }
+};
+
+const writeEntry = (key, gamepadId, value, storage) => {
+    const entries = readEntries(key, storage);
+    if (value) entries[gamepadId] = value;
+    else delete entries[gamepadId];
+    storage.setItem(key, JSON.stringify(entries));
+};
+
+/**
+ * 保存済みのプロファイルをすべて読み込む
+ * @returns {Object<string, object>} gamepad.id -> プロファイル
+ */
+export const loadProfiles = (storage = globalThis.localStorage) => readEntries(STORAGE_KEY, storage);
+
+/**
+ * コントローラのプロファイル (未登録なら STANDARD_PROFILE)
+ */
+export const getProfile = (gamepadId, storage = globalThis.localStorage) => loadProfiles(storage)[gamepadId] || STANDARD_PROFILE;
+
+/**
+ * コントローラのプロファイルを保存する (profile が null なら削除して既定に戻す)
+ */
+export const saveProfile = (gamepadId, profile, storage = globalThis.localStorage) => writeEntry(STORAGE_KEY, gamepadId, profile, storage);
+
+/**
+ * コントローラのスティック補正 (未登録なら DEFAULT_CALIBRATION)
+ */
+export const getCalibration = (gamepadId, storage = globalThis.localStorage) => {
+    const stored = readEntries(CALIBRATION_STORAGE_KEY, storage)[gamepadId];
+    return stored ? normalizeCalibration(stored) : DEFAULT_CALIBRATION;
+};
+
+/**
+ * コントローラのスティック補正を保存する (calibration が null なら削除して既定に戻す)
+ */
+export const saveCalibration = (gamepadId, calibration, storage = globalThis.localStorage) => writeEntry(CALIBRATION_STORAGE_KEY, gamepadId, calibration, storage);
+
+const isValidBinding = (binding) => {
+    if (binding === null) return true;
+    if (!binding || !Number.isInteger(binding.index) || binding.index < 0) return false;
+    switch (binding.type) {
+        case 'button':
+            return true;
+        case 'axis':
+            return (binding.direction === 1 || binding.direction === -1) && Number.isFinite(binding.threshold);
+        case 'hat':
+            return Number.isInteger(binding.direction) && binding.direction >= 0 && binding.direction < 8;
+        default:
+            return false;
+    }
+};
+
+/**
+ * プロファイルの形式を検証する (問題があれば例外)
+ */
+export const validateProfile = (profile) => {
+    if (!profile || typeof profile !== 'object') throw new Error("プロファイルの形式が不正です");
+    if (!profile.buttons || typeof profile.buttons !== 'object') throw new Error("buttons がありません");
+    ORDERED_BUTTONS.forEach(({ bit, label }) => {
+        if (!isValidBinding(profile.buttons[bit] ?? null)) throw new Error(`${label} の割り当てが不正です`);
+    });
+    if (!Array.isArray(profile.axes) || profile.axes.length !== AXIS_LABELS.length) throw new Error("axes は4つ必要です");
+    profile.axes.forEach((axis, i) => {
+        if (!axis || !Number.isInteger(axis.index) || axis.index < 0 || typeof axis.invert !== 'boolean') {
+            throw new Error(`${AXIS_LABELS[i]} の割り当てが不正です`);
+        }
+    });
+};
+
+/**
+ * プロファイルを共有用のJSONテキストにする
+ */
+export const exportProfile = (gamepadId, profile) => JSON.stringify({ format: EXPORT_FORMAT, version: 1, gamepadId, profile }, null, 2);
+
+/**
+ * exportProfile で書き出したテキストを読み込む
+ * @returns {{gamepadId: string, profile: object}}
+ */
+export const importProfile = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error("JSONとして読み込めません");
+    }
+    if (data?.format !== EXPORT_FORMAT) throw new Error("コントローラ割り当てのファイルではありません");
+    if (data.version !== 1) throw new Error(`未対応のバージョンです (${data.version})`);
+    validateProfile(data.profile);
+    return { gamepadId: data.gamepadId, profile: data.profile };
+};
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { HID_BUTTONS, STANDARD_PROFILE } from './constants';
+import {
+    readGamepad, detectBinding, detectAxis, snapshotGamepad,
+    getProfile, saveProfile, getCalibration, saveCalibration, exportProfile, importProfile
+} from './controller_profiles';
+import { DEFAULT_CALIBRATION } from './stick_calibration';
+
+const HAT_REST = 1.2857;
+
+/**
+ * テスト用のゲームパッド (pressed: 押されているボタン番号, axes: 軸の値)
+ */
+const pad = (pressed = [], axes = [0, 0, 0, 0], count = 18) => ({
+    buttons: Array.from({ length: count }, (_, i) => ({ pressed: pressed.includes(i) })),
+    axes
+});
+
+const memoryStorage = () => {
+    const data = {};
+    return { getItem: (key) => data[key] ?? null, setItem: (key, value) => { data[key] = value; } };
+};
+
+describe('controller_profiles', () => {
+    it('既定のプロファイルは従来の Standard Mapping と同じ割り当てになる', () => {
+        // Standard Mapping のボタン番号順。物理配置に合わせて A/B と X/Y が入れ替わる
+        const { Y, B, A, X, L, R, ZL, ZR, MINUS, PLUS, LS, RS, HOME, CAPTURE, UP, DOWN, LEFT, RIGHT } = HID_BUTTONS;
+        const expected = [B, A, Y, X, L, R, ZL, ZR, MINUS, PLUS, LS, RS, UP, DOWN, LEFT, RIGHT, HOME, CAPTURE];
+        expected.forEach((bit, i) => {
+            expect(readGamepad(pad([i])).b).toEqual([bit]);
+        });
+        expect(readGamepad(pad([], [0.5, -0.25, 0, 1])).a).toEqual([0.5, -0.25, 0, 1]);
+    });
+
+    it('軸の割り当てと反転を適用する', () => {
+        const profile = { ...STANDARD_PROFILE, axes: [{ index: 0, invert: false }, { index: 1, invert: true }, { index: 3, invert: false }, { index: 4, invert: false }] };
+        expect(readGamepad(pad([], [0.1, 0.2, 0.3, 0.4, 0.5]), profile).a).toEqual([0.1, -0.2, 0.4, 0.5]);
+        // 存在しない軸は 0
+        expect(readGamepad(pad([], [0.1, 0.2, 0.3]), profile).a).toEqual([0.1, -0.2, 0, 0]);
+    });
+
+    it('アナログトリガーとハット軸をボタンとして読み取る', () => {
+        const profile = {
+            ...STANDARD_PROFILE,
+            buttons: {
+                ...STANDARD_PROFILE.buttons,
+                [HID_BUTTONS.ZR]: { type: 'axis', index: 5, direction: 1, threshold: 0 },
+                [HID_BUTTONS.UP]: { type: 'hat', index: 9, direction: 0 },
+                [HID_BUTTONS.RIGHT]: { type: 'hat', index: 9, direction: 2 }
+            }
+        };
+        const axes = (trigger, hat) => [0, 0, 0, 0, 0, trigger, 0, 0, 0, hat];
+        expect(readGamepad(pad([], axes(-1, HAT_REST)), profile).b).toEqual([]);
+        expect(readGamepad(pad([], axes(0.8, -1)), profile).b).toEqual([HID_BUTTONS.ZR, HID_BUTTONS.UP]);
+        // 右上は上と右の同時押し
+        expect(readGamepad(pad([], axes(-1, -1 + 2 / 7)), profile).b).toEqual([HID_BUTTONS.UP, HID_BUTTONS.RIGHT]);
+    });
+
+    it('ウィザードで新たに押されたボタン・軸を検出する', () => {
+        const baseline = snapshotGamepad(pad([3], [0, 0, -1, HAT_REST]));
+        expect(detectBinding(baseline, pad([3], [0.3, 0, -1, HAT_REST]))).toBeNull();
+        expect(detectBinding(baseline, pad([3, 7], [0, 0, -1, HAT_REST]))).toEqual({ type: 'button', index: 7 });
+        expect(detectBinding(baseline, pad([3], [0, 0, 1, HAT_REST]))).toEqual({ type: 'axis', index: 2, direction: 1, threshold: 0 });
+        expect(detectBinding(baseline, pad([3], [0, 0, -1, 1 / 7]))).toEqual({ type: 'hat', index: 3, direction: 4 });
+
+        const sticks = snapshotGamepad(pad([], [0, 0, 0, 0]));
+        expect(detectAxis(sticks, pad([], [0, 0, -0.9, 0.2]))).toEqual({ index: 2, invert: true });
+        expect(detectAxis(sticks, pad([], [0.1, 0, 0, 0]))).toBeNull();
+    });
+
+    it('gamepad.id ごとに保存し、未登録なら既定を返す', () => {
+        const storage = memoryStorage();
+        const custom = { ...STANDARD_PROFILE, name: '8BitDo' };
+        saveProfile('pad-a', custom, storage);
+        expect(getProfile('pad-a', storage)).toEqual(custom);
+        expect(getProfile('pad-b', storage)).toBe(STANDARD_PROFILE);
+        saveProfile('pad-a', null, storage);
+        expect(getProfile('pad-a', storage)).toBe(STANDARD_PROFILE);
+
+        saveCalibration('pad-a', { ...DEFAULT_CALIBRATION, curve: 2 }, storage);
+        expect(getCalibration('pad-a', storage).curve).toBe(2);
+        expect(getCalibration('pad-b', storage)).toBe(DEFAULT_CALIBRATION);
+    });
+
+    it('ZL/ZR はしきい値を指定するとアナログ値で判定する', () => {
+        const gp = pad();
+        gp.buttons[6] = { pressed: true, value: 0.3 };
+        expect(readGamepad(gp).b).toEqual([HID_BUTTONS.ZL]);
+        expect(readGamepad(gp, STANDARD_PROFILE, { triggerThreshold: 0.5 }).b).toEqual([]);
+        gp.buttons[6] = { pressed: false, value: 0.2 };
+        expect(readGamepad(gp, STANDARD_PROFILE, { triggerThreshold: 0.1 }).b).toEqual([HID_BUTTONS.ZL]);
+    });
+
+    it('書き出したプロファイルを読み込み、不正な内容は拒否する', () => {
+        const text = exportProfile('pad-a', STANDARD_PROFILE);
+        expect(importProfile(text)).toEqual({ gamepadId: 'pad-a', profile: JSON.parse(JSON.stringify(STANDARD_PROFILE)) });
+
+        const broken = JSON.parse(text);
+        broken.profile.axes.pop();
+        expect(() => importProfile(JSON.stringify(broken))).toThrow('axes');
+        broken.profile.axes.push({ index: 3, invert: false });
+        broken.profile.buttons[HID_BUTTONS.A] = { type: 'axis', index: 2 };
+        expect(() => importProfile(JSON.stringify(broken))).toThrow('A の割り当て');
+        expect(() => importProfile('{"events": []}')).toThrow('割り当てのファイルではありません');
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * コントローラ入力のサンプリングクラス
+ * 目的: 処理した時刻ではなく、入力が実際に変化した時刻 (Gamepad.timestamp) で記録する。
+ *       setInterval(16ms) の揺らぎや非表示のタブでのタイマーの間引きで、記録の時刻が1フレーム以上ずれないようにする。
+ *
+ * サンプリングは2系統:
+ * - Worker のタイマー (interval ms ごと。非表示のタブでも動き続ける) で入力を読み取り、新しい入力を onSample に渡す
+ * - requestAnimationFrame (表示中のみ) で画面の更新ごとに onFrame を呼ぶ (コントローラ表示用)
+ * Gamepad.timestamp が更新されていない読み取りは同じ入力とみなして onSample を呼ばない。
+ */
+
+import { createWorkerClock } from './sampling_clock';
+
+export const SAMPLE_INTERVAL = 4; // Worker のタイマーの間隔 (ms)
+export const INTERVAL_BUCKETS = [2, 4, 8, 12, 17, 25, 34, 50]; // サンプリング間隔のヒストグラムの区切り (ms)。最後の区切り以上は末尾にまとめる
+
+const emptyStats = () => ({
+    samples: 0,     // タイマーで読み取った回数
+    updates: 0,     // 新しい入力を受け取った回数
+    missed: 0,      // タイマーの遅れで読み取れなかった回数 (間隔の何倍遅れたかで数える)
+    maxInterval: 0, // 読み取りの最大間隔 (ms)
+    maxDelay: 0,    // 入力の変化から読み取るまでの最大の遅れ (ms)
+    histogram: new Array(INTERVAL_BUCKETS.length + 1).fill(0)
+});
+
+/**
+ * サンプリング間隔をヒストグラムの区間に振り分ける
+ */
+export const bucketOf = (interval) => {
+    const index = INTERVAL_BUCKETS.findIndex(edge => interval < edge);
+    return index >= 0 ? index : INTERVAL_BUCKETS.length;
+};
+
+export class GamepadRecorder {
+    /**
+     * @param {object} options getGamepad(index): 番号のコントローラを読み取る (仮想ゲームパッドの差し込み・テスト用),
+     *                         now / requestFrame / cancelFrame: ブラウザAPIの差し替え (テスト用),
+     *                         createClock(interval, onTick): 停止関数を返すタイマー, interval: タイマーの間隔 (ms)
+     */
+    constructor({
+        getGamepad = (index) => navigator.getGamepads()[index] || null,
+        now = () => performance.now(),
+        requestFrame = (cb) => requestAnimationFrame(cb),
+        cancelFrame = (id) => cancelAnimationFrame(id),
+        createClock = createWorkerClock,
+        interval = SAMPLE_INTERVAL
+    } = {}) {
+        Object.assign(this, { getGamepad, now, requestFrame, cancelFrame, createClock, interval });
+        this.index = null;
+        this.stopClock = null;
+        this.frame = null;
+        this.lastTick = null;
+        this.lastTimestamp = null;
+        this.stats = emptyStats();
+        this.onSample = null; // (gamepad, time) => void。time は入力が変化した時刻 (performance.now() と同じ基準の ms)
+        this.onFrame = null;  // (gamepad) => void
+    }
+
+    get isRunning() {
+        return this.index !== null;
+    }
+
+    /**
+     * index のコントローラのサンプリングを開始する (実行中なら切り替える)
+     */
+    start(index) {
+        this.stop();
+        this.index = index;
+        this.stopClock = this.createClock(this.interval, () => this.tick());
+        const loop = () => {
+            this.frame = this.requestFrame(loop);
+            const gp = this.read();
+            if (gp) this.onFrame?.(gp);
+        };
+        this.frame = this.requestFrame(loop);
+    }
+
+    stop() {
+        this.stopClock?.();
+        this.stopClock = null;
+        if (this.frame !== null) this.cancelFrame(this.frame);
+        this.frame = null;
+        this.index = null;
+        this.lastTick = null;
+        this.lastTimestamp = null;
+    }
+
+    /**
+     * 記録の統計を0に戻す (記録の開始時に使用。次の読み取りで現在の入力を改めて onSample に渡す)
+     */
+    resetStats() {
+        this.stats = emptyStats();
+        this.lastTick = null;
+        this.lastTimestamp = null;
+    }
+
+    /**
+     * 記録の統計を返す
+     * @returns {{samples: number, updates: number, missed: number, maxInterval: number, maxDelay: number, histogram: number[]}}
+     *          histogram[i] は INTERVAL_BUCKETS[i - 1]〜INTERVAL_BUCKETS[i] ms の間隔で読み取った回数
+     */
+    getStats() {
+        return { ...this.stats, histogram: [...this.stats.histogram] };
+    }
+
+    read() {
+        return this.index === null ? null : this.getGamepad(this.index);
+    }
+
+    /**
+     * タイマーの合図ごとに入力を読み取る
+     */
+    tick() {
+        const now = this.now();
+        const stats = this.stats;
+        if (this.lastTick !== null) {
+            const interval = now - this.lastTick;
+            stats.histogram[bucketOf(interval)]++;
+            stats.maxInterval = Math.max(stats.maxInterval, interval);
+            stats.missed += Math.max(0, Math.round(interval / this.interval) - 1);
+        }
+        this.lastTick = now;
+        stats.samples++;
+
+        const gp = this.read();
+        if (!gp) return;
+        // timestamp を報告しない環境では読み取った時刻を使い、毎回新しい入力とみなす
+        const hasTimestamp = gp.timestamp > 0;
+        if (hasTimestamp && gp.timestamp === this.lastTimestamp) return;
+        this.lastTimestamp = hasTimestamp ? gp.timestamp : null;
+        const time = hasTimestamp ? Math.min(gp.timestamp, now) : now;
+        stats.updates++;
+        stats.maxDelay = Math.max(stats.maxDelay, now - time);
+        this.onSample?.(gp, time);
+    }
+}
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { GamepadRecorder, bucketOf, INTERVAL_BUCKETS } from './gamepad_recorder';
+
+/**
+ * タイマー・画面の更新・コントローラを手動で進める GamepadRecorder
+ */
+const createRecorder = () => {
+    const env = { time: 0, gamepad: null, tick: null, frame: null };
+    const recorder = new GamepadRecorder({
+        getGamepad: () => env.gamepad,
+        now: () => env.time,
+        requestFrame: (cb) => { env.frame = cb; return 1; },
+        cancelFrame: () => { env.frame = null; },
+        createClock: (interval, onTick) => {
+            env.tick = onTick;
+            return () => { env.tick = null; };
+        }
+    });
+    const samples = [];
+    recorder.onSample = (gp, time) => samples.push({ id: gp.id, time });
+    recorder.start(0);
+    return { env, recorder, samples };
+};
+
+describe('GamepadRecorder', () => {
+    it('入力が変化した時刻 (timestamp) で新しい入力だけを渡す', () => {
+        const { env, samples } = createRecorder();
+        env.gamepad = { id: 'a', timestamp: 10 };
+        env.time = 14;
+        env.tick();
+        env.time = 18;
+        env.tick(); // timestamp が同じなら同じ入力
+        env.gamepad = { id: 'b', timestamp: 19.5 };
+        env.time = 22;
+        env.tick();
+        expect(samples).toEqual([{ id: 'a', time: 10 }, { id: 'b', time: 19.5 }]);
+    });
+
+    it('timestamp を報告しない環境では読み取った時刻を使う', () => {
+        const { env, samples } = createRecorder();
+        env.gamepad = { id: 'a', timestamp: 0 };
+        env.time = 5;
+        env.tick();
+        env.time = 9;
+        env.tick();
+        expect(samples.map(s => s.time)).toEqual([5, 9]);
+    });
+
+    it('読み取り間隔のヒストグラム・取りこぼし・遅れを数える', () => {
+        const { env, recorder } = createRecorder();
+        env.gamepad = { id: 'a', timestamp: 1 };
+        [0, 4, 8, 28, 32].forEach(time => {
+            env.time = time;
+            env.tick();
+        });
+        const stats = recorder.getStats();
+        expect(stats).toMatchObject({ samples: 5, updates: 1, missed: 4, maxInterval: 20, maxDelay: 0 });
+        expect(stats.histogram[bucketOf(4)]).toBe(3);
+        expect(stats.histogram[bucketOf(20)]).toBe(1);
+        expect(bucketOf(1000)).toBe(INTERVAL_BUCKETS.length);
+
+        recorder.resetStats();
+        env.time = 40;
+        env.tick();
+        expect(recorder.getStats()).toMatchObject({ samples: 1, updates: 1, missed: 0 }); // 記録の開始時は現在の入力を渡し直す
+    });
+
+    it('画面の更新ごとに onFrame を呼び、停止するとタイマーも止まる', () => {
+        const { env, recorder } = createRecorder();
+        const frames = [];
+        recorder.onFrame = (gp) => frames.push(gp.id);
+        env.gamepad = { id: 'a', timestamp: 1 };
+        env.frame();
+        env.frame();
+        expect(frames).toEqual(['a', 'a']);
+
+        recorder.stop();
+        expect(env.tick).toBeNull();
+        expect(env.frame).toBeNull();
+        expect(recorder.isRunning).toBe(false);
+    });
+});
@@ -0,0 +1,206 @@
+/**
+ * 記録したイベント列の整理 (時刻の量子化・スティック変化の間引き・重複の削除・最短押下時間)
+ * 目的: ライブ記録で生じる、ほぼ同じスティック値のイベントの連続や揺らいだ時刻を整理し、
+ *       短すぎてSwitchが認識しない押下を延長する。
+ *
+ * サブマクロの呼び出しイベントは変更せず、その前後の通常イベントを区間ごとに処理する
+ * (呼び出しが占有する時間には移動・延長しない)。
+ * セクション名・コメント・ランダムな時間 (jitter / wait)・ループの区間の境目が付いたイベントは削除しない。
+ */
+
+import { isCallEvent, callDuration } from './macro_compose';
+
+export const CLEANUP_GRIDS = [
+    { label: 'しない', value: 0 },
+    { label: '60fps (16.67ms)', value: 1000 / 60 },
+    { label: '30fps (33.33ms)', value: 1000 / 30 }
+];
+
+export const DEFAULT_CLEANUP = {
+    grid: 1000 / 60,     // 時刻を揃えるフレーム間隔 (ms)。0 で無効
+    tolerance: 0.03,     // スティック値の許容誤差。0 で無効
+    dropRedundant: true, // 直前と同じ状態のイベントを削除する
+    minPress: 50         // ボタンの最短押下時間 (ms)。0 で無効
+};
+
+const isAnnotated = (ev) => ['marker', 'comment', 'jitter', 'wait', 'loopStart', 'outroStart'].some(key => ev[key] !== undefined);
+
+const sameButtons = (x, y) => x.length === y.length && x.every(bit => y.includes(bit));
+
+const sameState = (x, y) => sameButtons(x.b, y.b) && x.a.every((v, i) => v === y.a[i]);
+
+/**
+ * 呼び出しイベントで区切られた通常イベントの区間ごとに fn を適用する
+ * fn(segment, start, end): start はこの区間で使える最初の時刻、end は次の呼び出しの開始時刻 (無ければ Infinity)
+ */
+const mapSegments = (events, library, fn) => {
+    const out = [];
+    let segment = [];
+    let start = 0;
+    const flush = (end) => {
+        if (segment.length > 0) out.push(...fn(segment, start, end));
+        segment = [];
+    };
+    events.forEach(ev => {
+        if (isCallEvent(ev)) {
+            flush(ev.t);
+            out.push(ev);
+            start = ev.t + callDuration(library, ev);
+        } else {
+            segment.push(ev);
+        }
+    });
+    flush(Infinity);
+    return out;
+};
+
+/**
+ * 時刻をフレーム間隔に揃える。同じ時刻になったイベントは後のイベントの状態にまとめる
+ * @returns {{events: object[], moved: number, merged: number}}
+ */
+export const snapToGrid = (events, grid, library = {}) => {
+    let moved = 0;
+    let merged = 0;
+    const result = mapSegments(events, library, (segment, start, end) => {
+        const out = [];
+        segment.forEach(ev => {
+            let t = Math.round(Math.round(ev.t / grid) * grid);
+            if (t < start || t >= end) t = ev.t; // 呼び出しの占有時間には移動しない
+            if (out.length > 0) t = Math.max(t, out[out.length - 1].t);
+            if (t !== ev.t) moved++;
+
+            const prev = out[out.length - 1];
+            if (prev && prev.t === t) {
+                // 先のイベントのセクション名・コメントは引き継ぐ
+                out[out.length - 1] = { ...prev, ...ev, t, b: ev.b, a: ev.a };
+                merged++;
+            } else {
+                out.push(t === ev.t ? ev : { ...ev, t });
+            }
+        });
+        return out;
+    });
+    return { events: result, moved, merged };
+};
+
+/**
+ * スティック値の細かな変化を間引く
+ * Ramer–Douglas–Peucker 法と同様に許容誤差で点を減らすが、ATOMS3 は次のイベントまで値を保持する
+ * (線形補間しない) ため、誤差は直線からの距離ではなく直前に残したイベントの値との差で測り、
+ * 許容誤差を超えた最初の点を残す。これにより再生時の誤差は常に tolerance 以内になる。
+ * ボタンの変化・スティックのニュートラルへの出入り・注釈付きのイベントは必ず残す。
+ * @returns {{events: object[], removed: number}}
+ */
+export const simplifySticks = (events, tolerance, library = {}) => {
+    let removed = 0;
+    const result = mapSegments(events, library, (segment) => {
+        const out = [];
+        segment.forEach((ev, i) => {
+            const prev = segment[i - 1];
+            const kept = out[out.length - 1];
+            const isAnchor = i === 0 || i === segment.length - 1 || isAnnotated(ev)
+                || !sameButtons(ev.b, prev.b) || ev.a.some((v, k) => (v === 0) !== (prev.a[k] === 0));
+            if (isAnchor || ev.a.some((v, k) => Math.abs(v - kept.a[k]) > tolerance)) {
+                out.push(ev);
+            } else {
+                removed++;
+            }
+        });
+        return out;
+    });
+    return { events: result, removed };
+};
+
+/**
+ * 直前のイベントと同じ状態 (ボタン・スティック) のイベントを削除する
+ * @returns {{events: object[], removed: number}}
+ */
+export const dropRedundant = (events, library = {}) => {
+    let removed = 0;
+    const result = mapSegments(events, library, (segment) => {
+        const out = [];
+        segment.forEach((ev, i) => {
+            if (i > 0 && i < segment.length - 1 && !isAnnotated(ev) && sameState(ev, out[out.length - 1])) {
+                removed++;
+                return;
+            }
+            out.push(ev);
+        });
+        return out;
+    });
+    return { events: result, removed };
+};
+
+/**
+ * ボタンが minMs 以上押されるよう、早く離されたボタンの押下を延長する
+ * 延長中に同じボタンが再び押された場合は、2回の押下をつなげる。
+ * 延長した時刻に離すためのイベントが無ければ追加する。
+ * @returns {{events: object[], extended: number}}
+ */
+export const enforceMinPress = (events, minMs, library = {}) => {
+    let extended = 0;
+    const result = mapSegments(events, library, (segment, _start, end) => {
+        const out = segment.map(ev => ({ ...ev, b: [...ev.b] }));
+        const bits = [...new Set(out.flatMap(ev => ev.b))];
+        bits.forEach(bit => {
+            for (let i = 0; i < out.length; i++) {
+                if (!out[i].b.includes(bit) || (i > 0 && out[i - 1].b.includes(bit))) continue;
+                let j = i + 1;
+                while (j < out.length && out[j].b.includes(bit)) j++;
+                if (j >= out.length) continue; // 区間の最後まで押されたまま
+
+                const holdUntil = Math.min(out[i].t + minMs, end);
+                if (out[j].t >= holdUntil) continue;
+                extended++;
+
+                let k = j;
+                while (k < out.length && out[k].t < holdUntil && !out[k].b.includes(bit)) {
+                    out[k].b.push(bit);
+                    k++;
+                }
+                if (k < out.length && (out[k].t <= holdUntil)) continue; // 再び押された、または離すイベントがある
+                if (holdUntil >= end) continue; // 呼び出しの開始で離される
+
+                const last = out[k - 1];
+                out.splice(k, 0, { t: holdUntil, b: last.b.filter(v => v !== bit), a: [...last.a] });
+            }
+        });
+        return out;
+    });
+    return { events: result, extended };
+};
+
+/**
+ * 設定に従ってイベント列を整理する
+ * @param {object} options DEFAULT_CLEANUP と同じ形式
+ * @returns {{events: object[], report: object}} report: 各処理で変化したイベント数と前後の件数
+ */
+export const cleanupEvents = (events, options, library = {}) => {
+    const report = { before: events.length, moved: 0, merged: 0, simplified: 0, redundant: 0, extended: 0 };
+    let current = events;
+
+    if (options.grid > 0) {
+        const snapped = snapToGrid(current, options.grid, library);
+        current = snapped.events;
+        report.moved = snapped.moved;
+        report.merged = snapped.merged;
+    }
+    if (options.tolerance > 0) {
+        const simplified = simplifySticks(current, options.tolerance, library);
+        current = simplified.events;
+        report.simplified = simplified.removed;
+    }
+    if (options.dropRedundant) {
+        const dropped = dropRedundant(current, library);
+        current = dropped.events;
+        report.redundant = dropped.removed;
+    }
+    if (options.minPress > 0) {
+        const pressed = enforceMinPress(current, options.minPress, library);
+        current = pressed.events;
+        report.extended = pressed.extended;
+    }
+
+    report.after = current.length;
+    return { events: current, report };
+};
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import sample from '../../../schema/sample_macro.json';
+import { snapToGrid, simplifySticks, dropRedundant, enforceMinPress, cleanupEvents, DEFAULT_CLEANUP } from './macro_cleanup';
+
+const ev = (t, b = [], a = [0, 0, 0, 0], extra = {}) => ({ t, b, a, ...extra });
+
+describe('macro_cleanup', () => {
+    it('時刻をフレーム間隔に揃え、同じ時刻になったイベントは後の状態にまとめる', () => {
+        const { events, moved, merged } = snapToGrid([
+            ev(0), ev(15, [2]), ev(20, [2, 0], [0, 0, 0, 0], { comment: 'B追加' }), ev(31, [2, 0]), ev(50)
+        ], 1000 / 60);
+        expect(events.map(e => e.t)).toEqual([0, 17, 33, 50]);
+        expect(events[1]).toEqual(ev(17, [2, 0], [0, 0, 0, 0], { comment: 'B追加' }));
+        expect(moved).toBe(3);
+        expect(merged).toBe(1);
+    });
+
+    it('スティックの細かな変化を間引き、誤差が許容値を超える点は残す', () => {
+        const ramp = [0, 0.01, 0.02, 0.5, 0.51, 0.52, 0.53, 1, 1].map((x, i) => ev(i * 16, [], [x, 0, 0, 0]));
+        const { events, removed } = simplifySticks(ramp, 0.05);
+        expect(events.map(e => e.a[0])).toEqual([0, 0.01, 0.5, 1, 1]);
+        expect(removed).toBe(4);
+        // どのイベントでも、直前に残した値との差は許容値以内
+        ramp.forEach(original => {
+            const held = [...events].reverse().find(e => e.t <= original.t);
+            expect(Math.abs(held.a[0] - original.a[0])).toBeLessThanOrEqual(0.05);
+        });
+    });
+
+    it('ボタンの変化と注釈付きのイベントは間引かない', () => {
+        const events = [ev(0, [], [0.3, 0, 0, 0]), ev(16, [2], [0.31, 0, 0, 0]), ev(32, [2], [0.32, 0, 0, 0], { marker: 'ここ' }), ev(48, [2], [0.33, 0, 0, 0]), ev(64)];
+        expect(simplifySticks(events, 0.05).events.map(e => e.t)).toEqual([0, 16, 32, 64]);
+    });
+
+    it('直前と同じ状態のイベントを削除する (最後のイベントは長さを決めるので残す)', () => {
+        const { events, removed } = dropRedundant([ev(0, [2]), ev(10, [2]), ev(20), ev(30), ev(40)]);
+        expect(events.map(e => e.t)).toEqual([0, 20, 40]);
+        expect(removed).toBe(2);
+    });
+
+    it('短すぎる押下を延長し、離すイベントを追加する', () => {
+        const { events, extended } = enforceMinPress([ev(0, [2]), ev(20, [], [0.5, 0, 0, 0]), ev(100, [0]), ev(110)], 50);
+        expect(extended).toBe(2);
+        expect(events).toEqual([
+            ev(0, [2]),
+            ev(20, [2], [0.5, 0, 0, 0]),
+            ev(50, [], [0.5, 0, 0, 0]),
+            ev(100, [0]),
+            ev(110, [0]),
+            ev(150)
+        ]);
+    });
+
+    it('延長中に再び押された場合は押下をつなげる', () => {
+        const { events } = enforceMinPress([ev(0, [2]), ev(10), ev(30, [2]), ev(200)], 50);
+        expect(events.map(e => e.b)).toEqual([[2], [2], [2], []]);
+    });
+
+    it('サブマクロの呼び出しは変更せず、その占有時間には移動・延長しない', () => {
+        const library = { tap: { events: [ev(0, [2]), ev(100)], length: 100 } };
+        const events = [ev(0, [1]), ev(20), ev(45, [2]), { t: 50, call: 'tap', repeat: 2 }, ev(251, [0]), ev(300)];
+        const result = cleanupEvents(events, DEFAULT_CLEANUP, library);
+        expect(result.events[3]).toBe(events[3]);
+        // 45ms は 50ms に揃えると呼び出しと重なるので元の時刻のまま
+        expect(result.events.map(e => e.t)).toEqual([0, 17, 45, 50, 250, 300]);
+        // 短い押下は呼び出しの開始までしか延長しない
+        expect(result.events.slice(0, 3).map(e => e.b)).toEqual([[1], [1], [2, 1]]);
+    });
+
+    it('整理結果として前後のイベント数を報告する', () => {
+        const { events, report } = cleanupEvents(sample.events, DEFAULT_CLEANUP);
+        expect(report.before).toBe(sample.events.length);
+        expect(report.after).toBe(events.length);
+        expect(events[events.length - 1].t).toBe(600);
+    });
+});
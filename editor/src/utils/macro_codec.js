@@ -0,0 +1,289 @@
+/**
+ * マクロのバイナリ形式 (SMB1 / SMB2) エンコーダー / デコーダー
+ * 目的: JSONでは容量が大きすぎる長時間マクロを、BLE転送とATOMS3のフラッシュ保存に収まるサイズにする。
+ *
+ * ヘッダー:
+ *   "SMB" + バージョン(1byte)  1: 基本 / 2: ランダムな時間 (jitter / wait / loop.offset) かループの区間を含む
+ *   フラグ(1byte)           bit0: ループ有効
+ *   varint ループ回数       0で無限
+ *   varint ループ間隔       秒
+ *   [varint 周回間の追加の待機の最短, varint そのばらつき]  ms (バージョン2のみ)
+ *   varint イベント数       ランで省略されたイベントも含む総数
+ *
+ * レコード (イベントごと):
+ *   タグ(1byte)             bit0: ボタンあり / bit1: スティックあり / bit2: ラン / bit3: jitter / bit4: wait
+ *                           bit5: ループの本体の先頭 (loopStart) / bit6: アウトロの先頭 (outroStart)
+ *   varint 差分時間         直前のイベントからの経過ms
+ *   [ボタン 3byte]          18bitマスク (bit0-13: 通常ボタン, bit14-17: 十字キー)
+ *   [スティック 4byte]      LX, LY, RX, RY (int8, -127〜127)
+ *   [varint jitter]         送信をランダムに遅らせる最大時間 (ms)
+ *   [varint 最短, varint ばらつき]  wait (入力を保持する時間の範囲, ms)
+ *   [varint ラン長]         同じ差分時間で状態が変わらないイベントの連続数
+ *
+ * ボタン・スティックは直前の状態から変化した場合のみ書き込む。
+ * ランダムな時間もループの区間も含まないマクロは、旧ファームウェアでも読めるようバージョン1で書き込む。
+ */
+
+import { hasRandomTiming } from './macro_timing';
+import { hasLoopParts } from './macro_loop';
+
+export const MACRO_MAGIC = [0x53, 0x4D, 0x42]; // "SMB"
+export const MACRO_FORMAT_VERSION = 1;
+export const MACRO_FORMAT_VERSION_EXTENDED = 2;
+
+const FLAG_LOOP_ENABLED = 0x01;
+const TAG_BUTTONS = 0x01;
+const TAG_AXES = 0x02;
+const TAG_RUN = 0x04;
+const TAG_JITTER = 0x08;
+const TAG_WAIT = 0x10;
+const TAG_LOOP_START = 0x20;
+const TAG_OUTRO_START = 0x40;
+
+/**
+ * HIDボタンインデックスの配列を18bitマスクに詰める
+ * (十字キーの bit16-19 を bit14-17 に寄せる)
+ */
+export const packButtons = (buttons) => {
+    let mask = 0;
+    buttons.forEach(bit => {
+        if (bit >= 0 && bit < 14) mask |= (1 << bit);
+        else if (bit >= 16 && bit < 20) mask |= (1 << (bit - 2));
+    });
+    return mask;
+};
+
+/**
+ * 18bitマスクをHIDボタンインデックスの配列に戻す
+ */
+export const unpackButtons = (mask) => {
+    const buttons = [];
+    for (let i = 0; i < 18; i++) {
+        if (mask & (1 << i)) buttons.push(i < 14 ? i : i + 2);
+    }
+    return buttons;
+};
+
+// スティック値 (-1.0〜1.0) と int8 の相互変換
+export const quantizeAxis = (v) => Math.max(-127, Math.min(127, Math.round((Number(v) || 0) * 127)));
+export const dequantizeAxis = (q) => Math.round((q / 127) * 1000) / 1000;
+
+/**
+ * 可変長のバイト列書き込み用バッファ
+ */
+class ByteWriter {
+    constructor() {
+        this.bytes = new Uint8Array(256);
+        this.length = 0;
+    }
+
+    ensure(extra) {
+        if (this.length + extra <= this.bytes.length) return;
+        const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + extra));
+        grown.set(this.bytes.subarray(0, this.length));
+        this.bytes = grown;
+    }
+
+    byte(value) {
+        this.ensure(1);
+        this.bytes[this.length++] = value & 0xFF;
+    }
+
+    varint(value) {
+        let v = value;
+        do {
+            let b = v % 128;
+            v = Math.floor(v / 128);
+            if (v > 0) b |= 0x80;
+            this.byte(b);
+        } while (v > 0);
+    }
+
+    result() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+/**
+ * バイト列の読み出し用カーソル
+ */
+class ByteReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.offset = 0;
+    }
+
+    byte() {
+        if (this.offset >= this.bytes.length) {
+            throw new Error(`バイナリマクロが途中で終わっています (オフセット ${this.offset})`);
+        }
+        return this.bytes[this.offset++];
+    }
+
+    varint() {
+        let value = 0;
+        let scale = 1;
+        for (; ;) {
+            const b = this.byte();
+            value += (b & 0x7F) * scale;
+            if (!(b & 0x80)) return value;
+            scale *= 128;
+        }
+    }
+
+    int8() {
+        return (this.byte() << 24) >> 24;
+    }
+}
+
+/**
+ * マクロ (JSON形式) をバイナリ形式にエンコードする
+ * @param {object} macro { loop, events } を持つマクロ
+ * @returns {Uint8Array}
+ */
+export const encodeMacro = (macro) => {
+    const events = macro.events || [];
+    const loop = macro.loop || {};
+    const extended = hasRandomTiming(macro) || hasLoopParts(macro);
+    const w = new ByteWriter();
+
+    MACRO_MAGIC.forEach(b => w.byte(b));
+    w.byte(extended ? MACRO_FORMAT_VERSION_EXTENDED : MACRO_FORMAT_VERSION);
+    w.byte(loop.enabled ? FLAG_LOOP_ENABLED : 0);
+    w.varint(Math.max(0, loop.count || 0));
+    w.varint(Math.max(0, loop.interval || 0));
+    if (extended) {
+        const [min, max] = loop.offset || [0, 0];
+        w.varint(min);
+        w.varint(max - min);
+    }
+    w.varint(events.length);
+
+    // 各イベントを量子化済みの状態に変換してから比較する
+    const states = events.map(ev => ({
+        t: ev.t,
+        mask: packButtons(ev.b || []),
+        axes: (ev.a || [0, 0, 0, 0]).slice(0, 4).map(quantizeAxis),
+        jitter: ev.jitter > 0 ? ev.jitter : 0,
+        wait: Array.isArray(ev.wait) ? ev.wait : null,
+        parts: (ev.loopStart ? TAG_LOOP_START : 0) | (ev.outroStart ? TAG_OUTRO_START : 0)
+    }));
+    const isFixed = (s) => s.jitter === 0 && !s.wait && s.parts === 0;
+
+    let prevT = 0;
+    let prevMask = 0;
+    let prevAxes = [0, 0, 0, 0];
+    let i = 0;
+    while (i < states.length) {
+        const s = states[i];
+        const delta = s.t - prevT;
+        if (!Number.isInteger(delta) || delta < 0) {
+            throw new Error(`イベント ${i} の時刻が昇順ではありません (t=${s.t})`);
+        }
+        const buttonsChanged = s.mask !== prevMask;
+        const axesChanged = s.axes.some((v, k) => v !== prevAxes[k]);
+
+        // 状態が変わらず同じ間隔で続くイベントはランとしてまとめる (ランダムな時間・ループの区間を持つイベントは除く)
+        if (!buttonsChanged && !axesChanged && isFixed(s)) {
+            let run = 1;
+            while (i + run < states.length) {
+                const next = states[i + run];
+                const sameState = isFixed(next) && next.mask === prevMask && next.axes.every((v, k) => v === prevAxes[k]);
+                if (!sameState || next.t - states[i + run - 1].t !== delta) break;
+                run++;
+            }
+            if (run >= 2) {
+                w.byte(TAG_RUN);
+                w.varint(delta);
+                w.varint(run);
+                prevT = states[i + run - 1].t;
+                i += run;
+                continue;
+            }
+        }
+
+        w.byte((buttonsChanged ? TAG_BUTTONS : 0) | (axesChanged ? TAG_AXES : 0) | (s.jitter ? TAG_JITTER : 0) | (s.wait ? TAG_WAIT : 0) | s.parts);
+        w.varint(delta);
+        if (buttonsChanged) {
+            w.byte(s.mask);
+            w.byte(s.mask >> 8);
+            w.byte(s.mask >> 16);
+        }
+        if (axesChanged) s.axes.forEach(v => w.byte(v));
+        if (s.jitter) w.varint(s.jitter);
+        if (s.wait) {
+            w.varint(s.wait[0]);
+            w.varint(s.wait[1] - s.wait[0]);
+        }
+
+        prevT = s.t;
+        prevMask = s.mask;
+        prevAxes = s.axes;
+        i++;
+    }
+
+    return w.result();
+};
+
+/**
+ * バイナリ形式のマクロをデコードする
+ * @param {Uint8Array} bytes
+ * @returns {{loop: object, events: object[]}}
+ */
+export const decodeMacro = (bytes) => {
+    const r = new ByteReader(bytes);
+    const magic = [r.byte(), r.byte(), r.byte()];
+    if (magic.some((b, i) => b !== MACRO_MAGIC[i])) {
+        throw new Error("バイナリマクロの形式ではありません");
+    }
+    const version = r.byte();
+    if (version !== MACRO_FORMAT_VERSION && version !== MACRO_FORMAT_VERSION_EXTENDED) {
+        throw new Error(`未対応のバイナリマクロのバージョンです (${version})`);
+    }
+
+    const flags = r.byte();
+    const loop = {
+        enabled: (flags & FLAG_LOOP_ENABLED) !== 0,
+        count: r.varint(),
+        interval: r.varint()
+    };
+    if (version === MACRO_FORMAT_VERSION_EXTENDED) {
+        const min = r.varint();
+        const spread = r.varint();
+        if (min > 0 || spread > 0) loop.offset = [min, min + spread];
+    }
+    const eventCount = r.varint();
+
+    const events = [];
+    let t = 0;
+    let mask = 0;
+    let axes = [0, 0, 0, 0];
+    const pushEvent = () => events.push({ t, b: unpackButtons(mask), a: axes.map(dequantizeAxis) });
+
+    while (events.length < eventCount) {
+        const tag = r.byte();
+        const delta = r.varint();
+        if (tag & TAG_RUN) {
+            const run = r.varint();
+            for (let k = 0; k < run; k++) {
+                t += delta;
+                pushEvent();
+            }
+            continue;
+        }
+        t += delta;
+        if (tag & TAG_BUTTONS) mask = r.byte() | (r.byte() << 8) | (r.byte() << 16);
+        if (tag & TAG_AXES) axes = [r.int8(), r.int8(), r.int8(), r.int8()];
+        pushEvent();
+        const ev = events[events.length - 1];
+        if (tag & TAG_JITTER) ev.jitter = r.varint();
+        if (tag & TAG_WAIT) {
+            const min = r.varint();
+            ev.wait = [min, min + r.varint()];
+        }
+        if (tag & TAG_LOOP_START) ev.loopStart = true;
+        if (tag & TAG_OUTRO_START) ev.outroStart = true;
+    }
+
+    return { loop, events };
+};
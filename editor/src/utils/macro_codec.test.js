@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import sample from '../../../schema/sample_macro.json';
+import { encodeMacro, decodeMacro, packButtons, unpackButtons } from './macro_codec';
+import { HID_BUTTONS } from './constants';
+
+describe('macro_codec', () => {
+    it('sample_macro.json のイベントとループ設定を往復できる', () => {
+        const decoded = decodeMacro(encodeMacro(sample));
+        expect(decoded.events).toEqual(sample.events);
+        expect(decoded.loop.enabled).toBe(sample.loop.enabled);
+        expect(decoded.loop.count).toBe(sample.loop.count);
+    });
+
+    it('十字キーを含む18bitのボタンマスクを往復できる', () => {
+        const buttons = [HID_BUTTONS.Y, HID_BUTTONS.CAPTURE, HID_BUTTONS.UP, HID_BUTTONS.RIGHT];
+        expect(unpackButtons(packButtons(buttons))).toEqual(buttons);
+        expect(packButtons([HID_BUTTONS.RIGHT])).toBe(1 << 17);
+    });
+
+    it('スティック値を int8 精度で往復できる', () => {
+        const macro = { events: [{ t: 0, b: [], a: [1, -1, 0.5, -0.25] }] };
+        const [ev] = decodeMacro(encodeMacro(macro)).events;
+        expect(ev.a[0]).toBe(1);
+        expect(ev.a[1]).toBe(-1);
+        expect(Math.abs(ev.a[2] - 0.5)).toBeLessThan(1 / 127);
+        expect(Math.abs(ev.a[3] + 0.25)).toBeLessThan(1 / 127);
+    });
+
+    it('状態が変わらない等間隔のイベントをランとして圧縮する', () => {
+        const events = [{ t: 0, b: [HID_BUTTONS.A], a: [0, 0, 0, 0] }];
+        for (let i = 1; i <= 1000; i++) events.push({ t: i * 16, b: [HID_BUTTONS.A], a: [0, 0, 0, 0] });
+        const bytes = encodeMacro({ events });
+        expect(bytes.length).toBeLessThan(32);
+        expect(decodeMacro(bytes).events).toEqual(events);
+    });
+
+    it('長時間のスティック記録を JSON より大幅に小さくできる', () => {
+        const events = [];
+        for (let i = 0; i < 5000; i++) {
+            events.push({ t: i * 16, b: i % 50 < 5 ? [HID_BUTTONS.B] : [], a: [Math.round(Math.sin(i / 20) * 100) / 100, 0, 0, 0] });
+        }
+        const bytes = encodeMacro({ events });
+        expect(bytes.length * 5).toBeLessThan(JSON.stringify({ events }).length);
+        expect(decodeMacro(bytes).events).toHaveLength(events.length);
+    });
+
+    it('ランダムな時間を含むマクロはバージョン2で往復でき、含まないマクロはバージョン1のまま', () => {
+        const macro = {
+            loop: { enabled: true, count: 2, interval: 1, offset: [100, 400] },
+            events: [
+                { t: 0, b: [HID_BUTTONS.A], a: [0, 0, 0, 0], jitter: 30 },
+                { t: 16, b: [HID_BUTTONS.A], a: [0, 0, 0, 0] },
+                { t: 32, b: [], a: [0, 0, 0, 0], wait: [500, 2000] }
+            ]
+        };
+        const bytes = encodeMacro(macro);
+        expect(bytes[3]).toBe(2);
+        const decoded = decodeMacro(bytes);
+        expect(decoded.events).toEqual(macro.events);
+        expect(decoded.loop.offset).toEqual([100, 400]);
+        expect(encodeMacro(sample)[3]).toBe(1);
+    });
+
+    it('ループの区間の指定をバージョン2で往復できる', () => {
+        const events = sample.events.map((ev, i) => ({ ...ev, ...(i === 1 ? { loopStart: true } : {}), ...(i === 3 ? { outroStart: true } : {}) }));
+        const bytes = encodeMacro({ ...sample, events });
+        expect(bytes[3]).toBe(2);
+        expect(decodeMacro(bytes).events).toEqual(events);
+    });
+
+    it('時刻が昇順でないマクロはエンコードできない', () => {
+        const events = [{ t: 100, b: [], a: [0, 0, 0, 0] }, { t: 50, b: [], a: [0, 0, 0, 0] }];
+        expect(() => encodeMacro({ events })).toThrow();
+    });
+
+    it('形式の異なるバイト列はデコードできない', () => {
+        expect(() => decodeMacro(new TextEncoder().encode('{"events":[]}'))).toThrow();
+        expect(() => decodeMacro(encodeMacro(sample).slice(0, 10))).toThrow();
+    });
+});
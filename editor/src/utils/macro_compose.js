@@ -0,0 +1,258 @@
+/**
+ * サブマクロ (再利用できる操作のまとまり) の展開・抽出用の純粋関数群
+ * 目的: 「Aを30回連打」「メニューを開いてセーブ」などの定型操作を名前付きで登録し、
+ *       回数指定で呼び出せるようにする。ATOMS3へ送る前に通常の events に展開する。
+ *
+ * マクロの任意フィールド:
+ *   library: { <名前>: { events: [...], length: <1回分の長さ(ms)> } }
+ *            サブマクロの events の t は先頭からの相対時刻。サブマクロから別のサブマクロも呼び出せる。
+ * 呼び出しイベント:
+ *   { t, call: <名前>, repeat: <回数> }
+ *            t から repeat × length の間を占有する。次のイベントはその終了以降でなければならない。
+ *            周回ごとに変わる呼び出し (every / step) は macro_loop.js を参照。
+ */
+
+import { copyEvents } from './timeline_edit';
+import { getLoopParts, hasVariation, repeatInIteration } from './macro_loop';
+
+export const MAX_EXPANDED_EVENTS = 200000; // 展開後のイベント数の上限 (入れ子の呼び出しで膨らみすぎないように)
+
+export const isCallEvent = (ev) => typeof ev.call === 'string';
+
+/**
+ * サブマクロ1回分の長さ (length が無ければ最後のイベントの時刻)
+ */
+export const subMacroLength = (sub) => {
+    if (Number.isFinite(sub.length)) return sub.length;
+    return sub.events.length > 0 ? sub.events[sub.events.length - 1].t : 0;
+};
+
+/**
+ * 呼び出しイベントが占有する時間 (ms)
+ */
+export const callDuration = (library, ev) => {
+    const sub = library?.[ev.call];
+    return sub ? subMacroLength(sub) * Math.max(1, ev.repeat || 1) : 0;
+};
+
+/**
+ * 呼び出しを含むイベント列を通常のイベントに展開する
+ * @returns {{events: object[], sources: number[]}} sources[i] は展開後の i 番目のイベントの元になったイベントのインデックス
+ */
+export const expandEvents = (events, library = {}) => {
+    if (!events.some(isCallEvent)) {
+        return { events, sources: events.map((_, i) => i) };
+    }
+
+    const out = [];
+    const sources = [];
+
+    const expand = (list, offset, source, stack) => {
+        list.forEach((ev, i) => {
+            if (!isCallEvent(ev)) {
+                if (out.length >= MAX_EXPANDED_EVENTS) {
+                    throw new Error(`展開後のイベント数が上限 (${MAX_EXPANDED_EVENTS}) を超えました`);
+                }
+                out.push({ ...ev, t: ev.t + offset });
+                sources.push(source ?? i);
+                return;
+            }
+
+            const sub = library[ev.call];
+            if (!sub) throw new Error(`サブマクロ「${ev.call}」が見つかりません`);
+            if (stack.includes(ev.call)) {
+                throw new Error(`サブマクロの呼び出しが循環しています (${[...stack, ev.call].join(' → ')})`);
+            }
+            const repeat = ev.repeat ?? 1;
+            if (!Number.isInteger(repeat) || repeat < 1) {
+                throw new Error(`サブマクロ「${ev.call}」の繰り返し回数が不正です (${ev.repeat})`);
+            }
+
+            const start = ev.t + offset;
+            const length = subMacroLength(sub);
+            const next = list[i + 1];
+            if (next && next.t + offset < start + length * repeat) {
+                throw new Error(`サブマクロ「${ev.call}」(${start}ms〜${start + length * repeat}ms) が次のイベント (${next.t + offset}ms) と重なっています`);
+            }
+            const first = out.length;
+            for (let k = 0; k < repeat; k++) {
+                expand(sub.events, start + k * length, source ?? i, [...stack, ev.call]);
+            }
+            // ループの区間の指定は、展開した最初のイベントに引き継ぐ
+            if (out.length > first && (ev.loopStart || ev.outroStart)) {
+                if (ev.loopStart) out[first].loopStart = true;
+                if (ev.outroStart) out[first].outroStart = true;
+            }
+        });
+    };
+
+    expand(events, 0, null, []);
+    return { events: out, sources };
+};
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+/**
+ * ループの本体を周回ごとに展開する (周回ごとに変わる呼び出しの解決と、区間に対応しないファームウェア用)
+ * 回数指定のループはすべての周回を並べてループを無効にする。無限ループは every の最小公倍数の周回分を新しい本体にする。
+ * 周回の間の待機は、ニュートラルのイベント (loop.offset があれば wait 付き) で表す。
+ */
+const unrollLoop = (macro) => {
+    const { events, library } = macro;
+    const loop = macro.loop || {};
+    const parts = getLoopParts(events);
+    const body = events.slice(parts.start, parts.end);
+    const iterations = loop.enabled ? (loop.count > 0 ? loop.count : Infinity) : 1;
+    if (iterations === Infinity && body.some(ev => ev.step > 0)) {
+        throw new Error("無限ループでは周回ごとに繰り返し回数を増やす呼び出し (step) は使えません");
+    }
+    const rounds = iterations === Infinity ? body.reduce((n, ev) => (ev.every > 1 ? (n * ev.every) / gcd(n, ev.every) : n), 1) : iterations;
+    const interval = loop.enabled ? (loop.interval || 0) * 1000 : 0;
+    const [offsetMin, offsetMax] = loop.enabled && Array.isArray(loop.offset) ? loop.offset : [0, 0];
+
+    const out = [];
+    const sources = [];
+    const append = (list, indices, shift) => {
+        const expanded = expandEvents(list, library);
+        if (out.length + expanded.events.length > MAX_EXPANDED_EVENTS) {
+            throw new Error(`展開後のイベント数が上限 (${MAX_EXPANDED_EVENTS}) を超えました`);
+        }
+        expanded.events.forEach((ev, k) => {
+            out.push({ ...ev, t: ev.t + shift });
+            sources.push(indices[expanded.sources[k]]);
+        });
+    };
+    const range = (from, to) => Array.from({ length: to - from }, (_, i) => from + i);
+
+    append(events.slice(0, parts.start), range(0, parts.start), 0);
+    let shift = 0; // 展開した周回の分だけ後ろにずらす時間
+    for (let i = 0; i < rounds; i++) {
+        const list = [];
+        const indices = [];
+        let delta = 0; // この周回で呼び出しの長さが変わった分
+        body.forEach((ev, k) => {
+            const { loopStart, outroStart: _outro, ...rest } = ev;
+            const moved = { ...rest, t: ev.t + delta, ...(loopStart && i === 0 ? { loopStart } : {}) };
+            if (isCallEvent(ev) && hasVariation(ev)) {
+                const { every: _every, step: _step, ...call } = moved;
+                const repeat = repeatInIteration(ev, i);
+                delta += subMacroLength(library?.[ev.call] || { events: [] }) * repeat - callDuration(library, ev);
+                if (repeat === 0) return;
+                list.push({ ...call, repeat });
+            } else {
+                list.push(moved);
+            }
+            indices.push(parts.start + k);
+        });
+        const first = out.length;
+        append(list, indices, shift);
+
+        // 周回の終わり: アウトロの先頭の時刻、無ければ最後に送った入力を保持し終える時刻
+        const last = out[out.length - 1];
+        const end = parts.end < events.length
+            ? parts.endTime + delta + shift
+            : (last && out.length > first ? last.t + (Array.isArray(last.wait) ? last.wait[0] : 0) : parts.startTime + shift);
+        if (i < rounds - 1) {
+            const gap = interval + offsetMin;
+            if (gap > 0 || offsetMax > offsetMin) {
+                out.push({ t: end, b: [], a: [0, 0, 0, 0], ...(offsetMax > offsetMin ? { wait: [gap, interval + offsetMax] } : {}) });
+                sources.push(sources[sources.length - 1] ?? parts.start);
+            }
+            shift = end + gap - parts.startTime;
+        } else {
+            shift = end - parts.endTime;
+        }
+    }
+    append(events.slice(parts.end), range(parts.end, events.length), shift);
+
+    if (iterations === Infinity) return { macro: { ...macro, events: out }, sources };
+    return { macro: { ...macro, loop: { ...loop, enabled: false }, events: out.map(({ loopStart: _start, outroStart: _outro, ...ev }) => ev) }, sources };
+};
+
+/**
+ * マクロを再生用に組み立てる: サブマクロの呼び出しを展開し、周回ごとに変わる呼び出しがあればループの本体を周回ごとに展開する
+ * @param {object} options unroll: 周回ごとに変わる呼び出しが無くても展開する (ループの区間に対応しないファームウェア用)
+ * @returns {{macro: object, sources: number[]}} sources[i] は展開後の i 番目のイベントの元になったイベントのインデックス
+ */
+export const composeMacro = (macro, { unroll = false } = {}) => {
+    const { start, end } = getLoopParts(macro.events);
+    if (unroll || macro.events.slice(start, end).some(ev => isCallEvent(ev) && hasVariation(ev))) {
+        return unrollLoop(macro);
+    }
+    const { events, sources } = expandEvents(macro.events, macro.library);
+    return { macro: events === macro.events ? macro : { ...macro, events }, sources };
+};
+
+/**
+ * マクロの呼び出しをすべて展開し、library を取り除いた通常のマクロを返す (sendMacro の前に使用)
+ */
+export const flattenMacro = (macro) => {
+    const { library: _library, ...rest } = composeMacro(macro).macro;
+    return rest;
+};
+
+/**
+ * 選択範囲 (先頭〜末尾の連続した区間) を新しいサブマクロとして登録し、1回の呼び出しに置き換える
+ * 呼び出しの長さは元の区間と同じなので、後続のイベントの時刻は変わらない。
+ * 先頭のイベントのループの区間の指定は呼び出しに移す (サブマクロの中には区間や周回ごとの変化を持たせない)。
+ */
+export const extractSubMacro = (macro, indices, name) => {
+    const trimmed = (name || '').trim();
+    if (!trimmed) throw new Error("サブマクロの名前を入力してください");
+    if (macro.library?.[trimmed]) throw new Error(`サブマクロ「${trimmed}」は既に存在します`);
+    if (indices.length === 0) throw new Error("イベントが選択されていません");
+
+    const first = Math.min(...indices);
+    const last = Math.max(...indices);
+    const range = Array.from({ length: last - first + 1 }, (_, i) => first + i);
+    const boundary = range.find(i => i > first && (macro.events[i].loopStart || macro.events[i].outroStart));
+    if (boundary !== undefined) {
+        throw new Error(`ループの区間の境目 (${boundary + 1} 行目) を途中に含む範囲はサブマクロにできません`);
+    }
+    const varied = range.find(i => isCallEvent(macro.events[i]) && hasVariation(macro.events[i]));
+    if (varied !== undefined) {
+        throw new Error(`周回ごとの変化 (every / step) を指定した呼び出し (${varied + 1} 行目) はサブマクロにできません`);
+    }
+    const clip = copyEvents(macro.events, range);
+    const { loopStart, outroStart } = macro.events[first];
+
+    return {
+        ...macro,
+        library: {
+            ...macro.library,
+            [trimmed]: { events: clip.events.map(({ loopStart: _start, outroStart: _outro, ...ev }) => ev), length: clip.length }
+        },
+        events: [
+            ...macro.events.slice(0, first),
+            { t: macro.events[first].t, call: trimmed, repeat: 1, ...(loopStart ? { loopStart } : {}), ...(outroStart ? { outroStart } : {}) },
+            ...macro.events.slice(last + 1)
+        ]
+    };
+};
+
+/**
+ * 呼び出しの繰り返し回数を変更し、後続のイベントを増減した時間だけずらす (リップル編集)
+ */
+export const setCallRepeat = (macro, index, repeat) => {
+    const ev = macro.events[index];
+    const length = subMacroLength(macro.library[ev.call]);
+    const delta = (repeat - (ev.repeat || 1)) * length;
+    return {
+        ...macro,
+        events: macro.events.map((e, i) => {
+            if (i === index) return { ...e, repeat };
+            return i > index && delta !== 0 ? { ...e, t: e.t + delta } : e;
+        })
+    };
+};
+
+/**
+ * どこからも呼び出されていないサブマクロだけを削除する
+ */
+export const removeSubMacro = (macro, name) => {
+    const used = macro.events.some(ev => ev.call === name)
+        || Object.entries(macro.library || {}).some(([key, sub]) => key !== name && sub.events.some(ev => ev.call === name));
+    if (used) throw new Error(`サブマクロ「${name}」は使用中のため削除できません`);
+    const { [name]: _removed, ...library } = macro.library;
+    return { ...macro, library };
+};
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import sample from '../../../schema/sample_macro.json';
+import { expandEvents, flattenMacro, extractSubMacro, setCallRepeat, removeSubMacro, callDuration, composeMacro } from './macro_compose';
+import { validateMacro } from './macro_validation';
+
+const ev = (t, b = []) => ({ t, b, a: [0, 0, 0, 0] });
+
+// Aを押して離す (1回 100ms)
+const library = {
+    mashA: { events: [ev(0, [2]), ev(50)], length: 100 }
+};
+
+describe('macro_compose', () => {
+    it('呼び出しを回数分展開する', () => {
+        const events = [ev(0), { t: 100, call: 'mashA', repeat: 3 }, ev(400, [0])];
+        const result = expandEvents(events, library);
+        expect(result.events.map(e => `${e.t}:${e.b.join(',')}`)).toEqual([
+            '0:', '100:2', '150:', '200:2', '250:', '300:2', '350:', '400:0'
+        ]);
+        expect(result.sources).toEqual([0, 1, 1, 1, 1, 1, 1, 2]);
+    });
+
+    it('呼び出しが無ければそのまま返す', () => {
+        expect(expandEvents(sample.events).events).toBe(sample.events);
+    });
+
+    it('入れ子の呼び出しを展開し、library を取り除く', () => {
+        const macro = {
+            ...sample,
+            library: { ...library, twice: { events: [{ t: 0, call: 'mashA', repeat: 2 }], length: 200 } },
+            events: [{ t: 0, call: 'twice', repeat: 2 }]
+        };
+        const flat = flattenMacro(macro);
+        expect(flat.library).toBeUndefined();
+        expect(flat.events.map(e => e.t)).toEqual([0, 50, 100, 150, 200, 250, 300, 350]);
+    });
+
+    it('不正な呼び出しはエラーにする', () => {
+        expect(() => expandEvents([{ t: 0, call: 'none' }], library)).toThrow('見つかりません');
+        expect(() => expandEvents([{ t: 0, call: 'mashA', repeat: 3 }, ev(250)], library)).toThrow('重なっています');
+        const loop = { a: { events: [{ t: 0, call: 'b' }], length: 10 }, b: { events: [{ t: 0, call: 'a' }], length: 10 } };
+        expect(() => expandEvents([{ t: 0, call: 'a' }], loop)).toThrow('循環');
+    });
+
+    it('選択範囲をサブマクロに置き換えても展開結果は変わらない', () => {
+        const extracted = extractSubMacro(sample, [1, 2], 'jump');
+        expect(extracted.library.jump).toEqual({ events: [ev(0, [2]), ev(100)], length: 400 });
+        expect(extracted.events).toHaveLength(4);
+        expect(extracted.events[1]).toEqual({ t: 100, call: 'jump', repeat: 1 });
+        expect(flattenMacro(extracted).events).toEqual(sample.events);
+        expect(() => extractSubMacro(extracted, [0], 'jump')).toThrow('既に存在');
+    });
+
+    it('ループの開始を含む範囲を抽出すると、区間の指定を呼び出しに移す', () => {
+        const macro = { ...sample, loop: { enabled: true, count: 0, interval: 0 }, events: [ev(0), { ...ev(100, [2]), loopStart: true }, ev(200), ev(300, [1])] };
+        const extracted = extractSubMacro(macro, [1, 2], 'press');
+        expect(extracted.events[1]).toEqual({ t: 100, call: 'press', repeat: 1, loopStart: true });
+        expect(extracted.library.press.events.some(e => e.loopStart || e.outroStart)).toBe(false);
+        expect(validateMacro(extracted)).toEqual([]);
+        expect(flattenMacro(extracted).events).toEqual(macro.events);
+
+        expect(() => extractSubMacro(macro, [0, 1], 'intro')).toThrow('ループの区間の境目 (2 行目)');
+        const varied = { ...macro, library, events: [ev(0), { t: 100, call: 'mashA', repeat: 1, every: 2, loopStart: true }, ev(200)] };
+        expect(() => extractSubMacro(varied, [1, 2], 'body')).toThrow('周回ごとの変化');
+    });
+
+    it('繰り返し回数の変更で後続のイベントをずらす', () => {
+        const macro = { ...sample, library, events: [ev(0), { t: 100, call: 'mashA', repeat: 1 }, ev(200)] };
+        const changed = setCallRepeat(macro, 1, 4);
+        expect(changed.events.map(e => e.t)).toEqual([0, 100, 500]);
+        expect(callDuration(library, changed.events[1])).toBe(400);
+    });
+
+    it('呼び出しに付けたループの区間の指定は展開した最初のイベントに引き継ぐ', () => {
+        const result = expandEvents([ev(0), { t: 100, call: 'mashA', repeat: 2, loopStart: true }], library);
+        expect(result.events.map(e => !!e.loopStart)).toEqual([false, true, false, false, false]);
+    });
+
+    it('周回ごとに変わる呼び出しは回数指定のループをすべての周回に展開する', () => {
+        const macro = {
+            ...sample,
+            loop: { enabled: true, count: 2, interval: 0 },
+            library,
+            events: [ev(0, [1]), { t: 100, call: 'mashA', repeat: 1, step: 1, loopStart: true }, ev(200, [0]), { ...ev(300), outroStart: true }]
+        };
+        const { macro: composed, sources } = composeMacro(macro);
+        expect(composed.loop.enabled).toBe(false);
+        // 2周目は呼び出しが1回増え、その分アウトロが遅れる
+        expect(composed.events.map(e => `${e.t}:${e.b.join(',')}`)).toEqual([
+            '0:1', '100:2', '150:', '200:0', '300:2', '350:', '400:2', '450:', '500:0', '600:'
+        ]);
+        expect(composed.events.some(e => e.loopStart || e.outroStart)).toBe(false);
+        expect(sources).toEqual([0, 1, 1, 2, 1, 1, 1, 1, 2, 3]);
+    });
+
+    it('無限ループは every の最小公倍数の周回分を新しい本体にする', () => {
+        const macro = {
+            ...sample,
+            loop: { enabled: true, count: 0, interval: 1 },
+            library,
+            events: [{ t: 0, call: 'mashA', every: 2 }, ev(100, [0])]
+        };
+        const { macro: composed } = composeMacro(macro);
+        expect(composed.loop.enabled).toBe(true);
+        // 1周目は呼び出さず、周回の間の待機はニュートラルのイベントで表す
+        expect(composed.events.map(e => `${e.t}:${e.b.join(',')}`)).toEqual(['0:0', '0:', '1000:2', '1050:', '1100:0']);
+
+        const step = { ...macro, events: [{ t: 0, call: 'mashA', step: 1 }, ev(100)] };
+        expect(() => composeMacro(step)).toThrow('step');
+    });
+
+    it('使用中のサブマクロは削除できない', () => {
+        const macro = { ...sample, library, events: [{ t: 0, call: 'mashA' }] };
+        expect(() => removeSubMacro(macro, 'mashA')).toThrow('使用中');
+        expect(removeSubMacro({ ...macro, events: [] }, 'mashA').library).toEqual({});
+    });
+});
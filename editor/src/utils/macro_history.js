@@ -0,0 +1,70 @@
+/**
+ * マクロ編集の履歴 (元に戻す / やり直す) を管理する純粋関数群
+ * 目的: setMacro で行われるすべての変更をコマンドとして記録し、任意の時点に戻せるようにする。
+ *
+ * マクロの状態は常にイミュータブルに更新されるため、各コマンドは
+ * 「実行前のマクロ」と「ラベル」だけを保持すれば元に戻せる。
+ */
+
+export const HISTORY_LIMIT = 200; // 保持する履歴の最大数
+
+/**
+ * 履歴の初期状態を作成する
+ */
+export const createHistory = (present) => ({ past: [], present, future: [] });
+
+/**
+ * コマンドを実行し、履歴に積む
+ * @param {object} history 現在の履歴
+ * @param {object} command
+ * @param {function} command.apply 現在のマクロを受け取り、新しいマクロを返す関数
+ * @param {string} command.label 履歴に表示する操作名
+ * @param {string} [command.mergeKey] 直前のコマンドと同じキーなら1つの履歴にまとめる (連続入力・記録用)
+ * @param {boolean} [command.record=true] false の場合は履歴に残さず状態だけ更新する
+ */
+export const executeCommand = (history, command) => {
+    const next = command.apply(history.present);
+    if (next === history.present) return history;
+
+    if (command.record === false) {
+        return { ...history, present: next };
+    }
+
+    const last = history.past[history.past.length - 1];
+    if (command.mergeKey && last && last.mergeKey === command.mergeKey && history.future.length === 0) {
+        return { ...history, present: next };
+    }
+
+    const entry = { label: command.label || '編集', mergeKey: command.mergeKey || null, macro: history.present };
+    return {
+        past: [...history.past, entry].slice(-HISTORY_LIMIT),
+        present: next,
+        future: []
+    };
+};
+
+/**
+ * 直前のコマンドを取り消す
+ */
+export const undo = (history) => {
+    if (history.past.length === 0) return history;
+    const entry = history.past[history.past.length - 1];
+    return {
+        past: history.past.slice(0, -1),
+        present: entry.macro,
+        future: [{ label: entry.label, mergeKey: null, macro: history.present }, ...history.future]
+    };
+};
+
+/**
+ * 取り消したコマンドをやり直す
+ */
+export const redo = (history) => {
+    if (history.future.length === 0) return history;
+    const [entry, ...rest] = history.future;
+    return {
+        past: [...history.past, { label: entry.label, mergeKey: null, macro: history.present }],
+        present: entry.macro,
+        future: rest
+    };
+};
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { createHistory, executeCommand, undo, redo, HISTORY_LIMIT } from './macro_history';
+
+const addEvent = (t) => ({ label: '追加', apply: (m) => ({ ...m, events: [...m.events, { t, b: [], a: [0, 0, 0, 0] }] }) });
+
+describe('macro_history', () => {
+    it('コマンドを取り消し・やり直しできる', () => {
+        let h = createHistory({ events: [] });
+        h = executeCommand(h, addEvent(0));
+        h = executeCommand(h, addEvent(100));
+        expect(h.present.events).toHaveLength(2);
+
+        h = undo(h);
+        expect(h.present.events).toHaveLength(1);
+        h = undo(h);
+        expect(h.present.events).toHaveLength(0);
+        h = redo(redo(h));
+        expect(h.present.events.map(e => e.t)).toEqual([0, 100]);
+    });
+
+    it('新しいコマンドを実行するとやり直し履歴は破棄される', () => {
+        let h = executeCommand(createHistory({ events: [] }), addEvent(0));
+        h = executeCommand(undo(h), addEvent(50));
+        expect(h.future).toHaveLength(0);
+        expect(redo(h)).toBe(h);
+    });
+
+    it('同じ mergeKey の連続したコマンドは1つの履歴にまとめる', () => {
+        let h = createHistory({ events: [] });
+        for (let i = 0; i < 10; i++) h = executeCommand(h, { ...addEvent(i * 16), mergeKey: 'record-1' });
+        expect(h.past).toHaveLength(1);
+        expect(undo(h).present.events).toHaveLength(0);
+    });
+
+    it('状態が変わらないコマンドや record: false は履歴に残さない', () => {
+        let h = createHistory({ events: [] });
+        expect(executeCommand(h, { label: 'noop', apply: (m) => m })).toBe(h);
+        h = executeCommand(h, { ...addEvent(0), record: false });
+        expect(h.past).toHaveLength(0);
+        expect(h.present.events).toHaveLength(1);
+    });
+
+    it('履歴は上限数までしか保持しない', () => {
+        let h = createHistory({ events: [] });
+        for (let i = 0; i < HISTORY_LIMIT + 10; i++) h = executeCommand(h, addEvent(i));
+        expect(h.past).toHaveLength(HISTORY_LIMIT);
+    });
+});
@@ -0,0 +1,68 @@
+/**
+ * ループの区間 (イントロ / 本体 / アウトロ) と周回ごとの変化
+ * 目的: 「準備してから N 回繰り返し、最後にセーブする」のような流れを、イベントを複製せずに1つのマクロで書けるようにする。
+ *
+ * イベントの任意フィールド:
+ *   loopStart: true   このイベントからループの本体。それより前はイントロで、最初に1回だけ再生する
+ *   outroStart: true  このイベントからアウトロ。最後の周回に続けて1回だけ再生する (無限ループでは再生されない)
+ * 本体の1周は、ループ開始のイベントの時刻からアウトロの先頭の時刻 (アウトロが無ければ最後のイベントの時刻) まで。
+ * 周回の間にはこれまでどおり loop.interval (と loop.offset) だけ待つ。
+ *
+ * サブマクロの呼び出しの任意フィールド (本体の中でのみ有効。エディタが転送前に周回ごとに展開する):
+ *   every: <n>  n 周ごと (n, 2n, ... 周目) にだけ呼び出す。呼び出さない周回では後続のイベントが前に詰まる
+ *   step: <k>   周回ごとに繰り返し回数を k 回ずつ増やす (i 周目は repeat + k × (i - 1) 回)
+ */
+
+/**
+ * ループの区間を求める
+ * @returns {{start: number, end: number, startTime: number, endTime: number}}
+ *          start / end は本体の先頭とアウトロの先頭のインデックス (アウトロが無ければ events.length)。
+ *          startTime / endTime は本体の1周の始まりと終わりの時刻
+ */
+export const getLoopParts = (events) => {
+    const flagged = events.findIndex(ev => ev.loopStart);
+    const start = Math.max(0, flagged);
+    const outro = events.findIndex((ev, i) => ev.outroStart && i >= start);
+    const end = outro >= 0 ? outro : events.length;
+    const lastTime = events.length > 0 ? events[events.length - 1].t : 0;
+    return {
+        start,
+        end,
+        startTime: flagged >= 0 ? events[flagged].t : 0,
+        endTime: end < events.length ? events[end].t : lastTime
+    };
+};
+
+/**
+ * イントロ・アウトロを指定しているか
+ */
+export const hasLoopParts = (macro) => (macro.events || []).some(ev => ev.loopStart || ev.outroStart);
+
+/**
+ * ループの区間の指定を取り除く
+ */
+export const stripLoopParts = (events) => events.map(({ loopStart: _start, outroStart: _outro, ...ev }) => ev);
+
+/**
+ * ループ開始 (loopStart) またはアウトロ開始 (outroStart) を index のイベントに付け替える
+ * @param {number|null} index null の場合は取り除くだけ
+ */
+export const setLoopPoint = (events, key, index) => events.map((ev, i) => {
+    if (i === index) return { ...ev, [key]: true };
+    if (!ev[key]) return ev;
+    const { [key]: _removed, ...rest } = ev;
+    return rest;
+});
+
+/**
+ * 周回ごとに変わる呼び出し (every / step) か
+ */
+export const hasVariation = (ev) => ev.every > 1 || ev.step > 0;
+
+/**
+ * 周回 iteration (0始まり) での呼び出しの繰り返し回数 (呼び出さない周回は 0)
+ */
+export const repeatInIteration = (ev, iteration) => {
+    if (ev.every > 1 && (iteration + 1) % ev.every !== 0) return 0;
+    return (ev.repeat ?? 1) + (ev.step > 0 ? ev.step * iteration : 0);
+};
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { getLoopParts, hasLoopParts, repeatInIteration, setLoopPoint, stripLoopParts } from './macro_loop';
+
+const ev = (t, extra = {}) => ({ t, b: [], a: [0, 0, 0, 0], ...extra });
+
+describe('macro_loop', () => {
+    it('指定が無ければすべてのイベントが本体になる', () => {
+        expect(getLoopParts([ev(0), ev(100), ev(300)])).toEqual({ start: 0, end: 3, startTime: 0, endTime: 300 });
+        expect(getLoopParts([])).toEqual({ start: 0, end: 0, startTime: 0, endTime: 0 });
+    });
+
+    it('ループ開始とアウトロ開始で区間を分ける', () => {
+        const events = [ev(0), ev(100, { loopStart: true }), ev(200), ev(400, { outroStart: true }), ev(500)];
+        expect(getLoopParts(events)).toEqual({ start: 1, end: 3, startTime: 100, endTime: 400 });
+        expect(hasLoopParts({ events })).toBe(true);
+        expect(hasLoopParts({ events: stripLoopParts(events) })).toBe(false);
+    });
+
+    it('ループ開始・アウトロ開始は1つのイベントにだけ付く', () => {
+        const events = setLoopPoint([ev(0, { loopStart: true }), ev(100), ev(200)], 'loopStart', 2);
+        expect(events.map(e => !!e.loopStart)).toEqual([false, false, true]);
+        expect(setLoopPoint(events, 'loopStart', null).some(e => 'loopStart' in e)).toBe(false);
+    });
+
+    it('周回ごとの呼び出し回数を求める (every の周回以外は0回)', () => {
+        const call = { t: 0, call: 'save', repeat: 2, every: 3, step: 1 };
+        expect([0, 1, 2, 3, 4, 5].map(i => repeatInIteration(call, i))).toEqual([0, 0, 4, 0, 0, 7]);
+        expect(repeatInIteration({ t: 0, call: 'a' }, 4)).toBe(1);
+    });
+});
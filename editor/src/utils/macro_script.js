@@ -0,0 +1,494 @@
+/**
+ * マクロのテキスト表記 (スクリプト) とイベント列の相互変換
+ * 目的: 決まった操作の並びを数値入力ではなく文章で書けるようにし、マクロをテキストとして差分比較できるようにする。
+ *
+ * 書式 (文は改行または ; で区切る。# または // から行末まではコメント):
+ *   press A 80ms                 ボタンを押して離す (A+B のように + で同時押し)
+ *   hold LS up 1.2s              スティックを倒して戻す (up / down / left / right / up-left など、または LS 0.5,-0.3)
+ *   hold ZR RS right 500ms       ボタンとスティックの組み合わせも可 (press と hold は同じ意味)
+ *   wait 500ms                   何も入力せずに待つ
+ *   press A 80..120ms            入力を最短〜最長のランダムな時間だけ保持する (wait 500..900ms も同様。次の文は最短の時刻から)
+ *   press A 80ms jitter 20ms     入力を 0〜20ms のランダムな時間だけ遅らせて送る
+ *   press A 100ms range 80..120ms  保持する時間の範囲を次の文までの時間と別に指定する
+ *   repeat 10 { ... }            繰り返し
+ *   call "メニュー" x3            サブマクロの呼び出し (x3 は繰り返し回数)
+ *   call "回復" every 5 step 1    ループの本体での周回ごとの変化 (every: n周ごとに呼ぶ / step: 周回ごとに回数を増やす)
+ *   section "戦闘開始"            次の操作にセクション名を付ける
+ *   note "コメント"               次の操作にコメントを付ける
+ *   loop start                   次の操作からループの本体 (それより前はイントロ)
+ *   outro                        次の操作からアウトロ
+ * 時間は ms / s (単位省略時は ms)。LS / RS の後に方向または値が無い場合はスティック押し込みボタンとして扱う。
+ * 同じ入力が続く文は1つの押下につながる (連打するには間に wait を入れる)。
+ */
+
+import { HID_BUTTONS } from './constants';
+import { isCallEvent, callDuration, MAX_EXPANDED_EVENTS } from './macro_compose';
+
+const NEUTRAL = [0, 0, 0, 0];
+
+// スティックの方向 (上が負: Gamepad API と同じ向き)
+const DIRECTIONS = {
+    center: [0, 0],
+    up: [0, -1],
+    down: [0, 1],
+    left: [-1, 0],
+    right: [1, 0],
+    'up-left': [-1, -1],
+    'up-right': [1, -1],
+    'down-left': [-1, 1],
+    'down-right': [1, 1]
+};
+
+const STICKS = { LS: 0, RS: 2 }; // a 配列での X 軸の位置
+
+const BUTTON_NAMES = Object.fromEntries(Object.entries(HID_BUTTONS).map(([name, bit]) => [bit, name]));
+
+const KEYWORDS = ['press', 'hold', 'wait', 'repeat', 'call', 'section', 'note', 'loop', 'outro'];
+
+/**
+ * 行・列付きのエラー
+ */
+const scriptError = (message, token) => Object.assign(new Error(message), { line: token.line, column: token.column });
+
+// --- 字句解析 ---
+
+const TOKEN_PATTERNS = [
+    ['space', /^[ \t\r]+/],
+    ['newline', /^\n/],
+    ['comment', /^(#|\/\/)[^\n]*/],
+    ['string', /^"(?:[^"\\\n]|\\.)*"/],
+    ['range', /^\d+(?:\.\d+)?\.\.\d+(?:\.\d+)?(?:ms|s)?(?![\w.])/],
+    ['number', /^-?\d+(?:\.\d+)?(?:ms|s)?(?![\w.])/],
+    ['word', /^[A-Za-z_][\w-]*/],
+    ['punct', /^[{};+,]/]
+];
+
+const tokenize = (text) => {
+    const tokens = [];
+    let pos = 0;
+    let line = 1;
+    let lineStart = 0;
+    while (pos < text.length) {
+        const rest = text.slice(pos);
+        const found = TOKEN_PATTERNS.map(([type, re]) => [type, rest.match(re)]).find(([, m]) => m);
+        const at = { line, column: pos - lineStart + 1 };
+        if (!found) throw scriptError(`不明な文字 "${text[pos]}" です`, at);
+        const [type, match] = found;
+        const value = match[0];
+        if (type === 'newline') {
+            line++;
+            lineStart = pos + 1;
+        } else if (type === 'string') {
+            tokens.push({ type, value: JSON.parse(value), ...at });
+        } else if (type === 'number') {
+            const [, num, unit] = value.match(/^(-?[\d.]+)(ms|s)?$/);
+            tokens.push({ type, value: Number(num), unit: unit || null, text: value, ...at });
+        } else if (type === 'range') {
+            const [, min, max, unit] = value.match(/^([\d.]+?)\.\.([\d.]+)(ms|s)?$/);
+            tokens.push({ type, value: [Number(min), Number(max)], unit: unit || null, text: value, ...at });
+        } else if (type === 'word' || type === 'punct') {
+            tokens.push({ type, value, ...at });
+        }
+        pos += value.length;
+    }
+    tokens.push({ type: 'end', value: '', line, column: pos - lineStart + 1 });
+    return tokens;
+};
+
+// --- 構文解析 ---
+
+const parse = (text) => {
+    const tokens = tokenize(text);
+    let pos = 0;
+    const peek = (offset = 0) => tokens[pos + offset];
+    const next = () => tokens[pos++];
+
+    const expect = (type, value, message) => {
+        const token = next();
+        if (token.type !== type || (value !== undefined && token.value !== value)) throw scriptError(message, token);
+        return token;
+    };
+
+    const parseDuration = () => {
+        const token = next();
+        if (token.type !== 'number') throw scriptError("時間を指定してください (例: 80ms, 1.2s)", token);
+        const ms = Math.round(token.unit === 's' ? token.value * 1000 : token.value);
+        if (ms < 0) throw scriptError("時間は0以上で指定してください", token);
+        return ms;
+    };
+
+    const parseRange = () => {
+        const token = next();
+        if (token.type !== 'range') throw scriptError("時間の範囲を指定してください (例: 80..120ms)", token);
+        const [min, max] = token.value.map(v => Math.round(token.unit === 's' ? v * 1000 : v));
+        if (min > max) throw scriptError("時間の範囲は 最短..最長 の順に指定してください", token);
+        return [min, max];
+    };
+
+    /**
+     * 時間 (または時間の範囲) と、その後の jitter / range を読む
+     */
+    const parseTiming = () => {
+        const timing = {};
+        if (peek().type === 'range') {
+            timing.wait = parseRange();
+            timing.duration = timing.wait[0];
+        } else {
+            timing.duration = parseDuration();
+        }
+        return { ...timing, ...parseOptions(['jitter', 'range']) };
+    };
+
+    /**
+     * 文の後に続く指定 (jitter 20ms など) を読む
+     * @param {string[]} allowed 受け付ける指定の名前
+     */
+    const parseOptions = (allowed) => {
+        const options = {};
+        for (; ;) {
+            const token = peek();
+            const name = token.type === 'word' ? token.value.toLowerCase() : null;
+            if (!allowed.includes(name)) return options;
+            next();
+            if (name === 'jitter') options.jitter = parseDuration();
+            else if (name === 'range') options.wait = parseRange();
+            else options[name] = parseCount(name === 'every' ? 1 : 0);
+        }
+    };
+
+    const parseCount = (min) => {
+        const token = next();
+        if (token.type !== 'number' || token.unit || !Number.isInteger(token.value) || token.value < min) {
+            throw scriptError(`${min}以上の整数で指定してください`, token);
+        }
+        return token.value;
+    };
+
+    const parseAxisValue = () => {
+        const token = next();
+        if (token.type !== 'number' || token.unit || Math.abs(token.value) > 1) {
+            throw scriptError("スティックの値は -1.0〜1.0 の数値で指定してください", token);
+        }
+        return token.value;
+    };
+
+    const parseInputs = () => {
+        const b = [];
+        const a = [...NEUTRAL];
+        const start = peek();
+        for (; ;) {
+            const token = peek();
+            if (token.type === 'punct' && token.value === '+') {
+                next();
+                continue;
+            }
+            if (token.type !== 'word' || KEYWORDS.includes(token.value.toLowerCase())) break;
+            const name = token.value.toUpperCase();
+            const after = peek(1);
+            const isStick = Object.hasOwn(STICKS, name);
+            if (isStick && after.type === 'word' && Object.hasOwn(DIRECTIONS, after.value.toLowerCase())) {
+                next();
+                const [x, y] = DIRECTIONS[next().value.toLowerCase()];
+                a[STICKS[name]] = x;
+                a[STICKS[name] + 1] = y;
+            } else if (isStick && after.type === 'number' && peek(2).type === 'punct' && peek(2).value === ',') {
+                next();
+                a[STICKS[name]] = parseAxisValue();
+                next(); // ','
+                a[STICKS[name] + 1] = parseAxisValue();
+            } else if (Object.hasOwn(HID_BUTTONS, name)) {
+                next();
+                if (!b.includes(HID_BUTTONS[name])) b.push(HID_BUTTONS[name]);
+            } else {
+                throw scriptError(`不明なボタン名 "${token.value}" です`, token);
+            }
+        }
+        if (b.length === 0 && a.every(v => v === 0)) throw scriptError("押すボタンまたは倒すスティックを指定してください", start);
+        return { b, a };
+    };
+
+    const parseBlock = (closing) => {
+        const statements = [];
+        for (; ;) {
+            const token = peek();
+            if (token.type === 'punct' && token.value === ';') {
+                next();
+                continue;
+            }
+            if (closing && token.type === 'punct' && token.value === '}') {
+                next();
+                return statements;
+            }
+            if (token.type === 'end') {
+                if (closing) throw scriptError("repeat の { に対応する } がありません", closing);
+                return statements;
+            }
+            statements.push(parseStatement());
+        }
+    };
+
+    const parseStatement = () => {
+        const token = next();
+        const keyword = token.type === 'word' ? token.value.toLowerCase() : null;
+        switch (keyword) {
+            case 'press':
+            case 'hold': {
+                const inputs = parseInputs();
+                return { type: 'input', ...inputs, ...parseTiming(), token };
+            }
+            case 'wait':
+                return { type: 'input', b: [], a: [...NEUTRAL], ...parseTiming(), token };
+            case 'repeat': {
+                const count = next();
+                if (count.type !== 'number' || count.unit || !Number.isInteger(count.value) || count.value < 1) {
+                    throw scriptError("繰り返し回数は1以上の整数で指定してください", count);
+                }
+                const open = expect('punct', '{', "repeat の回数の後に { が必要です");
+                return { type: 'repeat', count: count.value, body: parseBlock(open), token };
+            }
+            case 'call': {
+                const name = next();
+                if (name.type !== 'string' && name.type !== 'word') throw scriptError("呼び出すサブマクロの名前を指定してください", name);
+                let repeat = 1;
+                const times = peek();
+                if (times.type === 'word' && /^x\d+$/i.test(times.value)) {
+                    next();
+                    repeat = Number(times.value.slice(1));
+                    if (repeat < 1) throw scriptError("繰り返し回数は1以上の整数で指定してください", times);
+                }
+                return { type: 'call', call: name.value, repeat, ...parseOptions(['every', 'step']), token };
+            }
+            case 'loop':
+                expect('word', 'start', "loop の後に start が必要です (loop start)");
+                return { type: 'loopStart', token };
+            case 'outro':
+                return { type: 'outroStart', token };
+            case 'section':
+            case 'note': {
+                const value = expect('string', undefined, `${keyword} の後に "..." で名前を指定してください`);
+                return { type: keyword === 'section' ? 'marker' : 'comment', value: value.value, token };
+            }
+            default:
+                throw scriptError(token.type === 'end' ? "文が途中で終わっています" : `"${token.value}" は文の先頭に書けません (${KEYWORDS.join(' / ')})`, token);
+        }
+    };
+
+    return parseBlock(null);
+};
+
+// --- コンパイル ---
+
+const sameState = (x, y) => x.b.length === y.b.length && x.b.every(bit => y.b.includes(bit)) && x.a.every((v, i) => v === y.a[i]);
+
+const isNeutral = (ev) => ev.b.length === 0 && ev.a.every(v => v === 0);
+
+// ランダムな時間 (jitter / wait) の指定
+const timingOf = (statement) => ({
+    ...(statement.jitter !== undefined ? { jitter: statement.jitter } : {}),
+    ...(statement.wait !== undefined ? { wait: statement.wait } : {})
+});
+
+const hasTiming = (ev) => ev.jitter !== undefined || ev.wait !== undefined;
+
+/**
+ * スクリプトをイベント列に変換する
+ * 構文エラーや存在しないサブマクロの呼び出しは、line / column 付きの例外になる。
+ * @param {object} library 呼び出すサブマクロ (macro.library)
+ * @returns {object[]} events
+ */
+export const compileScript = (text, library = {}) => {
+    const statements = parse(text);
+    const events = [];
+    let t = 0;
+    let annotations = {};
+    let last = null; // 最後に処理した操作の文
+
+    const push = (ev, token) => {
+        if (events.length >= MAX_EXPANDED_EVENTS) {
+            throw scriptError(`イベント数が上限 (${MAX_EXPANDED_EVENTS}) を超えました`, token);
+        }
+        const prev = events[events.length - 1];
+        const annotated = Object.keys(annotations).length > 0;
+        if (prev && prev.t === ev.t && !isCallEvent(prev) && !isCallEvent(ev)) {
+            // 長さ0の操作は次の操作で上書きする (注釈は引き継ぐ)
+            events[events.length - 1] = { ...prev, ...ev, ...annotations };
+        } else if (!annotated && prev && !isCallEvent(prev) && !isCallEvent(ev) && !hasTiming(prev) && !hasTiming(ev) && sameState(prev, ev)) {
+            // 同じ入力が続く場合はイベントを増やさない (ランダムな時間の指定があれば残す)
+        } else {
+            events.push({ ...ev, ...annotations });
+        }
+        annotations = {};
+    };
+
+    const run = (list) => list.forEach(statement => {
+        switch (statement.type) {
+            case 'marker':
+            case 'comment':
+                annotations[statement.type] = statement.value;
+                break;
+            case 'loopStart':
+            case 'outroStart':
+                annotations[statement.type] = true;
+                break;
+            case 'input':
+                push({ t, b: [...statement.b], a: [...statement.a], ...timingOf(statement) }, statement.token);
+                t += statement.duration;
+                last = statement;
+                break;
+            case 'call':
+                if (!library[statement.call]) throw scriptError(`サブマクロ「${statement.call}」が見つかりません`, statement.token);
+                push({
+                    t,
+                    call: statement.call,
+                    repeat: statement.repeat,
+                    ...(statement.every !== undefined ? { every: statement.every } : {}),
+                    ...(statement.step !== undefined ? { step: statement.step } : {})
+                }, statement.token);
+                t += callDuration(library, statement);
+                last = statement;
+                break;
+            case 'repeat':
+                for (let i = 0; i < statement.count; i++) run(statement.body);
+                break;
+            default:
+                break;
+        }
+    });
+
+    run(statements);
+
+    // 最後の操作の終わりにニュートラルに戻すイベントを置く (マクロの長さになる)
+    // ただし長さ0の入力で終わる場合と、サブマクロの呼び出しで終わる場合は置かない
+    const endsWithInstant = last?.type === 'input' && last.duration === 0 && !isNeutral(last);
+    if (last && !endsWithInstant && last.type !== 'call') {
+        const prev = events[events.length - 1];
+        if (prev.t === t) {
+            events[events.length - 1] = { ...prev, b: [], a: [...NEUTRAL], ...annotations };
+        } else {
+            events.push({ t, b: [], a: [...NEUTRAL], ...annotations });
+        }
+    } else if (Object.keys(annotations).length > 0) {
+        const { line, column } = statements[statements.length - 1].token;
+        throw Object.assign(new Error("section / note / loop start / outro の後に操作がありません"), { line, column });
+    }
+    return events;
+};
+
+/**
+ * コンパイル結果とエラーをまとめて返す (エディタでの逐次チェック用)
+ * @returns {{events: object[]|null, error: {message: string, line: number, column: number}|null}}
+ */
+export const checkScript = (text, library = {}) => {
+    try {
+        return { events: compileScript(text, library), error: null };
+    } catch (err) {
+        return { events: null, error: { message: err.message, line: err.line ?? null, column: err.column ?? null } };
+    }
+};
+
+// --- 逆変換 ---
+
+const formatDuration = (ms) => (ms >= 1000 && ms % 100 === 0 ? `${ms / 1000}s` : `${ms}ms`);
+
+const formatRange = ([min, max]) => (min >= 1000 && min % 100 === 0 && max % 100 === 0 ? `${min / 1000}..${max / 1000}s` : `${min}..${max}ms`);
+
+/**
+ * 次の文までの時間とランダムな時間の指定 (保持する時間の範囲の最短が次の文までの時間と同じなら範囲だけで書く)
+ */
+const formatTiming = (ev, duration) => {
+    const parts = [];
+    if (Array.isArray(ev.wait) && ev.wait[0] === duration) {
+        parts.push(formatRange(ev.wait));
+    } else {
+        parts.push(formatDuration(duration));
+        if (Array.isArray(ev.wait)) parts.push(`range ${formatRange(ev.wait)}`);
+    }
+    if (ev.jitter !== undefined) parts.push(`jitter ${formatDuration(ev.jitter)}`);
+    return parts.join(' ');
+};
+
+const formatName = (name) => (/^[A-Za-z_][\w-]*$/.test(name) && !/^x\d+$/i.test(name) ? name : JSON.stringify(name));
+
+const formatStick = (name, x, y) => {
+    const direction = Object.entries(DIRECTIONS).find(([, [dx, dy]]) => dx === x && dy === y);
+    return direction ? `${name} ${direction[0]}` : `${name} ${x},${y}`;
+};
+
+const formatInputs = (ev) => {
+    const parts = ev.b.map(bit => BUTTON_NAMES[bit] ?? String(bit));
+    Object.entries(STICKS).forEach(([name, i]) => {
+        if (ev.a[i] !== 0 || ev.a[i + 1] !== 0) parts.push(formatStick(name, ev.a[i], ev.a[i + 1]));
+    });
+    return parts.join(' ');
+};
+
+/**
+ * 同じ行の並びの繰り返しを repeat にまとめる
+ */
+const foldRepeats = (lines, indent = '') => {
+    const out = [];
+    let i = 0;
+    while (i < lines.length) {
+        let best = null;
+        for (let size = 1; size <= 8 && i + size * 2 <= lines.length; size++) {
+            let count = 1;
+            while (i + size * (count + 1) <= lines.length
+                && lines.slice(i + size * count, i + size * (count + 1)).every((line, k) => line === lines[i + k])) {
+                count++;
+            }
+            const saved = size * (count - 1) - 2; // repeat の行と } の行の分を差し引く
+            if (count > 1 && saved > 0 && (!best || saved > best.saved)) best = { size, count, saved };
+        }
+        if (best) {
+            out.push(`${indent}repeat ${best.count} {`);
+            out.push(...lines.slice(i, i + best.size).map(line => `${indent}    ${line}`));
+            out.push(`${indent}}`);
+            i += best.size * best.count;
+        } else {
+            out.push(`${indent}${lines[i]}`);
+            i++;
+        }
+    }
+    return out;
+};
+
+/**
+ * イベント列をスクリプトに変換する (compileScript で元のイベント列に戻る)
+ * @param {object} library 呼び出しの長さの計算に使うサブマクロ (macro.library)
+ */
+export const decompileEvents = (events, library = {}) => {
+    const lines = [];
+    if (events.length > 0 && events[0].t > 0) lines.push(`wait ${formatDuration(events[0].t)}`);
+
+    events.forEach((ev, i) => {
+        const nextEvent = events[i + 1];
+        if (ev.marker !== undefined) lines.push(`section ${JSON.stringify(ev.marker)}`);
+        if (ev.comment !== undefined) lines.push(`note ${JSON.stringify(ev.comment)}`);
+        if (ev.loopStart) lines.push('loop start');
+        if (ev.outroStart) lines.push('outro');
+
+        if (isCallEvent(ev)) {
+            const options = [
+                (ev.repeat || 1) > 1 ? ` x${ev.repeat}` : '',
+                ev.every !== undefined ? ` every ${ev.every}` : '',
+                ev.step !== undefined ? ` step ${ev.step}` : ''
+            ];
+            lines.push(`call ${formatName(ev.call)}${options.join('')}`);
+            const gap = nextEvent ? nextEvent.t - ev.t - callDuration(library, ev) : 0;
+            if (gap > 0) lines.push(`wait ${formatDuration(gap)}`);
+            return;
+        }
+
+        const duration = nextEvent ? nextEvent.t - ev.t : 0;
+        if (isNeutral(ev)) {
+            // 最後のニュートラルはマクロの終わりを表す (注釈・ランダムな時間・ループの区間が付いている場合のみ長さ0の wait で残す)
+            const kept = ev.marker !== undefined || ev.comment !== undefined || hasTiming(ev) || ev.loopStart || ev.outroStart;
+            if (nextEvent || kept) lines.push(`wait ${formatTiming(ev, duration)}`);
+            return;
+        }
+        const verb = ev.a.some(v => v !== 0) ? 'hold' : 'press';
+        lines.push(`${verb} ${formatInputs(ev)} ${formatTiming(ev, duration)}`);
+    });
+
+    return foldRepeats(lines).join('\n');
+};
@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import sample from '../../../schema/sample_macro.json';
+import { HID_BUTTONS } from './constants';
+import { compileScript, checkScript, decompileEvents } from './macro_script';
+
+const { A, B, ZR } = HID_BUTTONS;
+const neutral = (t) => ({ t, b: [], a: [0, 0, 0, 0] });
+
+describe('macro_script', () => {
+    it('押下・待機・スティックをイベントに変換する', () => {
+        expect(compileScript('press A 80ms; wait 500ms; hold LS up 1.2s')).toEqual([
+            { t: 0, b: [A], a: [0, 0, 0, 0] },
+            neutral(80),
+            { t: 580, b: [], a: [0, -1, 0, 0] },
+            neutral(1780)
+        ]);
+        expect(compileScript('hold ZR + B RS 0.5,-0.25 100')).toEqual([
+            { t: 0, b: [ZR, B], a: [0, 0, 0.5, -0.25] },
+            neutral(100)
+        ]);
+    });
+
+    it('repeat を展開し、同じ入力が続く文は1つの押下にする', () => {
+        const events = compileScript(`
+            repeat 3 {
+                press A 50ms
+                wait 50ms
+            }
+            press B 100ms; press B 100ms
+        `);
+        expect(events.map(e => e.t)).toEqual([0, 50, 100, 150, 200, 250, 300, 500]);
+        expect(events[6].b).toEqual([B]);
+    });
+
+    it('section / note を次の操作に付け、サブマクロを呼び出す', () => {
+        const library = { tap: { events: [{ t: 0, b: [A], a: [0, 0, 0, 0] }, neutral(100)], length: 100 } };
+        const events = compileScript('section "開始"\nnote "3回"\ncall tap x3\nwait 200ms', library);
+        expect(events).toEqual([
+            { t: 0, call: 'tap', repeat: 3, marker: '開始', comment: '3回' },
+            neutral(300),
+            neutral(500)
+        ]);
+    });
+
+    it('構文エラーを行・列付きで報告する', () => {
+        expect(checkScript('press A 80ms\nhold LS up\nwait 1s').error).toEqual({ message: '時間を指定してください (例: 80ms, 1.2s)', line: 3, column: 1 });
+        expect(checkScript('press A 80ms\npress Q 10ms').error).toMatchObject({ line: 2, column: 7 });
+        expect(checkScript('repeat 2 {\n  press A 10ms').error).toMatchObject({ line: 1, column: 10 });
+        expect(checkScript('hold LS 1.5,0 10ms').error.message).toContain('-1.0〜1.0');
+        expect(checkScript('call missing').error.message).toContain('見つかりません');
+    });
+
+    it('イベント列をスクリプトに戻し、再変換で元のイベント列になる', () => {
+        const script = decompileEvents(sample.events);
+        expect(compileScript(script)).toEqual(sample.events);
+
+        const annotated = [
+            { t: 0, b: [A], a: [0, 0, 0, 0], marker: '攻撃' },
+            { t: 80, b: [], a: [0.5, 1, 0, 0], comment: 'ゆっくり' },
+            { t: 1280, b: [B], a: [0, 0, 0, 0] }
+        ];
+        const text = decompileEvents(annotated);
+        expect(text).toBe('section "攻撃"\npress A 80ms\nnote "ゆっくり"\nhold LS 0.5,1 1.2s\npress B 0ms');
+        expect(compileScript(text)).toEqual(annotated);
+    });
+
+    it('ランダムな時間 (jitter / wait) を書き、再変換で元のイベント列になる', () => {
+        expect(compileScript('press A 80..120ms jitter 20ms; wait 0.5..0.9s')).toEqual([
+            { t: 0, b: [A], a: [0, 0, 0, 0], wait: [80, 120], jitter: 20 },
+            { ...neutral(80), wait: [500, 900] },
+            neutral(580)
+        ]);
+        expect(checkScript('press A 120..80ms').error.message).toContain('最短..最長');
+
+        const events = [
+            { t: 0, b: [A], a: [0, 0, 0, 0], jitter: 15 },
+            { t: 100, b: [A], a: [0, 0, 0, 0], wait: [80, 120] },      // 同じ入力でも残す
+            { t: 250, b: [], a: [0, 0, 0, 0], wait: [1000, 1500] },   // 最短が次のイベントまでの時間より短い
+            { t: 1500, b: [B], a: [0, 0, 0, 0] },
+            { t: 1600, b: [], a: [0, 0, 0, 0], wait: [300, 600], jitter: 0 } // 最後の入力の wait
+        ];
+        const text = decompileEvents(events);
+        expect(text).toBe([
+            'press A 100ms jitter 15ms',
+            'press A 150ms range 80..120ms',
+            'wait 1250ms range 1..1.5s',
+            'press B 100ms',
+            'wait 0ms range 300..600ms jitter 0ms'
+        ].join('\n'));
+        expect(compileScript(text)).toEqual(events);
+    });
+
+    it('ループの区間と周回ごとに変わる呼び出しを書き、再変換で元のイベント列になる', () => {
+        const library = { tap: { events: [{ t: 0, b: [A], a: [0, 0, 0, 0] }, neutral(100)], length: 100 } };
+        expect(compileScript('press B 50ms\nloop start\ncall tap x2 every 3 step 1\noutro\npress A 50ms', library)).toEqual([
+            { t: 0, b: [B], a: [0, 0, 0, 0] },
+            { t: 50, call: 'tap', repeat: 2, every: 3, step: 1, loopStart: true },
+            { t: 250, b: [A], a: [0, 0, 0, 0], outroStart: true },
+            neutral(300)
+        ]);
+        expect(checkScript('loop press A 10ms').error.message).toContain('loop start');
+        expect(checkScript('call tap every 0', library).error.message).toContain('1以上');
+        expect(compileScript('press A 10ms\noutro')).toEqual([{ t: 0, b: [A], a: [0, 0, 0, 0] }, { ...neutral(10), outroStart: true }]); // 末尾の指定はマクロの終わりに付ける
+
+        const events = [
+            { t: 0, b: [B], a: [0, 0, 0, 0], marker: '準備' },
+            { t: 100, call: 'tap', repeat: 1, every: 2, loopStart: true },
+            { t: 200, call: 'tap', repeat: 3, step: 2 },
+            { t: 500, b: [], a: [0, 0, 0, 0], outroStart: true }
+        ];
+        const text = decompileEvents(events, library);
+        expect(text).toBe('section "準備"\npress B 100ms\nloop start\ncall tap every 2\ncall tap x3 step 2\noutro\nwait 0ms');
+        expect(compileScript(text, library)).toEqual(events);
+    });
+
+    it('同じ行の繰り返しを repeat にまとめる', () => {
+        const events = [];
+        for (let i = 0; i < 10; i++) events.push({ t: i * 100, b: [A], a: [0, 0, 0, 0] }, neutral(i * 100 + 50));
+        const text = decompileEvents(events);
+        expect(text).toBe('repeat 9 {\n    press A 50ms\n    wait 50ms\n}\npress A 50ms');
+        expect(compileScript(text)).toEqual(events);
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * マクロのセクション (マーカー) とコメント用の純粋関数群
+ * 目的: 長いマクロを「戦闘開始」「回復」「町に戻る」などの区間に分け、見出し・折りたたみ・ジャンプに使う。
+ *
+ * イベントの任意フィールド:
+ *   marker  このイベントから始まるセクションの名前
+ *   comment イベントへのメモ
+ * どちらも再生には影響しない (ファームウェアは読み飛ばす)。
+ */
+
+/**
+ * マーカーからセクションの一覧を導出する
+ * 最初のマーカーより前のイベントはどのセクションにも属さない。
+ * @returns {{name: string, startIndex: number, endIndex: number, start: number, end: number}[]}
+ *          endIndex は次のセクションの先頭 (このセクションに含まれない)
+ */
+export const buildSections = (events) => {
+    const sections = [];
+    events.forEach((ev, index) => {
+        if (!ev.marker) return;
+        const prev = sections[sections.length - 1];
+        if (prev) {
+            prev.endIndex = index;
+            prev.end = ev.t;
+        }
+        sections.push({ name: ev.marker, startIndex: index, endIndex: events.length, start: ev.t, end: null });
+    });
+    const last = sections[sections.length - 1];
+    if (last) last.end = events[events.length - 1].t;
+    return sections;
+};
+
+/**
+ * イベントが属するセクションを求める (属さない場合は null)
+ */
+export const findSection = (sections, index) => (
+    sections.find(s => index >= s.startIndex && index < s.endIndex) || null
+);
+
+/**
+ * イベントのマーカー・コメントを設定する (空文字の場合はフィールドごと取り除く)
+ */
+export const setAnnotation = (event, key, value) => {
+    const { [key]: _removed, ...rest } = event;
+    const text = (value || '').trim();
+    return text ? { ...rest, [key]: text } : rest;
+};
+
+/**
+ * 転送用にマーカー・コメントを取り除く (旧ファームウェアのJSON解析でメモリを消費しないように)
+ */
+export const stripAnnotations = (macro) => ({
+    ...macro,
+    events: macro.events.map(({ marker: _marker, comment: _comment, ...ev }) => ev)
+});
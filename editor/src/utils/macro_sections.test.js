@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import sample from '../../../schema/sample_macro.json';
+import { buildSections, findSection, setAnnotation, stripAnnotations } from './macro_sections';
+
+const annotated = sample.events.map((ev, i) => {
+    if (i === 1) return { ...ev, marker: 'ジャンプ', comment: 'Aを押す' };
+    if (i === 3) return { ...ev, marker: '攻撃' };
+    return ev;
+});
+
+describe('macro_sections', () => {
+    it('マーカーからセクションを導出する', () => {
+        expect(buildSections(annotated)).toEqual([
+            { name: 'ジャンプ', startIndex: 1, endIndex: 3, start: 100, end: 500 },
+            { name: '攻撃', startIndex: 3, endIndex: 5, start: 500, end: 600 }
+        ]);
+        expect(buildSections(sample.events)).toEqual([]);
+    });
+
+    it('イベントが属するセクションを求める', () => {
+        const sections = buildSections(annotated);
+        expect(findSection(sections, 0)).toBeNull();
+        expect(findSection(sections, 2).name).toBe('ジャンプ');
+        expect(findSection(sections, 4).name).toBe('攻撃');
+    });
+
+    it('空文字を設定するとフィールドを取り除く', () => {
+        const ev = setAnnotation(sample.events[0], 'marker', '  開始 ');
+        expect(ev.marker).toBe('開始');
+        expect('marker' in setAnnotation(ev, 'marker', '')).toBe(false);
+    });
+
+    it('転送用にマーカーとコメントを取り除く', () => {
+        const stripped = stripAnnotations({ ...sample, events: annotated });
+        expect(stripped.events).toEqual(sample.events);
+        expect(annotated[1].marker).toBe('ジャンプ'); // 元のデータは変更しない
+    });
+});
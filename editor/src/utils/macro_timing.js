@@ -0,0 +1,126 @@
+/**
+ * ランダムな時間 (揺らぎ) を含むマクロの扱い
+ * 目的: ロード画面の長さが毎回変わるゲームで、固定の時刻で繰り返すとループがずれていくのを防ぐ。
+ *       ATOMS3は再生のたびに乱数で時刻を決める。エディタはシードから同じ結果を再現できる。
+ *
+ * マクロの任意フィールド:
+ *   events[].jitter: <ms>          そのイベントを t〜t+jitter のランダムな時刻に送る (後続のイベントはずらさない)
+ *   events[].wait: [<最短>, <最長>]  そのイベントの入力を最短〜最長 ms 保持する。
+ *                                  後続のイベントの t は最短で保持した場合の時刻で、0〜(最長-最短) ms 遅れる
+ *   loop.offset: [<最短>, <最長>]    周回の間に loop.interval に加えて待つ時間 (ms)
+ */
+
+import { getLoopParts } from './macro_loop';
+
+const NEUTRAL_AXES = [0, 0, 0, 0];
+
+/**
+ * ランダムな時間 (jitter / wait / loop.offset) を含むか
+ */
+export const hasRandomTiming = (macro) => Array.isArray(macro.loop?.offset)
+    || (macro.events || []).some(ev => ev.jitter > 0 || Array.isArray(ev.wait));
+
+/**
+ * シードから 0 以上 1 未満の乱数を順に返す関数を作る (mulberry32)
+ * @param {number} seed 32bit 整数
+ */
+export const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const randomInt = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+
+/**
+ * ランダムな時間をシードから決めた時刻に置き換える (プレビューと、ランダムな時間に対応しないATOMS3への転送用)
+ * 最後の入力の wait と loop.offset は、本体の終わりにイベントを足して表す。
+ * 周回ごとの違いは再現しない (すべての周回が同じ時刻になる)。アウトロがある場合は、最後の周回とアウトロの間にも loop.offset の分だけ待つ。
+ * @param {object} macro サブマクロを展開済みのマクロ
+ * @param {number} seed 同じシードからは同じ時刻になる
+ */
+export const resolveTiming = (macro, seed) => {
+    if (!hasRandomTiming(macro)) return macro;
+    const random = createRandom(seed);
+    const events = [];
+    let shift = 0; // wait のばらつきで後続のイベントが遅れた時間
+    let end = 0;   // 最後に送った入力を保持する時刻
+    (macro.events || []).forEach(ev => {
+        const { jitter, wait, ...rest } = ev;
+        const t = ev.t + shift + (jitter > 0 ? randomInt(random, 0, jitter) : 0);
+        events.push({ ...rest, t });
+        if (Array.isArray(wait)) shift += randomInt(random, 0, wait[1] - wait[0]);
+        end = Math.max(t, ev.t + (Array.isArray(wait) ? wait[0] : 0) + shift);
+    });
+
+    const last = events[events.length - 1];
+    if (last && end > last.t) events.push({ t: end, b: last.b, a: last.a });
+
+    if (!macro.loop) return { ...macro, events };
+    const { offset, ...loop } = macro.loop;
+    const extra = Array.isArray(offset) && loop.enabled ? randomInt(random, offset[0], offset[1]) : 0;
+    if (extra === 0 || events.length === 0) return { ...macro, loop, events };
+
+    // ATOMS3は周回の終わりにニュートラルに戻すため、本体の終わりにニュートラルのまま待つイベントを足し、アウトロを遅らせる
+    const parts = getLoopParts(events);
+    const tail = events[parts.end - 1];
+    const gap = [];
+    if (tail && (tail.b.length > 0 || tail.a.some(v => v !== 0))) gap.push({ t: parts.endTime, b: [], a: NEUTRAL_AXES });
+    if (parts.end === events.length) gap.push({ t: parts.endTime + extra, b: [], a: NEUTRAL_AXES });
+    return {
+        ...macro,
+        loop,
+        events: [...events.slice(0, parts.end), ...gap, ...events.slice(parts.end).map(ev => ({ ...ev, t: ev.t + extra }))]
+    };
+};
+
+/**
+ * ランダムな時間を考慮した再生時間の範囲を求める
+ * @param {object} macro サブマクロを展開済みのマクロ
+ * @returns {{iteration: {min: number, max: number}, min: number, max: number}}
+ *          iteration は1周の長さ、min / max は全体の長さ (無限ループの場合 Infinity)
+ */
+export const getDurationRange = (macro) => {
+    const events = macro.events || [];
+    const loop = macro.loop || {};
+    const parts = getLoopParts(events);
+    const outroTime = parts.end < events.length ? parts.endTime : null;
+
+    // events[from]〜events[to - 1] を base の時刻から再生したときの終了時刻の範囲
+    // (最後のイベントを送った時刻か入力を保持し終えた時刻。endTime があればその時刻で周回を終える)
+    const span = (from, to, base, endTime = null) => {
+        let spread = 0;
+        let min = 0;
+        let max = 0;
+        events.slice(from, to).forEach(ev => {
+            const jitter = ev.jitter > 0 ? ev.jitter : 0;
+            const [waitMin, waitMax] = Array.isArray(ev.wait) ? ev.wait : [0, 0];
+            min = ev.t - base + waitMin;
+            max = ev.t - base + spread + Math.max(jitter, waitMax);
+            spread += waitMax - waitMin;
+        });
+        if (endTime !== null) {
+            min = Math.max(min, endTime - base);
+            max = Math.max(max, endTime - base + spread);
+        }
+        return { min, max };
+    };
+
+    const body = span(parts.start, parts.end, parts.startTime, outroTime);
+    const iterations = loop.enabled ? (loop.count > 0 ? loop.count : Infinity) : 1;
+    const interval = loop.enabled ? (loop.interval || 0) * 1000 : 0;
+    const [offsetMin, offsetMax] = loop.enabled && Array.isArray(loop.offset) ? loop.offset : [0, 0];
+    if (iterations === Infinity) return { iteration: body, min: Infinity, max: Infinity };
+    if (iterations === 1) return { iteration: body, ...span(0, events.length, 0) };
+
+    // 1周目はイントロから、最後の周回はアウトロまで
+    const first = span(0, parts.end, 0, outroTime);
+    const last = span(parts.start, events.length, parts.startTime);
+    const total = (key, offset) => first[key] + (iterations - 2) * body[key] + last[key] + (iterations - 1) * (interval + offset);
+    return { iteration: body, min: total('min', offsetMin), max: total('max', offsetMax) };
+};
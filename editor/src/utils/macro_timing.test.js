@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import sample from '../../../schema/sample_macro.json';
+import { createRandom, getDurationRange, hasRandomTiming, resolveTiming } from './macro_timing';
+
+const A = [0, 0, 0, 0];
+const timed = {
+    loop: { enabled: true, count: 3, interval: 1, offset: [100, 300] },
+    events: [
+        { t: 0, b: [2], a: A, jitter: 50 },
+        { t: 100, b: [], a: A, wait: [200, 500] },
+        { t: 300, b: [1], a: A },
+        { t: 400, b: [], a: A, wait: [100, 150] }
+    ]
+};
+
+describe('macro_timing', () => {
+    it('ランダムな時間を含むマクロを判定する', () => {
+        expect(hasRandomTiming(sample)).toBe(false);
+        expect(hasRandomTiming(timed)).toBe(true);
+        expect(hasRandomTiming({ events: [{ t: 0, b: [], a: A, jitter: 0 }] })).toBe(false);
+    });
+
+    it('同じシードからは同じ乱数列になる', () => {
+        const a = createRandom(42);
+        const b = createRandom(42);
+        const values = [a(), a(), a()];
+        expect([b(), b(), b()]).toEqual(values);
+        expect(values.every(v => v >= 0 && v < 1)).toBe(true);
+        expect(createRandom(43)()).not.toBe(values[0]);
+    });
+
+    it('シードから時刻を決め、範囲内に収める', () => {
+        expect(resolveTiming(sample, 1)).toBe(sample);
+        expect(resolveTiming(timed, 7)).toEqual(resolveTiming(timed, 7));
+
+        for (let seed = 0; seed < 50; seed++) {
+            const { events, loop } = resolveTiming(timed, seed);
+            expect(loop.offset).toBeUndefined();
+            expect(events.some(ev => 'jitter' in ev || 'wait' in ev)).toBe(false);
+            expect(events[0].t).toBeGreaterThanOrEqual(0);
+            expect(events[0].t).toBeLessThanOrEqual(50);
+            const shift = events[2].t - 300; // wait のばらつきで後続がずれる
+            expect(shift).toBeGreaterThanOrEqual(0);
+            expect(shift).toBeLessThanOrEqual(300);
+            expect(events[3].t).toBe(400 + shift);
+        }
+    });
+
+    it('最後の入力の wait と周回間の待機を末尾のイベントで表す', () => {
+        const { events } = resolveTiming(timed, 3);
+        const last = events[3];
+        const hold = events[4];
+        expect(hold.b).toEqual(last.b);
+        expect(hold.t - last.t).toBeGreaterThanOrEqual(100);
+        expect(hold.t - last.t).toBeLessThanOrEqual(150);
+        const extra = events[events.length - 1].t - hold.t;
+        expect(extra).toBeGreaterThanOrEqual(100);
+        expect(extra).toBeLessThanOrEqual(300);
+        expect(events[events.length - 1]).toMatchObject({ b: [], a: A });
+    });
+
+    it('1周と全体の再生時間の範囲を求める', () => {
+        const range = getDurationRange(timed);
+        expect(range.iteration).toEqual({ min: 500, max: 850 });
+        expect(range.min).toBe(3 * 500 + 2 * 1100);
+        expect(range.max).toBe(3 * 850 + 2 * 1300);
+        expect(getDurationRange({ ...timed, loop: { enabled: true, count: 0 } }).max).toBe(Infinity);
+        expect(getDurationRange({ events: [{ t: 0, b: [], a: A }, { t: 900, b: [], a: A, jitter: 40 }] }))
+            .toEqual({ iteration: { min: 900, max: 940 }, min: 900, max: 940 });
+    });
+
+    it('イントロとアウトロは全体の長さに1回だけ含める', () => {
+        const macro = {
+            loop: { enabled: true, count: 3, interval: 1 },
+            events: [
+                { t: 0, b: [], a: A },
+                { t: 200, b: [2], a: A, loopStart: true },
+                { t: 300, b: [], a: A, wait: [100, 400] },
+                { t: 500, b: [1], a: A, outroStart: true },
+                { t: 800, b: [], a: A }
+            ]
+        };
+        const range = getDurationRange(macro);
+        expect(range.iteration).toEqual({ min: 300, max: 600 });
+        expect(range.min).toBe(200 + 3 * 300 + 2 * 1000 + 300);
+        expect(range.max).toBe(200 + 3 * 600 + 2 * 1000 + 300);
+
+        // 周回の間の待機は本体の終わりに入れ、その分アウトロを遅らせる
+        const { events } = resolveTiming({ ...macro, loop: { ...macro.loop, offset: [100, 100] } }, 1);
+        expect(events).toHaveLength(5);
+        expect(events[3].outroStart).toBe(true);
+        expect(events[3].t - 500).toBeGreaterThanOrEqual(100);
+        expect(events[3].t - 500).toBeLessThanOrEqual(400);
+        expect(events[4].t - events[3].t).toBe(300);
+    });
+});
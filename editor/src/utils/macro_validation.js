@@ -0,0 +1,390 @@
+/**
+ * マクロファイルの検証 (読み込み時・転送前)
+ * 目的: 文字列の時刻、順序の乱れた t、存在しないボタン番号、要素数の足りない a などを含むファイルを
+ *       そのまま受け入れて誤再生やATOMS3のクラッシュを起こさないよう、行番号付きで問題を報告する。
+ *
+ * 検証は2段階:
+ *   1. schema/macro.schema.json による構造の検証 (Ajv)
+ *   2. スキーマで表現できない意味の検証 (時刻の単調増加、既知のボタン番号、ランダムな時間の範囲、ループの区間、サブマクロの展開)
+ * 安全に直せる問題には fix (sort / clamp / dropBits) を付け、applyFixes でまとめて修正できる。
+ */
+
+import Ajv from 'ajv';
+import schema from '../../../schema/macro.schema.json';
+import { HID_BUTTONS } from './constants';
+import { composeMacro, isCallEvent } from './macro_compose';
+import { hasVariation } from './macro_loop';
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validateSchema = ajv.compile(schema);
+
+const KNOWN_BUTTONS = new Set(Object.values(HID_BUTTONS));
+
+export const FIXES = {
+    sort: '時刻順に並べ替え',
+    clamp: 'スティック値を -1.0〜1.0 に収める',
+    dropBits: '不明なボタン番号を取り除く'
+};
+
+// --- 行番号の特定 ---
+
+const escapePointer = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * JSONテキストを走査し、各値の JSON Pointer と開始行の対応表を作る
+ * (JSON.parse に成功したテキストに対してのみ使用する)
+ * @returns {Map<string, number>}
+ */
+export const locateJsonPointers = (text) => {
+    const lines = new Map();
+    let pos = 0;
+    let line = 1;
+
+    const skipSpace = () => {
+        while (pos < text.length && /\s/.test(text[pos])) {
+            if (text[pos] === '\n') line++;
+            pos++;
+        }
+    };
+    const readString = () => {
+        const start = pos++;
+        while (text[pos] !== '"') pos += text[pos] === '\\' ? 2 : 1;
+        pos++;
+        return JSON.parse(text.slice(start, pos));
+    };
+    const readValue = (pointer) => {
+        skipSpace();
+        lines.set(pointer, line);
+        const c = text[pos];
+        if (c === '{' || c === '[') {
+            const close = c === '{' ? '}' : ']';
+            pos++;
+            skipSpace();
+            if (text[pos] === close) {
+                pos++;
+                return;
+            }
+            for (let i = 0; ; i++) {
+                skipSpace();
+                let key = i;
+                if (c === '{') {
+                    key = readString();
+                    skipSpace();
+                    pos++; // ':'
+                }
+                readValue(`${pointer}/${escapePointer(key)}`);
+                skipSpace();
+                if (text[pos++] === close) return;
+            }
+        } else if (c === '"') {
+            readString();
+        } else {
+            while (pos < text.length && !/[\s,\]}]/.test(text[pos])) pos++;
+        }
+    };
+
+    readValue('');
+    return lines;
+};
+
+/**
+ * JSON Pointer に対応する行番号 (見つからなければ親の行)
+ */
+const lineOf = (lines, pointer) => {
+    let p = pointer;
+    while (p) {
+        if (lines.has(p)) return lines.get(p);
+        p = p.slice(0, p.lastIndexOf('/'));
+    }
+    return lines.get('') ?? null;
+};
+
+/**
+ * JSONテキストの最初の構文エラーの位置 (文字オフセット) を求める
+ * (Chrome の JSON.parse は「Unexpected token」で位置を返さない場合があるため、自前で走査する)
+ * @returns {number|null} 構文エラーが無ければ null
+ */
+export const findSyntaxErrorOffset = (text) => {
+    let pos = 0;
+    const fail = () => {
+        throw pos;
+    };
+    const skipSpace = () => {
+        while (pos < text.length && /\s/.test(text[pos])) pos++;
+    };
+    const expect = (c) => {
+        if (text[pos] !== c) fail();
+        pos++;
+    };
+    const readString = () => {
+        expect('"');
+        while (text[pos] !== '"') {
+            if (pos >= text.length || text[pos] < ' ') fail();
+            if (text[pos] === '\\') {
+                pos++;
+                if (text[pos] === 'u') {
+                    if (!/^[0-9a-fA-F]{4}$/.test(text.slice(pos + 1, pos + 5))) fail();
+                    pos += 4;
+                } else if (!'"\\/bfnrt'.includes(text[pos]) || pos >= text.length) {
+                    fail();
+                }
+            }
+            pos++;
+        }
+        pos++;
+    };
+    const readValue = () => {
+        skipSpace();
+        const c = text[pos];
+        if (c === '{' || c === '[') {
+            const close = c === '{' ? '}' : ']';
+            pos++;
+            skipSpace();
+            if (text[pos] === close) {
+                pos++;
+                return;
+            }
+            for (; ;) {
+                if (c === '{') {
+                    skipSpace();
+                    readString();
+                    skipSpace();
+                    expect(':');
+                }
+                readValue();
+                skipSpace();
+                if (text[pos] === close) {
+                    pos++;
+                    return;
+                }
+                expect(',');
+            }
+        } else if (c === '"') {
+            readString();
+        } else {
+            const literal = text.slice(pos).match(/^(true|false|null|-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?)/);
+            if (!literal) fail();
+            pos += literal[0].length;
+        }
+    };
+
+    try {
+        readValue();
+        skipSpace();
+        if (pos < text.length) fail();
+        return null;
+    } catch (offset) {
+        return offset;
+    }
+};
+
+/**
+ * JSON の構文エラーの位置を行・列で返す
+ * @returns {{message: string, line: number|null, column: number|null}}
+ */
+export const describeJsonError = (err, text) => {
+    const offset = findSyntaxErrorOffset(text);
+    if (offset === null) return { message: err.message, line: null, column: null };
+    const before = text.slice(0, offset).split('\n');
+    return { message: err.message, line: before.length, column: before[before.length - 1].length + 1 };
+};
+
+// --- 検証 ---
+
+const valueAt = (data, pointer) => pointer.split('/').slice(1)
+    .reduce((v, key) => (v == null ? undefined : v[key.replace(/~1/g, '/').replace(/~0/g, '~')]), data);
+
+/**
+ * Ajv のエラーを日本語のメッセージにする
+ */
+const describeSchemaError = (error, data) => {
+    const value = valueAt(data, error.instancePath);
+    const shown = JSON.stringify(value);
+    switch (error.keyword) {
+        case 'type':
+            return `${shown} は ${error.params.type} 型ではありません`;
+        case 'required':
+            return `必須項目 "${error.params.missingProperty}" がありません`;
+        case 'minimum':
+        case 'maximum':
+            return `${shown} は範囲外です (${error.params.comparison} ${error.params.limit})`;
+        case 'minItems':
+        case 'maxItems':
+            return `要素数が ${value.length} 個です (${error.params.limit} 個が必要)`;
+        default:
+            return error.message;
+    }
+};
+
+const eventIndexOf = (pointer) => {
+    const match = pointer.match(/^\/events\/(\d+)/);
+    return match ? Number(match[1]) : null;
+};
+
+/**
+ * イベント列の意味の検証 (スキーマ検証を通らなかったイベントは読み飛ばす)
+ */
+const checkEvents = (events, basePointer, issues) => {
+    if (!Array.isArray(events)) return;
+    let prevT = null;
+    events.forEach((ev, i) => {
+        if (!ev || typeof ev !== 'object') return;
+        const pointer = `${basePointer}/${i}`;
+        if (Number.isFinite(ev.t)) {
+            if (prevT !== null && ev.t < prevT) {
+                issues.push({ path: `${pointer}/t`, message: `時刻 ${ev.t}ms が直前のイベント (${prevT}ms) より前です`, fix: 'sort' });
+            }
+            prevT = Math.max(prevT ?? ev.t, ev.t);
+        }
+        if (!isCallEvent(ev) && Array.isArray(ev.b)) {
+            ev.b.forEach((bit, k) => {
+                if (Number.isInteger(bit) && !KNOWN_BUTTONS.has(bit)) {
+                    issues.push({ path: `${pointer}/b/${k}`, message: `不明なボタン番号 ${bit} です`, fix: 'dropBits' });
+                }
+            });
+        }
+        checkTiming(ev, events[i + 1], pointer, issues);
+    });
+};
+
+/**
+ * ランダムな時間 (jitter / wait) が次のイベントを追い越さないか
+ */
+const checkTiming = (ev, next, pointer, issues) => {
+    const nextT = Number.isFinite(next?.t) ? next.t : null;
+    if (Number.isInteger(ev.jitter) && nextT !== null && ev.t + ev.jitter > nextT) {
+        issues.push({ path: `${pointer}/jitter`, message: `ランダムな遅れ (最大 ${ev.jitter}ms) が次のイベント (${nextT}ms) を追い越します`, fix: null });
+    }
+    if (!Array.isArray(ev.wait) || !ev.wait.every(Number.isInteger)) return;
+    const [min, max] = ev.wait;
+    if (min > max) {
+        issues.push({ path: `${pointer}/wait`, message: `待機の範囲が不正です (最短 ${min}ms が最長 ${max}ms より長い)`, fix: null });
+    } else if (nextT !== null && nextT < ev.t + min) {
+        issues.push({ path: `${pointer}/wait`, message: `最短の待機 (${min}ms) が終わる前に次のイベント (${nextT}ms) があります`, fix: null });
+    }
+};
+
+/**
+ * ループの区間 (loopStart / outroStart) と周回ごとに変わる呼び出しの位置
+ */
+const checkLoopParts = (data, issues) => {
+    if (!Array.isArray(data.events)) return;
+    let start = null;
+    let outro = null;
+    data.events.forEach((ev, i) => {
+        if (!ev || typeof ev !== 'object') return;
+        if (ev.loopStart === true) {
+            if (start !== null) issues.push({ path: `/events/${i}/loopStart`, message: `ループの開始が複数あります (最初は ${start + 1} 行目)`, fix: null });
+            else start = i;
+        }
+        if (ev.outroStart === true) {
+            if (outro !== null) issues.push({ path: `/events/${i}/outroStart`, message: `アウトロの開始が複数あります (最初は ${outro + 1} 行目)`, fix: null });
+            else if (start !== null || !data.events.slice(i).some(e => e?.loopStart === true)) outro = i;
+            else issues.push({ path: `/events/${i}/outroStart`, message: "アウトロの開始がループの開始より前にあります", fix: null });
+        }
+    });
+    data.events.forEach((ev, i) => {
+        if (!ev || !isCallEvent(ev) || !hasVariation(ev)) return;
+        if (i < (start ?? 0) || (outro !== null && i >= outro)) {
+            issues.push({ path: `/events/${i}`, message: `周回ごとの変化 (every / step) はループの本体の中でのみ有効です`, fix: null });
+        }
+    });
+    Object.entries(data.library || {}).forEach(([name, sub]) => {
+        (sub?.events || []).forEach((ev, i) => {
+            if (ev?.loopStart || ev?.outroStart || (ev && hasVariation(ev))) {
+                issues.push({ path: `/library/${escapePointer(name)}/events/${i}`, message: `サブマクロ「${name}」の中ではループの区間や周回ごとの変化を指定できません`, fix: null });
+            }
+        });
+    });
+};
+
+/**
+ * マクロを検証する
+ * @param {object} data 読み込んだマクロ
+ * @param {string} text 元のJSONテキスト (行番号の特定に使用。省略時は line が null)
+ * @returns {{path: string, eventIndex: number|null, line: number|null, message: string, fix: string|null}[]}
+ */
+export const validateMacro = (data, text = null) => {
+    const issues = [];
+
+    if (!validateSchema(data)) {
+        validateSchema.errors
+            .filter(error => error.keyword !== 'if') // if/then/else の結果は then/else 側のエラーで報告される
+            .forEach(error => {
+                const isAxisRange = /\/a\/\d+$/.test(error.instancePath) && ['minimum', 'maximum'].includes(error.keyword);
+                issues.push({ path: error.instancePath, message: describeSchemaError(error, data), fix: isAxisRange ? 'clamp' : null });
+            });
+    }
+
+    if (data && typeof data === 'object') {
+        checkEvents(data.events, '/events', issues);
+        const offset = data.loop?.offset;
+        if (Array.isArray(offset) && offset.every(Number.isInteger) && offset[0] > offset[1]) {
+            issues.push({ path: '/loop/offset', message: `周回の間の待機の範囲が不正です (最短 ${offset[0]}ms が最長 ${offset[1]}ms より長い)`, fix: null });
+        }
+        Object.entries(data.library || {}).forEach(([name, sub]) => checkEvents(sub?.events, `/library/${escapePointer(name)}/events`, issues));
+        checkLoopParts(data, issues);
+
+        // 構造に問題が無ければ、サブマクロの呼び出しと周回ごとの変化を実際に展開してみる
+        if (issues.length === 0) {
+            try {
+                composeMacro(data);
+            } catch (err) {
+                issues.push({ path: '/events', message: err.message, fix: null });
+            }
+        }
+    }
+
+    const lines = text ? locateJsonPointers(text) : null;
+    return issues.map(issue => ({
+        ...issue,
+        eventIndex: eventIndexOf(issue.path),
+        line: lines ? lineOf(lines, issue.path) : null
+    }));
+};
+
+/**
+ * 問題が残っていても、エディタで表示・編集できる形になっているか
+ * (t が数値、b が配列、a が4つの数値。サブマクロの呼び出しは call が文字列)
+ */
+export const canOpenInEditor = (data) => Array.isArray(data?.events) && data.events.every(ev => (
+    ev && typeof ev === 'object' && Number.isFinite(ev.t) && (isCallEvent(ev)
+        || (Array.isArray(ev.b) && Array.isArray(ev.a) && ev.a.length === 4 && ev.a.every(Number.isFinite)))
+));
+
+// --- 自動修正 ---
+
+const fixEvents = (events, fixes) => {
+    if (!Array.isArray(events)) return events;
+    let fixed = events.map(ev => {
+        if (!ev || typeof ev !== 'object' || isCallEvent(ev)) return ev;
+        let next = ev;
+        if (fixes.includes('dropBits') && Array.isArray(ev.b)) {
+            next = { ...next, b: [...new Set(ev.b.filter(bit => KNOWN_BUTTONS.has(bit)))] };
+        }
+        if (fixes.includes('clamp') && Array.isArray(ev.a)) {
+            next = { ...next, a: ev.a.map(v => (typeof v === 'number' ? Math.max(-1, Math.min(1, v)) : v)) };
+        }
+        return next;
+    });
+    // 時刻が数値のイベントだけなら安定ソートで並べ替える
+    if (fixes.includes('sort') && fixed.every(ev => Number.isFinite(ev?.t))) {
+        fixed = [...fixed].sort((x, y) => x.t - y.t);
+    }
+    return fixed;
+};
+
+/**
+ * 安全に直せる問題を修正したマクロを返す (元のデータは変更しない)
+ * @param {string[]} fixes 適用する修正 ('sort' / 'clamp' / 'dropBits')
+ */
+export const applyFixes = (data, fixes) => {
+    const library = data.library && Object.fromEntries(
+        Object.entries(data.library).map(([name, sub]) => [name, { ...sub, events: fixEvents(sub.events, fixes) }])
+    );
+    return {
+        ...data,
+        ...(library ? { library } : {}),
+        events: fixEvents(data.events, fixes)
+    };
+};
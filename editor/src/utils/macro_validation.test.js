@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import sample from '../../../schema/sample_macro.json';
+import { validateMacro, applyFixes, locateJsonPointers, describeJsonError } from './macro_validation';
+
+const withEvents = (events) => ({ ...sample, events });
+const text = (data) => JSON.stringify(data, null, 2);
+
+describe('macro_validation', () => {
+    it('サンプルのマクロには問題がない', () => {
+        expect(validateMacro(sample, text(sample))).toEqual([]);
+    });
+
+    it('問題のあるイベントと行番号を報告する', () => {
+        const data = withEvents([
+            { t: 0, b: [], a: [0, 0, 0, 0] },
+            { t: '100', b: [2], a: [0, 0, 0, 0] },
+            { t: 300, b: [25], a: [0, 0, 0] },
+            { t: 200, b: [], a: [0, 1.5, 0, 0] }
+        ]);
+        const source = text(data);
+        const issues = validateMacro(data, source);
+        const lines = source.split('\n');
+
+        const typeIssue = issues.find(i => i.path === '/events/1/t');
+        expect(typeIssue.eventIndex).toBe(1);
+        expect(lines[typeIssue.line - 1]).toContain('"t": "100"');
+
+        expect(issues.find(i => i.path === '/events/2/b/0')).toMatchObject({ fix: 'dropBits', eventIndex: 2 });
+        expect(issues.find(i => i.path === '/events/2/a').message).toContain('4 個が必要');
+        expect(issues.find(i => i.path === '/events/3/t')).toMatchObject({ fix: 'sort' });
+        expect(issues.find(i => i.path === '/events/3/a/1')).toMatchObject({ fix: 'clamp' });
+    });
+
+    it('安全な問題を自動修正する', () => {
+        const data = withEvents([
+            { t: 0, b: [], a: [0, 0, 0, 0] },
+            { t: 300, b: [25, 2, 2], a: [0, 0, 0, 0] },
+            { t: 200, b: [], a: [0, -3, 0, 0] }
+        ]);
+        const fixed = applyFixes(data, ['sort', 'clamp', 'dropBits']);
+        expect(fixed.events.map(e => e.t)).toEqual([0, 200, 300]);
+        expect(fixed.events[1].a[1]).toBe(-1);
+        expect(fixed.events[2].b).toEqual([2]);
+        expect(validateMacro(fixed)).toEqual([]);
+        expect(data.events[1].t).toBe(300); // 元のデータは変更しない
+    });
+
+    it('次のイベントを追い越すランダムな時間を報告する', () => {
+        const data = {
+            ...withEvents([
+                { t: 0, b: [], a: [0, 0, 0, 0], jitter: 150 },
+                { t: 100, b: [], a: [0, 0, 0, 0], wait: [300, 200] },
+                { t: 200, b: [], a: [0, 0, 0, 0], wait: [500, 800] },
+                { t: 400, b: [], a: [0, 0, 0, 0] }
+            ]),
+            loop: { enabled: true, count: 1, interval: 0, offset: [50, 10] }
+        };
+        const paths = validateMacro(data).map(i => i.path);
+        expect(paths).toEqual(expect.arrayContaining(['/events/0/jitter', '/events/1/wait', '/events/2/wait', '/loop/offset']));
+    });
+
+    it('ループの区間の重複と、本体の外の周回ごとの変化を報告する', () => {
+        const data = {
+            ...sample,
+            library: { mash: { events: [{ t: 0, b: [2], a: [0, 0, 0, 0], loopStart: true }], length: 100 } },
+            events: [
+                { t: 0, call: 'mash', every: 2 },
+                { t: 100, b: [], a: [0, 0, 0, 0], loopStart: true },
+                { t: 200, b: [], a: [0, 0, 0, 0], loopStart: true },
+                { t: 300, b: [], a: [0, 0, 0, 0], outroStart: true }
+            ]
+        };
+        const paths = validateMacro(data).map(i => i.path);
+        expect(paths).toEqual(['/events/2/loopStart', '/events/0', '/library/mash/events/0']);
+    });
+
+    it('サブマクロの問題も報告する', () => {
+        const data = { ...sample, events: [{ t: 0, call: 'missing' }] };
+        expect(validateMacro(data)[0].message).toContain('見つかりません');
+    });
+
+    it('JSON Pointer から行番号を求める', () => {
+        const lines = locateJsonPointers('{\n  "a": [\n    1,\n    {"b/c": 2}\n  ]\n}');
+        expect(lines.get('/a')).toBe(2);
+        expect(lines.get('/a/1/b~1c')).toBe(4);
+    });
+
+    it('構文エラーの位置を行・列に変換する', () => {
+        const source = '{\n  "events": [,]\n}';
+        let error;
+        try { JSON.parse(source); } catch (e) { error = e; }
+        const described = describeJsonError(error, source);
+        expect(described.line).toBe(2);
+    });
+});
@@ -0,0 +1,554 @@
+/**
+ * ATOMS3 のシミュレーター (テスト用)
+ * 目的: 実機や Web Bluetooth なしで BLETransfer を動かせるよう、ファームウェア (switch_macro_player.ino) の
+ *       onWrite と同じ規則でコマンドを処理する。
+ *
+ * 再現する処理:
+ *   0x01 + 連番 + ...        Live Bridge (バイナリ形式。古い連番は捨て、途絶えたらニュートラルに戻す)
+ *   "L:..."                Live Bridge (テキスト形式。最後の入力を live に保持)
+ *   "START:<サイズ>" 〜 "END"  旧転送 (受信したバイト列を連結し、END でJSONとして解析)
+ *   "START:v2:..." / 'D' / "SYNC" / "END"  v2 転送 (連番・CRC・ACK/NACK)
+ *   "INFO" / スロット操作 / "READ" / "RDC" / 再生操作
+ *   "RESUME"               切断で中断した v2 転送の再開 (受信状態は切断後も保持)
+ *
+ * createMockBluetooth で navigator.bluetooth と同じ形のオブジェクトを作り、
+ * new BLETransfer({ bluetooth }) に渡して使う。
+ */
+
+import { crc32, DATA_FRAME_MARKER, LIVE_FLAG_ECHO, LIVE_FRAME_MARKER, LIVE_FRAME_SIZE, MAX_SLOTS } from './transfer_protocol';
+import { decodeMacro } from './macro_codec';
+
+const MAX_NACK_ENTRIES = 16;
+const CREDIT_INTERVAL = 4;
+
+const toBytes = (value) => {
+    if (value instanceof Uint8Array) return value;
+    if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    return new Uint8Array(value);
+};
+
+const concatBytes = (chunks) => {
+    const out = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+    let offset = 0;
+    chunks.forEach(c => {
+        out.set(c, offset);
+        offset += c.length;
+    });
+    return out;
+};
+
+/**
+ * JSON の解析に失敗したバイト位置を求める (ArduinoJson と同じく、最初に不正になった文字の位置)
+ */
+const findParseErrorOffset = (text) => {
+    for (let n = 1; n <= text.length; n++) {
+        try {
+            JSON.parse(text.slice(0, n));
+        } catch (err) {
+            // 途中までなら「入力の終わり」か末尾の位置のエラーになる
+            const position = /position (\d+)/.exec(err.message);
+            const incomplete = /end of JSON input/.test(err.message) || (position && parseInt(position[1]) >= n);
+            if (!incomplete) return new TextEncoder().encode(text.slice(0, n - 1)).length;
+        }
+    }
+    return new TextEncoder().encode(text).length;
+};
+
+/**
+ * 受信したマクロを解析する (ファームウェアの openMacroSource に相当)
+ * @returns {{macro: object} | {error: string, offset: number}}
+ */
+const parseMacro = (bytes, format) => {
+    if (format === 'bin') {
+        try {
+            return { macro: decodeMacro(bytes) };
+        } catch {
+            return { error: 'PARSE', offset: 0 };
+        }
+    }
+    let text;
+    try {
+        text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        return { macro: JSON.parse(text) };
+    } catch {
+        return { error: 'PARSE', offset: text === undefined ? 0 : findParseErrorOffset(text) };
+    }
+};
+
+export class MockATOMS3 {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.name] 広告名
+     * @param {boolean} [options.notify] false なら通知キャラクタリスティックの無い旧ファームウェア
+     * @param {string[]} [options.formats] 対応するマクロ形式
+     * @param {string[]} [options.features] 対応する機能 (slots / read / remote / resume / live2 / timing / loops)
+     * @param {number|null} [options.mtu] INFO で通知するMTU (null ならMTUを通知しない旧ファームウェア)
+     * @param {number} [options.credits] 応答なしの書き込みで CR を待たずに受け付けるチャンク数
+     * @param {boolean} [options.stallCredits] CR を通知しない (処理が追いつかない場合の確認用)
+     * @param {number[]} [options.dropOnce] 最初の1回だけ受信しない連番 (再送の確認用)
+     * @param {number[]} [options.dropAlways] 常に受信しない連番
+     * @param {boolean} [options.corrupt] 受信したデータを1バイト書き換える (CRC不一致)
+     * @param {boolean} [options.silent] 通知を返さない (タイムアウトの確認用)
+     * @param {number} [options.failConnect] 接続を失敗させる回数
+     * @param {number[]} [options.disconnectOnChunk] この連番のチャンクを受信する代わりに切断する (1回のみ)
+     * @param {number[]} [options.dropLive] 受信しないライブ入力の連番 (取りこぼしの確認用)
+     * @param {number} [options.liveFailsafe] ライブ入力が途絶えてからニュートラルに戻すまでの時間 (ms)
+     */
+    constructor(options = {}) {
+        this.name = options.name ?? 'ATOMS3-Macro';
+        this.notify = options.notify ?? true;
+        this.formats = options.formats ?? ['json', 'bin'];
+        this.features = options.features ?? ['slots', 'read', 'remote', 'resume', 'live2', 'timing', 'loops'];
+        this.mtu = options.mtu === undefined ? 247 : options.mtu;
+        this.credits = options.credits ?? 8;
+        this.stallCredits = options.stallCredits ?? false;
+        this.dropOnce = new Set(options.dropOnce ?? []);
+        this.dropAlways = new Set(options.dropAlways ?? []);
+        this.corrupt = options.corrupt ?? false;
+        this.silent = options.silent ?? false;
+        this.failConnect = options.failConnect ?? 0;
+        this.disconnectOnChunk = new Set(options.disconnectOnChunk ?? []);
+        this.dropLive = new Set(options.dropLive ?? []);
+        this.liveFailsafe = options.liveFailsafe ?? 500;
+
+        this.status = 'IDLE';
+        this.live = null;       // 最後の Live Bridge 入力 { mask, axes }
+        this.liveSeq = null;    // 最後に受け付けたライブ入力の連番 (接続ごとにリセット)
+        this.liveDropped = 0;   // 届かなかったライブ入力の数
+        this.liveTimer = null;  // フェイルセーフのタイマー
+        this.slots = new Array(MAX_SLOTS).fill(null); // { name, bytes, format, date }
+        this.active = -1;       // 選択中のスロット
+        this.writes = [];       // 受信した書き込み (Uint8Array)
+        this.writesWithoutResponse = 0; // 応答なしで書き込まれた回数
+        this.legacyBuffer = []; // 旧転送の受信バッファ
+        this.rx = null;         // v2 転送の受信状態
+        this.read = null;       // 読み出しの状態
+        this.listeners = { tx: [], status: [] };
+        this.connected = false;
+        this.connectAttempts = 0; // gatt.connect() が呼ばれた回数
+        this.disconnectHandlers = [];
+        this.bluetoothDevice = this.createBluetoothDevice();
+    }
+
+    /**
+     * 選択中のスロットのマクロ (解析済み)。無ければ null
+     */
+    get storedMacro() {
+        const slot = this.slots[this.active];
+        if (!slot) return null;
+        const result = parseMacro(slot.bytes, slot.format);
+        return result.macro ?? null;
+    }
+
+    // --- BLE (navigator.bluetooth と同じ形) ---
+
+    createBluetoothDevice() {
+        const mock = this;
+        const characteristic = (kind, properties) => ({
+            uuid: kind,
+            properties,
+            writeValue: async (value) => mock.write(value),
+            writeValueWithoutResponse: async (value) => {
+                mock.writesWithoutResponse++;
+                return mock.write(value);
+            },
+            startNotifications: async () => { },
+            addEventListener: (type, fn) => mock.listeners[kind].push(fn)
+        });
+        const service = {
+            getCharacteristic: async (uuid) => {
+                const id = uuid.toLowerCase();
+                if (id.startsWith('6e400002')) return characteristic('rx');
+                if (id.startsWith('6e400003') && mock.notify) return characteristic('tx');
+                if (id.startsWith('6e400004') && mock.notify && mock.features.includes('remote')) return characteristic('status');
+                throw Object.assign(new Error(`No Characteristics matching UUID ${uuid} found in Service.`), { name: 'NotFoundError' });
+            }
+        };
+        const device = {
+            name: mock.name,
+            gatt: {
+                get connected() { return mock.connected; },
+                connect: async () => {
+                    mock.connectAttempts++;
+                    if (mock.failConnect > 0) {
+                        mock.failConnect--;
+                        throw Object.assign(new Error('Connection attempt failed.'), { name: 'NetworkError' });
+                    }
+                    mock.connected = true;
+                    mock.status = mock.status === 'IDLE' ? 'CONNECTED' : mock.status;
+                    return { getPrimaryService: async () => service };
+                },
+                disconnect: () => mock.disconnect()
+            },
+            addEventListener: (type, fn) => {
+                if (type === 'gattserverdisconnected') mock.disconnectHandlers.push(fn);
+            }
+        };
+        return device;
+    }
+
+    /**
+     * 切断する (ファームウェアと同じく Live Bridge の入力はニュートラルに戻し、転送の受信状態は残す)
+     * ブラウザと同じく、切断イベントは少し遅れて届く。
+     */
+    disconnect() {
+        if (!this.connected) return;
+        this.connected = false;
+        this.listeners = { tx: [], status: [] };
+        if (this.live) this.live = { mask: 0, axes: [0, 0, 0, 0] };
+        clearTimeout(this.liveTimer);
+        this.liveTimer = null;
+        this.liveSeq = null;
+        this.liveDropped = 0;
+        if (!['PLAYING', 'WAITING', 'PAUSED', 'READY'].includes(this.status)) this.status = 'IDLE';
+        const handlers = [...this.disconnectHandlers];
+        queueMicrotask(() => handlers.forEach(fn => fn({ target: this.bluetoothDevice })));
+    }
+
+    emit(kind, value) {
+        if (this.silent) return;
+        const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : value;
+        const listeners = [...this.listeners[kind]];
+        queueMicrotask(() => {
+            listeners.forEach(fn => fn({ target: { value: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength) } }));
+        });
+    }
+
+    reply(text) {
+        if (this.notify) this.emit('tx', text);
+    }
+
+    // --- onWrite ---
+
+    write(value) {
+        if (!this.connected) {
+            throw Object.assign(new Error('GATT Server is disconnected.'), { name: 'NetworkError' });
+        }
+        const bytes = toBytes(value).slice();
+        if (this.rx && bytes[0] === DATA_FRAME_MARKER && this.disconnectOnChunk.delete(bytes[1] | (bytes[2] << 8))) {
+            this.disconnect();
+            throw Object.assign(new Error('GATT operation failed for unknown reason.'), { name: 'NetworkError' });
+        }
+        this.writes.push(bytes);
+        if (bytes.length === LIVE_FRAME_SIZE && bytes[0] === LIVE_FRAME_MARKER && this.features.includes('live2')) {
+            this.handleLiveFrame(bytes);
+            return;
+        }
+        const text = new TextDecoder().decode(bytes);
+
+        if (text.startsWith('L:') && text.length > 2) {
+            const [mask, lx, ly, rx, ry] = text.slice(2).split(':').map(v => parseInt(v) || 0);
+            this.live = { mask, axes: [lx, ly, rx, ry] };
+            clearTimeout(this.liveTimer); // テキスト形式ではフェイルセーフを使わない
+            this.liveTimer = null;
+            return;
+        }
+
+        if (text === 'INFO') {
+            const link = this.mtu ? `:${this.mtu}:${this.credits}` : '';
+            this.reply(`INFO:2:${this.formats.join(',')}:${this.features.join(',')}${link}`);
+        } else if (text.startsWith('SLOT') && this.features.includes('slots')) {
+            this.handleSlotCommand(text);
+        } else if (text.startsWith('READ:') && this.features.includes('read')) {
+            this.beginRead(text);
+        } else if (text.startsWith('RDC:') && this.features.includes('read')) {
+            this.sendReadChunks(text);
+        } else if (/^(PLAY(:\d+)?|PAUSE|STOP|STATUS)$/.test(text) && this.features.includes('remote')) {
+            this.handlePlayback(text);
+        } else if (text.startsWith('RESUME:') && this.features.includes('resume')) {
+            this.resume(text);
+        } else if (text.startsWith('START:')) {
+            this.legacyBuffer = [];
+            this.rx = null;
+            if (text.startsWith('START:v2:')) {
+                const error = this.beginV2(text);
+                if (error) {
+                    this.reply(`ERR:${error}`);
+                    return;
+                }
+                this.reply(`RDY:${this.rx.totalChunks}`);
+            }
+            this.status = 'TRANSFERRING';
+        } else if (text === 'END') {
+            if (this.rx) this.finishV2();
+            else this.finishLegacy();
+        } else if (this.rx && this.status === 'TRANSFERRING' && bytes.length > 3 && bytes[0] === DATA_FRAME_MARKER) {
+            this.storeChunk(bytes);
+        } else if (this.rx && text.startsWith('SYNC:')) {
+            this.replySync(parseInt(text.slice(5)));
+        } else if (this.status === 'TRANSFERRING') {
+            this.legacyBuffer.push(bytes);
+        }
+    }
+
+    // --- Live Bridge ---
+
+    /**
+     * バイナリのライブ入力を処理する (ファームウェアの handleLiveFrame に相当)
+     */
+    handleLiveFrame(frame) {
+        const view = new DataView(frame.buffer, frame.byteOffset, frame.byteLength);
+        const seq = view.getUint16(1, true);
+        if (this.dropLive.delete(seq)) return;
+        const diff = this.liveSeq === null ? 1 : ((seq - this.liveSeq + 0x8000) & 0xFFFF) - 0x8000;
+        if (diff > 0) {
+            this.liveDropped += diff - 1;
+            this.liveSeq = seq;
+            this.live = { mask: view.getUint32(4, true), axes: [0, 1, 2, 3].map(i => view.getInt8(8 + i)) };
+            clearTimeout(this.liveTimer);
+            this.liveTimer = setTimeout(() => {
+                this.liveTimer = null;
+                if (!['PLAYING', 'WAITING'].includes(this.status)) this.live = { mask: 0, axes: [0, 0, 0, 0] };
+            }, this.liveFailsafe);
+        }
+        if (frame[3] & LIVE_FLAG_ECHO && this.notify) {
+            this.emit('tx', new Uint8Array([LIVE_FRAME_MARKER, frame[1], frame[2], this.liveDropped & 0xFF, (this.liveDropped >> 8) & 0xFF]));
+        }
+    }
+
+    // --- 転送 ---
+
+    beginV2(header) {
+        const fields = header.split(':');
+        const [length, crc, chunkSize] = [parseInt(fields[2]), parseInt(fields[3], 16) >>> 0, parseInt(fields[4])];
+        const format = fields[5] || 'json';
+        if (!(chunkSize > 3) || !(length > 0)) return 'HEADER';
+        if (!this.formats.includes(format)) return 'FORMAT';
+        const slot = fields[6] !== undefined ? parseInt(fields[6]) : -1;
+        if (slot !== -1 && !(slot >= 0 && slot < MAX_SLOTS)) return 'SLOT';
+
+        const payloadSize = chunkSize - 3;
+        this.rx = {
+            length, crc, format, payloadSize,
+            totalChunks: Math.ceil(length / payloadSize),
+            nextSeq: 0,
+            chunks: [],
+            outOfOrder: new Map(),
+            framesSeen: 0,
+            slot,
+            date: fields[7] !== undefined ? parseInt(fields[7]) * 1000 : 0,
+            name: fields.slice(8).join(':')
+        };
+        return null;
+    }
+
+    storeChunk(frame) {
+        const rx = this.rx;
+        const seq = frame[1] | (frame[2] << 8);
+        if (this.dropAlways.has(seq)) return;
+        if (this.dropOnce.delete(seq)) return;
+        if (++rx.framesSeen % CREDIT_INTERVAL === 0 && !this.stallCredits) this.reply(`CR:${rx.framesSeen}`);
+        if (seq < rx.nextSeq || seq >= rx.totalChunks) return;
+
+        const payload = frame.slice(3);
+        if (this.corrupt && seq === 0) payload[0] ^= 0xFF;
+        if (seq !== rx.nextSeq) {
+            rx.outOfOrder.set(seq, payload);
+            return;
+        }
+        rx.chunks.push(payload);
+        rx.nextSeq++;
+        while (rx.outOfOrder.has(rx.nextSeq)) {
+            rx.chunks.push(rx.outOfOrder.get(rx.nextSeq));
+            rx.outOfOrder.delete(rx.nextSeq);
+            rx.nextSeq++;
+        }
+    }
+
+    replySync(upto) {
+        const rx = this.rx;
+        rx.framesSeen = 0;
+        const missing = [];
+        for (let i = rx.nextSeq; i <= upto && i < rx.totalChunks && missing.length < MAX_NACK_ENTRIES; i++) {
+            if (!rx.outOfOrder.has(i)) missing.push(i);
+        }
+        this.reply(missing.length > 0 ? `NACK:${missing.join(',')}` : `ACK:${upto}`);
+    }
+
+    resume(command) {
+        const [, length, crc] = command.split(':');
+        const rx = this.rx;
+        const playing = ['PLAYING', 'WAITING', 'PAUSED'].includes(this.status);
+        if (!rx || playing || parseInt(length) !== rx.length || (parseInt(crc, 16) >>> 0) !== rx.crc) {
+            this.reply('ERR:RESUME');
+            return;
+        }
+        this.status = 'TRANSFERRING';
+        rx.framesSeen = 0;
+        this.reply(`RSM:${rx.nextSeq}`);
+    }
+
+    finishV2() {
+        const rx = this.rx;
+        this.rx = null;
+        const bytes = concatBytes(rx.chunks);
+        let error = null;
+        if (rx.nextSeq < rx.totalChunks) error = 'MISSING';
+        else if (bytes.length !== rx.length) error = 'LEN';
+        else if (crc32(bytes) !== rx.crc) error = 'CRC';
+        if (error) {
+            this.status = 'ERROR';
+            this.reply(`ERR:${error}`);
+            return;
+        }
+
+        const result = this.install(bytes, rx.format, rx.slot, rx.date, rx.name);
+        this.reply(result.error ? `ERR:${result.error}:${result.offset}` : `OK:${rx.length}`);
+    }
+
+    finishLegacy() {
+        const bytes = concatBytes(this.legacyBuffer);
+        this.legacyBuffer = [];
+        this.install(bytes, 'json', -1, 0, '');
+    }
+
+    /**
+     * 解析に成功したらスロットに保存して選択する (失敗したら保存済みのマクロはそのまま)
+     */
+    install(bytes, format, slot, date, name) {
+        const result = parseMacro(bytes, format);
+        if (result.error) {
+            this.status = 'ERROR';
+            return result;
+        }
+        const target = slot >= 0 ? slot : (this.active >= 0 ? this.active : 0);
+        this.slots[target] = { name: name || this.slots[target]?.name || '', bytes, format, date };
+        this.active = target;
+        this.status = 'READY';
+        return result;
+    }
+
+    // --- スロット ---
+
+    replySlotTable() {
+        this.slots.forEach((slot, i) => {
+            if (slot) this.reply(`SLOT:${i}:${slot.bytes.length}:${Math.floor(slot.date / 1000)}:${slot.format}:${slot.name}`);
+        });
+        this.reply(`SLOTS:${this.slots.filter(Boolean).length}:${this.active}`);
+    }
+
+    handleSlotCommand(command) {
+        if (command === 'SLOTS') {
+            this.replySlotTable();
+            return;
+        }
+        const [action, id, ...name] = command.split(':');
+        const slot = parseInt(id);
+        if (!this.slots[slot]) {
+            this.reply('ERR:SLOT');
+            return;
+        }
+        if (action === 'SLOTDEL') {
+            this.slots[slot] = null;
+            if (this.active === slot) this.active = -1;
+        } else if (action === 'SLOTREN') {
+            this.slots[slot].name = name.join(':');
+        } else if (action === 'SLOTSEL') {
+            this.active = slot;
+            this.status = 'READY';
+        } else {
+            this.reply('ERR:COMMAND');
+            return;
+        }
+        this.replySlotTable();
+    }
+
+    // --- 読み出し ---
+
+    beginRead(command) {
+        const [, id, size] = command.split(':');
+        const chunkSize = parseInt(size);
+        const slot = parseInt(id) < 0 ? this.active : parseInt(id);
+        if (!(chunkSize > 3)) {
+            this.reply('ERR:HEADER');
+            return;
+        }
+        const stored = this.slots[slot];
+        if (!stored) {
+            this.reply('ERR:SLOT');
+            return;
+        }
+        const payloadSize = chunkSize - 3;
+        const totalChunks = Math.ceil(stored.bytes.length / payloadSize);
+        this.read = { slot, payloadSize, totalChunks };
+        const crc = crc32(stored.bytes).toString(16).padStart(8, '0');
+        this.reply(`RDH:${slot}:${stored.bytes.length}:${crc}:${stored.format}:${totalChunks}`);
+    }
+
+    sendReadChunks(command) {
+        const [, start, count] = command.split(':').map(v => parseInt(v));
+        const stored = this.read && this.slots[this.read.slot];
+        if (!stored) {
+            this.reply('ERR:SLOT');
+            return;
+        }
+        let last = start;
+        for (let seq = start; seq < start + count && seq < this.read.totalChunks; seq++) {
+            last = seq;
+            if (this.dropOnce.delete(seq) || this.dropAlways.has(seq)) continue;
+            const offset = seq * this.read.payloadSize;
+            const payload = stored.bytes.slice(offset, offset + this.read.payloadSize);
+            const frame = new Uint8Array(3 + payload.length);
+            frame[0] = DATA_FRAME_MARKER;
+            frame[1] = seq & 0xFF;
+            frame[2] = (seq >> 8) & 0xFF;
+            frame.set(payload, 3);
+            this.reply(frame);
+        }
+        this.reply(`RDW:${last}`);
+    }
+
+    // --- 再生操作 (時間の経過は再現せず、状態の遷移と通知のみ) ---
+
+    handlePlayback(command) {
+        const [action, index] = command.split(':');
+        const stored = this.storedMacro;
+        const canStart = ['IDLE', 'CONNECTED', 'READY'].includes(this.status) && stored;
+        const running = this.status === 'PLAYING' || this.status === 'WAITING';
+        this.eventIndex = this.eventIndex ?? 0;
+
+        if (action === 'PLAY' && index !== undefined) {
+            if (canStart || running || this.status === 'PAUSED') {
+                this.status = 'PLAYING';
+                this.eventIndex = parseInt(index) || 0;
+            }
+        } else if (action === 'PLAY') {
+            if (this.status === 'PAUSED') this.status = 'PLAYING';
+            else if (canStart) {
+                this.status = 'PLAYING';
+                this.eventIndex = 0;
+            }
+        } else if (action === 'PAUSE' && running) {
+            this.status = 'PAUSED';
+        } else if (action === 'STOP' && (running || this.status === 'PAUSED')) {
+            this.status = this.connected ? 'CONNECTED' : 'READY';
+            this.eventIndex = 0;
+        }
+
+        const count = stored ? stored.events.length : 0;
+        const remaining = stored?.loop?.enabled && !stored.loop.count ? -1 : 0;
+        this.emit('status', `S:${this.status}:${this.eventIndex}:${count}:1:${remaining}:0`);
+    }
+}
+
+/**
+ * navigator.bluetooth の代わりになるオブジェクトを作る
+ * @param {MockATOMS3} device
+ * @param {object} [options]
+ * @param {boolean} [options.authorized] 許可済みのデバイスとして getDevices で返すか (自動再接続)
+ * @param {boolean} [options.chooserCancelled] requestDevice のダイアログがキャンセルされる
+ */
+export const createMockBluetooth = (device, { authorized = false, chooserCancelled = false } = {}) => {
+    const bluetooth = {
+        requestDeviceCalls: 0,
+        getDevices: async () => (authorized ? [device.bluetoothDevice] : []),
+        requestDevice: async () => {
+            bluetooth.requestDeviceCalls++;
+            if (chooserCancelled) {
+                throw Object.assign(new Error('User cancelled the requestDevice() chooser.'), { name: 'NotFoundError' });
+            }
+            return device.bluetoothDevice;
+        }
+    };
+    return bluetooth;
+};
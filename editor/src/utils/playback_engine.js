@@ -0,0 +1,174 @@
+/**
+ * ブラウザ上でのマクロ再生シミュレーター
+ * 目的: ファームウェアの MacroPlayer (switch_macro_player.ino) と同じ規則で、
+ *       任意の時刻にSwitchへ送られている入力を求める。ATOMS3に転送せずにプレビューできるようにする。
+ *
+ * 再現している規則:
+ * - 再生開始からの経過時間がイベントの t 以上になったら、そのイベントの入力を送る
+ * - 全イベントを送り終えた直後にニュートラルに戻す (player.stop)
+ * - loop.enabled のとき count 回 (0なら無限) 繰り返し、各周回の間に interval 秒待つ
+ * - イントロは最初に1回、アウトロは最後の周回に続けて1回だけ再生する (macro_loop.js)
+ * - 十字キー (bit16-19) はハットスイッチに変換され、同時押しは updateHID の優先順で1方向になる
+ */
+
+import { HID_BUTTONS } from './constants';
+import { findEventIndexAt } from './timeline_spans';
+import { quantizeAxis } from './macro_codec';
+import { getLoopParts } from './macro_loop';
+
+// ハットスイッチの方向 (SwitchHID.h の Hat と同じ値)
+export const HAT = {
+    TOP: 0,
+    TOP_RIGHT: 1,
+    RIGHT: 2,
+    BOTTOM_RIGHT: 3,
+    BOTTOM: 4,
+    BOTTOM_LEFT: 5,
+    LEFT: 6,
+    TOP_LEFT: 7,
+    CENTER: 8
+};
+
+export const NEUTRAL_FRAME = { b: [], a: [0, 0, 0, 0] };
+
+/**
+ * マクロの再生時間の構成を求める
+ * @returns {{parts: object, introLength: number, iterationLength: number, outroLength: number, interval: number,
+ *            iterations: number, period: number, totalDuration: number}}
+ *          iterationLength はループの本体の1周の長さ。iterations / totalDuration は無限ループの場合 Infinity
+ */
+export const getTimeline = (macro) => {
+    const events = macro.events || [];
+    const loop = macro.loop || {};
+    const parts = getLoopParts(events);
+    const lastTime = events.length > 0 ? events[events.length - 1].t : 0;
+    const introLength = parts.startTime;
+    const iterationLength = parts.endTime - parts.startTime;
+    const outroLength = lastTime - parts.endTime;
+    const interval = loop.enabled ? (loop.interval || 0) * 1000 : 0;
+    const iterations = loop.enabled ? (loop.count > 0 ? loop.count : Infinity) : 1;
+    // 長さ0のマクロでも無限ループで時間が止まらないよう、1周を最低1msとする
+    const period = Math.max(1, iterationLength + interval);
+    const totalDuration = iterations === Infinity
+        ? Infinity
+        : introLength + iterations * iterationLength + (iterations - 1) * interval + outroLength;
+    return { parts, introLength, iterationLength, outroLength, interval, iterations, period, totalDuration };
+};
+
+/**
+ * 時刻 time (再生開始からのms) における再生状態を求める
+ * @returns {{phase: 'playing'|'waiting'|'done', iteration: number, eventIndex: number, localTime: number, frame: object}}
+ *          eventIndex は最後に送信したイベント (まだ1件も送っていなければ -1)。
+ *          localTime はマクロの時刻 (イベントの t) に換算した再生位置
+ */
+export const stateAt = (macro, time) => {
+    const events = macro.events || [];
+    const timeline = getTimeline(macro);
+    if (events.length === 0) {
+        return { phase: 'done', iteration: 0, eventIndex: -1, localTime: 0, frame: NEUTRAL_FRAME };
+    }
+
+    const t = Math.max(0, time);
+    const { parts, introLength, iterationLength, iterations, period } = timeline;
+    const bodyTime = Math.max(0, t - introLength);
+    const iteration = Math.min(Math.floor(bodyTime / period), iterations - 1);
+    const offset = bodyTime - iteration * period; // 周回の開始からの経過時間
+    const isLast = iteration >= iterations - 1;
+    const localTime = t < introLength ? t : parts.startTime + offset;
+
+    // 本体を送り終えた: ニュートラルに戻り、次の周回を待つか終了する (最後の周回はアウトロに続ける)
+    const inOutro = isLast && parts.end < events.length;
+    if (t >= introLength && offset >= iterationLength && (!inOutro || localTime >= events[events.length - 1].t)) {
+        return {
+            phase: isLast ? 'done' : 'waiting',
+            iteration,
+            eventIndex: isLast ? events.length - 1 : parts.end - 1,
+            localTime,
+            frame: NEUTRAL_FRAME
+        };
+    }
+
+    const eventIndex = findEventIndexAt(events, localTime);
+    const ev = events[eventIndex];
+    return {
+        phase: 'playing',
+        iteration,
+        eventIndex,
+        localTime,
+        frame: ev ? { b: ev.b, a: ev.a } : NEUTRAL_FRAME
+    };
+};
+
+/**
+ * 指定した周回でイベントが送信される時刻を求める (行のクリックで再生位置を移動する際に使用)
+ * イントロは1周目、アウトロは最後の周回 (無限ループでは指定した周回の後) の時刻になる。
+ */
+export const timeOfEvent = (macro, index, iteration = 0) => {
+    const { parts, introLength, iterations, period } = getTimeline(macro);
+    let round = iteration;
+    if (index < parts.start) round = 0;
+    else if (index >= parts.end && iterations !== Infinity) round = iterations - 1;
+    return introLength + round * period + macro.events[index].t - parts.startTime;
+};
+
+/**
+ * ボタン・スティックをファームウェアの updateHID と同じ形式のHIDレポートに変換する
+ * @returns {{buttons: number, hat: number, lx: number, ly: number, rx: number, ry: number}} スティックは 0〜255
+ */
+export const toHidReport = (b, a) => {
+    let mask = 0;
+    b.forEach(bit => { if (bit < 20) mask |= (1 << bit); });
+
+    const u = (mask & (1 << HID_BUTTONS.UP)) !== 0;
+    const d = (mask & (1 << HID_BUTTONS.DOWN)) !== 0;
+    const l = (mask & (1 << HID_BUTTONS.LEFT)) !== 0;
+    const r = (mask & (1 << HID_BUTTONS.RIGHT)) !== 0;
+
+    let hat = HAT.CENTER;
+    if (u && r) hat = HAT.TOP_RIGHT;
+    else if (u && l) hat = HAT.TOP_LEFT;
+    else if (d && r) hat = HAT.BOTTOM_RIGHT;
+    else if (d && l) hat = HAT.BOTTOM_LEFT;
+    else if (u) hat = HAT.TOP;
+    else if (d) hat = HAT.BOTTOM;
+    else if (l) hat = HAT.LEFT;
+    else if (r) hat = HAT.RIGHT;
+
+    const [lx, ly, rx, ry] = [0, 1, 2, 3].map(i => quantizeAxis(a[i]) + 128);
+    return { buttons: mask & 0x3FFF, hat, lx, ly, rx, ry };
+};
+
+// ハットスイッチの方向から十字キーのビットを復元する
+const HAT_TO_DPAD = {
+    [HAT.TOP]: [HID_BUTTONS.UP],
+    [HAT.TOP_RIGHT]: [HID_BUTTONS.UP, HID_BUTTONS.RIGHT],
+    [HAT.RIGHT]: [HID_BUTTONS.RIGHT],
+    [HAT.BOTTOM_RIGHT]: [HID_BUTTONS.DOWN, HID_BUTTONS.RIGHT],
+    [HAT.BOTTOM]: [HID_BUTTONS.DOWN],
+    [HAT.BOTTOM_LEFT]: [HID_BUTTONS.DOWN, HID_BUTTONS.LEFT],
+    [HAT.LEFT]: [HID_BUTTONS.LEFT],
+    [HAT.TOP_LEFT]: [HID_BUTTONS.UP, HID_BUTTONS.LEFT],
+    [HAT.CENTER]: []
+};
+
+/**
+ * HIDレポートを GamepadVisualizer 用のフレームに戻す
+ * (Switch が実際に受け取る入力を表示するため、ハット変換で失われる同時押しはここで消える)
+ */
+export const reportToFrame = (report) => {
+    const b = [];
+    for (let i = 0; i < 14; i++) {
+        if (report.buttons & (1 << i)) b.push(i);
+    }
+    b.push(...HAT_TO_DPAD[report.hat]);
+    const a = [report.lx, report.ly, report.rx, report.ry].map(v => (v - 128) / 127);
+    return { b, a };
+};
+
+/**
+ * 時刻 time にSwitchが受け取っている入力を GamepadVisualizer 用のフレームで返す
+ */
+export const simulatedFrameAt = (macro, time) => {
+    const state = stateAt(macro, time);
+    return reportToFrame(toHidReport(state.frame.b, state.frame.a));
+};
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import sample from '../../../schema/sample_macro.json';
+import { HAT, NEUTRAL_FRAME, getTimeline, stateAt, timeOfEvent, toHidReport, reportToFrame, simulatedFrameAt } from './playback_engine';
+import { HID_BUTTONS } from './constants';
+
+const { A, UP, DOWN, LEFT, RIGHT } = HID_BUTTONS;
+const withLoop = (loop) => ({ ...sample, loop });
+
+describe('playback_engine', () => {
+    it('経過時間が t 以上になったイベントを送信中とみなす', () => {
+        expect(stateAt(sample, 99)).toMatchObject({ phase: 'playing', eventIndex: 0 });
+        expect(stateAt(sample, 100)).toMatchObject({ phase: 'playing', eventIndex: 1 });
+        expect(stateAt(sample, 100).frame.b).toEqual([A]);
+        expect(stateAt(sample, 550)).toMatchObject({ eventIndex: 3 });
+    });
+
+    it('最後のイベントを送った直後にニュートラルに戻って終了する', () => {
+        const state = stateAt(sample, 600);
+        expect(state).toMatchObject({ phase: 'done', eventIndex: 4 });
+        expect(state.frame).toBe(NEUTRAL_FRAME);
+        expect(stateAt(sample, 99999).phase).toBe('done');
+    });
+
+    it('ループ無効なら1回、count=0なら無限に繰り返す', () => {
+        expect(getTimeline(withLoop({ enabled: false, count: 5 })).iterations).toBe(1);
+        expect(getTimeline(withLoop({ enabled: true, count: 3 })).iterations).toBe(3);
+        const infinite = getTimeline(withLoop({ enabled: true, count: 0 }));
+        expect(infinite.iterations).toBe(Infinity);
+        expect(infinite.totalDuration).toBe(Infinity);
+    });
+
+    it('周回の間は interval 秒ニュートラルで待機する', () => {
+        const macro = withLoop({ enabled: true, count: 2, interval: 1 });
+        expect(getTimeline(macro).totalDuration).toBe(600 + 1000 + 600);
+        expect(stateAt(macro, 700)).toMatchObject({ phase: 'waiting', iteration: 0 });
+        expect(stateAt(macro, 1700)).toMatchObject({ phase: 'playing', iteration: 1, eventIndex: 1 });
+        expect(stateAt(macro, 2200)).toMatchObject({ phase: 'done', iteration: 1 });
+    });
+
+    it('interval=0 なら直ちに次の周回を始める', () => {
+        const macro = withLoop({ enabled: true, count: 0 });
+        expect(stateAt(macro, 600)).toMatchObject({ phase: 'playing', iteration: 1, eventIndex: 0 });
+        expect(stateAt(macro, 6100)).toMatchObject({ iteration: 10, eventIndex: 1 });
+        expect(timeOfEvent(macro, 3, 2)).toBe(1700);
+    });
+
+    it('イントロは最初に1回、アウトロは最後の周回に続けて1回だけ再生する', () => {
+        const events = sample.events.map((ev, i) => ({ ...ev, ...(i === 1 ? { loopStart: true } : {}), ...(i === 3 ? { outroStart: true } : {}) }));
+        const macro = { ...sample, events, loop: { enabled: true, count: 2, interval: 1 } };
+        expect(getTimeline(macro)).toMatchObject({ introLength: 100, iterationLength: 400, outroLength: 100, totalDuration: 2000 });
+        expect(stateAt(macro, 50)).toMatchObject({ phase: 'playing', iteration: 0, eventIndex: 0 });
+        expect(stateAt(macro, 520)).toMatchObject({ phase: 'waiting', iteration: 0, eventIndex: 2 });
+        expect(stateAt(macro, 1500)).toMatchObject({ phase: 'playing', iteration: 1, eventIndex: 1, localTime: 100 });
+        expect(stateAt(macro, 1950)).toMatchObject({ phase: 'playing', iteration: 1, eventIndex: 3 });
+        expect(stateAt(macro, 2000).phase).toBe('done');
+        expect(timeOfEvent(macro, 4)).toBe(2000);
+        expect(timeOfEvent(macro, 0, 1)).toBe(0);
+    });
+
+    it('十字キーの同時押しは updateHID の優先順で1方向になる', () => {
+        const hat = (b) => toHidReport(b, [0, 0, 0, 0]).hat;
+        expect(hat([UP, RIGHT])).toBe(HAT.TOP_RIGHT);
+        expect(hat([DOWN, LEFT])).toBe(HAT.BOTTOM_LEFT);
+        expect(hat([UP, DOWN])).toBe(HAT.TOP);
+        expect(hat([LEFT, RIGHT])).toBe(HAT.LEFT);
+        expect(hat([UP, DOWN, LEFT, RIGHT])).toBe(HAT.TOP_RIGHT);
+        expect(hat([])).toBe(HAT.CENTER);
+        expect(reportToFrame(toHidReport([UP, DOWN, A], [0, 0, 0, 0])).b).toEqual([A, UP]);
+    });
+
+    it('スティックはバイナリ形式と同じく int8 に量子化される', () => {
+        const report = toHidReport([], [1, -1, 0.5, 0]);
+        expect(report).toMatchObject({ lx: 255, ly: 1, rx: 192, ry: 128 });
+        expect(simulatedFrameAt(sample, 500).a[0]).toBeCloseTo(0, 5);
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * パンチイン記録・オーバーダブ用の純粋関数群
+ * 目的: 長いマクロの途中の失敗を直すために、全体を記録し直さずに一部だけを記録できるようにする。
+ *       既存のマクロを Live Bridge で範囲の手前から再生し、範囲の先頭 (パンチイン) からコントローラの入力を記録する。
+ *
+ * 範囲: { start, end } (ms、行リストの時刻)。end が null の場合は記録を停止するまで
+ * テイク: 記録したイベント列。t はパンチインからの相対時刻
+ * 置き換え: 範囲の既存のイベントを削除してテイクを入れ、パンチアウトの時点で既存の入力に戻す
+ * オーバーダブ: 範囲の既存の入力に、テイクのうち指定したボタン・スティック (channels) だけを重ねる
+ *   channels: { buttons: [HIDビット, ...], axes: [軸番号 (0=LX, 1=LY, 2=RX, 3=RY), ...] }
+ */
+
+import { findEventIndexAt } from './timeline_spans';
+import { isCallEvent } from './macro_compose';
+
+export const DEFAULT_PREROLL = 3000; // パンチインの前に既存のマクロを再生する時間 (ms)
+
+const NEUTRAL = { b: [], a: [0, 0, 0, 0] };
+
+/**
+ * 時刻 t の時点の入力
+ */
+const frameAt = (events, t) => {
+    const index = findEventIndexAt(events, t);
+    return index >= 0 ? { b: events[index].b, a: events[index].a } : NEUTRAL;
+};
+
+const sameFrame = (x, y) => x.b.length === y.b.length && x.b.every((bit, i) => bit === y.b[i]) && x.a.every((v, i) => v === y.a[i]);
+
+/**
+ * 選択した行からパンチインの範囲を求める (最後の行の次の行の時刻でパンチアウト。最後の行まで選択した場合は停止するまで)
+ */
+export const getPunchRange = (events, indices) => {
+    const first = Math.min(...indices);
+    const last = Math.max(...indices);
+    return { start: events[first].t, end: last + 1 < events.length ? events[last + 1].t : null };
+};
+
+/**
+ * 範囲が正しく、範囲 (と範囲の先頭で有効な行) にサブマクロの呼び出しが無いことを確認する
+ */
+const checkRange = (events, { start, end }) => {
+    if (end !== null && end <= start) throw new Error("パンチアウトはパンチインより後の時刻にしてください");
+    const from = Math.max(0, findEventIndexAt(events, start));
+    const to = end === null ? events.length - 1 : findEventIndexAt(events, end);
+    for (let i = from; i <= to; i++) {
+        if (isCallEvent(events[i])) {
+            throw new Error(`パンチインの範囲にサブマクロの呼び出し (${i + 1}行目) があります。範囲を変えてください`);
+        }
+    }
+};
+
+/**
+ * 既存のマクロの from〜to ms を Live Bridge で再生するイベント列にする (t は from からの相対時刻)
+ * from が負の場合はマクロの先頭までニュートラルで待つ。末尾に to の時点の入力を置き、再生が to まで続くようにする。
+ * @param {object[]} events サブマクロの呼び出しを展開済みのイベント
+ */
+export const buildPunchPlayback = (events, from, to) => {
+    const out = [{ t: 0, ...frameAt(events, from) }];
+    events.forEach(ev => {
+        if (ev.t > from && ev.t < to) out.push({ t: ev.t - from, b: ev.b, a: ev.a });
+    });
+    out.push({ t: to - from, ...frameAt(events, to) });
+    return out;
+};
+
+/**
+ * 入力 base のうち channels のボタン・スティックを top のものにする
+ */
+export const mergeChannels = (base, top, { buttons = [], axes = [] }) => ({
+    b: [...base.b.filter(bit => !buttons.includes(bit)), ...top.b.filter(bit => buttons.includes(bit))].sort((x, y) => x - y),
+    a: base.a.map((v, i) => (axes.includes(i) ? top.a[i] : v))
+});
+
+/**
+ * パンチアウトの時点で既存の入力に戻すイベント (その時刻に既存の行がある場合や、入力が変わらない場合は不要)
+ */
+const restoreAt = (events, end, last, after) => {
+    if (end === null || after[0]?.t === end) return [];
+    const frame = frameAt(events, end);
+    return last && sameFrame(last, frame) ? [] : [{ t: end, ...frame }];
+};
+
+/**
+ * 範囲をテイクで置き換える (範囲の行はコメント・セクション名ごと削除する)
+ */
+export const spliceTake = (events, take, range) => {
+    checkRange(events, range);
+    const { start, end } = range;
+    const limit = end === null ? Infinity : end - start;
+    const inserted = take.filter(ev => ev.t >= 0 && ev.t < limit).map(ev => ({ ...ev, t: ev.t + start }));
+    // パンチインの時点で入力していなかった分はニュートラルから始める
+    if (inserted.length === 0 || inserted[0].t > start) inserted.unshift({ t: start, ...NEUTRAL });
+
+    const before = events.filter(ev => ev.t < start);
+    const after = end === null ? [] : events.filter(ev => ev.t >= end);
+    return [...before, ...inserted, ...restoreAt(events, end, inserted[inserted.length - 1], after), ...after];
+};
+
+/**
+ * 範囲の既存の入力にテイクの channels だけを重ねる (範囲の行はコメント・セクション名を残して入力だけを変える)
+ * end が null の場合は最後のイベントまで。
+ */
+export const overdubTake = (events, take, range, channels) => {
+    const { start } = range;
+    const end = range.end ?? (events.length > 0 ? events[events.length - 1].t : start);
+    checkRange(events, { start, end });
+    const inRange = (t) => t >= start && t < end;
+
+    // 既存の行とテイクの変化の時刻を順に並べる (同じ時刻では既存の行を優先)
+    const points = [
+        ...events.filter(ev => inRange(ev.t)),
+        ...take.filter(ev => inRange(ev.t + start)).map(ev => ({ t: ev.t + start, take: true })),
+        { t: start, take: true }
+    ].sort((x, y) => x.t - y.t || (x.take ? 1 : 0) - (y.take ? 1 : 0));
+
+    const before = events.filter(ev => ev.t < start);
+    const merged = [];
+    points.forEach(point => {
+        const frame = mergeChannels(frameAt(events, point.t), frameAt(take, point.t - start), channels);
+        if (!point.take) {
+            merged.push({ ...point, ...frame });
+            return;
+        }
+        const prev = merged[merged.length - 1] || before[before.length - 1];
+        if (prev && (prev.t === point.t || sameFrame(prev, frame))) return;
+        merged.push({ t: point.t, ...frame });
+    });
+
+    const after = events.filter(ev => ev.t >= end);
+    return [...before, ...merged, ...restoreAt(events, end, merged[merged.length - 1], after), ...after];
+};
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import sample from '../../../schema/sample_macro.json';
+import { buildPunchPlayback, getPunchRange, mergeChannels, overdubTake, spliceTake } from './punch_in';
+
+const ev = (t, b = []) => ({ t, b, a: [0, 0, 0, 0] });
+const summary = (events) => events.map(e => `${e.t}:${e.b.join(',')}`);
+
+describe('punch_in', () => {
+    it('選択した行から範囲を求める (最後の行まで選択した場合は停止するまで)', () => {
+        expect(getPunchRange(sample.events, [2, 1])).toEqual({ start: 100, end: 500 });
+        expect(getPunchRange(sample.events, [3, 4])).toEqual({ start: 500, end: null });
+    });
+
+    it('プリロールはマクロの先頭より前をニュートラルで待ち、範囲の先頭の入力で終える', () => {
+        expect(summary(buildPunchPlayback(sample.events, -200, 150))).toEqual(['0:', '200:', '300:2', '350:2']);
+        expect(summary(buildPunchPlayback(sample.events, 150, 500))).toEqual(['0:2', '50:', '350:0']);
+    });
+
+    it('範囲をテイクで置き換え、パンチアウトの時点で既存の入力に戻す', () => {
+        const take = [ev(0, [3]), ev(150)];
+        expect(summary(spliceTake(sample.events, take, { start: 100, end: 500 }))).toEqual(['0:', '100:3', '250:', '500:0', '600:']);
+        expect(summary(spliceTake(sample.events, take, { start: 100, end: 550 }))).toEqual(['0:', '100:3', '250:', '550:0', '600:']);
+        // 範囲より後のテイクは捨て、終わりを指定しなければ以降をすべて置き換える
+        expect(summary(spliceTake(sample.events, [ev(0, [3]), ev(900, [1])], { start: 100, end: 200 }))).toEqual(['0:', '100:3', '200:', '500:0', '600:']);
+        expect(summary(spliceTake(sample.events, [ev(50, [1])], { start: 500, end: null }))).toEqual(['0:', '100:2', '200:', '500:', '550:1']);
+    });
+
+    it('オーバーダブは指定したボタンだけを重ね、既存の行の注釈は残す', () => {
+        const events = sample.events.map((e, i) => (i === 2 ? { ...e, comment: 'ジャンプ終わり' } : e));
+        const take = [ev(0), ev(50, [1, 2]), ev(250)];
+        const result = overdubTake(events, take, { start: 100, end: 500 }, { buttons: [1], axes: [] });
+        expect(summary(result)).toEqual(['0:', '100:2', '150:1,2', '200:1', '350:', '500:0', '600:']);
+        expect(result[3].comment).toBe('ジャンプ終わり');
+    });
+
+    it('スティックは軸ごとに重ねる', () => {
+        const merged = mergeChannels({ b: [0], a: [0.5, 0, 0.2, 0] }, { b: [1], a: [0, 1, 0, -1] }, { buttons: [], axes: [0, 1] });
+        expect(merged).toEqual({ b: [0], a: [0, 1, 0.2, 0] });
+    });
+
+    it('サブマクロの呼び出しを含む範囲や、逆向きの範囲では記録できない', () => {
+        const events = [ev(0), { t: 100, call: 'mash', repeat: 2 }, ev(300)];
+        expect(() => spliceTake(events, [], { start: 150, end: 250 })).toThrow('2行目');
+        expect(() => spliceTake(events, [], { start: 300, end: null })).not.toThrow();
+        expect(() => overdubTake(sample.events, [], { start: 500, end: 100 }, { buttons: [0], axes: [] })).toThrow('後の時刻');
+    });
+});
@@ -0,0 +1,21 @@
+/**
+ * 非表示のタブでも間引かれないタイマー
+ * 目的: メインスレッドの setTimeout / setInterval は非表示のタブで1秒以上に間引かれるため、
+ *       コントローラのサンプリングや Live Bridge のキープアライブのように一定間隔で動き続ける必要がある処理は Worker のタイマーを使う。
+ */
+
+/**
+ * Worker のタイマーを開始し、停止する関数を返す (Worker を使えない環境では setInterval)
+ * @param {number} interval 間隔 (ms)
+ * @param {function} onTick 間隔ごとに呼ばれる
+ */
+export const createWorkerClock = (interval, onTick) => {
+    if (typeof Worker === 'undefined') {
+        const timer = setInterval(onTick, interval);
+        return () => clearInterval(timer);
+    }
+    const worker = new Worker(new URL('./sampling_clock.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = () => onTick();
+    worker.postMessage({ interval });
+    return () => worker.terminate();
+};
@@ -0,0 +1,15 @@
+/**
+ * コントローラのサンプリング・Live Bridge のキープアライブ用のタイマー (Web Worker。sampling_clock.js から起動する)
+ * 目的: 非表示のタブではメインスレッドのタイマーが間引かれるため、Worker のタイマーで一定間隔の合図を送る。
+ *       Worker からは Gamepad API や Web Bluetooth を使えないので、合図を受けたメインスレッドが入力の読み取り・送信をする。
+ *
+ * 受信: { interval: <ms> } で開始 (再送すると間隔を変更)
+ * 送信: 合図ごとに空のメッセージ
+ */
+
+let timer = null;
+
+self.onmessage = (e) => {
+    clearInterval(timer);
+    timer = setInterval(() => self.postMessage(null), e.data.interval);
+};
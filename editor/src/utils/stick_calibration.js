@@ -0,0 +1,111 @@
+/**
+ * スティックの補正 (キャリブレーション・デッドゾーン・応答カーブ) と記録時の変化判定
+ * 目的: 固定のデッドゾーンで小さな傾きが 0 にされたり、劣化したスティックのドリフトで
+ *       イベントが大量に記録されたりしないよう、コントローラごとに調整できるようにする。
+ *
+ * 処理の順序 (LX/LY と RX/RY の組ごと):
+ *   1. 軸ごとに中心と可動範囲で -1.0〜1.0 に正規化
+ *   2. デッドゾーン (axial: 軸ごと / radial: 倒した量で判定) の内側 (inner 未満) を 0、外側 (outer) 以上を 1.0 にする
+ *      rescale が true なら inner〜outer を 0〜1.0 に再配分する。既定は false で、内側の外の値をそのまま使う
+ *      (既定の設定では従来どおり 0.2 未満の傾きを 0 にするだけで、それ以外の値は変わらない)
+ *   3. 応答カーブ (curve > 1 で中心付近が細かくなる)
+ */
+
+export const DEFAULT_CALIBRATION = {
+    axes: [0, 1, 2, 3].map(() => ({ center: 0, min: -1, max: 1 })),
+    deadzone: { mode: 'axial', inner: 0.2, outer: 1, rescale: false },
+    curve: 1,
+    triggerThreshold: 0.5, // ZL/ZR がアナログ値を報告する場合の押下判定
+    stickThreshold: 0.05   // 記録時にスティックの変化とみなす量 (これ以下の揺れは記録しない。細かく記録したい場合はコントローラごとに下げる)
+};
+
+const MIN_SPAN = 0.2; // キャリブレーション結果として受け入れる最小の可動範囲
+
+const clamp = (v) => Math.max(-1, Math.min(1, v));
+
+/**
+ * 保存されていた設定を既定値で補う (古い形式や欠けた項目に対応)
+ */
+export const normalizeCalibration = (stored) => ({
+    ...DEFAULT_CALIBRATION,
+    ...stored,
+    axes: DEFAULT_CALIBRATION.axes.map((axis, i) => ({ ...axis, ...stored?.axes?.[i] })),
+    deadzone: { ...DEFAULT_CALIBRATION.deadzone, ...stored?.deadzone }
+});
+
+/**
+ * 軸の値を中心と可動範囲で -1.0〜1.0 に正規化する
+ */
+export const normalizeAxis = (value, { center, min, max }) => {
+    const span = value >= center ? max - center : center - min;
+    return span > 0 ? clamp((value - center) / span) : 0;
+};
+
+/**
+ * 倒した量 (0〜1) をデッドゾーンと応答カーブで変換する
+ */
+const shape = (magnitude, { deadzone, curve }) => {
+    const inner = deadzone.inner;
+    const outer = Math.max(deadzone.outer, inner + 0.01);
+    if (magnitude < inner || magnitude === 0) return 0;
+    if (magnitude >= outer) return 1;
+    return Math.pow(deadzone.rescale ? (magnitude - inner) / (outer - inner) : magnitude, curve);
+};
+
+/**
+ * スティック1本分 (x, y) にデッドゾーンと応答カーブを適用する
+ */
+export const applyDeadzone = (x, y, calibration) => {
+    if (calibration.deadzone.mode === 'radial') {
+        const magnitude = Math.hypot(x, y);
+        if (magnitude === 0) return [0, 0];
+        const k = shape(Math.min(1, magnitude), calibration) / magnitude;
+        return [clamp(x * k), clamp(y * k)];
+    }
+    const axial = (v) => (v < 0 ? -shape(-v, calibration) : shape(v, calibration)) || 0; // -0 にしない
+    return [axial(x), axial(y)];
+};
+
+/**
+ * LX, LY, RX, RY を補正する
+ */
+export const processSticks = (a, calibration) => {
+    const n = a.map((v, i) => normalizeAxis(v, calibration.axes[i]));
+    return [...applyDeadzone(n[0], n[1], calibration), ...applyDeadzone(n[2], n[3], calibration)];
+};
+
+/**
+ * 前回記録した値からスティックが変化したか
+ * (しきい値未満の揺れは無視するが、ニュートラルへの復帰・ニュートラルからの移動は必ず変化とする)
+ */
+export const hasStickMoved = (prev, curr, threshold) => prev.some((v, i) => (
+    Math.abs(v - curr[i]) > threshold || (v === 0) !== (curr[i] === 0)
+));
+
+// --- キャリブレーションの測定 ---
+
+/**
+ * 手を離した状態のサンプルから各軸の中心を求める
+ * @param {number[][]} samples LX, LY, RX, RY のサンプル列
+ */
+export const measureCenter = (samples) => [0, 1, 2, 3].map(i => (
+    samples.length > 0 ? samples.reduce((sum, a) => sum + a[i], 0) / samples.length : 0
+));
+
+/**
+ * スティックを回している間の最小値・最大値を更新する
+ * @param {{min: number, max: number}[]|null} ranges 前回までの範囲 (初回は null)
+ */
+export const extendRange = (ranges, a) => a.map((v, i) => ({
+    min: Math.min(ranges ? ranges[i].min : v, v),
+    max: Math.max(ranges ? ranges[i].max : v, v)
+}));
+
+/**
+ * 測定結果から軸ごとの補正値を作る (十分に動かされなかった側は既定の範囲を使う)
+ */
+export const buildAxisCalibration = (center, ranges) => center.map((c, i) => ({
+    center: c,
+    min: c - ranges[i].min >= MIN_SPAN ? ranges[i].min : -1,
+    max: ranges[i].max - c >= MIN_SPAN ? ranges[i].max : 1
+}));
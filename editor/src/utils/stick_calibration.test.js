@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import {
+    DEFAULT_CALIBRATION, normalizeCalibration, normalizeAxis, applyDeadzone, processSticks,
+    hasStickMoved, measureCenter, extendRange, buildAxisCalibration
+} from './stick_calibration';
+
+const withDeadzone = (deadzone, curve = 1) => ({ ...DEFAULT_CALIBRATION, deadzone: { ...DEFAULT_CALIBRATION.deadzone, ...deadzone }, curve });
+
+describe('stick_calibration', () => {
+    it('中心と可動範囲で正規化する', () => {
+        const axis = { center: 0.1, min: -0.8, max: 0.6 };
+        expect(normalizeAxis(0.1, axis)).toBe(0);
+        expect(normalizeAxis(0.6, axis)).toBe(1);
+        expect(normalizeAxis(-0.8, axis)).toBe(-1);
+        expect(normalizeAxis(0.35, axis)).toBeCloseTo(0.5);
+        expect(normalizeAxis(1, axis)).toBe(1);
+    });
+
+    it('軸ごとのデッドゾーンは内側を 0 にして残りを再配分する', () => {
+        const calibration = withDeadzone({ mode: 'axial', inner: 0.2, outer: 0.9, rescale: true });
+        expect(applyDeadzone(0.15, -0.1, calibration)).toEqual([0, 0]);
+        const [x, y] = applyDeadzone(0.55, -0.95, calibration);
+        expect(x).toBeCloseTo(0.5);
+        expect(y).toBe(-1);
+        // 斜めでも片方の軸だけ 0 になる
+        expect(applyDeadzone(0.1, 0.9, calibration)[0]).toBe(0);
+    });
+
+    it('円形のデッドゾーンは倒した量で判定し、方向を保つ', () => {
+        const calibration = withDeadzone({ mode: 'radial', inner: 0.2, outer: 1, rescale: true });
+        expect(applyDeadzone(0.1, 0.1, calibration)).toEqual([0, 0]);
+        // 軸ごとでは 0 になる小さな成分も残る
+        const [x, y] = applyDeadzone(0.15, 0.6, calibration);
+        expect(x).toBeGreaterThan(0);
+        expect(y / x).toBeCloseTo(4);
+        expect(Math.hypot(x, y)).toBeCloseTo((Math.hypot(0.15, 0.6) - 0.2) / 0.8);
+    });
+
+    it('応答カーブで中心付近を細かくする', () => {
+        const linear = withDeadzone({ inner: 0 }, 1);
+        const curved = withDeadzone({ inner: 0 }, 2);
+        expect(applyDeadzone(0.5, 0, linear)[0]).toBeCloseTo(0.5);
+        expect(applyDeadzone(0.5, 0, curved)[0]).toBeCloseTo(0.25);
+        expect(applyDeadzone(-1, 0, curved)[0]).toBe(-1);
+    });
+
+    it('既定の設定では従来どおり 0.2 未満の傾きを 0 にし、それ以外の値は変えない', () => {
+        expect(processSticks([0.1, -0.19, 0, 1], DEFAULT_CALIBRATION)).toEqual([0, 0, 0, 1]);
+        expect(processSticks([0.5, -0.2, 0.35, -0.75], DEFAULT_CALIBRATION)).toEqual([0.5, -0.2, 0.35, -0.75]);
+        expect(normalizeCalibration({ curve: 2, deadzone: { mode: 'radial' } })).toMatchObject({
+            curve: 2,
+            deadzone: { mode: 'radial', inner: 0.2, outer: 1, rescale: false },
+            axes: DEFAULT_CALIBRATION.axes
+        });
+    });
+
+    it('しきい値未満の揺れは変化とみなさないが、ニュートラルへの復帰は必ず変化とする', () => {
+        expect(hasStickMoved([0.5, 0, 0, 0], [0.52, 0, 0, 0], 0.05)).toBe(false);
+        expect(hasStickMoved([0.5, 0, 0, 0], [0.6, 0, 0, 0], 0.05)).toBe(true);
+        expect(hasStickMoved([0.03, 0, 0, 0], [0, 0, 0, 0], 0.05)).toBe(true);
+        expect(hasStickMoved([0, 0, 0, 0], [0, 0, 0, 0.01], 0.05)).toBe(true);
+        // 既定のしきい値ではドリフト程度の揺れを記録しない
+        expect(hasStickMoved([0.5, 0, 0, 0], [0.53, 0, 0, 0], DEFAULT_CALIBRATION.stickThreshold)).toBe(false);
+    });
+
+    it('測定結果から中心と可動範囲を求める', () => {
+        const center = measureCenter([[0.1, -0.05, 0, 0], [0.06, -0.03, 0, 0]]);
+        expect(center[0]).toBeCloseTo(0.08);
+        expect(center[1]).toBeCloseTo(-0.04);
+
+        let ranges = extendRange(null, [0.9, 0, 0, 0]);
+        ranges = extendRange(ranges, [-0.7, 0.95, 0.05, 0]);
+        const axes = buildAxisCalibration(center, ranges);
+        expect(axes[0]).toEqual({ center: center[0], min: -0.7, max: 0.9 });
+        // 十分に動かされなかった軸は既定の範囲
+        expect(axes[2]).toEqual({ center: 0, min: -1, max: 1 });
+    });
+});
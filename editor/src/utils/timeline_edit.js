@@ -0,0 +1,79 @@
+/**
+ * タイムラインの一括編集 (複数選択) 用の純粋関数群
+ * 目的: 選択したイベントの削除・時間シフト・コピー/貼り付けを、元の配列を変更せずに行う。
+ */
+
+export const DEFAULT_GAP = 500; // 末尾に追加する際の間隔 (ms)。「末尾に新規追加」と同じ
+
+/**
+ * 範囲選択: anchor から index までのインデックスを返す
+ */
+export const rangeIndices = (anchor, index) => {
+    const from = Math.min(anchor, index);
+    const to = Math.max(anchor, index);
+    return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+};
+
+/**
+ * 選択したイベントを削除する
+ */
+export const deleteEvents = (events, indices) => {
+    const removed = new Set(indices);
+    return events.filter((_, i) => !removed.has(i));
+};
+
+/**
+ * 選択範囲の先頭以降を deltaMs だけずらす (リップル編集)
+ * 直前のイベントより前には移動できないよう、負のシフト量は制限する。
+ * @returns {{events: object[], applied: number}} 実際に適用したシフト量も返す
+ */
+export const shiftEvents = (events, indices, deltaMs) => {
+    if (indices.length === 0 || deltaMs === 0) return { events, applied: 0 };
+    const first = Math.min(...indices);
+    const floor = first > 0 ? events[first - 1].t : 0;
+    const applied = Math.max(deltaMs, floor - events[first].t);
+    if (applied === 0) return { events, applied };
+
+    return {
+        events: events.map((ev, i) => (i >= first ? { ...ev, t: ev.t + applied } : ev)),
+        applied
+    };
+};
+
+/**
+ * 選択したイベントをクリップボード用のブロックに変換する
+ * 時刻はブロック先頭からの相対値にし、ブロックの長さ (次のイベントまでの時間) も保持する。
+ */
+export const copyEvents = (events, indices) => {
+    const sorted = [...indices].sort((a, b) => a - b);
+    if (sorted.length === 0) return null;
+    const first = events[sorted[0]];
+    const last = events[sorted[sorted.length - 1]];
+    const follower = events[sorted[sorted.length - 1] + 1];
+
+    return {
+        events: sorted.map(i => ({ ...events[i], t: events[i].t - first.t })),
+        length: follower ? follower.t - first.t : last.t - first.t + DEFAULT_GAP
+    };
+};
+
+/**
+ * クリップボードのブロックを afterIndex の直後に挿入する
+ * 挿入位置以降のイベントはブロックの長さだけ後ろにずらす (リップル編集)。
+ * @param {number} afterIndex 挿入位置 (-1 の場合は末尾)
+ * @returns {{events: object[], inserted: number[]}} 挿入したイベントのインデックスも返す
+ */
+export const pasteEvents = (events, afterIndex, clip) => {
+    const insertAt = afterIndex < 0 ? events.length : afterIndex + 1;
+    const base = insertAt < events.length
+        ? events[insertAt].t
+        : (events.length > 0 ? events[events.length - 1].t + DEFAULT_GAP : 0);
+
+    const pasted = clip.events.map(ev => ({ ...ev, t: ev.t + base }));
+    const after = events.slice(insertAt).map(ev => ({ ...ev, t: ev.t + clip.length }));
+
+    return {
+        events: [...events.slice(0, insertAt), ...pasted, ...after],
+        inserted: pasted.map((_, i) => insertAt + i)
+    };
+};
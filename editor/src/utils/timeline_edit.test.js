@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { rangeIndices, deleteEvents, shiftEvents, copyEvents, pasteEvents, DEFAULT_GAP } from './timeline_edit';
+
+const ev = (t, b = []) => ({ t, b, a: [0, 0, 0, 0] });
+const times = (events) => events.map(e => e.t);
+
+describe('timeline_edit', () => {
+    const events = [ev(0), ev(100, [2]), ev(200), ev(500, [0]), ev(600)];
+
+    it('範囲選択のインデックスを起点の前後どちらからでも作れる', () => {
+        expect(rangeIndices(1, 3)).toEqual([1, 2, 3]);
+        expect(rangeIndices(3, 1)).toEqual([1, 2, 3]);
+    });
+
+    it('選択したイベントをまとめて削除する', () => {
+        expect(times(deleteEvents(events, [1, 2]))).toEqual([0, 500, 600]);
+    });
+
+    it('選択範囲の先頭以降をリップルでシフトし、元の配列は変更しない', () => {
+        const { events: shifted, applied } = shiftEvents(events, [1, 2], 50);
+        expect(applied).toBe(50);
+        expect(times(shifted)).toEqual([0, 150, 250, 550, 650]);
+        expect(times(events)).toEqual([0, 100, 200, 500, 600]);
+    });
+
+    it('直前のイベントより前には移動しない', () => {
+        const { events: shifted, applied } = shiftEvents(events, [3], -1000);
+        expect(applied).toBe(-300);
+        expect(times(shifted)).toEqual([0, 100, 200, 200, 300]);
+    });
+
+    it('コピーしたブロックを貼り付け位置以降をずらして挿入する', () => {
+        const clip = copyEvents(events, [1, 2]);
+        expect(times(clip.events)).toEqual([0, 100]);
+        expect(clip.length).toBe(400); // 次のイベント (500ms) まで
+
+        const { events: pasted, inserted } = pasteEvents(events, 2, clip);
+        expect(inserted).toEqual([3, 4]);
+        expect(times(pasted)).toEqual([0, 100, 200, 500, 600, 900, 1000]);
+        expect(pasted[3].b).toEqual([2]);
+    });
+
+    it('末尾に貼り付ける場合は既定の間隔を空ける', () => {
+        const clip = copyEvents(events, [4]);
+        expect(clip.length).toBe(DEFAULT_GAP);
+        const { events: pasted } = pasteEvents(events, -1, clip);
+        expect(times(pasted)).toEqual([0, 100, 200, 500, 600, 600 + DEFAULT_GAP]);
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * ピアノロール表示用の純粋関数群
+ * 目的: macro.events (状態変化の列) から「ボタンを押している区間」を導出し、
+ *       区間の端をドラッグした結果を events に書き戻す。
+ */
+
+/**
+ * 時刻 t の時点で有効なイベントのインデックスを二分探索で求める
+ * @returns {number} t 以前で最後のイベントのインデックス (先頭より前なら -1)
+ */
+export const findEventIndexAt = (events, t) => {
+    let lo = 0;
+    let hi = events.length - 1;
+    let found = -1;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (events[mid].t <= t) {
+            found = mid;
+            lo = mid + 1;
+        } else {
+            hi = mid - 1;
+        }
+    }
+    return found;
+};
+
+/**
+ * ボタンごとの押下区間を導出する
+ * @returns {Map<number, {start: number, end: number|null, startIndex: number, endIndex: number|null}[]>}
+ *          end / endIndex が null の区間はマクロの最後まで押しっぱなし
+ */
+export const buildButtonSpans = (events, bits) => {
+    const spans = new Map(bits.map(bit => [bit, []]));
+    const open = new Map();
+
+    events.forEach((ev, index) => {
+        bits.forEach(bit => {
+            const pressed = ev.b.includes(bit);
+            const current = open.get(bit);
+            if (pressed && !current) {
+                const span = { start: ev.t, end: null, startIndex: index, endIndex: null };
+                open.set(bit, span);
+                spans.get(bit).push(span);
+            } else if (!pressed && current) {
+                current.end = ev.t;
+                current.endIndex = index;
+                open.delete(bit);
+            }
+        });
+    });
+    return spans;
+};
+
+/**
+ * 時刻 t 以降で最初に表示範囲にかかる区間のインデックス (表示範囲外の区間を読み飛ばす)
+ */
+export const firstVisibleSpan = (spans, t) => {
+    let lo = 0;
+    let hi = spans.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        const end = spans[mid].end === null ? Infinity : spans[mid].end;
+        if (end < t) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+};
+
+const sameState = (x, y) => x.b.length === y.b.length
+    && x.b.every(bit => y.b.includes(bit))
+    && x.a.every((v, i) => v === y.a[i]);
+
+/**
+ * 時刻 t にイベントが無ければ、その時点の状態を複製したイベントを挿入する
+ */
+const ensureBreakpoint = (events, t) => {
+    const index = findEventIndexAt(events, t);
+    if (index >= 0 && events[index].t === t) return events;
+    const base = index >= 0 ? events[index] : { b: [], a: [0, 0, 0, 0] };
+    const inserted = { t, b: [...base.b], a: [...base.a] };
+    return [...events.slice(0, index + 1), inserted, ...events.slice(index + 1)];
+};
+
+/**
+ * ボタンの押下区間を [newStart, newEnd) に変更する
+ * 必要に応じて区切りのイベントを挿入し、不要になった区切りのイベントは取り除く。
+ * @param {object} span buildButtonSpans で得た変更前の区間
+ * @param {number|null} newEnd null の場合は最後まで押しっぱなし
+ */
+export const setButtonSpan = (events, bit, span, newStart, newEnd) => {
+    const inOld = (t) => t >= span.start && (span.end === null || t < span.end);
+    const inNew = (t) => t >= newStart && (newEnd === null || t < newEnd);
+
+    let next = ensureBreakpoint(events, newStart);
+    if (newEnd !== null) next = ensureBreakpoint(next, newEnd);
+
+    next = next.map(ev => {
+        const had = ev.b.includes(bit);
+        const want = inOld(ev.t) ? inNew(ev.t) : (had || inNew(ev.t));
+        if (had === want) return ev;
+        return { ...ev, b: want ? [...ev.b, bit] : ev.b.filter(b => b !== bit) };
+    });
+
+    // 変更前の区切りが直前と同じ状態になった場合は削除する
+    const oldBreakpoints = [span.start, span.end].filter(t => t !== null && t !== newStart && t !== newEnd);
+    return next.filter((ev, i) => {
+        if (i === 0 || !oldBreakpoints.includes(ev.t)) return true;
+        return !sameState(ev, next[i - 1]);
+    });
+};
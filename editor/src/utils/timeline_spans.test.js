@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import sample from '../../../schema/sample_macro.json';
+import { findEventIndexAt, buildButtonSpans, firstVisibleSpan, setButtonSpan } from './timeline_spans';
+import { HID_BUTTONS } from './constants';
+
+const A = HID_BUTTONS.A;
+const Y = HID_BUTTONS.Y;
+const summary = (events) => events.map(e => `${e.t}:${[...e.b].sort((x, y) => x - y).join(',')}`);
+
+describe('timeline_spans', () => {
+    it('時刻から有効なイベントを二分探索で求める', () => {
+        expect(findEventIndexAt(sample.events, -1)).toBe(-1);
+        expect(findEventIndexAt(sample.events, 150)).toBe(1);
+        expect(findEventIndexAt(sample.events, 500)).toBe(3);
+        expect(findEventIndexAt(sample.events, 99999)).toBe(4);
+    });
+
+    it('ボタンごとの押下区間を導出する', () => {
+        const spans = buildButtonSpans(sample.events, [A, Y]);
+        expect(spans.get(A)).toEqual([{ start: 100, end: 200, startIndex: 1, endIndex: 2 }]);
+        expect(spans.get(Y)).toEqual([{ start: 500, end: 600, startIndex: 3, endIndex: 4 }]);
+    });
+
+    it('最後まで離されない区間は end が null になる', () => {
+        const events = [{ t: 0, b: [A], a: [0, 0, 0, 0] }, { t: 100, b: [A], a: [0.5, 0, 0, 0] }];
+        expect(buildButtonSpans(events, [A]).get(A)).toEqual([{ start: 0, end: null, startIndex: 0, endIndex: null }]);
+    });
+
+    it('表示範囲より前の区間を読み飛ばす', () => {
+        const spans = buildButtonSpans(sample.events, [A, Y]).get(Y);
+        expect(firstVisibleSpan(spans, 300)).toBe(0);
+        expect(firstVisibleSpan(spans, 700)).toBe(1);
+    });
+
+    it('離す時刻を後ろにずらすと区切りのイベントを挿入し、不要な区切りを取り除く', () => {
+        const [span] = buildButtonSpans(sample.events, [A]).get(A);
+        const edited = setButtonSpan(sample.events, A, span, 100, 300);
+        expect(summary(edited)).toEqual(['0:', '100:2', '300:', '500:0', '600:']);
+    });
+
+    it('押す時刻を前にずらすと、その時点の状態を複製してボタンを追加する', () => {
+        const [span] = buildButtonSpans(sample.events, [Y]).get(Y);
+        const edited = setButtonSpan(sample.events, Y, span, 400, 600);
+        expect(summary(edited)).toEqual(['0:', '100:2', '200:', '400:0', '600:']);
+    });
+
+    it('他のボタンの押下状態は変えない', () => {
+        const events = [
+            { t: 0, b: [A, Y], a: [0, 0, 0, 0] },
+            { t: 100, b: [Y], a: [0, 0, 0, 0] },
+            { t: 200, b: [], a: [0, 0, 0, 0] }
+        ];
+        const [span] = buildButtonSpans(events, [A]).get(A);
+        const edited = setButtonSpan(events, A, span, 0, 150);
+        expect(summary(edited)).toEqual(['0:0,2', '150:0', '200:']);
+    });
+});
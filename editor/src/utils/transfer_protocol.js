@@ -0,0 +1,353 @@
+/**
+ * マクロ転送プロトコル (v2) の共通定義
+ * 目的: ファームウェア側 (switch_macro_player.ino) とフレーム形式・応答形式を一致させる。
+ *
+ * ブラウザ -> ATOMS3 (RXキャラクタリスティック):
+ *   "INFO"                                                    対応プロトコル・形式の問い合わせ
+ *   "START:v2:<全体サイズ>:<CRC32(16進)>:<チャンクサイズ>:<形式>"  転送開始ヘッダー (形式: json / bin)
+ *   "START:v2:...:<形式>:<スロット>:<日時>:<名前>"            スロットを指定した転送 (機能 slots)
+ *   'D' + 連番(uint16 LE) + データ                            データチャンク (MTUを通知する場合は応答なしで書き込む)
+ *   "SYNC:<連番>"                                             ウィンドウ末尾の受信確認要求
+ *   "END"                                                     転送終了
+ *   "RESUME:<全体サイズ>:<CRC32(16進)>"                       切断で中断した転送の再開 (機能 resume)
+ *   "SLOTS"                                                   スロット表の問い合わせ
+ *   "SLOTDEL:<スロット>" / "SLOTSEL:<スロット>"               スロットの削除 / 再生対象の選択
+ *   "SLOTREN:<スロット>:<名前>"                               スロット名の変更
+ *   "READ:<スロット>:<チャンクサイズ>"                        保存済みマクロの読み出し開始 (スロット -1 は選択中, 機能 read)
+ *   "RDC:<開始連番>:<個数>"                                   読み出すチャンクの要求 (欠落分の再要求にも使う)
+ *   "PLAY" / "PLAY:<イベント番号>" / "PAUSE" / "STOP"         再生操作 (一時停止中の PLAY は再開, 機能 remote)
+ *   "STATUS"                                                  再生状態の通知要求
+ *   0x01 + 連番(uint16 LE) + フラグ + ボタン(uint32 LE) + LX,LY,RX,RY(int8)
+ *                                                             ライブ入力 (Live Bridge, 12バイト固定・応答なし, 機能 live2)
+ *                                                             フラグ bit0 は連番を送り返す要求 (往復遅延の測定用)
+ *   "L:<ボタン>:<LX>:<LY>:<RX>:<RY>"                          ライブ入力 (live2 に対応しないファームウェア用)
+ *
+ * ATOMS3 -> ブラウザ (TXキャラクタリスティックの Notify):
+ *   "INFO:<バージョン>:<形式>,<形式>[:<機能>,...[:<MTU>:<クレジット>]]"  対応プロトコル・形式・機能 (slots)・
+ *                              ネゴシエーション済みのMTU・応答なしで続けて送ってよいチャンク数
+ *   "RDY:<チャンク数>"         ヘッダー受理
+ *   "CR:<チャンク数>"           START・SYNC・RESUME 以降に処理したデータチャンクの数 (クレジットの補充)
+ *   "ACK:<連番>"               指定連番までのチャンクをすべて受信済み
+ *   "NACK:<連番>,<連番>,..."   欠落しているチャンクの連番 (選択的再送用)
+ *   "OK:<サイズ>"              CRC一致・マクロ解析成功
+ *   "ERR:<理由>[:<オフセット>]" CRC不一致 (CRC) / サイズ不一致 (LEN) / 解析失敗 (PARSE)
+ *   "SLOT:<スロット>:<サイズ>:<日時>:<形式>:<名前>"  使用中のスロット (1件ずつ通知)
+ *   "SLOTS:<件数>:<選択中のスロット>"  スロット表の終端 (スロット操作の成功時にも通知)
+ *   "RDH:<スロット>:<サイズ>:<CRC32(16進)>:<形式>:<チャンク数>"  読み出すマクロの情報
+ *   'D' + 連番(uint16 LE) + データ   読み出したチャンク (書き込みと同じ形式)
+ *   "RDW:<連番>"               要求されたチャンクの送信完了
+ *   "RSM:<連番>"               転送の再開を受理 (この連番のチャンクから送り直す)
+ *   0x01 + 連番(uint16 LE) + 取りこぼし数(uint16 LE)  ライブ入力のエコー (接続後に届かなかったライブ入力の数)
+ *
+ * ATOMS3 -> ブラウザ (STATUSキャラクタリスティックの Notify, 状態の変化時と再生中は一定間隔):
+ *   "S:<状態>:<イベント番号>:<イベント数>:<周回>:<残り周回>:<経過時間(ms)>"
+ *     状態: IDLE / CONNECTED / TRANSFERRING / READY / PLAYING / WAITING / PAUSED / ERROR
+ *     イベント番号は送信済みのイベント数、残り周回 -1 は無限、経過時間は周回 (待機中は待機) の経過時間
+ *
+ * 日時は UNIX 時刻 (秒)。ATOMS3 は時計を持たないため、転送時にブラウザの時刻を送る。
+ */
+
+import { encodeMacro, decodeMacro } from './macro_codec';
+
+export const PROTOCOL_VERSION = 2;
+export const DATA_FRAME_MARKER = 0x44; // 'D'
+export const DATA_FRAME_HEADER_SIZE = 3; // マーカー(1) + 連番(2)
+export const LIVE_FRAME_MARKER = 0x01;
+export const LIVE_FRAME_SIZE = 12; // マーカー(1) + 連番(2) + フラグ(1) + ボタン(4) + スティック(4)
+export const LIVE_ECHO_SIZE = 5; // マーカー(1) + 連番(2) + 取りこぼし数(2)
+export const LIVE_FLAG_ECHO = 0x01;
+export const MAX_SLOTS = 8; // ATOMS3に保存できるマクロの数 (MacroSlots.h と一致させる)
+export const SLOT_NAME_MAX_BYTES = 32; // スロット名の最大バイト数 (UTF-8)
+
+// CRC32 (IEEE 802.3 / zlib 互換) のテーブルを事前計算
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * バイト列のCRC32を計算する
+ * @param {Uint8Array} bytes
+ * @returns {number} 符号なし32bit整数
+ */
+export const crc32 = (bytes) => {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * スロット名を送信できる形に整える (改行などの制御文字を除き、UTF-8 で上限バイト数に収める)
+ */
+export const sanitizeSlotName = (name) => {
+    const cleaned = String(name ?? '').replace(/[\u0000-\u001f\u007f]/g, ' ').trim();
+    const encoder = new TextEncoder();
+    let result = '';
+    for (const char of cleaned) {
+        if (encoder.encode(result + char).length > SLOT_NAME_MAX_BYTES) break;
+        result += char;
+    }
+    return result;
+};
+
+/**
+ * 転送開始ヘッダーを生成する
+ * slot を指定すると、そのスロットに保存して再生対象に選択する (ATOMS3が機能 slots に対応している場合のみ)。
+ */
+export const buildHeader = ({ length, crc, chunkSize, format = 'json', slot, name = '', date = Date.now() }) => {
+    const header = `START:v${PROTOCOL_VERSION}:${length}:${crc.toString(16).padStart(8, '0')}:${chunkSize}:${format}`;
+    if (slot === undefined) return header;
+    return `${header}:${slot}:${Math.floor(date / 1000)}:${sanitizeSlotName(name)}`;
+};
+
+/**
+ * スロット操作コマンドを生成する
+ * @param {'list'|'delete'|'rename'|'select'} action
+ */
+export const buildSlotCommand = (action, slot, name) => {
+    switch (action) {
+        case 'list': return 'SLOTS';
+        case 'delete': return `SLOTDEL:${slot}`;
+        case 'rename': return `SLOTREN:${slot}:${sanitizeSlotName(name)}`;
+        case 'select': return `SLOTSEL:${slot}`;
+        default: throw new Error(`不明なスロット操作です: ${action}`);
+    }
+};
+
+/**
+ * 連番付きのデータチャンクを生成する
+ * @param {number} seq チャンクの連番 (0始まり)
+ * @param {Uint8Array} payload チャンク本体
+ */
+export const buildDataFrame = (seq, payload) => {
+    const frame = new Uint8Array(DATA_FRAME_HEADER_SIZE + payload.length);
+    frame[0] = DATA_FRAME_MARKER;
+    frame[1] = seq & 0xFF;
+    frame[2] = (seq >> 8) & 0xFF;
+    frame.set(payload, DATA_FRAME_HEADER_SIZE);
+    return frame;
+};
+
+/**
+ * 連番付きのデータチャンクを解釈する (読み出し時にATOMS3から届くもの)
+ * @param {Uint8Array} bytes
+ * @returns {{seq: number, payload: Uint8Array} | null} データチャンクでなければ null
+ */
+export const parseDataFrame = (bytes) => {
+    if (bytes.length < DATA_FRAME_HEADER_SIZE || bytes[0] !== DATA_FRAME_MARKER) return null;
+    return { seq: bytes[1] | (bytes[2] << 8), payload: bytes.slice(DATA_FRAME_HEADER_SIZE) };
+};
+
+/**
+ * 連番の一覧を連続した区間 [開始, 個数] にまとめる (RDC の要求回数を減らす)
+ */
+export const groupRanges = (seqs) => {
+    const ranges = [];
+    [...seqs].sort((x, y) => x - y).forEach(seq => {
+        const last = ranges[ranges.length - 1];
+        if (last && last[0] + last[1] === seq) last[1]++;
+        else ranges.push([seq, 1]);
+    });
+    return ranges;
+};
+
+/**
+ * 転送するマクロを指定した形式のバイト列にする
+ * @param {'json'|'bin'} format
+ */
+export const encodeTransferPayload = (macroJson, format) => {
+    return format === 'bin' ? encodeMacro(macroJson) : new TextEncoder().encode(JSON.stringify(macroJson));
+};
+
+/**
+ * ATOMS3から読み出したバイト列をマクロに戻す (バイナリ形式は meta を持たない)
+ */
+export const decodeTransferPayload = (bytes, format) => {
+    return format === 'bin' ? decodeMacro(bytes) : JSON.parse(new TextDecoder().decode(bytes));
+};
+
+/**
+ * 転送するマクロが、ATOMS3に保存されているもの (RDH のサイズ・CRC) と同じか
+ */
+export const matchesStoredMacro = (macroJson, stored) => {
+    const bytes = encodeTransferPayload(macroJson, stored.format);
+    return bytes.length === stored.length && crc32(bytes) === stored.crc;
+};
+
+/**
+ * 切断で中断した転送の再開コマンド "RESUME:<サイズ>:<CRC32>" を組み立てる
+ * ATOMS3は受信中の転送と一致すれば "RSM:<次の連番>" を返す。
+ */
+export const buildResumeCommand = (length, crc) => `RESUME:${length}:${(crc >>> 0).toString(16).padStart(8, '0')}`;
+
+/**
+ * 再生操作コマンドを生成する
+ * @param {'play'|'pause'|'stop'|'status'} action
+ * @param {number} [fromIndex] play で指定すると、そのイベント (展開後の番号) から再生する
+ */
+export const buildPlaybackCommand = (action, fromIndex) => {
+    switch (action) {
+        case 'play': return fromIndex > 0 ? `PLAY:${fromIndex}` : 'PLAY';
+        case 'pause': return 'PAUSE';
+        case 'stop': return 'STOP';
+        case 'status': return 'STATUS';
+        default: throw new Error(`不明な再生操作です: ${action}`);
+    }
+};
+
+/**
+ * STATUSキャラクタリスティックの通知 "S:..." を解釈する
+ * @returns {{state: string, eventIndex: number, eventCount: number, iteration: number, remainingLoops: number|null, elapsed: number} | null}
+ *   remainingLoops は無限ループなら null。形式が違えば null
+ */
+export const parseStatusMessage = (text) => {
+    const [type, state, ...rest] = text.trim().split(':');
+    if (type !== 'S' || !state) return null;
+    const [eventIndex, eventCount, iteration, remaining, elapsed] = rest.map(v => parseInt(v) || 0);
+    return {
+        state,
+        eventIndex,
+        eventCount,
+        iteration,
+        remainingLoops: remaining < 0 ? null : remaining,
+        elapsed
+    };
+};
+
+/**
+ * ライブ入力フレーム "L:..." を組み立てる
+ * ボタンは十字キー (bit16-19) を含むビットマスク、スティックは -127〜127 に変換する。
+ */
+export const buildLiveFrame = (b, a) => {
+    let mask = 0;
+    b.forEach(bit => {
+        if (bit < 20) mask |= (1 << bit);
+    });
+    const [lx, ly, rx, ry] = [0, 1, 2, 3].map(i => Math.round((a[i] || 0) * 127));
+    return `L:${mask}:${lx}:${ly}:${rx}:${ry}`;
+};
+
+export const NEUTRAL_LIVE_FRAME = buildLiveFrame([], [0, 0, 0, 0]);
+
+/**
+ * テキスト形式のライブ入力フレームから入力の状態を取り出す
+ * @param {string} frame buildLiveFrame で組み立てたもの
+ * @returns {{mask: number, axes: number[]}}
+ */
+export const parseLiveFrame = (frame) => {
+    const [mask, ...axes] = frame.slice(2).split(':').map(v => parseInt(v) || 0);
+    return { mask, axes };
+};
+
+/**
+ * バイナリのライブ入力フレームを組み立てる (機能 live2)
+ * @param {{seq: number, mask: number, axes: number[], echo?: boolean}} state
+ * @returns {Uint8Array}
+ */
+export const encodeLiveFrame = ({ seq, mask, axes, echo = false }) => {
+    const frame = new Uint8Array(LIVE_FRAME_SIZE);
+    const view = new DataView(frame.buffer);
+    frame[0] = LIVE_FRAME_MARKER;
+    view.setUint16(1, seq & 0xFFFF, true);
+    frame[3] = echo ? LIVE_FLAG_ECHO : 0;
+    view.setUint32(4, mask >>> 0, true);
+    axes.forEach((v, i) => view.setInt8(8 + i, Math.max(-127, Math.min(127, v))));
+    return frame;
+};
+
+/**
+ * ライブ入力のエコーを解釈する
+ * @param {Uint8Array} bytes
+ * @returns {{seq: number, dropped: number} | null} エコーでなければ null
+ */
+export const parseLiveEcho = (bytes) => {
+    if (bytes.length !== LIVE_ECHO_SIZE || bytes[0] !== LIVE_FRAME_MARKER) return null;
+    return { seq: bytes[1] | (bytes[2] << 8), dropped: bytes[3] | (bytes[4] << 8) };
+};
+
+/**
+ * ATOMS3から届いた通知文字列を解釈する
+ * @param {string} text 通知の内容
+ * @returns {{type: string, [key: string]: any}}
+ */
+export const parseDeviceMessage = (text) => {
+    const [type, ...rest] = text.trim().split(':');
+    switch (type) {
+        case 'INFO':
+            return {
+                type,
+                version: parseInt(rest[0]) || 0,
+                formats: (rest[1] || 'json').split(','),
+                features: (rest[2] || '').split(',').filter(s => s !== ''),
+                mtu: parseInt(rest[3]) || null,
+                credits: parseInt(rest[4]) || 0
+            };
+        case 'RDY':
+            return { type, totalChunks: parseInt(rest[0]) || 0 };
+        case 'ACK':
+            return { type, seq: parseInt(rest[0]) };
+        case 'NACK':
+            return { type, missing: (rest[0] || '').split(',').filter(s => s !== '').map(s => parseInt(s)) };
+        case 'OK':
+            return { type, length: parseInt(rest[0]) || 0 };
+        case 'ERR':
+            return { type, reason: rest[0] || 'UNKNOWN', offset: rest[1] !== undefined ? parseInt(rest[1]) : null };
+        case 'SLOT':
+            // 名前は ':' を含みうるため残りすべてを名前とする
+            return {
+                type,
+                slot: parseInt(rest[0]),
+                size: parseInt(rest[1]) || 0,
+                date: (parseInt(rest[2]) || 0) * 1000,
+                format: rest[3] || 'json',
+                name: rest.slice(4).join(':')
+            };
+        case 'RDH':
+            return {
+                type,
+                slot: parseInt(rest[0]),
+                length: parseInt(rest[1]) || 0,
+                crc: parseInt(rest[2], 16) >>> 0,
+                format: rest[3] || 'json',
+                totalChunks: parseInt(rest[4]) || 0
+            };
+        case 'RDW':
+            return { type, seq: parseInt(rest[0]) };
+        case 'RSM':
+            return { type, seq: parseInt(rest[0]) || 0 };
+        case 'CR':
+            return { type, count: parseInt(rest[0]) || 0 };
+        case 'SLOTS':
+            return { type, count: parseInt(rest[0]) || 0, active: rest[1] !== undefined ? parseInt(rest[1]) : -1 };
+        default:
+            return { type: 'UNKNOWN', raw: text };
+    }
+};
+
+/**
+ * 転送結果のエラーを利用者向けの文言に変換する
+ */
+export const describeDeviceError = (message) => {
+    switch (message.reason) {
+        case 'CRC': return "データが破損しています (CRC不一致)";
+        case 'LEN': return "受信サイズが一致しません";
+        case 'MISSING': return "未受信のチャンクがあります";
+        case 'PARSE': return `マクロの解析に失敗しました (オフセット ${message.offset})`;
+        case 'MEM': return "ATOMS3のメモリが不足しています";
+        case 'FS': return "ATOMS3のストレージに書き込めません";
+        case 'FORMAT': return "ATOMS3が対応していない形式です";
+        case 'SLOT': return "指定したスロットがありません";
+        case 'HEADER': return "ATOMS3がコマンドを解釈できません (ヘッダー不正)";
+        case 'RESUME': return "ATOMS3に再開できる転送がありません (最初から転送し直してください)";
+        default: return `ATOMS3でエラーが発生しました (${message.reason})`;
+    }
+};
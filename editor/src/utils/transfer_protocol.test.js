@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import sample from '../../../schema/sample_macro.json';
+import {
+    buildDataFrame, buildHeader, buildLiveFrame, buildPlaybackCommand, buildResumeCommand, buildSlotCommand, crc32, decodeTransferPayload, encodeLiveFrame,
+    encodeTransferPayload, groupRanges, LIVE_FRAME_SIZE, matchesStoredMacro, parseDataFrame, parseDeviceMessage, parseLiveEcho, parseLiveFrame,
+    parseStatusMessage, sanitizeSlotName, SLOT_NAME_MAX_BYTES
+} from './transfer_protocol';
+
+describe('transfer_protocol', () => {
+    it('ACK / NACK / 転送結果の通知を解釈する', () => {
+        expect(parseDeviceMessage('ACK:7')).toEqual({ type: 'ACK', seq: 7 });
+        expect(parseDeviceMessage('NACK:1,3,4')).toEqual({ type: 'NACK', missing: [1, 3, 4] });
+        expect(parseDeviceMessage('OK:300')).toEqual({ type: 'OK', length: 300 });
+        expect(parseDeviceMessage('ERR:PARSE:42')).toEqual({ type: 'ERR', reason: 'PARSE', offset: 42 });
+        expect(parseDeviceMessage('ERR:CRC')).toEqual({ type: 'ERR', reason: 'CRC', offset: null });
+    });
+
+    it('スロットを指定しない場合は従来どおりのヘッダーを生成する', () => {
+        const bytes = new TextEncoder().encode('123456789');
+        expect(crc32(bytes)).toBe(0xCBF43926);
+        expect(buildHeader({ length: 9, crc: crc32(bytes), chunkSize: 128, format: 'bin' })).toBe('START:v2:9:cbf43926:128:bin');
+    });
+
+    it('スロット・日時 (秒)・名前をヘッダーの末尾に付ける', () => {
+        const header = buildHeader({ length: 10, crc: 1, chunkSize: 128, format: 'json', slot: 3, name: '孵化: 5番道路', date: 1700000000123 });
+        expect(header).toBe('START:v2:10:00000001:128:json:3:1700000000:孵化: 5番道路');
+    });
+
+    it('スロット名から制御文字を除き、UTF-8 の上限バイト数に文字単位で収める', () => {
+        expect(sanitizeSlotName('  a\nb\tc ')).toBe('a b c');
+        const name = sanitizeSlotName('あ'.repeat(20));
+        expect(name).toBe('あ'.repeat(10));
+        expect(new TextEncoder().encode(name).length).toBeLessThanOrEqual(SLOT_NAME_MAX_BYTES);
+        expect(buildSlotCommand('rename', 2, 'x\ny')).toBe('SLOTREN:2:x y');
+        expect(() => buildSlotCommand('copy', 0)).toThrow();
+    });
+
+    it('スロット表の通知を解釈する (名前に含まれる区切り文字はそのまま残す)', () => {
+        expect(parseDeviceMessage('SLOT:1:2048:1700000000:bin:周回: A→B')).toEqual({
+            type: 'SLOT', slot: 1, size: 2048, date: 1700000000000, format: 'bin', name: '周回: A→B'
+        });
+        expect(parseDeviceMessage('SLOTS:2:-1')).toEqual({ type: 'SLOTS', count: 2, active: -1 });
+    });
+
+    it('INFO の機能一覧を解釈する (旧ファームウェアは機能なし)', () => {
+        expect(parseDeviceMessage('INFO:2:json,bin:slots').features).toEqual(['slots']);
+        expect(parseDeviceMessage('INFO:2:json,bin').features).toEqual([]);
+    });
+
+    it('INFO のMTU・クレジットとクレジットの補充を解釈する (MTUを通知しないファームウェアは null)', () => {
+        expect(parseDeviceMessage('INFO:2:json,bin:slots,resume:247:8')).toMatchObject({ features: ['slots', 'resume'], mtu: 247, credits: 8 });
+        expect(parseDeviceMessage('INFO:2:json,bin:slots')).toMatchObject({ mtu: null, credits: 0 });
+        expect(parseDeviceMessage('CR:12')).toEqual({ type: 'CR', count: 12 });
+    });
+
+    it('読み出したデータチャンクを解釈し、欠落した連番を連続した区間にまとめる', () => {
+        const frame = parseDataFrame(buildDataFrame(258, new Uint8Array([7, 8])));
+        expect(frame.seq).toBe(258);
+        expect([...frame.payload]).toEqual([7, 8]);
+        expect(parseDataFrame(new TextEncoder().encode('OK'))).toBeNull();
+        expect(groupRanges([9, 3, 4, 5, 7])).toEqual([[3, 3], [7, 1], [9, 1]]);
+        expect(parseDeviceMessage('RDH:2:300:cbf43926:bin:3')).toEqual({
+            type: 'RDH', slot: 2, length: 300, crc: 0xCBF43926, format: 'bin', totalChunks: 3
+        });
+    });
+
+    it('読み出したマクロは保存されているものと一致すると判定される', () => {
+        ['json', 'bin'].forEach(format => {
+            const bytes = encodeTransferPayload(sample, format);
+            const stored = { length: bytes.length, crc: crc32(bytes), format };
+            const restored = decodeTransferPayload(bytes, format);
+            expect(matchesStoredMacro(restored, stored)).toBe(true);
+            expect(matchesStoredMacro({ ...restored, events: restored.events.slice(1) }, stored)).toBe(false);
+        });
+    });
+
+    it('転送の再開コマンドを生成し、再開位置の応答を解釈する', () => {
+        expect(buildResumeCommand(300, 0xCBF43926)).toBe('RESUME:300:cbf43926');
+        expect(buildResumeCommand(9, 1)).toBe('RESUME:9:00000001');
+        expect(parseDeviceMessage('RSM:12')).toEqual({ type: 'RSM', seq: 12 });
+        expect(parseDeviceMessage('ERR:RESUME').reason).toBe('RESUME');
+    });
+
+    it('ライブ入力を固定長のバイナリ形式にし、エコーを解釈する', () => {
+        const state = parseLiveFrame(buildLiveFrame([0, 19], [1, -1, 0.5, 0]));
+        expect(state).toEqual({ mask: 0x80001, axes: [127, -127, 64, 0] });
+        const frame = encodeLiveFrame({ seq: 0x10203, ...state, echo: true });
+        expect(frame).toHaveLength(LIVE_FRAME_SIZE);
+        expect([...frame]).toEqual([0x01, 0x03, 0x02, 0x01, 0x01, 0x00, 0x08, 0x00, 127, 0x81, 64, 0]);
+        expect(encodeLiveFrame({ seq: 1, ...state })[3]).toBe(0);
+        expect(parseLiveEcho(new Uint8Array([0x01, 0x03, 0x02, 5, 1]))).toEqual({ seq: 0x203, dropped: 261 });
+        expect(parseLiveEcho(new TextEncoder().encode('OK:12'))).toBeNull();
+    });
+
+    it('再生操作のコマンドを生成し、再生状態の通知を解釈する', () => {
+        expect(buildPlaybackCommand('play')).toBe('PLAY');
+        expect(buildPlaybackCommand('play', 0)).toBe('PLAY');
+        expect(buildPlaybackCommand('play', 12)).toBe('PLAY:12');
+        expect(buildPlaybackCommand('pause')).toBe('PAUSE');
+        expect(parseStatusMessage('S:PLAYING:12:240:2:3:5230')).toEqual({
+            state: 'PLAYING', eventIndex: 12, eventCount: 240, iteration: 2, remainingLoops: 3, elapsed: 5230
+        });
+        expect(parseStatusMessage('S:WAITING:240:240:1:-1:800').remainingLoops).toBeNull();
+        expect(parseStatusMessage('OK:12')).toBeNull();
+    });
+});
@@ -0,0 +1,227 @@
+/**
+ * キーボード・マウスで操作する仮想ゲームパッド
+ * 目的: 物理的なコントローラが無いPCでも、記録とライブ操作 (Live Bridge) ができるようにする。
+ *       Gamepad API の Standard Mapping と同じ形の入力を返すため、実機のコントローラと同じ経路 (readGamepad → processRecording) で扱える。
+ *
+ * 割り当て (localStorage に保存):
+ *   buttons: { <HIDビット>: <KeyboardEvent.code> }  ORDERED_BUTTONS のすべてのボタン
+ *   sticks: [左, 右] それぞれ { up, down, left, right: <code> }  斜めは円の内側に収める
+ *   mouseStick: マウスで操作するスティック (0=左, 1=右, null=使わない)。ポインタをロックしている間だけ有効
+ *   mouseRange: スティックを端まで倒すマウスの移動量 (px)
+ * 入力欄での入力と、Ctrl / Alt / ⌘ との組み合わせは無視する (ショートカットを妨げないように)。押していたキーを離す操作だけは常に受け付ける。
+ */
+
+import { HID_BUTTONS, STANDARD_PROFILE } from './constants';
+
+export const VIRTUAL_GAMEPAD_INDEX = 100; // 入力デバイスの選択肢での番号 (Gamepad API の番号と重ならない値)
+export const VIRTUAL_GAMEPAD_ID = 'キーボード・マウス (仮想ゲームパッド)';
+const STORAGE_KEY = 'switchMacro.keyBindings';
+
+export const STICK_DIRECTIONS = ['up', 'down', 'left', 'right'];
+
+export const DEFAULT_KEY_BINDINGS = {
+    buttons: {
+        [HID_BUTTONS.Y]: 'KeyJ',
+        [HID_BUTTONS.B]: 'KeyK',
+        [HID_BUTTONS.A]: 'KeyL',
+        [HID_BUTTONS.X]: 'KeyI',
+        [HID_BUTTONS.L]: 'KeyQ',
+        [HID_BUTTONS.R]: 'KeyU',
+        [HID_BUTTONS.ZL]: 'KeyE',
+        [HID_BUTTONS.ZR]: 'KeyO',
+        [HID_BUTTONS.MINUS]: 'Minus',
+        [HID_BUTTONS.PLUS]: 'Equal',
+        [HID_BUTTONS.LS]: 'KeyF',
+        [HID_BUTTONS.RS]: 'KeyH',
+        [HID_BUTTONS.HOME]: 'Home',
+        [HID_BUTTONS.CAPTURE]: 'End',
+        [HID_BUTTONS.UP]: 'ArrowUp',
+        [HID_BUTTONS.DOWN]: 'ArrowDown',
+        [HID_BUTTONS.LEFT]: 'ArrowLeft',
+        [HID_BUTTONS.RIGHT]: 'ArrowRight'
+    },
+    sticks: [
+        { up: 'KeyW', down: 'KeyS', left: 'KeyA', right: 'KeyD' },
+        { up: 'Numpad8', down: 'Numpad5', left: 'Numpad4', right: 'Numpad6' }
+    ],
+    mouseStick: 1,
+    mouseRange: 200
+};
+
+/**
+ * 保存されていた割り当てを既定値で補う
+ */
+export const normalizeKeyBindings = (stored) => ({
+    ...DEFAULT_KEY_BINDINGS,
+    ...stored,
+    buttons: { ...DEFAULT_KEY_BINDINGS.buttons, ...stored?.buttons },
+    sticks: DEFAULT_KEY_BINDINGS.sticks.map((keys, i) => ({ ...keys, ...stored?.sticks?.[i] }))
+});
+
+export const getKeyBindings = (storage = globalThis.localStorage) => {
+    try {
+        const stored = JSON.parse(storage?.getItem(STORAGE_KEY));
+        return stored ? normalizeKeyBindings(stored) : DEFAULT_KEY_BINDINGS;
+    } catch {
+        return DEFAULT_KEY_BINDINGS;
+    }
+};
+
+/**
+ * 割り当てを保存する (null なら削除して既定に戻す)
+ */
+export const saveKeyBindings = (bindings, storage = globalThis.localStorage) => {
+    if (bindings) storage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+    else storage.removeItem(STORAGE_KEY);
+};
+
+/**
+ * キーを割り当てる (同じキーが他に割り当てられていれば外す)
+ * @param {object} target { kind: 'button', bit } または { kind: 'stick', stick, direction }
+ */
+export const assignKey = (bindings, target, code) => {
+    const unbind = (value) => (value === code ? null : value);
+    const buttons = Object.fromEntries(Object.entries(bindings.buttons).map(([bit, value]) => [bit, unbind(value)]));
+    const sticks = bindings.sticks.map(keys => Object.fromEntries(STICK_DIRECTIONS.map(dir => [dir, unbind(keys[dir])])));
+    if (target.kind === 'button') buttons[target.bit] = code;
+    else sticks[target.stick] = { ...sticks[target.stick], [target.direction]: code };
+    return { ...bindings, buttons, sticks };
+};
+
+const isTextInput = (el) => ['INPUT', 'TEXTAREA', 'SELECT'].includes(el?.tagName) || !!el?.isContentEditable;
+
+// 斜めに倒しても円の外に出ないよう、長さ1に収める
+const clampToCircle = (x, y) => {
+    const length = Math.hypot(x, y);
+    return length > 1 ? [x / length, y / length] : [x, y];
+};
+
+export class VirtualGamepad {
+    /**
+     * @param {object} options target: キー・マウスのイベントを受け取る要素, bindings: 割り当て,
+     *                         now: 現在時刻 (ms), isPointerLocked: ポインタをロック中か (テスト用の差し替え)
+     */
+    constructor({
+        target = globalThis.window,
+        bindings = DEFAULT_KEY_BINDINGS,
+        now = () => performance.now(),
+        isPointerLocked = () => !!globalThis.document?.pointerLockElement
+    } = {}) {
+        Object.assign(this, { target, bindings, now, isPointerLocked });
+        this.pressed = new Set();
+        this.mouse = [0, 0]; // マウスの移動量の累計 (px、mouseRange で頭打ち)
+        this.timestamp = 0;  // 最後に入力が変わった時刻
+        this.suspended = false;
+        this.attached = false;
+        this.onKeyDown = (e) => this.handleKey(e, true);
+        this.onKeyUp = (e) => this.handleKey(e, false);
+        this.onMouseMove = (e) => this.handleMouseMove(e);
+        this.onRelease = () => this.release();
+    }
+
+    /**
+     * キー・マウスの監視を始める (キーは他のショートカットより先に受け取る)
+     */
+    attach() {
+        if (this.attached) return;
+        this.attached = true;
+        this.target.addEventListener('keydown', this.onKeyDown, true);
+        this.target.addEventListener('keyup', this.onKeyUp, true);
+        this.target.addEventListener('mousemove', this.onMouseMove);
+        this.target.addEventListener('blur', this.onRelease);
+        globalThis.document?.addEventListener('pointerlockchange', this.onRelease);
+    }
+
+    detach() {
+        if (!this.attached) return;
+        this.attached = false;
+        this.target.removeEventListener('keydown', this.onKeyDown, true);
+        this.target.removeEventListener('keyup', this.onKeyUp, true);
+        this.target.removeEventListener('mousemove', this.onMouseMove);
+        this.target.removeEventListener('blur', this.onRelease);
+        globalThis.document?.removeEventListener('pointerlockchange', this.onRelease);
+        this.release();
+    }
+
+    setBindings(bindings) {
+        this.bindings = bindings;
+        this.release();
+    }
+
+    /**
+     * 一時的に入力を受け付けない (キーの割り当て中など)
+     */
+    suspend(suspended) {
+        this.suspended = suspended;
+        if (suspended) this.release();
+    }
+
+    /**
+     * すべてのキーを離し、マウスのスティックを中心に戻す (フォーカスを失った・ポインタのロックが変わった場合)
+     */
+    release() {
+        if (this.pressed.size === 0 && this.mouse[0] === 0 && this.mouse[1] === 0) return;
+        this.pressed.clear();
+        this.mouse = [0, 0];
+        this.timestamp = this.now();
+    }
+
+    isBound(code) {
+        const { buttons, sticks } = this.bindings;
+        return Object.values(buttons).includes(code) || sticks.some(keys => Object.values(keys).includes(code));
+    }
+
+    handleKey(e, down) {
+        // 押していたキーは、修飾キーを押した後や入力欄にフォーカスが移った後に離しても離す (押したままにならないように)
+        if (!down && this.pressed.delete(e.code)) {
+            this.timestamp = e.timeStamp > 0 ? e.timeStamp : this.now();
+            return;
+        }
+        if (this.suspended || isTextInput(e.target) || e.ctrlKey || e.altKey || e.metaKey || !this.isBound(e.code)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        if (!down || e.repeat || this.pressed.has(e.code)) return;
+        this.pressed.add(e.code);
+        this.timestamp = e.timeStamp > 0 ? e.timeStamp : this.now();
+    }
+
+    handleMouseMove(e) {
+        if (this.suspended || this.bindings.mouseStick === null || !this.isPointerLocked()) return;
+        const range = this.bindings.mouseRange;
+        const [x, y] = clampToCircle((this.mouse[0] + e.movementX) / range, (this.mouse[1] + e.movementY) / range);
+        this.mouse = [x * range, y * range];
+        this.timestamp = e.timeStamp > 0 ? e.timeStamp : this.now();
+    }
+
+    /**
+     * スティックの傾き (キーが押されていればキー、無ければマウス)
+     */
+    stickAxes(stick) {
+        const keys = this.bindings.sticks[stick];
+        const on = (dir) => (keys[dir] && this.pressed.has(keys[dir]) ? 1 : 0);
+        const x = on('right') - on('left');
+        const y = on('down') - on('up');
+        if (x !== 0 || y !== 0) return clampToCircle(x, y);
+        if (this.bindings.mouseStick === stick) return this.mouse.map(v => v / this.bindings.mouseRange);
+        return [0, 0];
+    }
+
+    /**
+     * 現在の入力を Gamepad API (Standard Mapping) と同じ形で返す
+     */
+    snapshot() {
+        const buttons = Array.from({ length: 18 }, () => ({ pressed: false, value: 0 }));
+        Object.entries(this.bindings.buttons).forEach(([bit, code]) => {
+            if (code && this.pressed.has(code)) buttons[STANDARD_PROFILE.buttons[bit].index] = { pressed: true, value: 1 };
+        });
+        return {
+            id: VIRTUAL_GAMEPAD_ID,
+            index: VIRTUAL_GAMEPAD_INDEX,
+            connected: true,
+            mapping: 'standard',
+            timestamp: this.timestamp,
+            buttons,
+            axes: [...this.stickAxes(0), ...this.stickAxes(1)]
+        };
+    }
+}
@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import { HID_BUTTONS, ORDERED_BUTTONS } from './constants';
+import { readGamepad } from './controller_profiles';
+import {
+    VirtualGamepad, DEFAULT_KEY_BINDINGS, assignKey, getKeyBindings, saveKeyBindings
+} from './virtual_gamepad';
+
+/**
+ * イベントを手動で送る仮想ゲームパッド
+ */
+const createPad = ({ locked = false } = {}) => {
+    const listeners = {};
+    const target = {
+        addEventListener: (type, cb) => { listeners[type] = cb; },
+        removeEventListener: (type) => { delete listeners[type]; }
+    };
+    const env = { locked, time: 0 };
+    const pad = new VirtualGamepad({ target, now: () => env.time, isPointerLocked: () => env.locked });
+    pad.attach();
+    const send = (type, props = {}) => {
+        const event = { target: {}, timeStamp: 0, prevented: false, preventDefault() { this.prevented = true; }, stopPropagation() {}, ...props };
+        listeners[type]?.(event);
+        return event;
+    };
+    const key = (type, code, props) => send(type, { code, ...props });
+    return { pad, env, listeners, send, key };
+};
+
+const memoryStorage = () => {
+    const data = {};
+    return {
+        getItem: (key) => data[key] ?? null,
+        setItem: (key, value) => { data[key] = value; },
+        removeItem: (key) => { delete data[key]; }
+    };
+};
+
+describe('VirtualGamepad', () => {
+    it('すべてのボタンを既定のプロファイルで読み取れる Standard Mapping の入力にする', () => {
+        const { pad, key } = createPad();
+        ORDERED_BUTTONS.forEach(({ bit }) => key('keydown', DEFAULT_KEY_BINDINGS.buttons[bit]));
+        expect(readGamepad(pad.snapshot()).b).toEqual(ORDERED_BUTTONS.map(({ bit }) => bit));
+
+        key('keyup', DEFAULT_KEY_BINDINGS.buttons[HID_BUTTONS.A]);
+        expect(readGamepad(pad.snapshot()).b).not.toContain(HID_BUTTONS.A);
+    });
+
+    it('キーが変化した時刻を timestamp にし、キーリピートや割り当ての無いキーは無視する', () => {
+        const { pad, key } = createPad();
+        const pressed = key('keydown', 'KeyL', { timeStamp: 12.5 });
+        expect(pressed.prevented).toBe(true);
+        expect(pad.snapshot().timestamp).toBe(12.5);
+
+        key('keydown', 'KeyL', { timeStamp: 40, repeat: true });
+        expect(pad.snapshot().timestamp).toBe(12.5);
+
+        expect(key('keydown', 'KeyZ', { timeStamp: 50 }).prevented).toBe(false);
+        expect(key('keydown', 'KeyK', { timeStamp: 60, ctrlKey: true }).prevented).toBe(false);
+        expect(key('keydown', 'KeyK', { timeStamp: 70, target: { tagName: 'INPUT' } }).prevented).toBe(false);
+        expect(pad.snapshot().timestamp).toBe(12.5);
+    });
+
+    it('キーのスティックは斜めでも円の内側に収め、マウスより優先する', () => {
+        const { pad, env, key, send } = createPad();
+        key('keydown', 'KeyW');
+        key('keydown', 'KeyD');
+        const [lx, ly] = pad.snapshot().axes;
+        expect(lx).toBeCloseTo(Math.SQRT1_2);
+        expect(ly).toBeCloseTo(-Math.SQRT1_2);
+
+        send('mousemove', { movementX: 100, movementY: 0 }); // ポインタをロックしていなければ無視
+        expect(pad.snapshot().axes.slice(2)).toEqual([0, 0]);
+
+        env.locked = true;
+        send('mousemove', { movementX: 100, movementY: 0 });
+        send('mousemove', { movementX: 500, movementY: 0 }); // mouseRange で頭打ち
+        expect(pad.snapshot().axes.slice(2)).toEqual([1, 0]);
+        key('keydown', 'Numpad4');
+        expect(pad.snapshot().axes.slice(2)).toEqual([-1, 0]);
+    });
+
+    it('フォーカスを失う・監視をやめると入力を離す', () => {
+        const { pad, env, listeners, key } = createPad();
+        key('keydown', 'KeyL');
+        env.time = 30;
+        listeners.blur();
+        expect(readGamepad(pad.snapshot()).b).toEqual([]);
+        expect(pad.snapshot().timestamp).toBe(30);
+
+        key('keydown', 'KeyL');
+        pad.detach();
+        expect(pad.pressed.size).toBe(0);
+        expect(listeners.keydown).toBeUndefined();
+    });
+
+    it('修飾キーを押した後や入力欄にフォーカスが移った後でも、押していたキーは離す', () => {
+        const { pad, key } = createPad();
+        key('keydown', 'KeyW');
+        key('keydown', 'KeyL');
+        key('keyup', 'KeyW', { timeStamp: 20, ctrlKey: true });
+        expect(pad.snapshot().axes.slice(0, 2)).toEqual([0, 0]);
+        expect(pad.snapshot().timestamp).toBe(20);
+
+        key('keyup', 'KeyL', { timeStamp: 30, target: { tagName: 'INPUT' } });
+        expect(readGamepad(pad.snapshot()).b).toEqual([]);
+        expect(pad.pressed.size).toBe(0);
+    });
+
+    it('割り当て中は入力を受け付けない', () => {
+        const { pad, key } = createPad();
+        pad.suspend(true);
+        expect(key('keydown', 'KeyL').prevented).toBe(false);
+        pad.suspend(false);
+        key('keydown', 'KeyL');
+        expect(readGamepad(pad.snapshot()).b).toEqual([HID_BUTTONS.A]);
+    });
+});
+
+describe('キーの割り当て', () => {
+    it('同じキーが他に割り当てられていれば外す', () => {
+        const bindings = assignKey(DEFAULT_KEY_BINDINGS, { kind: 'stick', stick: 0, direction: 'up' }, 'KeyL');
+        expect(bindings.sticks[0].up).toBe('KeyL');
+        expect(bindings.buttons[HID_BUTTONS.A]).toBeNull();
+
+        const swapped = assignKey(bindings, { kind: 'button', bit: HID_BUTTONS.A }, 'KeyW');
+        expect(swapped.buttons[HID_BUTTONS.A]).toBe('KeyW');
+        expect(swapped.sticks[0].up).toBe('KeyL');
+    });
+
+    it('保存した割り当てを読み込み、足りない項目は既定値で補う', () => {
+        const storage = memoryStorage();
+        expect(getKeyBindings(storage)).toEqual(DEFAULT_KEY_BINDINGS);
+
+        saveKeyBindings({ buttons: { [HID_BUTTONS.A]: 'Space' }, mouseStick: null }, storage);
+        const bindings = getKeyBindings(storage);
+        expect(bindings.buttons[HID_BUTTONS.A]).toBe('Space');
+        expect(bindings.buttons[HID_BUTTONS.B]).toBe(DEFAULT_KEY_BINDINGS.buttons[HID_BUTTONS.B]);
+        expect(bindings.sticks).toEqual(DEFAULT_KEY_BINDINGS.sticks);
+        expect(bindings.mouseStick).toBeNull();
+
+        saveKeyBindings(null, storage);
+        expect(getKeyBindings(storage)).toEqual(DEFAULT_KEY_BINDINGS);
+    });
+});
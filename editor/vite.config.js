@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vitejs.dev/config/
 export default defineConfig({
     plugins: [react()],
+    server: {
+        fs: {
+            // 読み込み時の検証でリポジトリ直下の schema/macro.schema.json を参照するため
+            allow: ['..'],
+        },
+    },
 })
@@ -0,0 +1,151 @@
+#include "MacroSlots.h"
+
+// 旧バージョン (スロット導入前) のマクロ保存先
+static const char *LEGACY_JSON_FILE = "/macro.json";
+static const char *LEGACY_BIN_FILE = "/macro.bin";
+
+void MacroSlots::begin() {
+  if (!LittleFS.exists(SLOT_DIR))
+    LittleFS.mkdir(SLOT_DIR);
+
+  File file = LittleFS.open(SLOT_INDEX_FILE, FILE_READ);
+  if (!file) {
+    migrateLegacy();
+    return;
+  }
+
+  StaticJsonDocument<2048> doc;
+  DeserializationError err = deserializeJson(doc, file);
+  file.close();
+  if (err)
+    return; // 壊れたスロット表は空として扱う (マクロファイルは残る)
+
+  for (JsonObject entry : doc["slots"].as<JsonArray>()) {
+    int id = entry["id"] | -1;
+    if (!isValid(id))
+      continue;
+    slots[id].used = true;
+    setName(id, entry["name"] | "");
+    slots[id].size = entry["size"] | 0;
+    slots[id].date = entry["date"] | 0;
+    slots[id].binary = strcmp(entry["format"] | "json", "bin") == 0;
+    // スロット表だけが残ってファイルが消えている場合は未使用に戻す
+    if (!LittleFS.exists(path(id)))
+      slots[id] = SlotInfo();
+  }
+  int selected = doc["active"] | -1;
+  active = isUsed(selected) ? selected : -1;
+}
+
+int MacroSlots::count() const {
+  int n = 0;
+  for (int i = 0; i < MAX_SLOTS; i++)
+    if (slots[i].used)
+      n++;
+  return n;
+}
+
+String MacroSlots::path(int id) const {
+  return String(SLOT_DIR) + "/" + String(id) +
+         (slots[id].binary ? ".bin" : ".json");
+}
+
+bool MacroSlots::install(int id, const char *tmpPath, bool binary,
+                         uint32_t date, const char *name) {
+  if (!isValid(id))
+    return false;
+  if (slots[id].used)
+    LittleFS.remove(path(id));
+
+  slots[id].binary = binary;
+  if (!LittleFS.rename(tmpPath, path(id))) {
+    slots[id] = SlotInfo();
+    save();
+    return false;
+  }
+
+  File file = LittleFS.open(path(id), FILE_READ);
+  slots[id].size = file ? file.size() : 0;
+  if (file)
+    file.close();
+  slots[id].used = true;
+  slots[id].date = date;
+  if (name && name[0] != '\0')
+    setName(id, name);
+  active = id;
+  return save();
+}
+
+bool MacroSlots::remove(int id) {
+  if (!isUsed(id))
+    return false;
+  LittleFS.remove(path(id));
+  slots[id] = SlotInfo();
+  if (active == id)
+    active = -1;
+  return save();
+}
+
+bool MacroSlots::rename(int id, const char *name) {
+  if (!isUsed(id))
+    return false;
+  setName(id, name);
+  return save();
+}
+
+bool MacroSlots::select(int id) {
+  if (!isUsed(id))
+    return false;
+  active = id;
+  return save();
+}
+
+bool MacroSlots::save() {
+  StaticJsonDocument<2048> doc;
+  doc["active"] = active;
+  JsonArray list = doc.createNestedArray("slots");
+  for (int i = 0; i < MAX_SLOTS; i++) {
+    if (!slots[i].used)
+      continue;
+    JsonObject entry = list.createNestedObject();
+    entry["id"] = i;
+    entry["name"] = (const char *)slots[i].name;
+    entry["size"] = slots[i].size;
+    entry["date"] = slots[i].date;
+    entry["format"] = slots[i].binary ? "bin" : "json";
+  }
+
+  File file = LittleFS.open(SLOT_INDEX_FILE, FILE_WRITE);
+  if (!file)
+    return false;
+  bool ok = serializeJson(doc, file) > 0;
+  file.close();
+  return ok;
+}
+
+/**
+ * @brief 名前を設定する (UTF-8 の文字の途中で切らないよう SLOT_NAME_LENGTH バイト以内に収める)
+ */
+void MacroSlots::setName(int id, const char *name) {
+  size_t length = strnlen(name, SLOT_NAME_LENGTH + 1);
+  if (length > SLOT_NAME_LENGTH) {
+    length = SLOT_NAME_LENGTH;
+    while (length > 0 && ((uint8_t)name[length] & 0xC0) == 0x80)
+      length--;
+  }
+  memcpy(slots[id].name, name, length);
+  slots[id].name[length] = '\0';
+}
+
+/**
+ * @brief 旧形式のマクロをスロット0に移行する
+ */
+void MacroSlots::migrateLegacy() {
+  bool binary = LittleFS.exists(LEGACY_BIN_FILE);
+  if (!binary && !LittleFS.exists(LEGACY_JSON_FILE))
+    return;
+
+  const char *legacy = binary ? LEGACY_BIN_FILE : LEGACY_JSON_FILE;
+  if (install(0, legacy, binary, 0, "macro"))
+    LittleFS.remove(binary ? LEGACY_JSON_FILE : LEGACY_BIN_FILE);
+}
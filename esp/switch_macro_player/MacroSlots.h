@@ -0,0 +1,63 @@
+#pragma once
+
+#include <Arduino.h>
+#include <ArduinoJson.h>
+#include <LittleFS.h>
+
+#define MAX_SLOTS 8               // 保存できるマクロの数 (editor/src/utils/transfer_protocol.js と一致させる)
+#define SLOT_NAME_LENGTH 32       // スロット名の最大バイト数 (UTF-8)
+#define SLOT_DIR "/slots"         // スロットのマクロを保存するディレクトリ
+#define SLOT_INDEX_FILE "/slots/index.json" // スロット表 (名前・サイズ・日時・形式と選択中のスロット)
+
+/**
+ * @brief 1スロット分の情報
+ */
+struct SlotInfo {
+  bool used = false;                  // マクロが保存されているか
+  char name[SLOT_NAME_LENGTH + 1] = ""; // 表示名
+  uint32_t size = 0;                  // マクロファイルのサイズ (bytes)
+  uint32_t date = 0;                  // 転送日時 (UNIX時刻・秒)。ATOMS3は時計を持たないためブラウザから受け取る。0 は不明
+  bool binary = false;                // バイナリ形式 (SMB1) か
+};
+
+/**
+ * @brief 名前付きスロットに保存したマクロの管理
+ * マクロ本体は /slots/<番号>.json または .bin に、スロット表は /slots/index.json に保存します。
+ * 起動時に再生対象となるのは選択中 (active) のスロットです。
+ */
+class MacroSlots {
+public:
+  SlotInfo slots[MAX_SLOTS];
+  int active = -1; // 選択中のスロット (-1 は未選択)
+
+  /**
+   * @brief スロット表を読み込む
+   * スロット表が無く旧形式の /macro.json・/macro.bin がある場合は、スロット0に移行します。
+   */
+  void begin();
+
+  bool isValid(int id) const { return id >= 0 && id < MAX_SLOTS; }
+  bool isUsed(int id) const { return isValid(id) && slots[id].used; }
+  int count() const;
+
+  /**
+   * @brief スロットのマクロファイルのパス
+   */
+  String path(int id) const;
+
+  /**
+   * @brief 受信済みの一時ファイルをスロットに移動し、そのスロットを選択する
+   * @param name 空の場合は既存の名前を引き継ぐ
+   */
+  bool install(int id, const char *tmpPath, bool binary, uint32_t date,
+               const char *name);
+
+  bool remove(int id);
+  bool rename(int id, const char *name);
+  bool select(int id);
+
+private:
+  bool save();
+  void setName(int id, const char *name);
+  void migrateLegacy();
+};
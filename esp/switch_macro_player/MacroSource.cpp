@@ -0,0 +1,308 @@
+#include "MacroSource.h"
+#include <math.h>
+
+// バイナリ形式 (SMB1 / SMB2) の定義 (editor/src/utils/macro_codec.js と一致させる)
+static const uint8_t SMB_MAGIC[3] = {'S', 'M', 'B'};
+static const uint8_t SMB_VERSION_BASIC = 1;    // 基本のマクロ
+static const uint8_t SMB_VERSION_EXTENDED = 2; // ランダムな時間かループの区間を含むマクロ
+static const uint8_t SMB_FLAG_LOOP_ENABLED = 0x01;
+static const uint8_t SMB_TAG_BUTTONS = 0x01;
+static const uint8_t SMB_TAG_AXES = 0x02;
+static const uint8_t SMB_TAG_RUN = 0x04;
+static const uint8_t SMB_TAG_JITTER = 0x08;
+static const uint8_t SMB_TAG_WAIT = 0x10;
+static const uint8_t SMB_TAG_LOOP_START = 0x20;
+static const uint8_t SMB_TAG_OUTRO_START = 0x40;
+
+/**
+ * @brief スティック値 (-1.0 〜 1.0) を -127〜127 に量子化する
+ * バイナリ形式と同じ値になるよう、macro_codec.js の quantizeAxis (Math.round) と同じく四捨五入する。
+ */
+static int8_t quantizeAxis(float v) {
+  float q = floorf(v * 127 + 0.5f);
+  if (q > 127)
+    q = 127;
+  if (q < -127)
+    q = -127;
+  return (int8_t)q;
+}
+
+/**
+ * @brief 読み込んだバイト数を数えるArduinoJson用リーダー
+ * JSON解析に失敗した位置 (オフセット) をブラウザへ返すために使用します。
+ */
+struct CountingReader {
+  Stream &stream;
+  size_t position;
+
+  int read() {
+    int c = stream.read();
+    if (c >= 0)
+      position++;
+    return c;
+  }
+  size_t readBytes(char *buffer, size_t length) {
+    size_t n = stream.readBytes(buffer, length);
+    position += n;
+    return n;
+  }
+};
+
+// --- JsonMacroSource ---
+
+JsonMacroSource::~JsonMacroSource() {
+  if (_doc)
+    delete _doc;
+}
+
+MacroLoadError JsonMacroSource::open(const char *path, size_t &errorOffset) {
+  File file = LittleFS.open(path, FILE_READ);
+  if (!file)
+    return MacroLoadError::IO;
+
+  // 再生に使うフィールドだけを読み込む
+  // (エディタ用の meta / marker / comment などはメモリを消費しないよう読み飛ばす)
+  StaticJsonDocument<256> filter;
+  filter["loop"] = true;
+  filter["events"][0]["t"] = true;
+  filter["events"][0]["b"] = true;
+  filter["events"][0]["a"] = true;
+  filter["events"][0]["jitter"] = true;
+  filter["events"][0]["wait"] = true;
+  filter["events"][0]["loopStart"] = true;
+  filter["events"][0]["outroStart"] = true;
+
+  _doc = new DynamicJsonDocument(32768);
+  CountingReader reader{file, 0};
+  DeserializationError err =
+      deserializeJson(*_doc, reader, DeserializationOption::Filter(filter));
+  file.close();
+  if (err) {
+    errorOffset = reader.position;
+    return err == DeserializationError::NoMemory ? MacroLoadError::NO_MEMORY
+                                                 : MacroLoadError::PARSE;
+  }
+
+  JsonObject loop = (*_doc)["loop"];
+  loopEnabled = loop["enabled"] | false;
+  loopCount = loop["count"] | 0;
+  loopInterval = loop["interval"] | 0;
+  JsonArray offset = loop["offset"];
+  if (!offset.isNull()) {
+    loopOffsetMin = offset[0] | 0;
+    loopOffsetSpread = (uint32_t)(offset[1] | 0) - loopOffsetMin;
+  }
+  _index = 0;
+  return MacroLoadError::NONE;
+}
+
+void JsonMacroSource::rewind() { _index = 0; }
+
+bool JsonMacroSource::next(MacroEvent &event) {
+  JsonArray events = (*_doc)["events"];
+  if (_index >= events.size())
+    return false;
+
+  JsonObject obj = events[_index++];
+  event.t = obj["t"];
+  // Json形式のビットインデックス配列 [0, 2, 5]
+  // などを一つの32bit整数マスクに変換
+  event.buttons = 0;
+  for (int b : obj["b"].as<JsonArray>())
+    event.buttons |= (1 << b);
+
+  // スティック値 (-1.0 〜 1.0 のfloat) を int8_t 範囲にスケール (バイナリ形式と同じ四捨五入)
+  JsonArray axes = obj["a"];
+  for (int k = 0; k < 4; k++)
+    event.axes[k] = quantizeAxis(axes[k].as<float>());
+
+  // ランダムな時間 (wait は [最短, 最長] の ms)
+  event.jitter = obj["jitter"] | 0;
+  JsonArray wait = obj["wait"];
+  event.waitMin = wait.isNull() ? 0 : (uint32_t)(wait[0] | 0);
+  event.waitSpread = wait.isNull() ? 0 : (uint32_t)(wait[1] | 0) - event.waitMin;
+
+  // ループの区間 (イントロ / 本体 / アウトロ) の境目
+  event.parts = ((obj["loopStart"] | false) ? MACRO_PART_LOOP_START : 0) |
+                ((obj["outroStart"] | false) ? MACRO_PART_OUTRO_START : 0);
+  return true;
+}
+
+void JsonMacroSource::seek(size_t index) { _index = index; }
+
+size_t JsonMacroSource::size() const {
+  return (*_doc)["events"].as<JsonArray>().size();
+}
+
+// --- BinaryMacroSource ---
+
+BinaryMacroSource::~BinaryMacroSource() {
+  if (_file)
+    _file.close();
+}
+
+bool BinaryMacroSource::readByte(uint8_t &value) {
+  int c = _file.read();
+  if (c < 0)
+    return false;
+  value = (uint8_t)c;
+  return true;
+}
+
+bool BinaryMacroSource::readVarint(uint32_t &value) {
+  value = 0;
+  for (int shift = 0; shift < 32; shift += 7) {
+    uint8_t b;
+    if (!readByte(b))
+      return false;
+    value |= (uint32_t)(b & 0x7F) << shift;
+    if (!(b & 0x80))
+      return true;
+  }
+  return false;
+}
+
+MacroLoadError BinaryMacroSource::open(const char *path, size_t &errorOffset) {
+  _file = LittleFS.open(path, FILE_READ);
+  if (!_file)
+    return MacroLoadError::IO;
+
+  // ヘッダーの検証
+  uint8_t magic[3], version, flags;
+  uint32_t count, interval, eventCount;
+  bool ok = readByte(magic[0]) && readByte(magic[1]) && readByte(magic[2]) &&
+            readByte(version) && readByte(flags) && readVarint(count) &&
+            readVarint(interval) && readVarint(eventCount);
+  if (!ok || memcmp(magic, SMB_MAGIC, 3) != 0 ||
+      (version != SMB_VERSION_BASIC && version != SMB_VERSION_EXTENDED)) {
+    errorOffset = _file.position();
+    return MacroLoadError::PARSE;
+  }
+  _version = version;
+  loopEnabled = flags & SMB_FLAG_LOOP_ENABLED;
+  loopCount = count;
+  loopInterval = interval;
+  if (_version == SMB_VERSION_EXTENDED &&
+      !(readVarint(loopOffsetMin) && readVarint(loopOffsetSpread))) {
+    errorOffset = _file.position();
+    return MacroLoadError::PARSE;
+  }
+  _eventsOffset = _file.position();
+  _eventCount = eventCount;
+
+  // 全イベントを一度読み切って、途中で壊れていないか確認する
+  rewind();
+  MacroEvent event;
+  while (next(event)) {
+  }
+  if (_readCount != _eventCount) {
+    errorOffset = _file.position();
+    return MacroLoadError::PARSE;
+  }
+  rewind();
+  return MacroLoadError::NONE;
+}
+
+void BinaryMacroSource::rewind() {
+  _file.seek(_eventsOffset);
+  _readCount = 0;
+  _time = 0;
+  _buttons = 0;
+  memset(_axes, 0, sizeof(_axes));
+  _runRemaining = 0;
+  _runDelta = 0;
+}
+
+bool BinaryMacroSource::next(MacroEvent &event) {
+  if (_readCount >= _eventCount)
+    return false;
+
+  uint32_t jitter = 0, waitMin = 0, waitSpread = 0;
+  uint8_t parts = 0;
+  if (_runRemaining > 0) {
+    // ラン: 状態は変えずに時刻だけ進める
+    _runRemaining--;
+    _time += _runDelta;
+  } else {
+    uint8_t tag;
+    uint32_t delta;
+    if (!readByte(tag) || !readVarint(delta))
+      return false;
+
+    if (tag & SMB_TAG_RUN) {
+      uint32_t run;
+      if (!readVarint(run) || run == 0)
+        return false;
+      _runRemaining = run - 1;
+      _runDelta = delta;
+      _time += delta;
+    } else {
+      _time += delta;
+      if (tag & SMB_TAG_BUTTONS) {
+        uint8_t b0, b1, b2;
+        if (!readByte(b0) || !readByte(b1) || !readByte(b2))
+          return false;
+        // 18bitマスク (bit14-17が十字キー) を bit16-19 に戻す
+        uint32_t mask = b0 | (b1 << 8) | ((uint32_t)b2 << 16);
+        _buttons = (mask & 0x3FFF) | (((mask >> 14) & 0x0F) << 16);
+      }
+      if (tag & SMB_TAG_AXES) {
+        for (int k = 0; k < 4; k++) {
+          uint8_t v;
+          if (!readByte(v))
+            return false;
+          _axes[k] = (int8_t)v;
+        }
+      }
+      // ランダムな時間はそのイベントだけのもの (ランには含まれない)
+      if ((tag & SMB_TAG_JITTER) && !readVarint(jitter))
+        return false;
+      if ((tag & SMB_TAG_WAIT) &&
+          !(readVarint(waitMin) && readVarint(waitSpread)))
+        return false;
+      parts = ((tag & SMB_TAG_LOOP_START) ? MACRO_PART_LOOP_START : 0) |
+              ((tag & SMB_TAG_OUTRO_START) ? MACRO_PART_OUTRO_START : 0);
+    }
+  }
+
+  event.t = _time;
+  event.buttons = _buttons;
+  memcpy(event.axes, _axes, sizeof(_axes));
+  event.jitter = jitter > 0xFFFF ? 0xFFFF : jitter;
+  event.waitMin = waitMin;
+  event.waitSpread = waitSpread;
+  event.parts = parts;
+  _readCount++;
+  return true;
+}
+
+size_t BinaryMacroSource::size() const { return _eventCount; }
+
+// --- 共通 ---
+
+void MacroSource::seek(size_t index) {
+  // 既定の実装: 先頭から読み飛ばす (バイナリ形式は差分で記録されているため)
+  rewind();
+  MacroEvent skipped;
+  for (size_t i = 0; i < index && next(skipped); i++) {
+  }
+}
+
+MacroSource *openMacroSource(const char *path, bool binary,
+                             MacroLoadError &err, size_t &errorOffset) {
+  MacroSource *source = nullptr;
+  if (binary) {
+    BinaryMacroSource *bin = new BinaryMacroSource();
+    err = bin->open(path, errorOffset);
+    source = bin;
+  } else {
+    JsonMacroSource *json = new JsonMacroSource();
+    err = json->open(path, errorOffset);
+    source = json;
+  }
+  if (err != MacroLoadError::NONE) {
+    delete source;
+    return nullptr;
+  }
+  return source;
+}
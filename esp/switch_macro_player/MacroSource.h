@@ -0,0 +1,104 @@
+#pragma once
+
+#include <Arduino.h>
+#include <ArduinoJson.h>
+#include <LittleFS.h>
+
+/**
+ * @brief 再生用に展開された1イベント分の入力状態
+ */
+struct MacroEvent {
+  uint32_t t;       // 再生開始からの時刻 (ms)
+  uint32_t buttons; // ボタンビットマスク (bit0-13: 通常ボタン, bit16-19: 十字キー)
+  int8_t axes[4];   // LX, LY, RX, RY (-127〜127)
+  uint16_t jitter;     // 送信を 0〜この値 (ms) だけランダムに遅らせる (後続のイベントはずらさない)
+  uint32_t waitMin;    // この入力を保持する最短時間 (ms)
+  uint32_t waitSpread; // 保持時間のばらつき (ms)。後続のイベントを 0〜この値だけ遅らせる
+  uint8_t parts;       // ループの区間の先頭 (MACRO_PART_LOOP_START / MACRO_PART_OUTRO_START)
+};
+
+// MacroEvent::parts のビット
+static const uint8_t MACRO_PART_LOOP_START = 0x01;  // このイベントからループの本体 (それより前はイントロ)
+static const uint8_t MACRO_PART_OUTRO_START = 0x02; // このイベントからアウトロ (最後の周回の後に1回だけ)
+
+/**
+ * @brief マクロ読み込み時のエラー種別
+ */
+enum class MacroLoadError {
+  NONE,      // 成功
+  IO,        // ファイルを開けない
+  PARSE,     // 形式が不正 (JSON解析失敗 / バイナリの破損)
+  NO_MEMORY  // メモリ不足
+};
+
+/**
+ * @brief マクロのイベントを先頭から順に読み出すための共通インターフェース
+ * JSON形式(メモリに展開)とバイナリ形式(ファイルから逐次読み出し)を同じ方法で再生するために使用します。
+ */
+class MacroSource {
+public:
+  bool loopEnabled = false; // ループ再生が有効か
+  int loopCount = 0;        // 設定された総ループ回数 (0なら無限)
+  int loopInterval = 0;     // ループ間の待機秒数
+  uint32_t loopOffsetMin = 0;    // 周回の間に追加で待つ最短時間 (ms)
+  uint32_t loopOffsetSpread = 0; // 周回の間の追加の待機のばらつき (ms)
+
+  virtual ~MacroSource() {}
+  virtual void rewind() = 0;                // 読み出し位置を先頭に戻す
+  virtual bool next(MacroEvent &event) = 0; // 次のイベントを読む (終端ならfalse)
+  virtual size_t size() const = 0;          // イベント総数
+  virtual void seek(size_t index);          // 読み出し位置を index 番目のイベントに移す (ループの本体の先頭に戻る)
+};
+
+/**
+ * @brief JSON形式 (/macro.json) のマクロ
+ */
+class JsonMacroSource : public MacroSource {
+public:
+  ~JsonMacroSource();
+  MacroLoadError open(const char *path, size_t &errorOffset);
+  void rewind() override;
+  bool next(MacroEvent &event) override;
+  size_t size() const override;
+  void seek(size_t index) override;
+
+private:
+  DynamicJsonDocument *_doc = nullptr;
+  size_t _index = 0;
+};
+
+/**
+ * @brief バイナリ形式 (/macro.bin, SMB1 / SMB2) のマクロ
+ * エディタの macro_codec.js と同じ形式。ファイルから1イベントずつ読み出すため、
+ * メモリ使用量はマクロの長さに依存しません。
+ */
+class BinaryMacroSource : public MacroSource {
+public:
+  ~BinaryMacroSource();
+  MacroLoadError open(const char *path, size_t &errorOffset);
+  void rewind() override;
+  bool next(MacroEvent &event) override;
+  size_t size() const override;
+
+private:
+  File _file;
+  size_t _eventsOffset = 0; // 最初のレコードの位置
+  size_t _eventCount = 0;   // ヘッダーに記録されたイベント総数
+  size_t _readCount = 0;    // 読み出し済みのイベント数
+  uint32_t _time = 0;       // 直前のイベントの時刻
+  uint32_t _buttons = 0;    // 直前のボタン状態
+  int8_t _axes[4] = {0, 0, 0, 0};
+  uint32_t _runRemaining = 0; // ラン内で未読のイベント数
+  uint32_t _runDelta = 0;     // ランの差分時間
+  uint8_t _version = 0;       // SMB2 はランダムな時間 (jitter / wait / loop.offset) とループの区間を含む
+
+  bool readByte(uint8_t &value);
+  bool readVarint(uint32_t &value);
+};
+
+/**
+ * @brief 形式に応じたマクロを開く
+ * @return 失敗した場合は nullptr (err / errorOffset に理由を格納)
+ */
+MacroSource *openMacroSource(const char *path, bool binary,
+                             MacroLoadError &err, size_t &errorOffset);
@@ -1,9 +1,13 @@
+#include "MacroSlots.h"
+#include "MacroSource.h"
 #include "SwitchHID.h"
 #include <Arduino.h>
 #include <ArduinoJson.h>
 #include <LittleFS.h>
 #include <M5AtomS3.h>
 #include <NimBLEDevice.h>
+#include <map>
+#include <vector>
 
 /**
  * =========================================================================
@@ -11,8 +15,8 @@
  *
  * 役割:
  * 1.
- * PC(ブラウザ)から送られてくるマクロを受信し、内部ファイルシステム(LittleFS)に保存する。
- * 2. 保存されたマクロを読み込み、Switch用のUSBコントローラーとして再生する。
+ * PC(ブラウザ)から送られてくるマクロを受信し、内部ファイルシステム(LittleFS)の名前付きスロットに保存する。
+ * 2. 選択中のスロットのマクロを読み込み、Switch用のUSBコントローラーとして再生する。
  * 3. ブラウザからのリアルタイム入力をSwitchに中継する (Live Bridge機能)。
  * =========================================================================
  */
@@ -21,7 +25,19 @@
 // サービスとキャラクタリスティックのUUID。ブラウザ側の定義と一致させる必要があります。
 #define SERVICE_UUID "6E400001-B5A3-F393-E0A9-E50E24DCCA9E"
 #define CHARACTERISTIC_UUID_RX "6E400002-B5A3-F393-E0A9-E50E24DCCA9E"
-#define MACRO_FILE "/macro.json" // マクロを保存するファイル名
+#define CHARACTERISTIC_UUID_TX "6E400003-B5A3-F393-E0A9-E50E24DCCA9E"
+#define CHARACTERISTIC_UUID_STATUS "6E400004-B5A3-F393-E0A9-E50E24DCCA9E"
+#define MACRO_TMP_FILE "/macro.tmp"  // 受信中のマクロを書き込む一時ファイル
+#define MAX_NACK_ENTRIES 16          // 1回のNACKで通知する欠落チャンク数の上限
+#define MAX_OUT_OF_ORDER 32          // 順不同で届いたチャンクを保持する上限
+#define STATUS_INTERVAL_MS 250       // 再生中に状態を通知する間隔
+#define RX_CREDITS 8                 // 応答なしの書き込みで、CR を待たずに受け付けるチャンク数
+#define CREDIT_INTERVAL 4            // CR を通知するチャンク数の間隔
+#define PREFERRED_MTU 517            // 接続時に要求するMTU (チャンクを大きくして転送を速くする)
+#define LIVE_FRAME_MARKER 0x01       // バイナリのライブ入力フレームの先頭バイト
+#define LIVE_FRAME_SIZE 12           // マーカー(1) + 連番(2) + フラグ(1) + ボタン(4) + スティック(4)
+#define LIVE_FLAG_ECHO 0x01          // 往復遅延の測定用に連番を送り返す
+#define LIVE_FAILSAFE_MS 500         // この時間ライブ入力が届かなければすべての入力を離す
 
 // --- デバイス状態の定義 (ステートマシン) ---
 enum DeviceStatus {
@@ -31,17 +47,83 @@ enum DeviceStatus {
   STATUS_READY,   // 準備完了: マクロの読み込みが完了し、いつでも再生できる状態
   STATUS_PLAYING, // 再生中: マクロを実行してUSBレポートを送信している状態
   STATUS_WAITING, // ループ待機中: 指定されたループ間隔の秒数を待っている状態
+  STATUS_PAUSED,  // 一時停止中: 再生位置を保持したままニュートラルを出力している状態
   STATUS_ERROR    // エラー: JSONパース失敗などの異常事態
 };
 
+// 状態通知で使う名前 (DeviceStatus と同じ順序)
+const char *STATUS_NAMES[] = {"IDLE",    "CONNECTED", "TRANSFERRING",
+                              "READY",   "PLAYING",   "WAITING",
+                              "PAUSED",  "ERROR"};
+
+// --- ブラウザからの再生操作 ---
+// BLEのコールバックからは要求を記録するだけにし、実際の再生制御はボタンAと同じく loop() で行います。
+enum RemoteCommand {
+  CMD_NONE,
+  CMD_PLAY,      // 再生 (一時停止中なら再開)
+  CMD_PLAY_FROM, // 指定したイベントから再生
+  CMD_PAUSE,     // 一時停止
+  CMD_STOP,      // 停止
+  CMD_STATUS     // 状態の通知のみ
+};
+
+// --- スロットの切り替え・マクロの保存 ---
+// 再生中のマクロ (バイナリ形式なら開いているファイル) を閉じて差し替えるため、再生操作と同じく
+// BLEのコールバックからは要求を記録するだけにし、loop() で行います。
+enum StorageCommand {
+  STORAGE_NONE,
+  STORAGE_SELECT,        // スロットの選択 (SLOTSEL)
+  STORAGE_DELETE,        // スロットの削除 (SLOTDEL)
+  STORAGE_INSTALL,       // v2 で受信したマクロの保存 (結果を通知する)
+  STORAGE_INSTALL_LEGACY // 旧転送で受信したマクロの保存
+};
+
 // --- グローバル変数 ---
 volatile DeviceStatus currentStatus = STATUS_IDLE; // 現在のデバイス状態
+volatile bool liveBridgeActive = false; // Live Bridge の入力を受信した (切断時にニュートラルに戻す)
+volatile bool liveFailsafeArmed = false; // バイナリのライブ入力を受信中 (途絶えたらニュートラルに戻す)
+volatile unsigned long lastLiveFrameAt = 0; // 最後にライブ入力を受け付けた時刻
+uint16_t liveLastSeq = 0;                   // 最後に受け付けたライブ入力の連番
+bool liveHasSeq = false;                    // 接続後にライブ入力の連番を受け付けたか
+uint16_t liveDropped = 0; // 届かなかったライブ入力の数 (連番の欠番から数える)
 volatile bool statusChanged =
     true;             // 状態が変化したかどうかのフラグ (LED更新用)
 String rxBuffer = ""; // BLE経由で届くマクロデーターの一時保存用バッファ
-DynamicJsonDocument *currentMacro =
-    nullptr;                    // メモリ上に展開されたJSONマクロデータ
+MacroSource *currentMacro =
+    nullptr;                    // 再生対象のマクロ (JSON / バイナリ)
 SwitchControllerHID controller; // Switch用USB HIDクラスのインスタンス
+MacroSlots slots;               // 保存済みマクロのスロット表
+NimBLECharacteristic *pTxChar =
+    nullptr; // ブラウザへの応答 (ACK/NACK/解析結果) 通知用
+NimBLECharacteristic *pStatusChar = nullptr; // 再生状態の通知用
+volatile RemoteCommand pendingCommand = CMD_NONE; // 未処理の再生操作
+volatile int pendingIndex = 0;                    // CMD_PLAY_FROM の開始イベント
+volatile StorageCommand pendingStorage = STORAGE_NONE; // 未処理のスロット操作・マクロの保存
+volatile int pendingSlot = -1; // STORAGE_SELECT / STORAGE_DELETE の対象スロット
+volatile uint16_t negotiatedMtu = 23; // ブラウザとのMTU (チャンクサイズの決定用)
+
+// --- 転送プロトコル v2 の受信状態 ---
+// 受信データはRAMに溜めず、連番順に一時ファイルへ追記します (長時間マクロ対策)。
+bool rxV2 = false;            // v2 (連番・CRC付き) で受信中か
+bool rxBinary = false;        // 受信中のマクロがバイナリ形式か
+File rxFile;                  // 受信データの書き込み先 (MACRO_TMP_FILE)
+size_t rxExpectedLength = 0;  // ヘッダーで宣言された全体サイズ
+uint32_t rxExpectedCrc = 0;   // ヘッダーで宣言されたCRC32
+size_t rxPayloadSize = 0;     // 1チャンクあたりのデータサイズ
+size_t rxTotalChunks = 0;     // チャンク総数
+size_t rxNextSeq = 0;         // 次に書き込むチャンクの連番
+size_t rxWritten = 0;         // 書き込み済みのバイト数
+uint32_t rxCrc = 0xFFFFFFFF;  // 書き込み済みデータのCRC32 (計算途中)
+int rxSlot = -1;              // 保存先のスロット (-1 は選択中のスロット)
+uint32_t rxDate = 0;          // 転送日時 (UNIX時刻・秒)
+std::string rxName;           // 保存先スロットの名前 (空なら既存の名前を引き継ぐ)
+size_t rxFramesSeen = 0;      // START・SYNC・RESUME 以降に処理したデータチャンクの数 (CR で通知)
+
+// --- 読み出し (ATOMS3 -> ブラウザ) の状態 ---
+int readSlot = -1;            // 読み出し中のスロット (-1 は未開始)
+size_t readPayloadSize = 0;   // 1チャンクあたりのデータサイズ
+size_t readTotalChunks = 0;   // チャンク総数
+std::map<size_t, std::string> rxOutOfOrder; // 先に届いた後続チャンク
 
 /**
  * @brief マクロの再生・実行を管理するクラス
@@ -53,31 +135,160 @@ public:
   unsigned long startTime = 0;     // マクロ再生を開始した時刻 (millis)
   unsigned long waitStartTime = 0; // ループ間の待機を開始した時刻
   int remainingLoops = 0;          // 残りのループ回数 (0なら無限)
+  int iteration = 0;               // 現在の周回 (1始まり)
+  unsigned long pauseStartTime = 0; // 一時停止した時刻
+  DeviceStatus pausedStatus = STATUS_PLAYING; // 一時停止前の状態 (再生中 / ループ待機中)
 
   bool loopEnabled = false; // ループ再生が有効か
   int loopCount = 0;        // 設定された総ループ回数
   int loopInterval = 0;     // ループ間の待機秒数
+  uint32_t loopOffsetMin = 0;    // 周回の間に追加で待つ最短時間 (ms)
+  uint32_t loopOffsetSpread = 0; // 周回の間の追加の待機のばらつき (ms)
+
+  MacroEvent pending;      // 次に送信するイベント (読み出し済み)
+  bool hasPending = false; // pending が有効か
+  MacroEvent last;         // 最後に送信したイベント (一時停止からの再開で入力を戻す)
+  bool hasLast = false;    // last が有効か
+  uint32_t timeShift = 0;  // この周回で wait のばらつきにより後続のイベントを遅らせた時間 (ms)
+  uint32_t pendingAt = 0;  // pending を送信する時刻 (周回の開始から。ばらつきを反映済み)
+  uint32_t holdUntil = 0;  // 最後に送信した入力を保持する時刻 (周回の開始から)
+  unsigned long waitDuration = 0; // ループ間の待機時間 (ms)
+  int bodyIndex = 0;          // ループの本体の先頭のイベント番号 (loopStart。無ければ0)
+  uint32_t bodyTime = 0;      // ループの本体の先頭の時刻 (2周目以降の時刻の基準)
+  uint32_t timeBase = 0;      // この周回の時刻の基準 (1周目は0、2周目以降は bodyTime)
+  bool iterationDone = false; // アウトロの手前で本体を送り終えた
 
   /**
-   * @brief JSONマクロからループ再生などの設定を読み込む
+   * @brief マクロからループ再生などの設定を読み込む
    */
-  void loadSettings(DynamicJsonDocument *macro) {
+  void loadSettings(MacroSource *macro) {
     if (!macro)
       return;
-    JsonObject loop = (*macro)["loop"];
-    loopEnabled = loop["enabled"] | false;
-    loopCount = loop["count"] | 0;
-    loopInterval = loop["interval"] | 0;
+    loopEnabled = macro->loopEnabled;
+    loopCount = macro->loopCount;
+    loopInterval = macro->loopInterval;
+    loopOffsetMin = macro->loopOffsetMin;
+    loopOffsetSpread = macro->loopOffsetSpread;
+  }
+
+  /**
+   * @brief この周回が最後か (ループ無効の場合は1周のみ)
+   */
+  bool isFinalIteration() const {
+    return !loopEnabled || (loopCount != 0 && remainingLoops <= 1);
+  }
+
+  /**
+   * @brief ループの区間の境目を記録する
+   * @return 最後の周回以外でアウトロの先頭に達した (この周回を終える) 場合は true
+   */
+  bool enterPart(const MacroEvent &event) {
+    if (event.parts & MACRO_PART_LOOP_START) {
+      bodyIndex = eventIndex;
+      bodyTime = event.t;
+    }
+    return (event.parts & MACRO_PART_OUTRO_START) && !isFinalIteration();
+  }
+
+  /**
+   * @brief 次のイベントを読み出し、送信する時刻を決める (jitter の乱数はここで引く)
+   * 最後の周回以外ではアウトロを読まず、アウトロの先頭の時刻まで入力を保持して周回を終える。
+   */
+  bool loadNext(MacroSource *macro) {
+    if (iterationDone)
+      return false;
+    hasPending = macro->next(pending);
+    if (hasPending && enterPart(pending)) {
+      hasPending = false;
+      iterationDone = true;
+      uint32_t end = pending.t - timeBase + timeShift;
+      if (end > holdUntil)
+        holdUntil = end;
+    }
+    if (hasPending)
+      pendingAt = pending.t - timeBase + timeShift +
+                  (pending.jitter ? random(pending.jitter + 1) : 0);
+    return hasPending;
+  }
+
+  /**
+   * @brief pending を送信済みにし、wait のばらつきを後続のイベントに反映する
+   */
+  void commitPending() {
+    last = pending;
+    hasLast = true;
+    eventIndex++;
+    hasPending = false;
+    if (last.waitSpread)
+      timeShift += random(last.waitSpread + 1);
+    holdUntil = last.t - timeBase + last.waitMin + timeShift;
+  }
+
+  /**
+   * @brief 周回の間に待つ時間 (ms)。ループ間隔に loop.offset の乱数を加える
+   */
+  unsigned long iterationWait() const {
+    return (unsigned long)loopInterval * 1000 + loopOffsetMin +
+           (loopOffsetSpread ? random(loopOffsetSpread + 1) : 0);
   }
 
   /**
    * @brief 再生パラメータを初期化して開始する
    */
-  void start() {
-    eventIndex = 0;
-    startTime = millis();
+  void start(MacroSource *macro) {
+    bodyIndex = 0;
+    bodyTime = 0;
+    restart(macro);
     // 0以外の設定があれば、その回数分。そうでなければ1回（または無限）。
     remainingLoops = loopEnabled ? (loopCount == 0 ? 0 : loopCount) : 1;
+    iteration = 1;
+  }
+
+  /**
+   * @brief 指定したイベントから再生を開始する
+   * それより前のイベントは読み飛ばし、直前のイベントの入力を出力した状態から始めます。
+   * 時刻の基準は、指定したイベントがすぐに実行されるようにずらします。
+   * アウトロから開始した場合は最後の周回として扱います。
+   */
+  void startFrom(MacroSource *macro, int index) {
+    start(macro);
+    MacroEvent skipped;
+    while (eventIndex < index && macro->next(skipped)) {
+      if (skipped.parts & MACRO_PART_OUTRO_START)
+        remainingLoops = 1;
+      enterPart(skipped);
+      last = skipped;
+      hasLast = true;
+      eventIndex++;
+    }
+    if (hasLast)
+      updateFromEvent(last);
+    loadNext(macro);
+    uint32_t offset = hasPending ? pending.t : (hasLast ? last.t : 0);
+    startTime = millis() - offset;
+  }
+
+  /**
+   * @brief 次のループの周回を開始する
+   */
+  void nextIteration(MacroSource *macro) {
+    restart(macro);
+    iteration++;
+  }
+
+  /**
+   * @brief ループの本体の先頭 (開始時はマクロの先頭) に戻り、時刻の基準をリセットする (ループの各周回の開始)
+   */
+  void restart(MacroSource *macro) {
+    macro->seek(bodyIndex);
+    hasPending = false;
+    hasLast = false;
+    iterationDone = false;
+    eventIndex = bodyIndex;
+    timeBase = bodyTime;
+    timeShift = 0;
+    holdUntil = 0;
+    startTime = millis();
   }
 
   /**
@@ -133,48 +344,596 @@ public:
 
   /**
    * @brief
-   * JSON形式の特定イベント(時刻、ボタン、スティック)を解釈してHID送信する
+   * マクロの特定イベント(時刻、ボタン、スティック)をHID送信する
    */
-  bool updateFromEvent(JsonObject event) {
-    uint32_t buttons = 0;
-    // Json形式のビットインデックス配列 [0, 2, 5]
-    // などを一つの32bit整数マスクに変換
-    for (int b : event["b"].as<JsonArray>())
-      buttons |= (1 << b);
-
-    // スティック値 (-1.0 〜 1.0 のfloat) を int8_t 範囲にスケール
-    JsonArray axes = event["a"];
-    return updateHID(buttons, (int8_t)(axes[0].as<float>() * 127),
-                     (int8_t)(axes[1].as<float>() * 127),
-                     (int8_t)(axes[2].as<float>() * 127),
-                     (int8_t)(axes[3].as<float>() * 127));
+  bool updateFromEvent(const MacroEvent &event) {
+    return updateHID(event.buttons, event.axes[0], event.axes[1],
+                     event.axes[2], event.axes[3]);
   }
 
   /**
    * @brief コントローラーの状態をニュートラルに戻し、レポートを送信する
    */
   void stop() { updateHID(0, 0, 0, 0, 0); }
+
+  /**
+   * @brief 再生中の周回の経過時間 (ms)。ループ待機中は待機の経過時間
+   */
+  unsigned long elapsed(DeviceStatus status) const {
+    unsigned long now = status == STATUS_PAUSED ? pauseStartTime : millis();
+    DeviceStatus phase = status == STATUS_PAUSED ? pausedStatus : status;
+    if (phase == STATUS_WAITING)
+      return now - waitStartTime;
+    if (phase == STATUS_PLAYING)
+      return now - startTime;
+    return 0;
+  }
+
+  /**
+   * @brief この周回の後に残っている周回数 (-1 は無限)
+   */
+  int loopsLeft() const {
+    if (loopEnabled && loopCount == 0)
+      return -1;
+    return remainingLoops > 0 ? remainingLoops - 1 : 0;
+  }
 };
 
 MacroPlayer player; // 再生制御インスタンスの生成
 
+// --- 転送プロトコル v2 の補助関数 ---
+
+/**
+ * @brief ブラウザへバイト列をそのまま通知する (読み出しのデータチャンク用)
+ */
+void notifyBytes(const uint8_t *data, size_t length) {
+  if (!pTxChar)
+    return;
+  pTxChar->setValue(data, length);
+  pTxChar->notify();
+}
+
+/**
+ * @brief ブラウザへ応答メッセージを通知する
+ */
+void notifyBrowser(const String &message) {
+  notifyBytes((const uint8_t *)message.c_str(), message.length());
+}
+
+/**
+ * @brief マクロの読み込みエラーをブラウザへ通知する
+ */
+void notifyLoadError(MacroLoadError err, size_t errorOffset) {
+  if (err == MacroLoadError::NO_MEMORY)
+    notifyBrowser("ERR:MEM");
+  else if (err == MacroLoadError::IO)
+    notifyBrowser("ERR:FS");
+  else
+    notifyBrowser("ERR:PARSE:" + String((unsigned long)errorOffset));
+}
+
+/**
+ * @brief CRC32 (IEEE 802.3 / zlib 互換) を逐次計算する
+ * 初期値 0xFFFFFFFF から始め、最後にビット反転した値がCRC32になります。
+ */
+uint32_t crc32Update(uint32_t crc, const uint8_t *data, size_t length) {
+  for (size_t i = 0; i < length; i++) {
+    crc ^= data[i];
+    for (int k = 0; k < 8; k++)
+      crc = (crc & 1) ? (0xEDB88320 ^ (crc >> 1)) : (crc >> 1);
+  }
+  return crc;
+}
+
+/**
+ * @brief 選択中のスロットのマクロを読み込み、再生可能な状態にする
+ */
+MacroSource *loadStoredMacro(MacroLoadError &err, size_t &errorOffset) {
+  if (slots.active < 0) {
+    err = MacroLoadError::IO;
+    return nullptr;
+  }
+  return openMacroSource(slots.path(slots.active).c_str(),
+                         slots.slots[slots.active].binary, err, errorOffset);
+}
+
+/**
+ * @brief 再生中のマクロを破棄し、選択中のスロットを読み込み直す
+ * マクロが無い (スロット未選択) 場合は接続状態に応じて待機状態へ戻ります。
+ */
+MacroLoadError reloadActiveMacro(size_t &errorOffset) {
+  if (currentStatus == STATUS_PLAYING || currentStatus == STATUS_WAITING ||
+      currentStatus == STATUS_PAUSED)
+    player.stop();
+  if (currentMacro) {
+    delete currentMacro;
+    currentMacro = nullptr;
+  }
+
+  MacroLoadError err = MacroLoadError::NONE;
+  if (slots.active >= 0)
+    currentMacro = loadStoredMacro(err, errorOffset);
+  if (currentMacro) {
+    // 設定を反映して準備完了へ
+    player.loadSettings(currentMacro);
+    currentStatus = STATUS_READY;
+  } else if (slots.active >= 0) {
+    currentStatus = STATUS_ERROR;
+  } else {
+    currentStatus = NimBLEDevice::getServer()->getConnectedCount() > 0
+                        ? STATUS_CONNECTED
+                        : STATUS_IDLE;
+  }
+  statusChanged = true;
+  return err;
+}
+
+/**
+ * @brief 受信済みの一時ファイルを検証し、問題なければスロットに保存して選択する
+ * 解析に失敗した場合、保存済みのマクロはそのまま残ります。
+ * @param slot 保存先のスロット (-1 は選択中のスロット。未選択ならスロット0)
+ * @param name スロット名 (空なら既存の名前を引き継ぐ)
+ * @param errorOffset 解析に失敗した場合、失敗したバイト位置を格納
+ */
+MacroLoadError installMacro(bool binary, int slot, uint32_t date,
+                            const char *name, size_t &errorOffset) {
+  MacroLoadError err;
+  MacroSource *probe =
+      openMacroSource(MACRO_TMP_FILE, binary, err, errorOffset);
+  if (!probe) {
+    LittleFS.remove(MACRO_TMP_FILE);
+    currentStatus = STATUS_ERROR;
+    statusChanged = true;
+    return err;
+  }
+  delete probe;
+
+  // 既存のマクロを破棄し、内部ストレージ(LittleFS)のスロットに保存して永続化
+  if (currentMacro) {
+    delete currentMacro;
+    currentMacro = nullptr;
+  }
+  if (slot < 0)
+    slot = slots.active >= 0 ? slots.active : 0;
+  if (!slots.install(slot, MACRO_TMP_FILE, binary, date, name)) {
+    LittleFS.remove(MACRO_TMP_FILE);
+    currentStatus = STATUS_ERROR;
+    statusChanged = true;
+    return MacroLoadError::IO;
+  }
+  return reloadActiveMacro(errorOffset);
+}
+
+/**
+ * @brief 区切り文字 ':' で分けた n 番目 (0始まり) のフィールドの開始位置を返す
+ * @return フィールドが無い場合は std::string::npos
+ */
+size_t fieldStart(const std::string &text, int n) {
+  size_t pos = 0;
+  for (int i = 0; i < n; i++) {
+    pos = text.find(':', pos);
+    if (pos == std::string::npos)
+      return pos;
+    pos++;
+  }
+  return pos;
+}
+
+/**
+ * @brief "START:v2:<サイズ>:<CRC32>:<チャンクサイズ>:<形式>[:<スロット>:<日時>:<名前>]"
+ * を解釈して受信準備をする
+ * @return 失敗した場合はブラウザへ返すエラーコード、成功した場合は nullptr
+ */
+const char *beginV2Transfer(const std::string &header) {
+  unsigned long length = 0, crc = 0, chunkSize = 0, date = 0;
+  int slot = -1;
+  char format[8] = "json";
+  if (sscanf(header.c_str(), "START:v2:%lu:%lx:%lu:%7[^:]:%d:%lu", &length,
+             &crc, &chunkSize, format, &slot, &date) < 3)
+    return "HEADER";
+  if (chunkSize <= 3 || length == 0)
+    return "HEADER";
+  if (strcmp(format, "json") != 0 && strcmp(format, "bin") != 0)
+    return "FORMAT";
+  if (slot != -1 && !slots.isValid(slot))
+    return "SLOT";
+  if (length > LittleFS.totalBytes() - LittleFS.usedBytes())
+    return "FS";
+
+  if (rxFile)
+    rxFile.close();
+  rxFile = LittleFS.open(MACRO_TMP_FILE, FILE_WRITE);
+  if (!rxFile)
+    return "FS";
+
+  rxBinary = strcmp(format, "bin") == 0;
+  rxExpectedLength = length;
+  rxExpectedCrc = crc;
+  rxPayloadSize = chunkSize - 3; // マーカー(1) + 連番(2) を除く
+  rxTotalChunks = (length + rxPayloadSize - 1) / rxPayloadSize;
+  rxNextSeq = 0;
+  rxWritten = 0;
+  rxCrc = 0xFFFFFFFF;
+  rxOutOfOrder.clear();
+  rxFramesSeen = 0;
+  rxSlot = slot;
+  rxDate = date;
+  size_t nameStart = fieldStart(header, 8); // 名前は ':' を含みうるため残りすべて
+  rxName = nameStart != std::string::npos ? header.substr(nameStart) : "";
+  return nullptr;
+}
+
+/**
+ * @brief 連番どおりのチャンクを一時ファイルに追記する
+ */
+void appendV2Chunk(const std::string &payload) {
+  rxWritten += rxFile.write((const uint8_t *)payload.data(), payload.length());
+  rxCrc = crc32Update(rxCrc, (const uint8_t *)payload.data(), payload.length());
+  rxNextSeq++;
+}
+
+/**
+ * @brief 'D' + 連番(uint16 LE) + データ のチャンクを受信する
+ * 連番が飛んだ場合は後続チャンクを一時的に保持し、欠落分の再送を待ちます。
+ */
+void storeV2Chunk(const std::string &frame) {
+  // 応答なしの書き込みでもブラウザが送りすぎないよう、処理した数を定期的に通知する
+  if (++rxFramesSeen % CREDIT_INTERVAL == 0)
+    notifyBrowser("CR:" + String((unsigned long)rxFramesSeen));
+
+  size_t seq = (uint8_t)frame[1] | ((uint8_t)frame[2] << 8);
+  if (seq < rxNextSeq || seq >= rxTotalChunks)
+    return; // 重複 (再送済み) または範囲外
+
+  std::string payload = frame.substr(3);
+  if (seq != rxNextSeq) {
+    if (rxOutOfOrder.size() < MAX_OUT_OF_ORDER)
+      rxOutOfOrder[seq] = payload;
+    return;
+  }
+
+  appendV2Chunk(payload);
+  // 先に届いていた後続チャンクを順に書き込む
+  for (auto it = rxOutOfOrder.find(rxNextSeq); it != rxOutOfOrder.end();
+       it = rxOutOfOrder.find(rxNextSeq)) {
+    appendV2Chunk(it->second);
+    rxOutOfOrder.erase(it);
+  }
+}
+
+/**
+ * @brief "SYNC:<連番>" に対し、そこまでの受信状況を ACK / NACK で応答する
+ */
+void replyV2Sync(const std::string &command) {
+  unsigned long upto = strtoul(command.c_str() + 5, nullptr, 10);
+  rxFramesSeen = 0;
+  String missing = "";
+  int count = 0;
+  for (size_t i = rxNextSeq;
+       i <= upto && i < rxTotalChunks && count < MAX_NACK_ENTRIES; i++) {
+    if (rxOutOfOrder.count(i) == 0) {
+      if (count > 0)
+        missing += ",";
+      missing += String((unsigned long)i);
+      count++;
+    }
+  }
+  notifyBrowser(count > 0 ? "NACK:" + missing : "ACK:" + String(upto));
+}
+
+/**
+ * @brief "RESUME:<サイズ>:<CRC32>" で、切断により中断した転送を再開する
+ * 受信済みのデータ (一時ファイル) は切断後も保持しているため、次に必要な連番を
+ * "RSM:<連番>" で通知し、そこから受信を続けます。
+ */
+void resumeV2Transfer(const std::string &command) {
+  unsigned long length = 0, crc = 0;
+  bool playing = currentStatus == STATUS_PLAYING ||
+                 currentStatus == STATUS_WAITING ||
+                 currentStatus == STATUS_PAUSED;
+  if (sscanf(command.c_str(), "RESUME:%lu:%lx", &length, &crc) != 2 ||
+      !rxV2 || !rxFile || playing || length != rxExpectedLength ||
+      crc != rxExpectedCrc) {
+    notifyBrowser("ERR:RESUME");
+    return;
+  }
+  currentStatus = STATUS_TRANSFERRING;
+  statusChanged = true;
+  rxFramesSeen = 0;
+  notifyBrowser("RSM:" + String((unsigned long)rxNextSeq));
+}
+
+/**
+ * @brief 全チャンクの受信・CRCを検証し、解析結果をブラウザへ通知する
+ */
+void finishV2Transfer() {
+  rxFile.close();
+  rxOutOfOrder.clear();
+  rxV2 = false;
+
+  const char *error = nullptr;
+  if (rxNextSeq < rxTotalChunks)
+    error = "ERR:MISSING";
+  else if (rxWritten != rxExpectedLength)
+    error = "ERR:LEN";
+  else if (~rxCrc != rxExpectedCrc)
+    error = "ERR:CRC";
+
+  if (error) {
+    LittleFS.remove(MACRO_TMP_FILE);
+    notifyBrowser(error);
+    currentStatus = STATUS_ERROR;
+    statusChanged = true;
+    return;
+  }
+
+  // 保存と解析結果の通知は loop() で行う (applyStorageCommand)
+  pendingStorage = STORAGE_INSTALL;
+}
+
+// --- スロット管理 ---
+
+/**
+ * @brief スロット表をブラウザへ通知する
+ * 使用中のスロットごとに "SLOT:<番号>:<サイズ>:<日時>:<形式>:<名前>" を送り、
+ * 最後に "SLOTS:<件数>:<選択中のスロット>" で終端します。
+ */
+void notifySlotTable() {
+  for (int i = 0; i < MAX_SLOTS; i++) {
+    const SlotInfo &info = slots.slots[i];
+    if (!info.used)
+      continue;
+    notifyBrowser("SLOT:" + String(i) + ":" + String((unsigned long)info.size) +
+                  ":" + String((unsigned long)info.date) + ":" +
+                  (info.binary ? "bin" : "json") + ":" + info.name);
+  }
+  notifyBrowser("SLOTS:" + String(slots.count()) + ":" + String(slots.active));
+}
+
+/**
+ * @brief スロット操作コマンドを処理し、成功したら更新後のスロット表を通知する
+ * 削除と選択は再生中のマクロを閉じることがあるため、loop() で行ってから通知します。
+ * "SLOTS"                    一覧
+ * "SLOTDEL:<番号>"           削除 (選択中なら未選択になる)
+ * "SLOTREN:<番号>:<名前>"    名前の変更
+ * "SLOTSEL:<番号>"           選択 (再生対象を切り替えて読み込む)
+ */
+void handleSlotCommand(const std::string &command) {
+  if (command == "SLOTS") {
+    notifySlotTable();
+    return;
+  }
+
+  size_t argStart = fieldStart(command, 1);
+  int id = argStart != std::string::npos ? atoi(command.c_str() + argStart) : -1;
+  if (!slots.isUsed(id)) {
+    notifyBrowser("ERR:SLOT");
+    return;
+  }
+
+  if (command.find("SLOTDEL:") == 0 || command.find("SLOTSEL:") == 0) {
+    // 再生中のマクロを閉じることがあるため loop() で行う (applyStorageCommand)
+    pendingSlot = id;
+    pendingStorage =
+        command.find("SLOTDEL:") == 0 ? STORAGE_DELETE : STORAGE_SELECT;
+    return;
+  }
+  if (command.find("SLOTREN:") != 0) {
+    notifyBrowser("ERR:COMMAND");
+    return;
+  }
+
+  size_t nameStart = fieldStart(command, 2);
+  if (!slots.rename(id, nameStart != std::string::npos
+                            ? command.substr(nameStart).c_str()
+                            : "")) {
+    notifyBrowser("ERR:FS");
+    return;
+  }
+  notifySlotTable();
+}
+
+/**
+ * @brief 保留していたスロットの選択・削除とマクロの保存を行い、結果を通知する
+ * 再生中のマクロを破棄するため、再生と同じ loop() から呼びます。
+ * @param slot STORAGE_SELECT / STORAGE_DELETE の対象スロット
+ */
+void applyStorageCommand(StorageCommand command, int slot) {
+  size_t errorOffset = 0;
+  MacroLoadError err;
+  switch (command) {
+  case STORAGE_SELECT:
+    if (!slots.select(slot)) {
+      notifyBrowser("ERR:FS");
+      return;
+    }
+    err = reloadActiveMacro(errorOffset);
+    if (err != MacroLoadError::NONE) {
+      notifyLoadError(err, errorOffset);
+      return;
+    }
+    notifySlotTable();
+    break;
+  case STORAGE_DELETE: {
+    bool wasActive = slots.active == slot;
+    if (wasActive && currentMacro) {
+      // ファイルを消す前に再生中のマクロを閉じる
+      player.stop();
+      delete currentMacro;
+      currentMacro = nullptr;
+    }
+    bool ok = slots.remove(slot);
+    if (wasActive)
+      reloadActiveMacro(errorOffset);
+    if (!ok) {
+      notifyBrowser("ERR:FS");
+      return;
+    }
+    notifySlotTable();
+    break;
+  }
+  case STORAGE_INSTALL:
+    err = installMacro(rxBinary, rxSlot, rxDate, rxName.c_str(), errorOffset);
+    if (err == MacroLoadError::NONE)
+      notifyBrowser("OK:" + String((unsigned long)rxExpectedLength));
+    else
+      notifyLoadError(err, errorOffset);
+    break;
+  case STORAGE_INSTALL_LEGACY:
+    installMacro(false, -1, 0, "", errorOffset);
+    break;
+  default:
+    break;
+  }
+}
+
+// --- 保存済みマクロの読み出し ---
+
+/**
+ * @brief "READ:<スロット>:<チャンクサイズ>" で読み出しを開始する
+ * スロットのファイル全体のCRC32を計算し、"RDH:<スロット>:<サイズ>:<CRC32>:<形式>:<チャンク数>"
+ * を通知します。データは "RDC" で要求された範囲だけを送るため、欠落分はブラウザが再要求します。
+ * スロット -1 は選択中のスロット。差分の確認 (CRCの比較) だけならRDHを受け取って終えてよい。
+ */
+void beginRead(const std::string &command) {
+  int slot = -1;
+  unsigned long chunkSize = 0;
+  if (sscanf(command.c_str(), "READ:%d:%lu", &slot, &chunkSize) < 2 ||
+      chunkSize <= 3) {
+    notifyBrowser("ERR:HEADER");
+    return;
+  }
+  if (slot < 0)
+    slot = slots.active;
+  if (!slots.isUsed(slot)) {
+    notifyBrowser("ERR:SLOT");
+    return;
+  }
+
+  File file = LittleFS.open(slots.path(slot), FILE_READ);
+  if (!file) {
+    notifyBrowser("ERR:FS");
+    return;
+  }
+  uint32_t crc = 0xFFFFFFFF;
+  uint8_t buffer[256];
+  size_t length = 0;
+  for (size_t n = file.read(buffer, sizeof(buffer)); n > 0;
+       n = file.read(buffer, sizeof(buffer))) {
+    crc = crc32Update(crc, buffer, n);
+    length += n;
+  }
+  file.close();
+
+  char hex[9];
+  snprintf(hex, sizeof(hex), "%08lx", (unsigned long)~crc);
+  readSlot = slot;
+  readPayloadSize = chunkSize - 3; // マーカー(1) + 連番(2) を除く
+  readTotalChunks = (length + readPayloadSize - 1) / readPayloadSize;
+  notifyBrowser("RDH:" + String(slot) + ":" + String((unsigned long)length) +
+                ":" + hex + ":" + (slots.slots[slot].binary ? "bin" : "json") +
+                ":" + String((unsigned long)readTotalChunks));
+}
+
+/**
+ * @brief "RDC:<開始連番>:<個数>" で要求されたチャンクを 'D' + 連番(uint16 LE) + データ
+ * の形式で通知し、最後に "RDW:<最後の連番>" を通知する
+ */
+void sendReadChunks(const std::string &command) {
+  unsigned long start = 0, count = 0;
+  if (readSlot < 0 || !slots.isUsed(readSlot) ||
+      sscanf(command.c_str(), "RDC:%lu:%lu", &start, &count) < 2) {
+    notifyBrowser("ERR:SLOT");
+    return;
+  }
+  File file = LittleFS.open(slots.path(readSlot), FILE_READ);
+  if (!file) {
+    notifyBrowser("ERR:FS");
+    return;
+  }
+
+  std::vector<uint8_t> frame(3 + readPayloadSize);
+  size_t last = start;
+  for (size_t seq = start; seq < start + count && seq < readTotalChunks; seq++) {
+    frame[0] = 'D';
+    frame[1] = seq & 0xFF;
+    frame[2] = (seq >> 8) & 0xFF;
+    file.seek(seq * readPayloadSize);
+    size_t n = file.read(frame.data() + 3, readPayloadSize);
+    notifyBytes(frame.data(), 3 + n);
+    last = seq;
+  }
+  file.close();
+  notifyBrowser("RDW:" + String((unsigned long)last));
+}
+
 // --- BLE (Bluetooth) 通信用コールバック定義 ---
 
+/**
+ * @brief バイナリのライブ入力フレームを処理する
+ * マーカー(0x01) + 連番(uint16 LE) + フラグ + ボタン(uint32 LE) + LX,LY,RX,RY(int8)
+ * 順序が入れ替わって遅れて届いた古い連番は捨て、連番の欠番を取りこぼしとして数えます。
+ * エコー要求のフラグがあれば、連番と取りこぼし数を送り返します (往復遅延の測定用)。
+ */
+void handleLiveFrame(const uint8_t *frame) {
+  uint16_t seq = frame[1] | (frame[2] << 8);
+  int16_t diff = (int16_t)(seq - liveLastSeq); // 連番の一周を考慮した差
+  if (!liveHasSeq || diff > 0) {
+    if (liveHasSeq)
+      liveDropped += diff - 1;
+    liveHasSeq = true;
+    liveLastSeq = seq;
+    uint32_t mask = frame[4] | (frame[5] << 8) | ((uint32_t)frame[6] << 16) |
+                    ((uint32_t)frame[7] << 24);
+    liveBridgeActive = true;
+    liveFailsafeArmed = true;
+    lastLiveFrameAt = millis();
+    player.updateHID(mask, (int8_t)frame[8], (int8_t)frame[9],
+                     (int8_t)frame[10], (int8_t)frame[11]);
+  }
+  if (frame[3] & LIVE_FLAG_ECHO) {
+    uint8_t echo[5] = {LIVE_FRAME_MARKER, frame[1], frame[2],
+                       (uint8_t)(liveDropped & 0xFF),
+                       (uint8_t)(liveDropped >> 8)};
+    notifyBytes(echo, sizeof(echo));
+  }
+}
+
 /**
  * 接続/切断イベントの受け取り
  */
 class MyServerCallbacks : public NimBLEServerCallbacks {
 public:
   void onConnect(NimBLEServer *pServer, NimBLEConnInfo &connInfo) override {
+    negotiatedMtu = connInfo.getMTU();
+    // 再生中に接続した場合は再生を続け、状態を確認・操作できるようにする
+    if (currentStatus == STATUS_PLAYING || currentStatus == STATUS_WAITING ||
+        currentStatus == STATUS_PAUSED)
+      return;
     currentStatus = STATUS_CONNECTED;
     statusChanged = true;
   }
+  void onMTUChange(uint16_t MTU, NimBLEConnInfo &connInfo) override {
+    negotiatedMtu = MTU;
+  }
   void onDisconnect(NimBLEServer *pServer, NimBLEConnInfo &connInfo,
                     int reason) override {
-    // 再生中やマクロ待機中の場合は、Bluetoothが切れてもオフラインで動作を継続させるため、
+    // Live Bridge の入力が押しっぱなしにならないよう、ニュートラルに戻す
+    // (マクロ再生中は再生側が入力を上書きするため触らない)
+    if (liveBridgeActive && currentStatus != STATUS_PLAYING &&
+        currentStatus != STATUS_WAITING) {
+      player.stop();
+    }
+    liveBridgeActive = false;
+    liveFailsafeArmed = false;
+    liveHasSeq = false;
+    liveDropped = 0;
+
+    // v2 転送の受信状態 (一時ファイル) は残し、再接続後の RESUME で続きから受信します。
+    // 再生中やマクロ待機中・一時停止中の場合は、Bluetoothが切れてもオフラインで動作を継続させるため、
     // IDLEに戻さずそのままの状態を維持します。
     if (currentStatus != STATUS_PLAYING && currentStatus != STATUS_WAITING &&
-        currentStatus != STATUS_READY) {
+        currentStatus != STATUS_PAUSED && currentStatus != STATUS_READY) {
       currentStatus = STATUS_IDLE;
       statusChanged = true;
     }
@@ -192,9 +951,18 @@ public:
 
     /**
      * プロトコルA: リアルタイム中継 (Live Bridge)
-     * フォーマット -> "L:ビットマスク:LX:LY:RX:RY"
+     * バイナリ形式 (固定長・連番付き) とテキスト形式 "L:ビットマスク:LX:LY:RX:RY" (旧エディタ)
      * 非常に低遅延な同期が求められるため、最優先で処理して早期リターンします。
      */
+    if (value.length() == LIVE_FRAME_SIZE &&
+        (uint8_t)value[0] == LIVE_FRAME_MARKER) {
+      handleLiveFrame((const uint8_t *)value.data());
+      return;
+    }
+
+    /**
+     * テキスト形式のライブ入力 (連番・キープアライブがないためフェイルセーフは使わない)
+     */
     if (value.length() > 2 && value[0] == 'L' && value[1] == ':') {
       String sVal = value.c_str();
       // 高速パース: デリミタ ':' の位置を検索して値を抜き出す
@@ -202,6 +970,8 @@ public:
           t = sVal.indexOf(':', s + 1), fo = sVal.indexOf(':', t + 1);
 
       // 最後(RY)は区切り文字がないので、fo+1以降すべてを取得
+      liveBridgeActive = true;
+      liveFailsafeArmed = false;
       player.updateHID(
           sVal.substring(2, f).toInt(), sVal.substring(f + 1, s).toInt(),
           sVal.substring(s + 1, t).toInt(), sVal.substring(t + 1, fo).toInt(),
@@ -213,33 +983,64 @@ public:
      * プロトコルB: マクロデータの転送
      * "START:..." でバッファを初期化し、"END"
      * が届くまですべての文字列を結合します。
+     * "START:v2:..." の場合は連番付きチャンクを受信し、ACK/NACKと解析結果を
+     * TXキャラクタリスティックで通知します (v2 プロトコル)。
      */
-    if (value.find("START:") == 0) {
+    if (value == "INFO") {
+      // 対応しているプロトコルのバージョン・マクロ形式・機能と、MTU・クレジットを通知
+      notifyBrowser("INFO:2:json,bin:slots,read,remote,resume,live2,timing,loops:" +
+                    String(negotiatedMtu) + ":" + String(RX_CREDITS));
+    } else if (value.find("SLOT") == 0) {
+      handleSlotCommand(value);
+    } else if (value.find("READ:") == 0) {
+      beginRead(value);
+    } else if (value == "PLAY") {
+      pendingCommand = CMD_PLAY;
+    } else if (value.find("PLAY:") == 0) {
+      pendingIndex = atoi(value.c_str() + 5);
+      pendingCommand = CMD_PLAY_FROM;
+    } else if (value == "PAUSE") {
+      pendingCommand = CMD_PAUSE;
+    } else if (value == "STOP") {
+      pendingCommand = CMD_STOP;
+    } else if (value == "STATUS") {
+      pendingCommand = CMD_STATUS;
+    } else if (value.find("RDC:") == 0) {
+      sendReadChunks(value);
+    } else if (value.find("RESUME:") == 0) {
+      resumeV2Transfer(value);
+    } else if (value.find("START:") == 0) {
       rxBuffer = ""; // 受信バッファのリセット
+      rxV2 = value.find("START:v2:") == 0;
+      if (rxV2) {
+        const char *error = beginV2Transfer(value);
+        if (error) {
+          rxV2 = false;
+          notifyBrowser(String("ERR:") + error);
+          return;
+        }
+        notifyBrowser("RDY:" + String((unsigned long)rxTotalChunks));
+      }
       currentStatus = STATUS_TRANSFERRING;
       statusChanged = true;
     } else if (value == "END") {
-      // 受信完了。内部ストレージ(LittleFS)に書き込んで永続化します。
-      File file = LittleFS.open(MACRO_FILE, FILE_WRITE);
+      if (rxV2) {
+        finishV2Transfer();
+        return;
+      }
+      // 受信完了。一時ファイルに書き出し、解析に成功したら保存中のマクロと置き換えます。
+      File file = LittleFS.open(MACRO_TMP_FILE, FILE_WRITE);
       if (file) {
         file.print(rxBuffer);
         file.close();
       }
-
-      // 既存のメモリ上のマクロを破棄して再ロード
-      if (currentMacro)
-        delete currentMacro;
-      currentMacro = new DynamicJsonDocument(32768);
-
-      if (deserializeJson(*currentMacro, rxBuffer)) {
-        // JSONパースに失敗した場合
-        currentStatus = STATUS_ERROR;
-      } else {
-        // 設定を反映して準備完了へ
-        player.loadSettings(currentMacro);
-        currentStatus = STATUS_READY;
-      }
-      statusChanged = true;
+      rxBuffer = "";
+      pendingStorage = STORAGE_INSTALL_LEGACY; // 保存は loop() で行う
+    } else if (rxV2 && currentStatus == STATUS_TRANSFERRING &&
+               value.length() > 3 && value[0] == 'D') {
+      storeV2Chunk(value);
+    } else if (rxV2 && value.find("SYNC:") == 0) {
+      replyV2Sync(value);
     } else if (currentStatus == STATUS_TRANSFERRING) {
       // START と END の間に届くデータをすべてバッファに追加
       rxBuffer += value.c_str();
@@ -247,6 +1048,139 @@ public:
   }
 };
 
+// --- 再生制御 (ボタンA・ブラウザからの操作で共通) ---
+
+/**
+ * @brief 停止中 (待機・接続済み・準備完了) で、再生できるマクロがあるか
+ */
+bool canStartPlayback() {
+  return (currentStatus == STATUS_READY || currentStatus == STATUS_IDLE ||
+          currentStatus == STATUS_CONNECTED) &&
+         currentMacro;
+}
+
+/**
+ * @brief 再生を開始する
+ * @param fromIndex 開始するイベントの番号 (0なら先頭から)
+ */
+void startPlayback(int fromIndex) {
+  if (!currentMacro)
+    return;
+  if (fromIndex > 0)
+    player.startFrom(currentMacro, fromIndex);
+  else
+    player.start(currentMacro);
+  currentStatus = STATUS_PLAYING;
+  statusChanged = true;
+}
+
+/**
+ * @brief 再生を停止し、ニュートラルに戻す
+ */
+void stopPlayback() {
+  currentStatus = NimBLEDevice::getServer()->getConnectedCount() > 0
+                      ? STATUS_CONNECTED
+                      : STATUS_READY;
+  statusChanged = true;
+  player.stop(); // ニュートラルに戻す
+}
+
+/**
+ * @brief 再生位置を保持したまま一時停止する (押しっぱなしにならないようニュートラルを出力)
+ */
+void pausePlayback() {
+  player.pausedStatus = currentStatus;
+  player.pauseStartTime = millis();
+  currentStatus = STATUS_PAUSED;
+  statusChanged = true;
+  player.stop();
+}
+
+/**
+ * @brief 一時停止した位置から再開する
+ * 止まっていた時間だけ時刻の基準をずらし、一時停止前の入力を出力し直します。
+ */
+void resumePlayback() {
+  unsigned long pausedFor = millis() - player.pauseStartTime;
+  player.startTime += pausedFor;
+  player.waitStartTime += pausedFor;
+  if (player.pausedStatus == STATUS_PLAYING && player.hasLast)
+    player.updateFromEvent(player.last);
+  currentStatus = player.pausedStatus;
+  statusChanged = true;
+}
+
+/**
+ * @brief ブラウザから届いた再生操作を実行する
+ */
+void handleRemoteCommand(RemoteCommand command, int index) {
+  bool running =
+      currentStatus == STATUS_PLAYING || currentStatus == STATUS_WAITING;
+  switch (command) {
+  case CMD_PLAY:
+    if (currentStatus == STATUS_PAUSED)
+      resumePlayback();
+    else if (canStartPlayback())
+      startPlayback(0);
+    break;
+  case CMD_PLAY_FROM:
+    // 再生中・一時停止中でも指定位置からやり直す
+    if (canStartPlayback() || running || currentStatus == STATUS_PAUSED)
+      startPlayback(index);
+    break;
+  case CMD_PAUSE:
+    if (running)
+      pausePlayback();
+    break;
+  case CMD_STOP:
+    if (running || currentStatus == STATUS_PAUSED)
+      stopPlayback();
+    break;
+  default:
+    break;
+  }
+}
+
+/**
+ * @brief 再生状態をブラウザへ通知する
+ * "S:<状態>:<イベント番号>:<イベント数>:<周回>:<残り周回 (-1は無限)>:<経過時間(ms)>"
+ */
+void notifyStatus() {
+  if (!pStatusChar)
+    return;
+  String message = String("S:") + STATUS_NAMES[currentStatus] + ":" +
+                   String(player.eventIndex) + ":" +
+                   String((unsigned long)(currentMacro ? currentMacro->size() : 0)) +
+                   ":" + String(player.iteration) + ":" +
+                   String(player.loopsLeft()) + ":" +
+                   String(player.elapsed(currentStatus));
+  pStatusChar->setValue((const uint8_t *)message.c_str(), message.length());
+  pStatusChar->notify();
+}
+
+/**
+ * @brief 状態が変わったとき、または再生中は一定間隔で状態を通知する
+ */
+void updateStatusTelemetry(bool force) {
+  static DeviceStatus lastStatus = STATUS_IDLE;
+  static int lastIndex = -1;
+  static unsigned long lastTime = 0;
+
+  bool running =
+      currentStatus == STATUS_PLAYING || currentStatus == STATUS_WAITING;
+  bool changed = currentStatus != lastStatus ||
+                 (running && millis() - lastTime >= STATUS_INTERVAL_MS &&
+                  (player.eventIndex != lastIndex || currentStatus == STATUS_WAITING));
+  if (!force && !changed)
+    return;
+  if (!NimBLEDevice::getServer()->getConnectedCount())
+    return;
+  notifyStatus();
+  lastStatus = currentStatus;
+  lastIndex = player.eventIndex;
+  lastTime = millis();
+}
+
 // --- 初期化 (Entry Point) ---
 
 void setup() {
@@ -265,6 +1199,7 @@ void setup() {
 
   // BLE機能の初期化
   NimBLEDevice::init("ATOMS3-Macro"); // 広告名 (スマホ等で見える名前)
+  NimBLEDevice::setMTU(PREFERRED_MTU);
   NimBLEServer *pServer = NimBLEDevice::createServer();
   pServer->setCallbacks(new MyServerCallbacks());
   NimBLEService *pService = pServer->createService(SERVICE_UUID);
@@ -276,6 +1211,14 @@ void setup() {
                                   NIMBLE_PROPERTY::WRITE_NR |
                                   NIMBLE_PROPERTY::READ);
   pRxChar->setCallbacks(new MyCallbacks());
+
+  // 転送の応答 (ACK/NACK/解析結果) 通知用キャラクタリスティックの作成
+  pTxChar = pService->createCharacteristic(CHARACTERISTIC_UUID_TX,
+                                           NIMBLE_PROPERTY::NOTIFY);
+
+  // 再生状態の通知用キャラクタリスティックの作成 (転送の応答と混ざらないよう分ける)
+  pStatusChar = pService->createCharacteristic(
+      CHARACTERISTIC_UUID_STATUS, NIMBLE_PROPERTY::NOTIFY | NIMBLE_PROPERTY::READ);
   pService->start();
 
   // 広告開始 (他のデバイスから見つけられるようにする)
@@ -305,19 +1248,14 @@ void setup() {
   AtomS3.update();
   delay(500);
 
-  // 保存されているマクロがあるか確認し、あれば起動時に自動ロードする
-  if (LittleFS.exists(MACRO_FILE)) {
-    File file = LittleFS.open(MACRO_FILE, FILE_READ);
-    if (file) {
-      if (currentMacro)
-        delete currentMacro;
-      currentMacro = new DynamicJsonDocument(32768);
-      if (!deserializeJson(*currentMacro, file)) {
-        player.loadSettings(currentMacro);
-        currentStatus = STATUS_READY; // 緑: ロード成功、準備完了
-      }
-      file.close();
-    }
+  // 保存されているマクロがあるか確認し、あれば選択中のスロットを起動時に自動ロードする
+  slots.begin();
+  MacroLoadError err;
+  size_t errorOffset = 0;
+  currentMacro = loadStoredMacro(err, errorOffset);
+  if (currentMacro) {
+    player.loadSettings(currentMacro);
+    currentStatus = STATUS_READY; // 緑: ロード成功、準備完了
   }
   statusChanged = true;
 }
@@ -349,6 +1287,9 @@ void loop() {
     case STATUS_WAITING:
       AtomS3.dis.drawpix(0x00FFFF);
       break; // 水色
+    case STATUS_PAUSED:
+      AtomS3.dis.drawpix(0xFF8000);
+      break; // オレンジ
     case STATUS_ERROR:
       AtomS3.dis.drawpix(0xFF0000);
       break; // 赤
@@ -364,81 +1305,106 @@ void loop() {
 
   /**
    * ATOMS3の前面ボタン(ボタンA)によるマクロの 「再生 / 停止」 制御
+   * (一時停止中に押した場合は再開)
    */
   if (AtomS3.BtnA.wasPressed()) {
-    if ((currentStatus == STATUS_READY || currentStatus == STATUS_IDLE ||
-         currentStatus == STATUS_CONNECTED) &&
-        currentMacro) {
-      // 再生開始
-      currentStatus = STATUS_PLAYING;
-      statusChanged = true;
-      player.start();
+    if (canStartPlayback()) {
+      startPlayback(0); // 再生開始
     } else if (currentStatus == STATUS_PLAYING) {
-      // 再生停止
-      currentStatus = NimBLEDevice::getServer()->getConnectedCount() > 0
-                          ? STATUS_CONNECTED
-                          : STATUS_READY;
-      statusChanged = true;
-      player.stop(); // ニュートラルに戻す
+      stopPlayback(); // 再生停止
+    } else if (currentStatus == STATUS_PAUSED) {
+      resumePlayback();
     }
   }
 
+  /**
+   * Live Bridge のフェイルセーフ:
+   * 離す入力が届かずにボタンが押しっぱなしにならないよう、ブラウザからの
+   * ライブ入力 (キープアライブを含む) が途絶えたらすべての入力を離します。
+   */
+  if (liveFailsafeArmed && millis() - lastLiveFrameAt > LIVE_FAILSAFE_MS) {
+    liveFailsafeArmed = false;
+    if (currentStatus != STATUS_PLAYING && currentStatus != STATUS_WAITING)
+      player.stop();
+  }
+
+  /**
+   * ブラウザからの再生操作 (ボタンに手が届かない場所に設置した場合用)
+   */
+  RemoteCommand command = pendingCommand;
+  if (command != CMD_NONE) {
+    pendingCommand = CMD_NONE;
+    handleRemoteCommand(command, pendingIndex);
+  }
+
+  /**
+   * スロットの選択・削除とマクロの保存 (再生中のマクロを差し替えるため、ここで行う)
+   */
+  StorageCommand storage = pendingStorage;
+  if (storage != STORAGE_NONE) {
+    pendingStorage = STORAGE_NONE;
+    applyStorageCommand(storage, pendingSlot);
+  }
+
   /**
    * 再生ロジック:
    * 時刻(t)を監視し、現在の経過時間(millis -
    * startTime)がイベントの時刻を超えたら実行します。
    */
   if (currentStatus == STATUS_PLAYING && currentMacro) {
-    JsonArray events = (*currentMacro)["events"];
-    if (player.eventIndex >= events.size()) {
-      // すべてのイベントを完了
-      player.stop();
+    // 次のイベントを1件だけ先読みしておく (バイナリ形式はファイルから逐次読み出し)
+    if (!player.hasPending)
+      player.loadNext(currentMacro);
 
-      // ループ再生の判定
-      if (player.loopEnabled &&
-          (player.loopCount == 0 || player.remainingLoops > 1)) {
-        if (player.loopCount > 0)
-          player.remainingLoops--;
+    if (!player.hasPending) {
+      // すべてのイベント (最後の周回以外はアウトロの手前まで) を完了
+      // (最後のイベントに wait がある場合は、その時間が過ぎるまで入力を保持する)
+      if (millis() - player.startTime >= player.holdUntil) {
+        player.stop();
 
-        if (player.loopInterval > 0) {
-          // ループ間の待ち時間がある場合
-          currentStatus = STATUS_WAITING;
-          statusChanged = true;
-          player.waitStartTime = millis();
+        // ループ再生の判定
+        if (!player.isFinalIteration()) {
+          if (player.loopCount > 0)
+            player.remainingLoops--;
+
+          player.waitDuration = player.iterationWait();
+          if (player.waitDuration > 0) {
+            // ループ間の待ち時間 (loop.interval と loop.offset) がある場合
+            currentStatus = STATUS_WAITING;
+            statusChanged = true;
+            player.waitStartTime = millis();
+          } else {
+            // 即座にループの本体の先頭からやり直す
+            player.nextIteration(currentMacro);
+          }
         } else {
-          // 即座に最初からやり直す
-          player.eventIndex = 0;
-          player.startTime = millis();
+          // 再生終了: 準備完了状態に戻る
+          currentStatus = STATUS_READY;
+          statusChanged = true;
         }
-      } else {
-        // 再生終了: 準備完了状態に戻る
-        currentStatus = STATUS_READY;
-        statusChanged = true;
       }
     } else {
       // マクロの途中
-      JsonObject event = events[player.eventIndex];
-      if (millis() - player.startTime >= (unsigned long)event["t"]) {
-        // 指定時刻になったのでコントローラー入力を実行
+      if (millis() - player.startTime >= player.pendingAt) {
+        // 指定時刻 (jitter と wait のばらつきを反映済み) になったのでコントローラー入力を実行
         // 送信に成功した場合のみインデックスを進める (失敗したらリトライ)
-        if (player.updateFromEvent(event)) {
-          player.eventIndex++;
-        }
+        if (player.updateFromEvent(player.pending))
+          player.commitPending();
       }
     }
   }
 
   /**
    * ループ待機ロジック:
-   * 設定された秒数が経過したら、再度再生状態に戻ります。
+   * 周回の終わりに決めた待機時間が経過したら、再度再生状態に戻ります。
    */
   else if (currentStatus == STATUS_WAITING) {
-    if (millis() - player.waitStartTime >=
-        (unsigned long)(player.loopInterval * 1000)) {
+    if (millis() - player.waitStartTime >= player.waitDuration) {
       currentStatus = STATUS_PLAYING;
       statusChanged = true;
-      player.eventIndex = 0;
-      player.startTime = millis();
+      player.nextIteration(currentMacro);
     }
   }
+
+  updateStatusTelemetry(command == CMD_STATUS);
 }